@@ -74,6 +74,7 @@ CREATE TABLE `auth_credentials` (
   `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   `token_expires_at` datetime DEFAULT NULL,
+  `token_version` int NOT NULL DEFAULT '0',
   PRIMARY KEY (`user_id`),
   KEY `idx_auth_credentials_updated_at` (`updated_at`),
   CONSTRAINT `fk_auth_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
@@ -159,6 +160,33 @@ CREATE TABLE `booking_photos` (
 ) ENGINE=InnoDB AUTO_INCREMENT=96 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `booking_series`
+--
+
+DROP TABLE IF EXISTS `booking_series`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `booking_series` (
+  `series_id` int NOT NULL AUTO_INCREMENT,
+  `salon_id` int NOT NULL,
+  `customer_user_id` int NOT NULL,
+  `employee_id` int NOT NULL,
+  `interval_weeks` tinyint NOT NULL,
+  `status` enum('ACTIVE','CANCELED') NOT NULL DEFAULT 'ACTIVE',
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`series_id`),
+  KEY `idx_bseries_customer` (`customer_user_id`),
+  KEY `fk_bseries_salon` (`salon_id`),
+  KEY `fk_bseries_emp` (`employee_id`),
+  CONSTRAINT `fk_bseries_cust` FOREIGN KEY (`customer_user_id`) REFERENCES `users` (`user_id`),
+  CONSTRAINT `fk_bseries_emp` FOREIGN KEY (`employee_id`) REFERENCES `employees` (`employee_id`),
+  CONSTRAINT `fk_bseries_salon` FOREIGN KEY (`salon_id`) REFERENCES `salons` (`salon_id`),
+  CONSTRAINT `booking_series_chk_1` CHECK ((`interval_weeks` between 1 and 12))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `booking_services`
 --
@@ -173,6 +201,8 @@ CREATE TABLE `booking_services` (
   `employee_id` int DEFAULT NULL,
   `price` decimal(10,2) NOT NULL,
   `duration_minutes` int NOT NULL,
+  `segment_start` datetime DEFAULT NULL,
+  `segment_end` datetime DEFAULT NULL,
   `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`booking_service_id`),
@@ -204,13 +234,18 @@ CREATE TABLE `bookings` (
   `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   `loyalty_seen` tinyint NOT NULL DEFAULT '0',
+  `flag_code` varchar(32) DEFAULT NULL,
+  `flag_reason` varchar(255) DEFAULT NULL,
+  `series_id` int DEFAULT NULL,
   PRIMARY KEY (`booking_id`),
   KEY `idx_bookings_salon_start` (`salon_id`,`scheduled_start`),
   KEY `idx_bookings_customer_start` (`customer_user_id`,`scheduled_start`),
   KEY `idx_bookings_salon_status_start` (`salon_id`,`status`,`scheduled_start`),
   KEY `idx_bookings_status_start` (`status`,`scheduled_start`),
+  KEY `idx_bookings_series_start` (`series_id`,`scheduled_start`),
   CONSTRAINT `fk_bk_cust` FOREIGN KEY (`customer_user_id`) REFERENCES `users` (`user_id`),
   CONSTRAINT `fk_bk_salon` FOREIGN KEY (`salon_id`) REFERENCES `salons` (`salon_id`),
+  CONSTRAINT `fk_bk_series` FOREIGN KEY (`series_id`) REFERENCES `booking_series` (`series_id`),
   CONSTRAINT `bookings_chk_1` CHECK ((`scheduled_end` > `scheduled_start`))
 ) ENGINE=InnoDB AUTO_INCREMENT=407 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
@@ -315,6 +350,28 @@ CREATE TABLE `customer_notes` (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `email_verification_tokens`
+--
+
+DROP TABLE IF EXISTS `email_verification_tokens`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `email_verification_tokens` (
+  `verification_id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `email` varchar(255) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  PRIMARY KEY (`verification_id`),
+  UNIQUE KEY `uq_email_verification_tokens_hash` (`token_hash`),
+  KEY `idx_email_verification_tokens_user_created` (`user_id`,`created_at`),
+  CONSTRAINT `fk_email_verification_tokens_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `employee_availability`
 --
@@ -339,6 +396,34 @@ CREATE TABLE `employee_availability` (
 ) ENGINE=InnoDB AUTO_INCREMENT=385 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `employee_invitations`
+--
+
+DROP TABLE IF EXISTS `employee_invitations`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `employee_invitations` (
+  `invitation_id` int NOT NULL AUTO_INCREMENT,
+  `salon_id` int NOT NULL,
+  `invited_by_user_id` int NOT NULL,
+  `email` varchar(255) NOT NULL,
+  `title` varchar(100) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `status` enum('PENDING','ACCEPTED','DECLINED','REVOKED') NOT NULL DEFAULT 'PENDING',
+  `expires_at` datetime NOT NULL,
+  `responded_at` datetime DEFAULT NULL,
+  `accepted_user_id` int DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  PRIMARY KEY (`invitation_id`),
+  UNIQUE KEY `uq_employee_invitations_token_hash` (`token_hash`),
+  KEY `idx_employee_invitations_salon_status` (`salon_id`,`status`),
+  KEY `idx_employee_invitations_email` (`email`),
+  CONSTRAINT `fk_employee_invitations_salon` FOREIGN KEY (`salon_id`) REFERENCES `salons` (`salon_id`),
+  CONSTRAINT `fk_employee_invitations_inviter` FOREIGN KEY (`invited_by_user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `employee_services`
 --
@@ -359,6 +444,35 @@ CREATE TABLE `employee_services` (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `employee_time_off`
+--
+
+DROP TABLE IF EXISTS `employee_time_off`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `employee_time_off` (
+  `time_off_id` int NOT NULL AUTO_INCREMENT,
+  `employee_id` int NOT NULL,
+  `start_at` datetime NOT NULL,
+  `end_at` datetime NOT NULL,
+  `all_day` tinyint(1) NOT NULL DEFAULT '0',
+  `reason` varchar(255) DEFAULT NULL,
+  `status` enum('PENDING','APPROVED','DENIED','CANCELED') NOT NULL DEFAULT 'PENDING',
+  `reviewed_by` int DEFAULT NULL,
+  `reviewed_at` datetime DEFAULT NULL,
+  `review_note` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`time_off_id`),
+  KEY `idx_eto_emp_status_start` (`employee_id`,`status`,`start_at`),
+  KEY `fk_eto_reviewer` (`reviewed_by`),
+  CONSTRAINT `fk_eto_emp` FOREIGN KEY (`employee_id`) REFERENCES `employees` (`employee_id`),
+  CONSTRAINT `fk_eto_reviewer` FOREIGN KEY (`reviewed_by`) REFERENCES `users` (`user_id`),
+  CONSTRAINT `employee_time_off_chk_1` CHECK ((`end_at` > `start_at`))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `employee_unavailability`
 --
@@ -399,10 +513,7 @@ CREATE TABLE `employees` (
   `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`employee_id`),
-  UNIQUE KEY `user_id` (`user_id`),
-  UNIQUE KEY `user_id_2` (`user_id`),
-  UNIQUE KEY `user_id_3` (`user_id`),
-  UNIQUE KEY `user_id_4` (`user_id`),
+  UNIQUE KEY `uq_employees_user_salon` (`user_id`,`salon_id`),
   KEY `idx_employees_salon` (`salon_id`),
   KEY `idx_employees_user` (`user_id`),
   KEY `idx_employees_salon_active` (`salon_id`,`active`),
@@ -411,6 +522,24 @@ CREATE TABLE `employees` (
 ) ENGINE=InnoDB AUTO_INCREMENT=541 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `login_throttles`
+--
+
+DROP TABLE IF EXISTS `login_throttles`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `login_throttles` (
+  `scope` enum('ACCOUNT','IP') NOT NULL,
+  `scope_key` varchar(64) NOT NULL,
+  `failed_count` int NOT NULL DEFAULT '0',
+  `last_failed_at` datetime NOT NULL,
+  `locked_until` datetime DEFAULT NULL,
+  PRIMARY KEY (`scope`,`scope_key`),
+  KEY `idx_login_throttles_last_failed_at` (`last_failed_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `logins`
 --
@@ -477,6 +606,41 @@ CREATE TABLE `loyalty_programs` (
 ) ENGINE=InnoDB AUTO_INCREMENT=35 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `mfa_recovery_codes`
+--
+
+DROP TABLE IF EXISTS `mfa_recovery_codes`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `mfa_recovery_codes` (
+  `code_id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `code_hash` char(64) NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  PRIMARY KEY (`code_id`),
+  KEY `idx_mfa_recovery_codes_user_hash` (`user_id`,`code_hash`),
+  CONSTRAINT `fk_mfa_recovery_codes_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `mfa_role_policies`
+--
+
+DROP TABLE IF EXISTS `mfa_role_policies`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `mfa_role_policies` (
+  `role` enum('ADMIN','OWNER') NOT NULL,
+  `required` tinyint(1) NOT NULL DEFAULT '0',
+  `updated_by` int DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`role`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `notifications_inbox`
 --
@@ -564,6 +728,27 @@ CREATE TABLE `orders` (
 ) ENGINE=InnoDB AUTO_INCREMENT=53 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `password_reset_tokens`
+--
+
+DROP TABLE IF EXISTS `password_reset_tokens`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `password_reset_tokens` (
+  `reset_id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  PRIMARY KEY (`reset_id`),
+  UNIQUE KEY `uq_password_reset_tokens_hash` (`token_hash`),
+  KEY `idx_password_reset_tokens_user_id` (`user_id`),
+  CONSTRAINT `fk_password_reset_tokens_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `payments`
 --
@@ -642,6 +827,31 @@ CREATE TABLE `products` (
 ) ENGINE=InnoDB AUTO_INCREMENT=72 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `refresh_tokens`
+--
+
+DROP TABLE IF EXISTS `refresh_tokens`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `refresh_tokens` (
+  `token_id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `family_id` char(36) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  PRIMARY KEY (`token_id`),
+  UNIQUE KEY `uq_refresh_tokens_hash` (`token_hash`),
+  KEY `idx_refresh_tokens_family` (`family_id`),
+  KEY `idx_refresh_tokens_user_id` (`user_id`),
+  KEY `idx_refresh_tokens_expires_at` (`expires_at`),
+  CONSTRAINT `fk_refresh_tokens_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `review_replies`
 --
@@ -690,6 +900,25 @@ CREATE TABLE `reviews` (
 ) ENGINE=InnoDB AUTO_INCREMENT=27 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `revoked_tokens`
+--
+
+DROP TABLE IF EXISTS `revoked_tokens`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `revoked_tokens` (
+  `jti` char(36) NOT NULL,
+  `user_id` int NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `revoked_at` datetime NOT NULL,
+  PRIMARY KEY (`jti`),
+  KEY `idx_revoked_tokens_user_id` (`user_id`),
+  KEY `idx_revoked_tokens_expires_at` (`expires_at`),
+  CONSTRAINT `fk_revoked_tokens_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `salon_availability`
 --
@@ -734,6 +963,30 @@ CREATE TABLE `salon_clicks` (
 ) ENGINE=InnoDB AUTO_INCREMENT=942 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `salon_hours_overrides`
+--
+
+DROP TABLE IF EXISTS `salon_hours_overrides`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `salon_hours_overrides` (
+  `override_id` int NOT NULL AUTO_INCREMENT,
+  `salon_id` int NOT NULL,
+  `override_date` date NOT NULL,
+  `is_closed` tinyint(1) NOT NULL DEFAULT '0',
+  `start_time` time DEFAULT NULL,
+  `end_time` time DEFAULT NULL,
+  `note` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`override_id`),
+  UNIQUE KEY `uq_sho_salon_date` (`salon_id`,`override_date`),
+  CONSTRAINT `fk_sho_salon` FOREIGN KEY (`salon_id`) REFERENCES `salons` (`salon_id`),
+  CONSTRAINT `salon_hours_overrides_chk_1` CHECK (((`is_closed` = 1) or (`end_time` > `start_time`)))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `salon_photos`
 --
@@ -755,6 +1008,60 @@ CREATE TABLE `salon_photos` (
 ) ENGINE=InnoDB AUTO_INCREMENT=12 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `salon_role_assignments`
+--
+
+DROP TABLE IF EXISTS `salon_role_assignments`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `salon_role_assignments` (
+  `salon_role_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `salon_id` int NOT NULL,
+  `assigned_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  PRIMARY KEY (`salon_role_id`,`user_id`),
+  KEY `idx_salon_role_assignments_user_salon` (`user_id`,`salon_id`),
+  CONSTRAINT `fk_salon_role_assignments_role` FOREIGN KEY (`salon_role_id`) REFERENCES `salon_roles` (`salon_role_id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_salon_role_assignments_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `salon_role_permissions`
+--
+
+DROP TABLE IF EXISTS `salon_role_permissions`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `salon_role_permissions` (
+  `salon_role_id` int NOT NULL,
+  `permission_code` varchar(64) NOT NULL,
+  PRIMARY KEY (`salon_role_id`,`permission_code`),
+  CONSTRAINT `fk_salon_role_permissions_role` FOREIGN KEY (`salon_role_id`) REFERENCES `salon_roles` (`salon_role_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `salon_roles`
+--
+
+DROP TABLE IF EXISTS `salon_roles`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `salon_roles` (
+  `salon_role_id` int NOT NULL AUTO_INCREMENT,
+  `salon_id` int NOT NULL,
+  `name` varchar(64) NOT NULL,
+  `created_at` datetime NOT NULL,
+  `updated_at` datetime NOT NULL,
+  PRIMARY KEY (`salon_role_id`),
+  UNIQUE KEY `uq_salon_roles_salon_name` (`salon_id`,`name`),
+  CONSTRAINT `fk_salon_roles_salon` FOREIGN KEY (`salon_id`) REFERENCES `salons` (`salon_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `salons`
 --
@@ -780,13 +1087,23 @@ CREATE TABLE `salons` (
   `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   `timezone` varchar(64) NOT NULL DEFAULT 'America/New_York',
+  `pending_changes` json DEFAULT NULL,
+  `pending_changes_at` datetime DEFAULT NULL,
+  `status_reason` varchar(500) DEFAULT NULL,
+  `status_expires_at` datetime DEFAULT NULL,
+  `bookings_frozen` tinyint(1) NOT NULL DEFAULT '0',
+  `latitude` decimal(9,6) DEFAULT NULL,
+  `longitude` decimal(9,6) DEFAULT NULL,
+  `stylist_assignment` enum('LEAST_BUSY','ROUND_ROBIN','HIGHEST_RATED') NOT NULL DEFAULT 'LEAST_BUSY',
+  `last_assigned_employee_id` int DEFAULT NULL,
   PRIMARY KEY (`salon_id`),
-  UNIQUE KEY `owner_user_id` (`owner_user_id`),
   KEY `idx_salons_owner` (`owner_user_id`),
   KEY `idx_salons_status` (`status`),
   KEY `idx_salons_owner_status` (`owner_user_id`,`status`),
   KEY `idx_salons_city_state` (`city`,`state`),
   KEY `idx_salons_postal_code` (`postal_code`),
+  KEY `idx_salons_status_expires` (`status_expires_at`),
+  KEY `idx_salons_lat_lng` (`latitude`,`longitude`),
   CONSTRAINT `fk_salon_owner` FOREIGN KEY (`owner_user_id`) REFERENCES `users` (`user_id`)
 ) ENGINE=InnoDB AUTO_INCREMENT=1148 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
@@ -884,6 +1201,25 @@ CREATE TABLE `user_employee_notes` (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `user_mfa`
+--
+
+DROP TABLE IF EXISTS `user_mfa`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `user_mfa` (
+  `user_id` int NOT NULL,
+  `secret_encrypted` varchar(255) NOT NULL,
+  `enabled_at` datetime DEFAULT NULL,
+  `last_used_step` bigint DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  `updated_at` datetime DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`user_id`),
+  CONSTRAINT `fk_user_mfa_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `user_promotions`
 --
@@ -909,6 +1245,27 @@ CREATE TABLE `user_promotions` (
 ) ENGINE=InnoDB AUTO_INCREMENT=50 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `user_sessions`
+--
+
+DROP TABLE IF EXISTS `user_sessions`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `user_sessions` (
+  `session_id` char(36) NOT NULL,
+  `user_id` int NOT NULL,
+  `user_agent` varchar(512) DEFAULT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  `last_seen_at` datetime NOT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`session_id`),
+  KEY `idx_user_sessions_user_revoked` (`user_id`,`revoked_at`),
+  CONSTRAINT `fk_user_sessions_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `users`
 --
@@ -925,6 +1282,10 @@ CREATE TABLE `users` (
   `role` enum('ADMIN','OWNER','CUSTOMER','EMPLOYEE') NOT NULL DEFAULT 'CUSTOMER',
   `last_login_at` datetime DEFAULT NULL,
   `active` tinyint(1) NOT NULL DEFAULT '0',
+  `email_verified_at` datetime DEFAULT NULL,
+  `deleted_at` datetime DEFAULT NULL,
+  `suspended_at` datetime DEFAULT NULL,
+  `suspension_reason` varchar(255) DEFAULT NULL,
   `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`user_id`),
@@ -934,6 +1295,40 @@ CREATE TABLE `users` (
   KEY `idx_users_active_role` (`active`,`role`)
 ) ENGINE=InnoDB AUTO_INCREMENT=3664 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `waitlist_entries`
+--
+
+DROP TABLE IF EXISTS `waitlist_entries`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `waitlist_entries` (
+  `waitlist_id` int NOT NULL AUTO_INCREMENT,
+  `salon_id` int NOT NULL,
+  `customer_user_id` int NOT NULL,
+  `employee_id` int NOT NULL,
+  `service_id` int NOT NULL,
+  `window_start` date NOT NULL,
+  `window_end` date NOT NULL,
+  `status` enum('WAITING','OFFERED','BOOKED','EXPIRED','CANCELED') NOT NULL DEFAULT 'WAITING',
+  `offer_booking_id` int DEFAULT NULL,
+  `offer_expires_at` datetime DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`waitlist_id`),
+  KEY `idx_wl_emp_status_created` (`employee_id`,`status`,`created_at`),
+  KEY `idx_wl_customer` (`customer_user_id`),
+  KEY `idx_wl_offer_booking` (`offer_booking_id`),
+  KEY `fk_wl_salon` (`salon_id`),
+  KEY `fk_wl_service` (`service_id`),
+  CONSTRAINT `fk_wl_cust` FOREIGN KEY (`customer_user_id`) REFERENCES `users` (`user_id`),
+  CONSTRAINT `fk_wl_emp` FOREIGN KEY (`employee_id`) REFERENCES `employees` (`employee_id`),
+  CONSTRAINT `fk_wl_salon` FOREIGN KEY (`salon_id`) REFERENCES `salons` (`salon_id`),
+  CONSTRAINT `fk_wl_service` FOREIGN KEY (`service_id`) REFERENCES `services` (`service_id`),
+  CONSTRAINT `waitlist_entries_chk_1` CHECK ((`window_end` >= `window_start`))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
 /*!40103 SET TIME_ZONE=@OLD_TIME_ZONE */;
 
 /*!40101 SET SQL_MODE=@OLD_SQL_MODE */;
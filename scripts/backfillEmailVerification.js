@@ -0,0 +1,29 @@
+// One-off backfill for the email verification rollout: run once, right after adding users.email_verified_at
+// and before deploying requireVerifiedEmail (running it later would also verify accounts that signed up since).
+// Accounts created before verification existed never received a link, so they count as verified from
+// their signup date; otherwise requireVerifiedEmail would lock them out of booking, checkout and salon creation.
+const path = require('path');
+const dotenv = require('dotenv');
+
+const envPath = process.env.NODE_ENV === 'test'
+    ? path.resolve(process.cwd(), '.env.test')
+    : path.resolve(process.cwd(), '.env');
+
+dotenv.config({ path: envPath, override: false });
+
+const db = require('../src/config/databaseConnection');
+
+async function backfillEmailVerification() {
+    try {
+        const [result] = await db.promise().execute(
+            'UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL'
+        );
+        console.log(`Marked ${result.affectedRows} existing account(s) as verified`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Email verification backfill failed:', error);
+        process.exit(1);
+    }
+}
+
+backfillEmailVerification();
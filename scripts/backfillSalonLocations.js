@@ -0,0 +1,40 @@
+// One-off backfill for "near me" search: salons created before geocoding existed have no latitude/longitude,
+// so radius_km searches leave them out. Geocodes every salon without coordinates with the same geocoder the
+// app uses. Safe to re-run: salons that already have coordinates are skipped.
+const path = require('path');
+const dotenv = require('dotenv');
+
+const envPath = process.env.NODE_ENV === 'test'
+    ? path.resolve(process.cwd(), '.env.test')
+    : path.resolve(process.cwd(), '.env');
+
+dotenv.config({ path: envPath, override: false });
+
+const db = require('../src/config/databaseConnection');
+const { refreshSalonLocation } = require('../src/utils/geocoder');
+
+async function backfillSalonLocations() {
+    try {
+        const [salons] = await db.promise().execute(
+            'SELECT salon_id FROM salons WHERE latitude IS NULL OR longitude IS NULL ORDER BY salon_id'
+        );
+
+        let located = 0;
+        for (const { salon_id } of salons) {
+            // One at a time to stay within geocoding provider rate limits
+            if (await refreshSalonLocation(db.promise(), salon_id)) {
+                located += 1;
+            } else {
+                console.warn(`Could not geocode salon ${salon_id}`);
+            }
+        }
+
+        console.log(`Geocoded ${located} of ${salons.length} salon(s) without coordinates`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Salon location backfill failed:', error);
+        process.exit(1);
+    }
+}
+
+backfillSalonLocations();
@@ -17,6 +17,7 @@ const {
     runAppointmentReminders, 
     runUnusedOffersReminders, 
     runExpirePromoCodes, 
+    runExpireSalonRestrictions,
     runTempCreditCardCleanup,
     runPendingBookingCleanup
 } = require('../src/utils/utilies'); 
@@ -37,6 +38,7 @@ async function runScheduledJobs() {
     
     if (currentMinute % 5 === 0) {
         jobPromises.push(runExpirePromoCodes(db)); 
+        jobPromises.push(runExpireSalonRestrictions(db));
     }
     
     if (currentMinute % 15 === 0) {
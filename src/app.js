@@ -14,6 +14,7 @@ const healthRoutes = require('./routes/health');
 const userRoutes = require('./routes/user');
 const salonsRoutes = require('./routes/salons');
 const analyticsRoutes = require('./routes/analytics');
+const adminUsersRoutes = require('./routes/adminUsers');
 const unavailabilityRoutes = require('./routes/unavailability');
 const bookingsRoutes = require('./routes/bookings');
 const productsRoutes = require('./routes/products');
@@ -24,6 +25,7 @@ const appointmentNotesRoutes = require('./routes/appointmentNotes');
 const promotionsRoutes = require('./routes/promotions');
 const fileUploadRoutes = require('./routes/fileUpload');
 const notificationsRoutes = require('./routes/notifications');
+const waitlistRoutes = require('./routes/waitlist');
 
 const app = express();
 
@@ -36,6 +38,7 @@ app.use('/api/user', userRoutes);
 app.use('/api/salons', salonsRoutes);
 app.use('/api/file', fileUploadRoutes);
 app.use('/api/admin/analytics', analyticsRoutes);
+app.use('/api/admin/users', adminUsersRoutes);
 app.use('/api/unavailability', unavailabilityRoutes);
 app.use('/api/bookings', bookingsRoutes);
 app.use('/api/products', productsRoutes);
@@ -45,6 +48,7 @@ app.use('/api/staff-reviews', staffReviewsRoutes);
 app.use('/api/appointment-notes', appointmentNotesRoutes);
 app.use('/api/notifications', notificationsRoutes);
 app.use('/api/promotions', promotionsRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 
 module.exports = app;
 
@@ -0,0 +1,437 @@
+const connection = require('../config/databaseConnection');
+const { DateTime } = require('luxon');
+const { toMySQLUtc, formatDateTime } = require('../utils/utilies');
+const { clearAccountFailures } = require('../utils/loginThrottle');
+const { writeAuditLog, auditActor } = require('../utils/auditLog');
+const { revokeAllUserTokens } = require('../middleware/auth.middleware');
+const { createNotification } = require('./notificationsController');
+const { MFA_ENFORCEABLE_ROLES } = require('../utils/mfa');
+
+const VALID_ROLES = ['ADMIN', 'OWNER', 'CUSTOMER', 'EMPLOYEE'];
+
+function parseLimitOffset(q) {
+    let { limit = 20, offset = 0 } = q || {};
+    limit = Number.isFinite(+limit) ? Math.max(1, Math.min(+limit, 100)) : 20;
+    offset = Number.isFinite(+offset) ? Math.max(0, +offset) : 0;
+    return { limit, offset };
+}
+
+function parseUserId(param) {
+    const userId = Number(param);
+    return Number.isInteger(userId) && userId > 0 ? userId : null;
+}
+
+// Accepts ISO dates (YYYY-MM-DD or full ISO), returns a MySQL UTC string or null when invalid
+function parseDateFilter(value) {
+    const dt = DateTime.fromISO(String(value), { zone: 'utc' });
+    return dt.isValid ? toMySQLUtc(dt.toUTC()) : null;
+}
+
+const USER_ADMIN_FIELDS = `user_id, full_name, email, phone, role, active, last_login_at, email_verified_at,
+                           suspended_at, suspension_reason, deleted_at, created_at`;
+
+const formatAdminUser = (u) => ({
+    user_id: u.user_id,
+    full_name: u.full_name,
+    email: u.email,
+    phone: u.phone,
+    role: u.role,
+    active: u.active,
+    email_verified: Boolean(u.email_verified_at),
+    suspended: Boolean(u.suspended_at),
+    suspended_at: u.suspended_at ? formatDateTime(u.suspended_at) : null,
+    suspension_reason: u.suspension_reason,
+    deleted: Boolean(u.deleted_at),
+    last_login_at: u.last_login_at ? formatDateTime(u.last_login_at) : null,
+    created_at: u.created_at ? formatDateTime(u.created_at) : null
+});
+
+const getAdminUser = async (db, userId) => {
+    const [rows] = await db.execute(`SELECT ${USER_ADMIN_FIELDS} FROM users WHERE user_id = ?`, [userId]);
+    return rows[0] || null;
+};
+
+// List/search users
+/* Filters: role, active (0/1), suspended (0/1), q (name or email contains),
+    last_login_before / last_login_after (ISO dates), never_logged_in=1
+*/
+exports.listUsers = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { role, active, suspended, q, last_login_before, last_login_after, never_logged_in } = req.query;
+        const { limit, offset } = parseLimitOffset(req.query);
+
+        const where = [];
+        const params = [];
+
+        if (role !== undefined) {
+            const roleUpper = String(role).toUpperCase();
+            if (!VALID_ROLES.includes(roleUpper)) {
+                return res.status(400).json({ message: 'Invalid role' });
+            }
+            where.push('role = ?');
+            params.push(roleUpper);
+        }
+
+        if (active !== undefined) {
+            if (!['0', '1'].includes(String(active))) {
+                return res.status(400).json({ message: 'active must be 0 or 1' });
+            }
+            where.push('active = ?');
+            params.push(Number(active));
+        }
+
+        if (suspended !== undefined) {
+            if (!['0', '1'].includes(String(suspended))) {
+                return res.status(400).json({ message: 'suspended must be 0 or 1' });
+            }
+            where.push(String(suspended) === '1' ? 'suspended_at IS NOT NULL' : 'suspended_at IS NULL');
+        }
+
+        if (q && String(q).trim()) {
+            where.push('(full_name LIKE ? OR email LIKE ?)');
+            const like = `%${String(q).trim()}%`;
+            params.push(like, like);
+        }
+
+        if (last_login_before !== undefined) {
+            const before = parseDateFilter(last_login_before);
+            if (!before) {
+                return res.status(400).json({ message: 'Invalid last_login_before date' });
+            }
+            where.push('last_login_at < ?');
+            params.push(before);
+        }
+
+        if (last_login_after !== undefined) {
+            const after = parseDateFilter(last_login_after);
+            if (!after) {
+                return res.status(400).json({ message: 'Invalid last_login_after date' });
+            }
+            where.push('last_login_at >= ?');
+            params.push(after);
+        }
+
+        if (String(never_logged_in) === '1') {
+            where.push('last_login_at IS NULL');
+        }
+
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+        const [[countRow]] = await db.execute(`SELECT COUNT(*) AS total FROM users ${whereSql}`, params);
+        const total = countRow.total || 0;
+
+        const [rows] = await db.execute(
+            `SELECT ${USER_ADMIN_FIELDS} FROM users ${whereSql} ORDER BY created_at DESC, user_id DESC LIMIT ${limit} OFFSET ${offset}`,
+            params
+        );
+
+        return res.status(200).json({
+            data: rows.map(formatAdminUser),
+            meta: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + rows.length < total
+            }
+        });
+    } catch (error) {
+        console.error('listUsers error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Get a single user
+exports.getUser = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = parseUserId(req.params.user_id);
+        if (!userId) {
+            return res.status(400).json({ message: 'Invalid user_id' });
+        }
+
+        const user = await getAdminUser(db, userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        return res.status(200).json({ data: formatAdminUser(user) });
+    } catch (error) {
+        console.error('getUser error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Suspend a user: blocks login and revokes every outstanding token
+exports.suspendUser = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = parseUserId(req.params.user_id);
+        if (!userId) {
+            return res.status(400).json({ message: 'Invalid user_id' });
+        }
+
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ message: 'reason is required' });
+        }
+        if (reason.length > 255) {
+            return res.status(400).json({ message: 'reason must be at most 255 characters' });
+        }
+
+        if (userId === req.user.user_id) {
+            return res.status(400).json({ message: 'You cannot suspend your own account' });
+        }
+
+        const user = await getAdminUser(db, userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (user.suspended_at) {
+            return res.status(409).json({ message: 'User is already suspended' });
+        }
+
+        const nowUtc = toMySQLUtc(DateTime.utc());
+        await db.execute(
+            'UPDATE users SET suspended_at = ?, suspension_reason = ?, active = 0 WHERE user_id = ?',
+            [nowUtc, reason, userId]
+        );
+        await revokeAllUserTokens(db, userId);
+
+        await writeAuditLog(db, {
+            table_name: 'users',
+            record_id: userId,
+            action_type: 'UPDATE',
+            old_value: { active: user.active, suspended_at: null, suspension_reason: null },
+            new_value: { active: 0, suspended_at: nowUtc, suspension_reason: reason },
+            changed_by: auditActor(req)
+        });
+
+        return res.status(200).json({
+            message: 'User suspended',
+            data: formatAdminUser(await getAdminUser(db, userId))
+        });
+    } catch (error) {
+        console.error('suspendUser error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Reactivate a suspended user
+exports.reactivateUser = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = parseUserId(req.params.user_id);
+        if (!userId) {
+            return res.status(400).json({ message: 'Invalid user_id' });
+        }
+
+        const user = await getAdminUser(db, userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.suspended_at) {
+            return res.status(409).json({ message: 'User is not suspended' });
+        }
+
+        await db.execute(
+            'UPDATE users SET suspended_at = NULL, suspension_reason = NULL WHERE user_id = ?',
+            [userId]
+        );
+
+        await writeAuditLog(db, {
+            table_name: 'users',
+            record_id: userId,
+            action_type: 'UPDATE',
+            old_value: { suspended_at: toMySQLUtc(DateTime.fromJSDate(user.suspended_at, { zone: 'utc' })), suspension_reason: user.suspension_reason },
+            new_value: { suspended_at: null, suspension_reason: null },
+            changed_by: auditActor(req)
+        });
+
+        try {
+            await createNotification(db, {
+                user_id: userId,
+                email: user.email,
+                type_code: 'ACCOUNT_REACTIVATED',
+                message: 'Your Strands account has been reactivated. You can log in again.',
+                sender_email: 'SYSTEM'
+            });
+        } catch (notifError) {
+            console.error('Failed to send reactivation notification:', notifError);
+        }
+
+        return res.status(200).json({
+            message: 'User reactivated',
+            data: formatAdminUser(await getAdminUser(db, userId))
+        });
+    } catch (error) {
+        console.error('reactivateUser error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Change a user's role. The role is embedded in the JWT, so existing tokens are revoked.
+exports.changeUserRole = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = parseUserId(req.params.user_id);
+        if (!userId) {
+            return res.status(400).json({ message: 'Invalid user_id' });
+        }
+
+        const role = typeof req.body?.role === 'string' ? req.body.role.toUpperCase() : null;
+        if (!role || !VALID_ROLES.includes(role)) {
+            return res.status(400).json({ message: 'Invalid role' });
+        }
+
+        if (userId === req.user.user_id) {
+            return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+
+        const user = await getAdminUser(db, userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (user.role === role) {
+            return res.status(409).json({ message: `User already has role ${role}` });
+        }
+
+        await db.execute('UPDATE users SET role = ? WHERE user_id = ?', [role, userId]);
+        await revokeAllUserTokens(db, userId);
+
+        await writeAuditLog(db, {
+            table_name: 'users',
+            record_id: userId,
+            action_type: 'UPDATE',
+            old_value: { role: user.role },
+            new_value: { role },
+            changed_by: auditActor(req)
+        });
+
+        return res.status(200).json({
+            message: 'Role updated',
+            data: formatAdminUser(await getAdminUser(db, userId))
+        });
+    } catch (error) {
+        console.error('changeUserRole error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Unlock an account locked out by failed login attempts
+exports.unlockUser = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = parseUserId(req.params.user_id);
+        if (!userId) {
+            return res.status(400).json({ message: 'Invalid user_id' });
+        }
+
+        const [users] = await db.execute('SELECT user_id, email FROM users WHERE user_id = ?', [userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const email = users[0].email;
+        const [throttles] = await db.execute(
+            'SELECT failed_count, locked_until FROM login_throttles WHERE scope = ? AND scope_key = ?',
+            ['ACCOUNT', email.trim().toLowerCase()]
+        );
+
+        await clearAccountFailures(db, email);
+
+        const previous = throttles[0] || null;
+        await writeAuditLog(db, {
+            table_name: 'users',
+            record_id: userId,
+            action_type: 'OTHER',
+            old_value: {
+                failed_login_count: previous ? previous.failed_count : 0,
+                locked_until: previous && previous.locked_until ? toMySQLUtc(DateTime.fromJSDate(previous.locked_until, { zone: 'utc' })) : null
+            },
+            new_value: { action: 'UNLOCK', failed_login_count: 0, locked_until: null },
+            changed_by: auditActor(req)
+        });
+
+        return res.status(200).json({
+            message: 'Account unlocked',
+            data: {
+                user_id: userId,
+                was_locked: Boolean(previous && previous.locked_until && DateTime.fromJSDate(previous.locked_until, { zone: 'utc' }) > DateTime.utc())
+            }
+        });
+    } catch (error) {
+        console.error('unlockUser error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// MFA enforcement policy per role (OWNER / ADMIN)
+exports.getMfaPolicies = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const [rows] = await db.execute('SELECT role, required, updated_at FROM mfa_role_policies');
+        const byRole = new Map(rows.map(r => [r.role, r]));
+
+        return res.status(200).json({
+            data: MFA_ENFORCEABLE_ROLES.map(role => ({
+                role,
+                required: Number(byRole.get(role)?.required) === 1,
+                updated_at: byRole.get(role)?.updated_at ? formatDateTime(byRole.get(role).updated_at) : null
+            }))
+        });
+    } catch (error) {
+        console.error('getMfaPolicies error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Require (or stop requiring) MFA for a role. Users without MFA enroll on their next login.
+exports.setMfaPolicy = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const role = String(req.body?.role || '').toUpperCase();
+        const { required } = req.body || {};
+
+        if (!MFA_ENFORCEABLE_ROLES.includes(role)) {
+            return res.status(400).json({ message: `role must be one of ${MFA_ENFORCEABLE_ROLES.join(', ')}` });
+        }
+        if (typeof required !== 'boolean') {
+            return res.status(400).json({ message: 'required must be a boolean' });
+        }
+
+        const [existing] = await db.execute('SELECT required FROM mfa_role_policies WHERE role = ?', [role]);
+        const previous = existing.length > 0 && Number(existing[0].required) === 1;
+
+        await db.execute(
+            `INSERT INTO mfa_role_policies (role, required, updated_by, updated_at) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE required = VALUES(required), updated_by = VALUES(updated_by), updated_at = VALUES(updated_at)`,
+            [role, required ? 1 : 0, req.user.user_id, toMySQLUtc(DateTime.utc())]
+        );
+
+        await writeAuditLog(db, {
+            table_name: 'mfa_role_policies',
+            record_id: 0,
+            action_type: 'UPDATE',
+            old_value: { role, required: previous },
+            new_value: { role, required },
+            changed_by: auditActor(req)
+        });
+
+        return res.status(200).json({
+            message: 'MFA policy updated',
+            data: { role, required }
+        });
+    } catch (error) {
+        console.error('setMfaPolicy error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
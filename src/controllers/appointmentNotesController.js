@@ -1,5 +1,6 @@
 const connection = require('../config/databaseConnection');
 const { formatDateTime } = require('../utils/utilies');
+const { USER_EMPLOYEE_IDS_SQL } = require('../utils/employees');
 
 //helper function to check for pagination offset
 function parseLimitOffset(q) {
@@ -9,12 +10,6 @@ function parseLimitOffset(q) {
     return { limit, offset };
 }
 
-//helper function to get an employee's ID and their salon ID
-async function employeeIdForUser(db, userId) {
-    const [[row]] = await db.execute(`SELECT employee_id, salon_id FROM employees WHERE user_id = ? AND active = 1`, [userId]);
-    return row || null;
-}
-
 //helper function to check if a booking exists
 async function bookingExists(db, bookingId) {
     const [[row]] = await db.execute(`SELECT booking_id FROM bookings WHERE booking_id = ?`, [bookingId]);
@@ -27,12 +22,10 @@ async function canCustomerAccessBooking(db, userId, bookingId) {
     return (row?.cnt || 0) > 0;
 }
 
-//helper function to check if this specific employee (stylist) can access this booking
+//helper function to check if this specific employee (stylist) can access this booking, at any salon they work at
 async function canEmployeeAccessBooking(db, userId, bookingId) {
-    const myEmp = await employeeIdForUser(db, userId);
-    if (!myEmp) return false;
     const [[row]] = await db.execute(`SELECT COUNT(*) AS cnt FROM booking_services
-                                     WHERE booking_id = ? AND employee_id = ?`, [bookingId, myEmp.employee_id]
+                                     WHERE booking_id = ? AND employee_id IN (${USER_EMPLOYEE_IDS_SQL})`, [bookingId, userId]
     );
     return (row?.cnt || 0) > 0;
 }
@@ -1,7 +1,13 @@
 const connection = require('../config/databaseConnection'); //db connection
-const { toMySQLUtc, formatDateTime, logUtcDebug, localAvailabilityToUtc, utcToLocalDateString, luxonWeekdayToDb } = require('../utils/utilies');
+const { toMySQLUtc, formatDateTime, logUtcDebug, utcToLocalDateString } = require('../utils/utilies');
 const { DateTime } = require('luxon');
 const { createNotification } = require('./notificationsController');
+const { checkStylistSlot } = require('../utils/stylistSlots');
+const { USER_EMPLOYEE_IDS_SQL } = require('../utils/employees');
+const { getPermittedSalonIds } = require('../utils/permissions');
+const { checkOccurrences } = require('../utils/bookingSeries');
+const { getFreedSlots, offerFreedSlots, closeWaitlistOffer } = require('../utils/waitlist');
+const { stylistWindows } = require('../utils/bookingSegments');
 
 // Customer views their appointments
 exports.getMyAppointments = async (req, res) => {
@@ -66,6 +72,9 @@ exports.getMyAppointments = async (req, res) => {
                 b.scheduled_end,
                 b.status,
                 b.notes,
+                b.flag_code,
+                b.flag_reason,
+                b.series_id,
                 b.created_at,
                 s.name AS salon_name,
                 s.address AS salon_address,
@@ -111,6 +120,8 @@ exports.getMyAppointments = async (req, res) => {
                 bs.employee_id,
                 bs.price,
                 bs.duration_minutes,
+                DATE_FORMAT(bs.segment_start, '%Y-%m-%d %H:%i:%s') AS segment_start,
+                DATE_FORMAT(bs.segment_end, '%Y-%m-%d %H:%i:%s') AS segment_end,
                 sv.name AS service_name,
                 u.full_name AS stylist_name,
                 e.title AS stylist_title
@@ -262,14 +273,20 @@ exports.getMyAppointments = async (req, res) => {
                     scheduled_start: formatDateTime(booking.scheduled_start),
                     scheduled_end: formatDateTime(booking.scheduled_end),
                     duration_minutes: totalDuration,
-                    status: booking.status
+                    status: booking.status,
+                    flag: booking.flag_code ? { code: booking.flag_code, reason: booking.flag_reason } : null,
+                    series_id: booking.series_id
                 },
                 stylists: stylists.length > 0 ? stylists : null,
                 services: services.map(s => ({
                     service_id: s.service_id,
                     service_name: s.service_name,
+                    employee_id: s.employee_id,
                     duration_minutes: Number(s.duration_minutes),
-                    price: Number(s.price)
+                    price: Number(s.price),
+                    //own start/end only when the booking is split across stylists
+                    segment_start: formatDateTime(s.segment_start),
+                    segment_end: formatDateTime(s.segment_end)
                 })),
                 total_price: totalPrice,
                 actual_amount_paid: actualAmountPaid,
@@ -370,7 +387,7 @@ exports.rescheduleBooking = async (req, res) => {
         const [bkRows] = await db.execute(`SELECT booking_id, salon_id, customer_user_id, 
                                       DATE_FORMAT(scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start, 
                                       DATE_FORMAT(scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end, 
-                                      status
+                                      status, series_id
                                       FROM bookings WHERE booking_id = ? AND customer_user_id = ? AND status = 'SCHEDULED'`,
             [Number(booking_id), authUserId]
         );
@@ -382,9 +399,13 @@ exports.rescheduleBooking = async (req, res) => {
 
         // Check if booking is scheduled for the same day - cannot reschedule same day
         const [salonTimezoneResult] = await db.execute(
-            'SELECT timezone FROM salons WHERE salon_id = ?',
+            'SELECT timezone, status FROM salons WHERE salon_id = ?',
             [salon_id]
         );
+        // Bookings at a suspended salon are frozen until it is reinstated
+        if (salonTimezoneResult[0]?.status !== 'APPROVED') {
+            return res.status(403).json({ message: 'Salon is not available for booking' });
+        }
         const salonTimezone = salonTimezoneResult[0]?.timezone || 'America/New_York';
         
         // Parse SQL format datetime from database as UTC
@@ -402,64 +423,50 @@ exports.rescheduleBooking = async (req, res) => {
         }
 
         //get the services associated with this booking
-        const [servicesRows] = await db.execute(`SELECT service_id, employee_id, price, duration_minutes FROM booking_services WHERE booking_id = ?`,
+        const [servicesRows] = await db.execute(`SELECT service_id, employee_id, price, duration_minutes,
+                                                DATE_FORMAT(segment_start, '%Y-%m-%d %H:%i:%s') AS segment_start,
+                                                DATE_FORMAT(segment_end, '%Y-%m-%d %H:%i:%s') AS segment_end
+                                                FROM booking_services WHERE booking_id = ?`,
             [Number(booking_id)]
         );
         if (servicesRows.length === 0) return res.status(400).json({ message: 'No services found for this booking' });
 
+        //multi-stylist bookings keep their layout: every segment moves by the same offset
+        const isMultiStylist = servicesRows.some(s => s.segment_start);
+        const offset = startDate.diff(oldBookingDate);
+        const movedSegments = servicesRows.map(s => (s.segment_start ? {
+            ...s,
+            start: DateTime.fromSQL(s.segment_start, { zone: 'utc' }).plus(offset),
+            end: DateTime.fromSQL(s.segment_end, { zone: 'utc' }).plus(offset)
+        } : s));
+
         //getting service duration and endtime of booking
         const totalDurationMinutes = servicesRows.reduce((sum, s) => sum + s.duration_minutes, 0);
-        const endDate = startDate.plus({ minutes: totalDurationMinutes });
+        const endDate = isMultiStylist
+            ? DateTime.fromSQL(oldBooking.scheduled_end, { zone: 'utc' }).plus(offset)
+            : startDate.plus({ minutes: totalDurationMinutes });
 
         //getting all employees involved with the original booking along with the day
         const employeeIds = [...new Set(servicesRows.map(r => r.employee_id))];
-        
-        // Get the booking date in salon timezone (not UTC!)
-        const startDateInSalonTz = startDate.setZone(salonTimezone);
-        const bookingDayOfWeek = luxonWeekdayToDb(startDateInSalonTz.weekday);
-
-        const dayStr = startDateInSalonTz.toFormat('yyyy-MM-dd');
+        const windowsByEmployee = isMultiStylist ? stylistWindows(movedSegments.filter(s => s.start)) : {};
 
         // Format as UTC for database storage
         const requestStartStr = toMySQLUtc(startDate);
         const requestEndStr = toMySQLUtc(endDate);
 
-        //checking availability of all employees
+        //checking availability of all employees, each over their own part of the booking (the old booking does not count as a conflict)
         for (const empId of employeeIds) {
-            //checking availability
-            const [availRows] = await db.execute(`SELECT weekday, start_time, end_time FROM employee_availability WHERE employee_id = ?`,
-                [empId]
-            );
-            if (availRows.length === 0) return res.status(400).json({ message: 'Stylist has no availability set' });
-
-            //checking availability on that weekday
-            const dayAvailability = availRows.find(a => a.weekday === bookingDayOfWeek);
-            if (!dayAvailability) return res.status(400).json({ message: 'Stylist is not available on this day' });
-
-            const availStart = localAvailabilityToUtc(dayAvailability.start_time, dayStr, salonTimezone);
-            const availEnd = localAvailabilityToUtc(dayAvailability.end_time, dayStr, salonTimezone);
-            logUtcDebug('bookingController.rescheduleBooking availStart (UTC)', availStart);
-            logUtcDebug('bookingController.rescheduleBooking availEnd (UTC)', availEnd);
-            if (startDate < availStart || endDate > availEnd) return res.status(400).json({ message: `Booking time must be within stylist availability (${dayAvailability.start_time} - ${dayAvailability.end_time})` });
-
-            //checking unavailability
-            const [unavailRows] = await db.execute(`SELECT start_time, end_time FROM employee_unavailability WHERE employee_id = ? AND weekday = ?`,
-                [empId, bookingDayOfWeek]
-            );
-            const hasConflict = unavailRows.some(block => {
-                const blockStart = localAvailabilityToUtc(block.start_time, dayStr, salonTimezone);
-                const blockEnd = localAvailabilityToUtc(block.end_time, dayStr, salonTimezone);
-                return (startDate < blockEnd) && (blockStart < endDate);
-            });
-            if (hasConflict) return res.status(409).json({ message: 'Stylist is unavailable during this time slot' });
-            
-            //check for conflicting bookings
-            const [conflicts] = await db.execute(`SELECT b.booking_id FROM bookings b JOIN booking_services bs ON b.booking_id = bs.booking_id
-                                                 WHERE bs.employee_id = ? AND b.booking_id <> ?  AND b.status NOT IN ('CANCELED', 'COMPLETED')
-                                                 AND b.scheduled_start < ? AND b.scheduled_end > ?`,
-                [empId, Number(booking_id), requestEndStr, requestStartStr]
-            );
-            if (conflicts.length > 0) return res.status(409).json({ message: 'Time slot is no longer available. Please select a different time.' });
+            for (const { start: empStart, end: empEnd } of windowsByEmployee[empId] || [{ start: startDate, end: endDate }]) {
+                const slotError = await checkStylistSlot(db, {
+                    salon_id,
+                    employee_id: empId,
+                    salonTimezone,
+                    startDate: empStart,
+                    endDate: empEnd,
+                    excludeBookingIds: [Number(booking_id)]
+                });
+                if (slotError) return res.status(slotError.status).json(slotError.body);
+            }
         }
 
         //db interactions
@@ -477,15 +484,17 @@ exports.rescheduleBooking = async (req, res) => {
             }
 
            
-            const [newBooking] = await db.execute(`INSERT INTO bookings (salon_id, customer_user_id, scheduled_start, scheduled_end, status, notes)
-                                                  VALUES (?, ?, ?, ?, 'SCHEDULED', ?)`, [salon_id, authUserId, requestStartStr, requestEndStr, notes]
+            //a moved occurrence stays part of its recurring series
+            const [newBooking] = await db.execute(`INSERT INTO bookings (salon_id, customer_user_id, series_id, scheduled_start, scheduled_end, status, notes)
+                                                  VALUES (?, ?, ?, ?, ?, 'SCHEDULED', ?)`, [salon_id, authUserId, oldBooking.series_id, requestStartStr, requestEndStr, notes]
             );
             const newBookingId = newBooking.insertId;
 
             //create new booking_services entry
-            for (const s of servicesRows) {
-                await db.execute(`INSERT INTO booking_services (booking_id, employee_id, service_id, price, duration_minutes)
-                                 VALUES (?, ?, ?, ?, ?)`, [newBookingId, s.employee_id, s.service_id, s.price, s.duration_minutes]
+            for (const s of movedSegments) {
+                await db.execute(`INSERT INTO booking_services (booking_id, employee_id, service_id, price, duration_minutes, segment_start, segment_end)
+                                 VALUES (?, ?, ?, ?, ?, ?, ?)`, [newBookingId, s.employee_id, s.service_id, s.price, s.duration_minutes,
+                                 s.start ? toMySQLUtc(s.start) : null, s.end ? toMySQLUtc(s.end) : null]
                 );
             }
 
@@ -731,6 +740,13 @@ exports.cancelBooking = async (req, res) => {
           }
         }
 
+        //offer the freed time to the stylist's waitlist
+        try {
+            await offerFreedSlots(db, await getFreedSlots(db, [bookingId]));
+        } catch (waitlistError) {
+            console.error('Failed to offer freed time to the waitlist:', waitlistError);
+        }
+
         return res.status(200).json({
             message: 'Booking canceled',
             data: {
@@ -747,6 +763,250 @@ exports.cancelBooking = async (req, res) => {
     }
 };
 
+//recurring series owned by the customer with its stylist and salon, null when not found
+const getCustomerSeries = async (db, seriesId, customerUserId) => {
+    const [rows] = await db.execute(`SELECT bs.series_id, bs.salon_id, bs.customer_user_id, bs.employee_id, bs.interval_weeks, bs.status,
+                                    s.name AS salon_name, s.timezone, s.status AS salon_status,
+                                    e.user_id AS stylist_user_id, su.full_name AS stylist_name, su.email AS stylist_email,
+                                    c.email AS customer_email, c.full_name AS customer_name
+                                    FROM booking_series bs
+                                    JOIN salons s ON s.salon_id = bs.salon_id
+                                    JOIN employees e ON e.employee_id = bs.employee_id
+                                    JOIN users su ON su.user_id = e.user_id
+                                    JOIN users c ON c.user_id = bs.customer_user_id
+                                    WHERE bs.series_id = ? AND bs.customer_user_id = ?`, [seriesId, customerUserId]
+    );
+    return rows[0] || null;
+};
+
+//SCHEDULED and still unpaid PENDING occurrences after today (salon-local), the ones a series-wide cancel or reschedule acts on
+const getUpcomingOccurrences = async (db, series) => {
+    const salonTimezone = series.timezone || 'America/New_York';
+    const tomorrowUtc = toMySQLUtc(DateTime.now().setZone(salonTimezone).plus({ days: 1 }).startOf('day').toUTC());
+    const [rows] = await db.execute(`SELECT booking_id,
+                                    DATE_FORMAT(scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
+                                    DATE_FORMAT(scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end, status
+                                    FROM bookings
+                                    WHERE series_id = ? AND status IN ('PENDING', 'SCHEDULED') AND scheduled_start >= ?
+                                    ORDER BY scheduled_start ASC`, [series.series_id, tomorrowUtc]
+    );
+    return rows;
+};
+
+//notifies the customer and the stylist about a change to the whole series
+const notifySeriesChange = async (db, series, typeCode, customerMessage, stylistMessage) => {
+    try {
+        await createNotification(db, {
+            user_id: series.customer_user_id,
+            salon_id: series.salon_id,
+            employee_id: series.employee_id,
+            email: series.customer_email,
+            type_code: typeCode,
+            message: customerMessage,
+            sender_email: 'SYSTEM'
+        });
+        await createNotification(db, {
+            user_id: series.stylist_user_id,
+            salon_id: series.salon_id,
+            employee_id: series.employee_id,
+            email: series.stylist_email,
+            type_code: typeCode,
+            message: stylistMessage,
+            sender_email: series.customer_email || 'SYSTEM'
+        });
+    } catch (notifError) {
+        console.error('Failed to send recurring series notifications:', notifError);
+    }
+};
+
+//BS 1.2 customer views a recurring series with all of its occurrences
+exports.getBookingSeries = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const authUserId = req.user?.user_id;
+        const seriesId = parseInt(req.params.series_id, 10);
+        if (!Number.isInteger(seriesId) || seriesId <= 0) return res.status(400).json({ message: 'Invalid series id' });
+
+        const series = await getCustomerSeries(db, seriesId, authUserId);
+        if (!series) return res.status(404).json({ message: 'Series not found' });
+
+        const [occurrences] = await db.execute(`SELECT booking_id,
+                                              DATE_FORMAT(scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
+                                              DATE_FORMAT(scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end,
+                                              status
+                                              FROM bookings WHERE series_id = ? ORDER BY scheduled_start ASC`, [seriesId]
+        );
+
+        return res.status(200).json({
+            data: {
+                series_id: series.series_id,
+                salon: { salon_id: series.salon_id, name: series.salon_name },
+                stylist: { employee_id: series.employee_id, name: series.stylist_name },
+                interval_weeks: series.interval_weeks,
+                status: series.status,
+                occurrences: occurrences.map(o => ({
+                    booking_id: o.booking_id,
+                    scheduled_start: formatDateTime(o.scheduled_start),
+                    scheduled_end: formatDateTime(o.scheduled_end),
+                    status: o.status
+                }))
+            }
+        });
+    } catch (err) {
+        console.error('getBookingSeries error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+//BS 1.2 customer moves every upcoming occurrence of a series: the first one to scheduled_start, the rest keep the interval
+//a single occurrence is moved with the regular reschedule endpoint
+exports.rescheduleBookingSeries = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const authUserId = req.user?.user_id;
+        const seriesId = parseInt(req.params.series_id, 10);
+        const { scheduled_start } = req.body;
+        if (!Number.isInteger(seriesId) || seriesId <= 0) return res.status(400).json({ message: 'Invalid series id' });
+
+        const startDate = typeof scheduled_start === 'string' && /([zZ]|[+-]\d{2}:\d{2})$/.test(scheduled_start)
+            ? DateTime.fromISO(scheduled_start).toUTC()
+            : null;
+        if (!startDate || !startDate.isValid) {
+            return res.status(400).json({
+                message: 'scheduled_start must be an ISO 8601 datetime with a timezone offset (e.g., 2025-11-12T09:00:00-05:00)'
+            });
+        }
+        if (startDate < DateTime.utc()) return res.status(400).json({ message: 'Cannot reschedule to a past time' });
+
+        const series = await getCustomerSeries(db, seriesId, authUserId);
+        if (!series) return res.status(404).json({ message: 'Series not found' });
+        if (series.status !== 'ACTIVE') return res.status(409).json({ message: 'Series is canceled' });
+        // Bookings at a suspended salon are frozen until it is reinstated
+        if (series.salon_status !== 'APPROVED') return res.status(403).json({ message: 'Salon is not available for booking' });
+
+        const occurrences = await getUpcomingOccurrences(db, series);
+        if (occurrences.length === 0) return res.status(409).json({ message: 'Series has no upcoming appointments to reschedule' });
+
+        const salonTimezone = series.timezone || 'America/New_York';
+        const firstLocal = startDate.setZone(salonTimezone);
+        const starts = occurrences.map((_, i) => firstLocal.plus({ weeks: i * series.interval_weeks }).toUTC());
+        const durationMinutes = Math.round(DateTime.fromSQL(occurrences[0].scheduled_end, { zone: 'utc' })
+            .diff(DateTime.fromSQL(occurrences[0].scheduled_start, { zone: 'utc' }), 'minutes').minutes);
+
+        const { conflicts } = await checkOccurrences(db, {
+            salon_id: series.salon_id,
+            employee_id: series.employee_id,
+            salonTimezone,
+            starts,
+            durationMinutes,
+            excludeBookingIds: occurrences.map(o => o.booking_id)
+        });
+        if (conflicts.length > 0) {
+            return res.status(409).json({ message: 'Some occurrences of the series are not available', data: { conflicts } });
+        }
+
+        //db interactions
+        await db.beginTransaction();
+        try {
+            const nowUtc = toMySQLUtc(DateTime.utc());
+            for (const [i, occurrence] of occurrences.entries()) {
+                await db.execute(`UPDATE bookings SET scheduled_start = ?, scheduled_end = ?, flag_code = NULL, flag_reason = NULL, updated_at = ?
+                                 WHERE booking_id = ?`,
+                    [toMySQLUtc(starts[i]), toMySQLUtc(starts[i].plus({ minutes: durationMinutes })), nowUtc, occurrence.booking_id]
+                );
+            }
+            await db.commit();
+        } catch (txErr) {
+            await db.rollback();
+            throw txErr;
+        }
+
+        const newDateStr = firstLocal.toFormat('EEE, MMM d, yyyy h:mm a');
+        await notifySeriesChange(db, series, 'BOOKING_RESCHEDULED',
+            `Your recurring appointments at ${series.salon_name} have been rescheduled to start ${newDateStr} (${occurrences.length} appointments).`,
+            `Recurring appointments with ${series.customer_name || 'Customer'} have been rescheduled to start ${newDateStr} (${occurrences.length} appointments).`
+        );
+
+        return res.status(200).json({
+            message: 'Recurring appointments rescheduled successfully',
+            data: {
+                series_id: seriesId,
+                occurrences: occurrences.map((o, i) => ({
+                    booking_id: o.booking_id,
+                    scheduled_start: formatDateTime(starts[i]),
+                    scheduled_end: formatDateTime(starts[i].plus({ minutes: durationMinutes })),
+                    status: o.status
+                }))
+            }
+        });
+    } catch (err) {
+        console.error('rescheduleBookingSeries error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+//BS 1.3 customer cancels every upcoming occurrence of a series (today's appointment can't be canceled and is kept)
+//a single occurrence is canceled with the regular cancel endpoint
+exports.cancelBookingSeries = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const authUserId = req.user?.user_id;
+        const seriesId = parseInt(req.params.series_id, 10);
+        if (!Number.isInteger(seriesId) || seriesId <= 0) return res.status(400).json({ message: 'Invalid series id' });
+
+        const series = await getCustomerSeries(db, seriesId, authUserId);
+        if (!series) return res.status(404).json({ message: 'Series not found' });
+        if (series.status !== 'ACTIVE') return res.status(409).json({ message: 'Series is already canceled' });
+
+        const occurrences = await getUpcomingOccurrences(db, series);
+        const bookingIds = occurrences.map(o => o.booking_id);
+
+        //db interactions
+        await db.beginTransaction();
+        try {
+            const nowUtc = toMySQLUtc(DateTime.utc());
+            if (bookingIds.length > 0) {
+                const placeholders = bookingIds.map(() => '?').join(',');
+                await db.execute(`UPDATE bookings SET status = 'CANCELED', updated_at = ? WHERE booking_id IN (${placeholders})`,
+                    [nowUtc, ...bookingIds]
+                );
+                //mark any related payments as REFUNDED
+                await db.execute(`UPDATE payments SET status = 'REFUNDED', updated_at = ?
+                                 WHERE booking_id IN (${placeholders}) AND status <> 'REFUNDED'`, [nowUtc, ...bookingIds]
+                );
+            }
+            await db.execute(`UPDATE booking_series SET status = 'CANCELED', updated_at = ? WHERE series_id = ?`, [nowUtc, seriesId]);
+            await db.commit();
+        } catch (txErr) {
+            await db.rollback();
+            throw txErr;
+        }
+
+        await notifySeriesChange(db, series, 'BOOKING_CANCELED',
+            `Your recurring appointments at ${series.salon_name} have been canceled (${bookingIds.length} appointments).`,
+            `Recurring appointments with ${series.customer_name || 'Customer'} have been canceled (${bookingIds.length} appointments).`
+        );
+
+        //offer the freed time to the stylist's waitlist
+        try {
+            await offerFreedSlots(db, await getFreedSlots(db, bookingIds));
+        } catch (waitlistError) {
+            console.error('Failed to offer freed time to the waitlist:', waitlistError);
+        }
+
+        return res.status(200).json({
+            message: 'Recurring series canceled',
+            data: { series_id: seriesId, canceled_booking_ids: bookingIds }
+        });
+    } catch (err) {
+        console.error('cancelBookingSeries error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
 //BS 1.7 stylist cancels booking/appointment
 exports.cancelBookingAsStylist = async (req, res) => {
     const db = connection.promise();
@@ -763,21 +1023,18 @@ exports.cancelBookingAsStylist = async (req, res) => {
 
         await db.beginTransaction();
 
-        const [empRows] = await db.execute(`SELECT e.employee_id, e.user_id FROM employees e 
-                                        WHERE e.user_id = ? AND e.active = 1`, [authUserId]
-        );
+        const [empRows] = await db.execute(USER_EMPLOYEE_IDS_SQL, [authUserId]);
         if (!empRows.length) {
             await db.rollback();
             return res.status(404).json({ message: 'Employee not found' });
         }
 
-        const employeeId = empRows[0].employee_id;
-
+        //the booking may be at any of the salons the stylist works at
         const [rows] = await db.execute(`SELECT b.booking_id, b.customer_user_id, b.scheduled_start, b.status
                                     FROM bookings b
                                     JOIN booking_services bs ON b.booking_id = bs.booking_id
-                                    WHERE b.booking_id = ? AND bs.employee_id = ? AND b.status = 'SCHEDULED'
-                                    FOR UPDATE`, [bookingId, employeeId]
+                                    WHERE b.booking_id = ? AND bs.employee_id IN (${USER_EMPLOYEE_IDS_SQL}) AND b.status = 'SCHEDULED'
+                                    FOR UPDATE`, [bookingId, authUserId]
         );
 
         if (rows.length === 0) {
@@ -851,6 +1108,13 @@ exports.cancelBookingAsStylist = async (req, res) => {
           }
         }
 
+        //offer the freed time to the stylist's waitlist
+        try {
+            await offerFreedSlots(db, await getFreedSlots(db, [bookingId]));
+        } catch (waitlistError) {
+            console.error('Failed to offer freed time to the waitlist:', waitlistError);
+        }
+
         return res.status(200).json({
             message: 'Booking canceled by stylist',
             data: {
@@ -904,13 +1168,22 @@ exports.deletePendingBooking = async (req, res) => {
             }
 
             const booking = rows[0];
+            const freedSlots = await getFreedSlots(db, [bookingId]);
 
             await db.execute(`DELETE FROM booking_services WHERE booking_id = ?`, [bookingId]);
 
             await db.execute(`DELETE FROM bookings WHERE booking_id = ?`, [bookingId]);
+            await closeWaitlistOffer(db, bookingId, 'EXPIRED');
 
             await db.commit();
 
+            //a declined waitlist hold (or abandoned checkout) goes to the next customer on the waitlist
+            try {
+                await offerFreedSlots(db, freedSlots);
+            } catch (waitlistError) {
+                console.error('Failed to offer freed time to the waitlist:', waitlistError);
+            }
+
             return res.status(200).json({
                 message: 'Pending booking deleted successfully',
                 data: {
@@ -928,7 +1201,7 @@ exports.deletePendingBooking = async (req, res) => {
     }
 };
 
-//UPH 1.2/1.21 salon owner/employee seeing customer visits, employees only see their own
+//UPH 1.2/1.21 salon owner/employee seeing customer visits, employees only see their own unless they have bookings:manage
 exports.listVisitCustomers = async (req, res) => {
     const db = connection.promise();
 
@@ -944,31 +1217,33 @@ exports.listVisitCustomers = async (req, res) => {
         limit  = Number.isFinite(+limit) ? Math.max(1, Math.min(+limit, 100)) : 20;
         offset = Number.isFinite(+offset) ? Math.max(0, +offset) : 0;
 
-        let salonIds = [];
-        let employee_id = null;
+        //owners see their salons' visits, employees with bookings:manage see the visits of the salons they manage
+        const salonIds = await getPermittedSalonIds(db, req.user, 'bookings:manage');
+        const salonView = salonIds.length > 0;
+        let employeeIds = [];
 
-        if (role === 'OWNER') { //OWNER view
-            const [salonRows] = await db.execute(`SELECT salon_id FROM salons WHERE owner_user_id = ?`, [authUserId]);
-            if (salonRows.length === 0) return res.status(404).json({ message: 'Salon not found for this owner' });
-            salonIds = salonRows.map(s => s.salon_id);
-        } else { //EMPLOYEE view
-            const [empRows] = await db.execute(`SELECT employee_id, salon_id FROM employees WHERE user_id = ? AND active = 1`, [authUserId]);
+        if (role === 'OWNER' && !salonView) {
+            return res.status(404).json({ message: 'Salon not found for this owner' });
+        }
+        if (!salonView) { //EMPLOYEE view
+            //visits at every salon the stylist works at
+            const [empRows] = await db.execute(USER_EMPLOYEE_IDS_SQL, [authUserId]);
             if (empRows.length === 0) return res.status(404).json({ message: 'Employee profile not found' });
-            employee_id = empRows[0].employee_id;
+            employeeIds = empRows.map(e => e.employee_id);
         }
 
         const makeIn = (arr) => arr.map(() => '?').join(',');
         //only counting completed bookings
         let countQuery, countParams;
-        if (role === 'OWNER') { //OWNER view
+        if (salonView) { //salon view
             countQuery = `SELECT COUNT(DISTINCT b.customer_user_id) AS cnt FROM bookings b
                          WHERE b.salon_id IN (${makeIn(salonIds)}) AND b.status = 'COMPLETED'`;
             countParams = salonIds;
         } else { //EMPLOYEE view
             countQuery = `SELECT COUNT(DISTINCT b.customer_user_id) AS cnt FROM bookings b
                          JOIN booking_services bs ON bs.booking_id = b.booking_id
-                         WHERE bs.employee_id = ? AND b.status = 'COMPLETED'`;
-            countParams = [employee_id];
+                         WHERE bs.employee_id IN (${makeIn(employeeIds)}) AND b.status = 'COMPLETED'`;
+            countParams = employeeIds;
         }
         const [countRows] = await db.execute(countQuery, countParams);
         const total_records = countRows[0]?.cnt || 0;
@@ -987,7 +1262,7 @@ exports.listVisitCustomers = async (req, res) => {
 
         // List customers with COMPLETED visit totals and last completed visit
         let listQuery, listParams;
-        if (role === 'OWNER') { //OWNER view
+        if (salonView) { //salon view
             listQuery = `SELECT b.customer_user_id AS user_id, u.full_name, u.email, u.phone,
                         COUNT(*) AS total_visits, MAX(b.scheduled_start) AS last_visit
                         FROM bookings b JOIN users u ON u.user_id = b.customer_user_id
@@ -999,10 +1274,10 @@ listParams = [...salonIds];
             listQuery = `SELECT b.customer_user_id AS user_id, u.full_name, u.email, u.phone,
                         COUNT(*) AS total_visits, MAX(b.scheduled_start) AS last_visit
                         FROM bookings b JOIN booking_services bs ON bs.booking_id = b.booking_id
-                        JOIN users u ON u.user_id = b.customer_user_id WHERE bs.employee_id = ? AND b.status = 'COMPLETED'
+                        JOIN users u ON u.user_id = b.customer_user_id WHERE bs.employee_id IN (${makeIn(employeeIds)}) AND b.status = 'COMPLETED'
                         GROUP BY b.customer_user_id, u.full_name, u.email, u.phone
                         ORDER BY total_visits DESC, last_visit DESC LIMIT ${limit} OFFSET ${offset}`;
-listParams = [employee_id];
+listParams = [...employeeIds];
         }
         const [rows] = await db.execute(listQuery, listParams);
 
@@ -1051,23 +1326,25 @@ exports.getCustomerVisitHistory = async (req, res) => {
         limit  = Number.isFinite(+limit) ? Math.max(1, Math.min(+limit, 100)) : 20;
         offset = Number.isFinite(+offset) ? Math.max(0, +offset) : 0;
 
-        let salonIds = [];
-        let employee_id = null;
+        //owners see their salons' visits, employees with bookings:manage see the visits of the salons they manage
+        const salonIds = await getPermittedSalonIds(db, req.user, 'bookings:manage');
+        const salonView = salonIds.length > 0;
+        let employeeIds = [];
 
-        if (role === 'OWNER') { //OWNER view
-            const [salonRows] = await db.execute(`SELECT salon_id FROM salons WHERE owner_user_id = ?`, [authUserId]);
-            if (salonRows.length === 0) return res.status(404).json({ message: 'Salon not found for this owner' });
-            salonIds = salonRows.map(s => s.salon_id);
-        } else { //EMPLOYEE view
-            const [empRows] = await db.execute(`SELECT employee_id, salon_id FROM employees WHERE user_id = ? AND active = 1`, [authUserId]);
+        if (role === 'OWNER' && !salonView) {
+            return res.status(404).json({ message: 'Salon not found for this owner' });
+        }
+        if (!salonView) { //EMPLOYEE view
+            //visits at every salon the stylist works at
+            const [empRows] = await db.execute(USER_EMPLOYEE_IDS_SQL, [authUserId]);
             if (empRows.length === 0) return res.status(404).json({ message: 'Employee profile not found' });
-            employee_id = empRows[0].employee_id;
+            employeeIds = empRows.map(e => e.employee_id);
         }
 
         const makeIn = (arr) => arr.map(() => '?').join(',');
         //count completed bookings
         let countQuery, countParams;
-        if (role === 'OWNER') { //OWNER view
+        if (salonView) { //salon view
             countQuery = `SELECT COUNT(*) AS cnt FROM bookings b
                          WHERE b.customer_user_id = ? AND b.salon_id IN (${makeIn(salonIds)})
                          AND b.status = 'COMPLETED'`;
@@ -1075,8 +1352,8 @@ exports.getCustomerVisitHistory = async (req, res) => {
         } else { //EMPLOYEE view
             countQuery = `SELECT COUNT(*) AS cnt FROM bookings b
                          JOIN booking_services bs ON bs.booking_id = b.booking_id
-                         WHERE b.customer_user_id = ? AND bs.employee_id = ? AND b.status = 'COMPLETED'`;
-            countParams = [customer_user_id, employee_id];
+                         WHERE b.customer_user_id = ? AND bs.employee_id IN (${makeIn(employeeIds)}) AND b.status = 'COMPLETED'`;
+            countParams = [customer_user_id, ...employeeIds];
         }
         const [countRows] = await db.execute(countQuery, countParams);
         const total_records = countRows[0]?.cnt || 0;
@@ -1095,7 +1372,7 @@ exports.getCustomerVisitHistory = async (req, res) => {
         }
 
         let bookingQuery, bookingParams;
-        if (role === 'OWNER') { //OWNER view
+        if (salonView) { //salon view
             bookingQuery = `SELECT b.booking_id, b.scheduled_start, b.scheduled_end, b.status, b.notes
                             FROM bookings b WHERE b.customer_user_id = ? AND b.salon_id IN (${makeIn(salonIds)})
                             AND b.status = 'COMPLETED' ORDER BY b.scheduled_start DESC LIMIT ${limit} OFFSET ${offset}`;
@@ -1103,9 +1380,9 @@ bookingParams = [customer_user_id, ...salonIds];
         } else { //EMPLOYEE view
             bookingQuery = `SELECT b.booking_id, b.scheduled_start, b.scheduled_end, b.status, b.notes
                            FROM bookings b JOIN booking_services bs ON bs.booking_id = b.booking_id
-                           WHERE b.customer_user_id = ? AND bs.employee_id = ? AND b.status = 'COMPLETED'
+                           WHERE b.customer_user_id = ? AND bs.employee_id IN (${makeIn(employeeIds)}) AND b.status = 'COMPLETED'
                            GROUP BY b.booking_id ORDER BY b.scheduled_start DESC LIMIT ${limit} OFFSET ${offset}`;
-bookingParams = [customer_user_id, employee_id];
+bookingParams = [customer_user_id, ...employeeIds];
         }
         const [bookingRows] = await db.execute(bookingQuery, bookingParams);
         const bookingIds = bookingRows.map(r => r.booking_id);
@@ -1126,7 +1403,7 @@ bookingParams = [customer_user_id, employee_id];
         //services for the bookings
         const svcPh = bookingIds.map(() => '?').join(',');
         let svcRows = [];
-        if (role === 'OWNER') { //OWNER view
+        if (salonView) { //salon view
             const [svc] = await db.execute(`SELECT bs.booking_id, bs.service_id, s.name AS service_name,
                                            bs.duration_minutes, bs.price, bs.employee_id, u.full_name AS employee_name, e.title AS employee_title
                                            FROM booking_services bs JOIN services s ON s.service_id = bs.service_id
@@ -1139,7 +1416,7 @@ bookingParams = [customer_user_id, employee_id];
                                            bs.duration_minutes, bs.price, bs.employee_id, u.full_name AS employee_name, e.title AS employee_title
                                            FROM booking_services bs JOIN services s ON s.service_id = bs.service_id
                                            LEFT JOIN employees e ON e.employee_id = bs.employee_id LEFT JOIN users u ON u.user_id = e.user_id
-                                           WHERE bs.booking_id IN (${svcPh}) AND bs.employee_id = ? ORDER BY bs.booking_id, s.name`, [...bookingIds, employee_id]
+                                           WHERE bs.booking_id IN (${svcPh}) AND bs.employee_id IN (${makeIn(employeeIds)}) ORDER BY bs.booking_id, s.name`, [...bookingIds, ...employeeIds]
             );
             svcRows = svc;
         }
@@ -0,0 +1,486 @@
+const bcrypt = require('bcrypt');
+const connection = require('../config/databaseConnection');
+const { DateTime } = require('luxon');
+const { validateEmail, toMySQLUtc, formatDateTime } = require('../utils/utilies');
+const { generateOpaqueToken, hashToken } = require('../utils/tokenSecurity');
+const { sendMail } = require('../utils/mailer');
+const { assignEmployeeToSalon } = require('../utils/employees');
+const { createNotification } = require('./notificationsController');
+
+const INVITATION_TTL_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 6;
+const INVITATION_STATUSES = ['PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED', 'EXPIRED'];
+
+const useExternalTransactions = () => (
+  process.env.NODE_ENV === 'test' &&
+  process.env.TEST_USE_EXTERNAL_TRANSACTIONS === 'true'
+);
+
+function parseLimitOffset(q) {
+  let { limit = 20, offset = 0 } = q || {};
+  limit = Number.isFinite(+limit) ? Math.max(1, Math.min(+limit, 100)) : 20;
+  offset = Number.isFinite(+offset) ? Math.max(0, +offset) : 0;
+  return { limit, offset };
+}
+
+// PENDING invitations past expires_at are reported as EXPIRED, the row itself is left untouched
+const EFFECTIVE_STATUS_SQL = `CASE WHEN i.status = 'PENDING' AND i.expires_at <= ? THEN 'EXPIRED' ELSE i.status END`;
+
+const formatInvitation = (i) => ({
+  invitation_id: i.invitation_id,
+  salon_id: i.salon_id,
+  email: i.email,
+  title: i.title,
+  status: i.effective_status,
+  expires_at: formatDateTime(i.expires_at),
+  responded_at: i.responded_at ? formatDateTime(i.responded_at) : null,
+  created_at: formatDateTime(i.created_at)
+});
+
+// Resolve an invite token to its invitation + salon. Returns { invitation } or { status, message } for the error response.
+const findInvitationByToken = async (db, token) => {
+  if (!token || typeof token !== 'string') {
+    return { status: 400, message: 'token is required' };
+  }
+
+  const nowUtc = toMySQLUtc(DateTime.utc());
+  const [rows] = await db.execute(
+    `SELECT i.invitation_id, i.salon_id, i.invited_by_user_id, i.email, i.title, i.status, i.expires_at,
+            ${EFFECTIVE_STATUS_SQL} AS effective_status, s.name AS salon_name, u.full_name AS owner_name, u.email AS owner_email
+     FROM employee_invitations i
+     JOIN salons s ON s.salon_id = i.salon_id
+     JOIN users u ON u.user_id = i.invited_by_user_id
+     WHERE i.token_hash = ?`,
+    [nowUtc, hashToken(token)]
+  );
+
+  if (rows.length === 0) {
+    return { status: 404, message: 'Invitation not found' };
+  }
+
+  const invitation = rows[0];
+  if (invitation.effective_status === 'EXPIRED') {
+    return { status: 410, message: 'Invitation has expired' };
+  }
+  if (invitation.effective_status !== 'PENDING') {
+    return { status: 409, message: `Invitation has already been ${invitation.effective_status.toLowerCase()}` };
+  }
+
+  return { invitation };
+};
+
+// Owner (or an employee with employees:manage) invites a stylist by email. The address does not need an account yet.
+exports.createInvitation = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const { title } = req.body || {};
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+
+    if (!email || !title) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({ message: 'Invalid email format' });
+    }
+
+    const [salonResult] = await db.execute(
+      `SELECT s.salon_id, s.name, u.full_name AS owner_name
+       FROM salons s
+       JOIN users u ON s.owner_user_id = u.user_id
+       WHERE s.salon_id = ?`,
+      [req.salon_id]
+    );
+
+    if (salonResult.length === 0) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+
+    const salon = salonResult[0];
+
+    // Stylists may already work at other salons, only an active employment here blocks the invite
+    const [existingUsers] = await db.execute(
+      `SELECT u.user_id, u.role, e.active
+       FROM users u
+       LEFT JOIN employees e ON e.user_id = u.user_id AND e.salon_id = ? AND e.active = 1
+       WHERE u.email = ?`,
+      [salon.salon_id, email]
+    );
+
+    const existingUser = existingUsers[0] || null;
+    if (existingUser && existingUser.role !== 'EMPLOYEE') {
+      return res.status(409).json({ message: 'This email belongs to an account that is not an employee account.' });
+    }
+    if (existingUser && existingUser.active === 1) {
+      return res.status(409).json({ message: 'User is already an active employee of this salon.' });
+    }
+
+    const now = DateTime.utc();
+    const [pending] = await db.execute(
+      `SELECT invitation_id FROM employee_invitations
+       WHERE salon_id = ? AND email = ? AND status = 'PENDING' AND expires_at > ?`,
+      [salon.salon_id, email, toMySQLUtc(now)]
+    );
+
+    if (pending.length > 0) {
+      return res.status(409).json({ message: 'An invitation is already pending for this email.' });
+    }
+
+    const inviteToken = generateOpaqueToken(32);
+    const expiresAt = now.plus({ days: INVITATION_TTL_DAYS });
+
+    const [result] = await db.execute(
+      `INSERT INTO employee_invitations (salon_id, invited_by_user_id, email, title, token_hash, status, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, 'PENDING', ?, ?)`,
+      [salon.salon_id, req.user.user_id, email, title, hashToken(inviteToken), toMySQLUtc(expiresAt), toMySQLUtc(now)]
+    );
+
+    let delivered = false;
+    try {
+      delivered = await sendMail(db, {
+        user_id: existingUser ? existingUser.user_id : null,
+        to: email,
+        subject: `You're invited to join ${salon.name} on Strands`,
+        type_code: 'EMPLOYEE_INVITATION',
+        text: `${salon.owner_name} invited you to join ${salon.name} as a ${title}. Use this invitation code to accept or decline: ${inviteToken}. It expires in ${INVITATION_TTL_DAYS} days.`
+      });
+    } catch (mailError) {
+      // The owner can revoke and re-send the invitation
+      console.error('Failed to send employee invitation:', mailError);
+    }
+
+    // Only the hash is stored, so when the mail can't be delivered the owner gets the code to pass on
+    return res.status(201).json({
+      message: delivered
+        ? `Invitation sent to ${email}.`
+        : `Invitation created, but no email could be sent to ${email}. Share the invitation code with them to accept or decline.`,
+      data: {
+        invitation_id: result.insertId,
+        salon_id: salon.salon_id,
+        email,
+        title,
+        status: 'PENDING',
+        expires_at: formatDateTime(expiresAt),
+        delivered,
+        ...(delivered ? {} : { invite_token: inviteToken })
+      }
+    });
+  } catch (err) {
+    console.error('createInvitation error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Lists the salon's invitations, PENDING by default (?status=ALL for every state)
+exports.listInvitations = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const { limit, offset } = parseLimitOffset(req.query);
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+
+    if (status !== 'ALL' && !INVITATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${INVITATION_STATUSES.join(', ')} or ALL` });
+    }
+
+    const [salonResult] = await db.execute(
+      'SELECT salon_id FROM salons WHERE salon_id = ?',
+      [req.salon_id]
+    );
+    if (salonResult.length === 0) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    const statusFilter = status === 'ALL' ? '' : `AND ${EFFECTIVE_STATUS_SQL} = ?`;
+    const params = status === 'ALL'
+      ? [salonResult[0].salon_id]
+      : [salonResult[0].salon_id, nowUtc, status];
+
+    const [[{ total }]] = await db.execute(
+      `SELECT COUNT(*) AS total FROM employee_invitations i WHERE i.salon_id = ? ${statusFilter}`,
+      params
+    );
+
+    const [rows] = await db.execute(
+      `SELECT i.invitation_id, i.salon_id, i.email, i.title, i.expires_at, i.responded_at, i.created_at,
+              ${EFFECTIVE_STATUS_SQL} AS effective_status
+       FROM employee_invitations i
+       WHERE i.salon_id = ? ${statusFilter}
+       ORDER BY i.created_at DESC, i.invitation_id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      [nowUtc, ...params]
+    );
+
+    return res.status(200).json({
+      data: rows.map(formatInvitation),
+      meta: {
+        total: Number(total),
+        limit,
+        offset,
+        hasMore: offset + rows.length < Number(total)
+      }
+    });
+  } catch (err) {
+    console.error('listInvitations error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Revokes a pending invitation of the salon, the token stops working immediately
+exports.revokeInvitation = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const invitationId = Number(req.params.invitation_id);
+
+    if (!Number.isInteger(invitationId) || invitationId <= 0) {
+      return res.status(400).json({ message: 'Invalid invitation_id' });
+    }
+
+    const [rows] = await db.execute(
+      `SELECT i.invitation_id, i.status
+       FROM employee_invitations i
+       WHERE i.invitation_id = ? AND i.salon_id = ?`,
+      [invitationId, req.salon_id ?? null]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    if (rows[0].status !== 'PENDING') {
+      return res.status(409).json({ message: `Invitation has already been ${rows[0].status.toLowerCase()}` });
+    }
+
+    await db.execute(
+      `UPDATE employee_invitations SET status = 'REVOKED', responded_at = ? WHERE invitation_id = ? AND status = 'PENDING'`,
+      [toMySQLUtc(DateTime.utc()), invitationId]
+    );
+
+    return res.status(200).json({ message: 'Invitation revoked' });
+  } catch (err) {
+    console.error('revokeInvitation error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Invitee looks up an invitation before responding (tells the client whether a signup form is needed)
+exports.getInvitation = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const lookup = await findInvitationByToken(db, req.query.token);
+    if (!lookup.invitation) {
+      return res.status(lookup.status).json({ message: lookup.message });
+    }
+
+    const invitation = lookup.invitation;
+    const [users] = await db.execute('SELECT user_id FROM users WHERE email = ?', [invitation.email]);
+
+    return res.status(200).json({
+      data: {
+        salon_id: invitation.salon_id,
+        salon_name: invitation.salon_name,
+        invited_by: invitation.owner_name,
+        email: invitation.email,
+        title: invitation.title,
+        expires_at: formatDateTime(invitation.expires_at),
+        account_exists: users.length > 0
+      }
+    });
+  } catch (err) {
+    console.error('getInvitation error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Invitee accepts: links an existing EMPLOYEE account, or creates one (full_name + password) for the invited email
+exports.acceptInvitation = async (req, res) => {
+  const db = connection.promise();
+  const manageTransactionExternally = useExternalTransactions();
+  let transactionStarted = false;
+
+  try {
+    const { token, full_name, password } = req.body || {};
+
+    const lookup = await findInvitationByToken(db, token);
+    if (!lookup.invitation) {
+      return res.status(lookup.status).json({ message: lookup.message });
+    }
+
+    const invitation = lookup.invitation;
+    const [existingUsers] = await db.execute(
+      'SELECT user_id, full_name, email, role FROM users WHERE email = ?',
+      [invitation.email]
+    );
+
+    let hashedPassword = null;
+    if (existingUsers.length > 0) {
+      if (existingUsers[0].role !== 'EMPLOYEE') {
+        return res.status(409).json({ message: 'This email belongs to an account that is not an employee account.' });
+      }
+    } else {
+      if (!full_name || !password) {
+        return res.status(400).json({ message: 'full_name and password are required to create your account' });
+      }
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+      }
+      hashedPassword = await bcrypt.hash(password, Number(process.env.BCRYPT_SALT));
+    }
+
+    if (!manageTransactionExternally) {
+      await db.beginTransaction();
+      transactionStarted = true;
+    }
+
+    const nowUtc = toMySQLUtc(DateTime.utc());
+
+    // Claim the invitation first so concurrent accepts/revokes cannot both succeed
+    const [claim] = await db.execute(
+      `UPDATE employee_invitations SET status = 'ACCEPTED', responded_at = ?
+       WHERE invitation_id = ? AND status = 'PENDING' AND expires_at > ?`,
+      [nowUtc, invitation.invitation_id, nowUtc]
+    );
+
+    if (claim.affectedRows === 0) {
+      if (transactionStarted) {
+        await db.rollback();
+      }
+      return res.status(409).json({ message: 'Invitation is no longer pending' });
+    }
+
+    let employeeUser;
+    if (existingUsers.length > 0) {
+      employeeUser = existingUsers[0];
+    } else {
+      // The invite token was delivered to this address, so the email counts as verified
+      const [userRes] = await db.execute(
+        `INSERT INTO users (full_name, email, phone, profile_picture_url, role, last_login_at, active, email_verified_at, created_at, updated_at)
+         VALUES (?, ?, NULL, NULL, 'EMPLOYEE', NULL, 1, ?, ?, ?)`,
+        [full_name, invitation.email, nowUtc, nowUtc, nowUtc]
+      );
+      await db.execute(
+        `INSERT INTO auth_credentials (user_id, password_hash, created_at, updated_at)
+         VALUES (?, ?, ?, ?)`,
+        [userRes.insertId, hashedPassword, nowUtc, nowUtc]
+      );
+      employeeUser = { user_id: userRes.insertId, full_name, email: invitation.email };
+    }
+
+    const assignment = await assignEmployeeToSalon(db, {
+      salonId: invitation.salon_id,
+      userId: employeeUser.user_id,
+      title: invitation.title,
+      nowUtc
+    });
+
+    if (assignment.conflict) {
+      if (transactionStarted) {
+        await db.rollback();
+      } else {
+        await db.execute(
+          `UPDATE employee_invitations SET status = 'PENDING', responded_at = NULL WHERE invitation_id = ?`,
+          [invitation.invitation_id]
+        );
+      }
+      return res.status(409).json({ message: assignment.conflict });
+    }
+
+    await db.execute(
+      'UPDATE employee_invitations SET accepted_user_id = ? WHERE invitation_id = ?',
+      [employeeUser.user_id, invitation.invitation_id]
+    );
+
+    if (transactionStarted) {
+      await db.commit();
+    }
+
+    try {
+      await createNotification(db, {
+        user_id: employeeUser.user_id,
+        salon_id: invitation.salon_id,
+        employee_id: assignment.employee_id,
+        email: employeeUser.email,
+        type_code: 'EMPLOYEE_ADDED',
+        message: `Congratulations! You have been added as a ${invitation.title} to ${invitation.salon_name}. You can now set your availability and start accepting bookings.`,
+        sender_email: invitation.owner_name || 'SYSTEM'
+      });
+      await createNotification(db, {
+        user_id: invitation.invited_by_user_id,
+        salon_id: invitation.salon_id,
+        employee_id: assignment.employee_id,
+        email: invitation.owner_email,
+        type_code: 'EMPLOYEE_INVITATION_ACCEPTED',
+        message: `${employeeUser.full_name} accepted your invitation to join ${invitation.salon_name} as a ${invitation.title}.`,
+        sender_email: 'SYSTEM'
+      });
+    } catch (notifError) {
+      console.error('Failed to send invitation accepted notification:', notifError);
+    }
+
+    return res.status(200).json({
+      message: `You have joined ${invitation.salon_name}.`,
+      data: {
+        salon_id: invitation.salon_id,
+        employee_id: assignment.employee_id,
+        user_id: employeeUser.user_id,
+        account_created: existingUsers.length === 0
+      }
+    });
+  } catch (err) {
+    if (transactionStarted) {
+      try {
+        await db.rollback();
+      } catch (rollbackError) {
+        console.error('acceptInvitation rollback error:', rollbackError);
+      }
+    }
+    console.error('acceptInvitation error:', err);
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'Invalid credentials or account cannot be created' });
+    }
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Invitee declines, the owner is notified
+exports.declineInvitation = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const lookup = await findInvitationByToken(db, req.body?.token);
+    if (!lookup.invitation) {
+      return res.status(lookup.status).json({ message: lookup.message });
+    }
+
+    const invitation = lookup.invitation;
+    const [result] = await db.execute(
+      `UPDATE employee_invitations SET status = 'DECLINED', responded_at = ? WHERE invitation_id = ? AND status = 'PENDING'`,
+      [toMySQLUtc(DateTime.utc()), invitation.invitation_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: 'Invitation is no longer pending' });
+    }
+
+    try {
+      await createNotification(db, {
+        user_id: invitation.invited_by_user_id,
+        salon_id: invitation.salon_id,
+        email: invitation.owner_email,
+        type_code: 'EMPLOYEE_INVITATION_DECLINED',
+        message: `${invitation.email} declined your invitation to join ${invitation.salon_name}.`,
+        sender_email: 'SYSTEM'
+      });
+    } catch (notifError) {
+      console.error('Failed to send invitation declined notification:', notifError);
+    }
+
+    return res.status(200).json({ message: 'Invitation declined' });
+  } catch (err) {
+    console.error('declineInvitation error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
@@ -489,9 +489,9 @@ exports.uploadSalonPhoto = async (req, res) => {
 			});
 		}
 
-		const checkPhotoAttachedQuery = `SELECT * FROM salon_photos WHERE salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?);`;
+		const checkPhotoAttachedQuery = `SELECT * FROM salon_photos WHERE salon_id = ?;`;
 
-		const [checkPhotoAttachedResults] = await db.execute(checkPhotoAttachedQuery, [owner_user_id]);
+		const [checkPhotoAttachedResults] = await db.execute(checkPhotoAttachedQuery, [req.salon_id]);
 
 		if (checkPhotoAttachedResults.length > 0) {
 			return res.status(400).json({ 
@@ -510,9 +510,9 @@ exports.uploadSalonPhoto = async (req, res) => {
 
 		const nowUtc = toMySQLUtc(DateTime.utc());
 		const addPhotoToSalonQuery = `
-			INSERT INTO salon_photos (salon_id, picture_id, created_at, updated_at) VALUES ((SELECT salon_id FROM salons WHERE owner_user_id = ?), ?, ?, ?)
+			INSERT INTO salon_photos (salon_id, picture_id, created_at, updated_at) VALUES (?, ?, ?, ?)
 		`;
-		const [addPhotoToSalonResults] = await db.execute(addPhotoToSalonQuery, [owner_user_id, result.picture_id, nowUtc, nowUtc]);
+		const [addPhotoToSalonResults] = await db.execute(addPhotoToSalonQuery, [req.salon_id, result.picture_id, nowUtc, nowUtc]);
 
 		if (addPhotoToSalonResults.affectedRows === 0) {
 			return res.status(500).json({ 
@@ -581,10 +581,10 @@ exports.deleteSalonPhoto = async (req, res) => {
 		}
 
 		const getPictureIdQuery = `
-			SELECT p.picture_id, p.s3_key FROM pictures p JOIN salon_photos sp ON p.picture_id = sp.picture_id WHERE sp.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?) LIMIT 1;
+			SELECT p.picture_id, p.s3_key FROM pictures p JOIN salon_photos sp ON p.picture_id = sp.picture_id WHERE sp.salon_id = ? LIMIT 1;
 		`;
 
-		const [salonPhotoRows] = await db.execute(getPictureIdQuery, [owner_user_id]);
+		const [salonPhotoRows] = await db.execute(getPictureIdQuery, [req.salon_id]);
 
 		if (process.env.UTC_DEBUG === '1') {
 			console.log(bookingPhotoRows);
@@ -597,9 +597,9 @@ exports.deleteSalonPhoto = async (req, res) => {
 		await db.query('START TRANSACTION');
 
 		const deleteSalonPhotoQuery = `
-			DELETE FROM salon_photos WHERE salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?);
+			DELETE FROM salon_photos WHERE salon_id = ?;
 		`;
-		const [deleteSalonPhotoResults] = await db.execute(deleteSalonPhotoQuery, [owner_user_id]);
+		const [deleteSalonPhotoResults] = await db.execute(deleteSalonPhotoQuery, [req.salon_id]);
 
 		if (process.env.UTC_DEBUG === '1') {
 			console.log(deleteSalonPhotoResults);
@@ -652,4 +652,61 @@ exports.deleteSalonPhoto = async (req, res) => {
 			error: "Failed to Delete file." 
 		});
 	}
-};
\ No newline at end of file
+};
+// Upload Profile Photo (any role), replaces the current one
+exports.uploadProfilePhoto = async (req, res) => {
+	const db = connection.promise();
+
+	try {
+		const user_id = req.user?.user_id;
+
+		if (!req.file) {
+			return res.status(400).json({ 
+				error: "No file uploaded." 
+			});
+		}
+
+		const [userRows] = await db.execute('SELECT profile_picture_url FROM users WHERE user_id = ?', [user_id]);
+		if (userRows.length === 0) {
+			return res.status(404).json({ error: "User not found." });
+		}
+		const previousKey = userRows[0].profile_picture_url;
+
+		const { buffer, mimetype } = req.file;
+
+		const result = await uploadUniqueFile(buffer, mimetype);
+		if (result.message === 'File already exists') {
+			return res.status(409).json({ 
+				error: "File already exists." 
+			});
+		}
+
+		const [pictureRows] = await db.execute('SELECT s3_key FROM pictures WHERE picture_id = ?', [result.picture_id]);
+		const nowUtc = toMySQLUtc(DateTime.utc());
+		await db.execute(
+			'UPDATE users SET profile_picture_url = ?, updated_at = ? WHERE user_id = ?',
+			[pictureRows[0].s3_key, nowUtc, user_id]
+		);
+
+		// Old photo is no longer referenced anywhere
+		if (previousKey && previousKey !== pictureRows[0].s3_key) {
+			try {
+				await db.execute('DELETE FROM pictures WHERE s3_key = ?', [previousKey]);
+				await deleteFile(previousKey);
+			} catch (cleanupError) {
+				console.error("Failed to delete previous profile photo:", cleanupError);
+			}
+		}
+
+		res.status(200).json({
+			message: "File uploaded successfully.",
+			picture_id: result.picture_id
+		});
+
+	} catch (error) {
+		console.error("Upload Error:", error);
+		res.status(500).json({ 
+			error: "Failed to upload file." 
+		});
+	}
+};
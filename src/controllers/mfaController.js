@@ -0,0 +1,332 @@
+const bcrypt = require('bcrypt');
+const connection = require('../config/databaseConnection');
+const { DateTime } = require('luxon');
+const { toMySQLUtc } = require('../utils/utilies');
+const { hashToken } = require('../utils/tokenSecurity');
+const {
+    generateSecret,
+    verifyTotp,
+    buildProvisioningUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+} = require('../utils/totp');
+const { getMfaStatus, verifyMfaChallengeToken } = require('../utils/mfa');
+const { isTokenRevoked, revokeToken } = require('../middleware/auth.middleware');
+const { getLoginRetryAfter, recordLoginFailure } = require('../utils/loginThrottle');
+const { startSession } = require('./userController');
+const { sessionClient } = require('../utils/sessions');
+
+// Create (or replace) a not yet enabled TOTP secret for the user
+async function createPendingSecret(db, userId, email) {
+    const secret = generateSecret();
+    const nowUtc = toMySQLUtc(DateTime.utc());
+
+    await db.execute(
+        `INSERT INTO user_mfa (user_id, secret_encrypted, enabled_at, last_used_step, created_at)
+         VALUES (?, ?, NULL, NULL, ?)
+         ON DUPLICATE KEY UPDATE secret_encrypted = VALUES(secret_encrypted), enabled_at = NULL, last_used_step = NULL, created_at = VALUES(created_at)`,
+        [userId, encryptSecret(secret), nowUtc]
+    );
+
+    return {
+        secret,
+        otpauth_uri: buildProvisioningUri(secret, email)
+    };
+}
+
+// Replace the user's recovery codes, returns the plaintext codes (shown once)
+async function replaceRecoveryCodes(db, userId) {
+    const codes = generateRecoveryCodes();
+    const nowUtc = toMySQLUtc(DateTime.utc());
+
+    await db.execute('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+        await db.execute(
+            'INSERT INTO mfa_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)',
+            [userId, hashToken(normalizeRecoveryCode(code)), nowUtc]
+        );
+    }
+    return codes;
+}
+
+// Check a TOTP code against the stored secret. Codes from an already used time step are rejected (replay).
+async function checkTotpCode(db, mfaRow, code) {
+    if (!mfaRow || !code) {
+        return false;
+    }
+
+    const step = verifyTotp(decryptSecret(mfaRow.secret_encrypted), code);
+    if (step === null || (mfaRow.last_used_step !== null && step <= Number(mfaRow.last_used_step))) {
+        return false;
+    }
+
+    const [result] = await db.execute(
+        'UPDATE user_mfa SET last_used_step = ? WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)',
+        [step, mfaRow.user_id, step]
+    );
+    return result.affectedRows > 0;
+}
+
+async function useRecoveryCode(db, userId, recoveryCode) {
+    const [result] = await db.execute(
+        'UPDATE mfa_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [toMySQLUtc(DateTime.utc()), userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    return result.affectedRows > 0;
+}
+
+async function getMfaRow(db, userId) {
+    const [rows] = await db.execute(
+        'SELECT user_id, secret_encrypted, enabled_at, last_used_step FROM user_mfa WHERE user_id = ?',
+        [userId]
+    );
+    return rows[0] || null;
+}
+
+// Second login step: exchange the MFA challenge token + a TOTP or recovery code for the real session.
+// Users forced into MFA by policy finish enrollment here (after /login/mfa/setup) and get their recovery codes.
+exports.verifyLoginMfa = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { mfa_token, code, recovery_code } = req.body || {};
+
+        if (!mfa_token || (!code && !recovery_code)) {
+            return res.status(400).json({ message: 'mfa_token and code or recovery_code are required' });
+        }
+
+        const challenge = verifyMfaChallengeToken(mfa_token);
+        if (!challenge || await isTokenRevoked(challenge)) {
+            return res.status(401).json({ message: 'Invalid or expired MFA challenge' });
+        }
+
+        const [users] = await db.execute(
+            `SELECT u.user_id, u.email, u.role, u.full_name, u.email_verified_at, u.suspended_at, ac.token_version
+             FROM users u
+             JOIN auth_credentials ac ON ac.user_id = u.user_id
+             WHERE u.user_id = ?`,
+            [challenge.user_id]
+        );
+        if (users.length === 0 || users[0].suspended_at) {
+            return res.status(401).json({ message: 'Invalid or expired MFA challenge' });
+        }
+        const user = users[0];
+
+        const retryAfter = await getLoginRetryAfter(db, { email: user.email, ip: req.ip });
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                message: 'Too many failed login attempts. Please try again later.',
+                retry_after_seconds: retryAfter
+            });
+        }
+
+        const mfaRow = await getMfaRow(db, user.user_id);
+        const enrolling = !mfaRow?.enabled_at;
+
+        let verified = false;
+        if (code) {
+            verified = await checkTotpCode(db, mfaRow, code);
+        } else if (!enrolling) {
+            verified = await useRecoveryCode(db, user.user_id, recovery_code);
+        }
+
+        if (!verified) {
+            await recordLoginFailure(db, { email: user.email, ip: req.ip, userId: user.user_id, reason: 'INVALID_MFA_CODE' });
+            return res.status(401).json({ message: 'Invalid MFA code' });
+        }
+
+        let recoveryCodes;
+        if (enrolling) {
+            await db.execute('UPDATE user_mfa SET enabled_at = ? WHERE user_id = ?', [toMySQLUtc(DateTime.utc()), user.user_id]);
+            recoveryCodes = await replaceRecoveryCodes(db, user.user_id);
+        }
+
+        // Challenge tokens are single use
+        await revokeToken(db, challenge);
+
+        const session = await startSession(db, user, sessionClient(req));
+
+        return res.status(200).json({
+            message: 'Login successful',
+            data: recoveryCodes ? { ...session, recovery_codes: recoveryCodes } : session
+        });
+    } catch (error) {
+        console.error('verifyLoginMfa error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Enrollment during login, for users whose role requires MFA but who have not set it up yet
+exports.setupLoginMfa = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { mfa_token } = req.body || {};
+        const challenge = mfa_token ? verifyMfaChallengeToken(mfa_token) : null;
+        if (!challenge || await isTokenRevoked(challenge)) {
+            return res.status(401).json({ message: 'Invalid or expired MFA challenge' });
+        }
+
+        const [users] = await db.execute('SELECT user_id, email FROM users WHERE user_id = ?', [challenge.user_id]);
+        if (users.length === 0) {
+            return res.status(401).json({ message: 'Invalid or expired MFA challenge' });
+        }
+
+        const mfaRow = await getMfaRow(db, challenge.user_id);
+        if (mfaRow?.enabled_at) {
+            return res.status(409).json({ message: 'MFA is already enabled' });
+        }
+
+        const provisioning = await createPendingSecret(db, users[0].user_id, users[0].email);
+        return res.status(200).json({ data: provisioning });
+    } catch (error) {
+        console.error('setupLoginMfa error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Current user's MFA status
+exports.getMfa = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const status = await getMfaStatus(db, req.user.user_id, req.user.role);
+        const [[codes]] = await db.execute(
+            'SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [req.user.user_id]
+        );
+
+        return res.status(200).json({
+            data: {
+                enabled: status.enabled,
+                required: status.required,
+                recovery_codes_remaining: status.enabled ? Number(codes.remaining) : 0
+            }
+        });
+    } catch (error) {
+        console.error('getMfa error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Start optional enrollment: returns the secret and otpauth:// URI for the QR code
+exports.setupMfa = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const mfaRow = await getMfaRow(db, req.user.user_id);
+        if (mfaRow?.enabled_at) {
+            return res.status(409).json({ message: 'MFA is already enabled' });
+        }
+
+        const [users] = await db.execute('SELECT email FROM users WHERE user_id = ?', [req.user.user_id]);
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const provisioning = await createPendingSecret(db, req.user.user_id, users[0].email);
+        return res.status(200).json({ data: provisioning });
+    } catch (error) {
+        console.error('setupMfa error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Confirm enrollment with a code from the authenticator app
+exports.enableMfa = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { code } = req.body || {};
+        if (!code) {
+            return res.status(400).json({ message: 'code is required' });
+        }
+
+        const mfaRow = await getMfaRow(db, req.user.user_id);
+        if (!mfaRow) {
+            return res.status(400).json({ message: 'Start MFA setup first' });
+        }
+        if (mfaRow.enabled_at) {
+            return res.status(409).json({ message: 'MFA is already enabled' });
+        }
+
+        if (!(await checkTotpCode(db, mfaRow, code))) {
+            return res.status(401).json({ message: 'Invalid MFA code' });
+        }
+
+        await db.execute('UPDATE user_mfa SET enabled_at = ? WHERE user_id = ?', [toMySQLUtc(DateTime.utc()), req.user.user_id]);
+        const recoveryCodes = await replaceRecoveryCodes(db, req.user.user_id);
+
+        return res.status(200).json({
+            message: 'MFA enabled',
+            data: { recovery_codes: recoveryCodes }
+        });
+    } catch (error) {
+        console.error('enableMfa error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Turn MFA off (password + current code), not allowed when the user's role requires it
+exports.disableMfa = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { password, code } = req.body || {};
+        if (!password || !code) {
+            return res.status(400).json({ message: 'password and code are required' });
+        }
+
+        const status = await getMfaStatus(db, req.user.user_id, req.user.role);
+        if (!status.enabled) {
+            return res.status(409).json({ message: 'MFA is not enabled' });
+        }
+        if (status.required) {
+            return res.status(403).json({ message: 'MFA is required for your role and cannot be disabled' });
+        }
+
+        const [credentials] = await db.execute('SELECT password_hash FROM auth_credentials WHERE user_id = ?', [req.user.user_id]);
+        const isPasswordValid = credentials.length > 0 && await bcrypt.compare(password, credentials[0].password_hash);
+        if (!isPasswordValid || !(await checkTotpCode(db, await getMfaRow(db, req.user.user_id), code))) {
+            return res.status(401).json({ message: 'Invalid credentials' });
+        }
+
+        await db.execute('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [req.user.user_id]);
+        await db.execute('DELETE FROM user_mfa WHERE user_id = ?', [req.user.user_id]);
+
+        return res.status(200).json({ message: 'MFA disabled' });
+    } catch (error) {
+        console.error('disableMfa error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Replace recovery codes (requires a current TOTP code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { code } = req.body || {};
+        if (!code) {
+            return res.status(400).json({ message: 'code is required' });
+        }
+
+        const mfaRow = await getMfaRow(db, req.user.user_id);
+        if (!mfaRow?.enabled_at) {
+            return res.status(409).json({ message: 'MFA is not enabled' });
+        }
+
+        if (!(await checkTotpCode(db, mfaRow, code))) {
+            return res.status(401).json({ message: 'Invalid MFA code' });
+        }
+
+        const recoveryCodes = await replaceRecoveryCodes(db, req.user.user_id);
+        return res.status(200).json({ data: { recovery_codes: recoveryCodes } });
+    } catch (error) {
+        console.error('regenerateRecoveryCodes error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
@@ -294,12 +294,13 @@ exports.stylistSendReminder = async (req, res) => {
             return res.status(401).json({ message: 'Unauthorized' });
         }
 
+        // Reminders go out for the salon picked by employeeSalonContext
         const [employeeResult] = await db.execute(
             `SELECT e.employee_id, e.salon_id, u.email, u.full_name
              FROM employees e
              JOIN users u ON e.user_id = u.user_id
-             WHERE e.user_id = ? AND e.active = 1`,
-            [stylist_user_id]
+             WHERE e.employee_id = ? AND e.user_id = ? AND e.active = 1`,
+            [req.employee_id ?? null, stylist_user_id]
         );
 
         if (employeeResult.length === 0) {
@@ -1013,10 +1014,10 @@ exports.ownerSendUnusedOffersNotifications = async (req, res) => {
             return res.status(403).json({ message: 'Only owners can trigger this notification' });
         }
 
-        // Get the owner's salon_id
+        // The salon picked by ownerSalonContext
         const [salonResult] = await db.execute(
-            'SELECT salon_id FROM salons WHERE owner_user_id = ?',
-            [owner_user_id]
+            'SELECT salon_id FROM salons WHERE salon_id = ? AND owner_user_id = ?',
+            [req.salon_id, owner_user_id]
         );
 
         if (salonResult.length === 0) {
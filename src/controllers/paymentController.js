@@ -3,6 +3,7 @@ const paymentSecurity = require('../utils/paymentSecurity');
 const { toMySQLUtc, formatDateTime } = require('../utils/utilies');
 const { DateTime } = require('luxon');
 const { createNotification } = require('./notificationsController');
+const { closeWaitlistOffer } = require('../utils/waitlist');
 const notificationSecurity = require('../utils/notificationsSecurity');
 
 // PLR 1.5 Get available rewards for a salon
@@ -164,7 +165,10 @@ exports.processPayment = async (req, res) => {
 
         if (booking_id) {
             const [bookingRows] = await db.execute(
-                'SELECT booking_id, status, customer_user_id, salon_id FROM bookings WHERE booking_id = ?',
+                `SELECT b.booking_id, b.status, b.customer_user_id, b.salon_id, s.status AS salon_status
+                 FROM bookings b
+                 JOIN salons s ON s.salon_id = b.salon_id
+                 WHERE b.booking_id = ?`,
                 [booking_id]
             );
 
@@ -182,6 +186,10 @@ exports.processPayment = async (req, res) => {
                 });
             }
 
+            if (bookingRows[0].salon_status !== 'APPROVED') {
+                return res.status(403).json({ message: 'Salon is not available for booking' });
+            }
+
             salon_id = bookingRows[0].salon_id;
 
             if (use_loyalty_discount) {
@@ -523,6 +531,9 @@ exports.processPayment = async (req, res) => {
                     });
                 }
 
+                // A paid waitlist hold confirms the customer's spot
+                await closeWaitlistOffer(db, booking_id, 'BOOKED');
+
                 const [bookingDetails] = await db.execute(
                     `SELECT b.salon_id, b.customer_user_id, 
                    DATE_FORMAT(b.scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
@@ -559,6 +570,9 @@ exports.processPayment = async (req, res) => {
 
                     const employeeIds = [...new Set(bookingServices.map(bs => bs.employee_id))];
                     const servicesList = bookingServices.map(bs => bs.service_name).join(', ');
+                    //in a multi-stylist booking each stylist is told about their own services
+                    const stylistServicesList = (employeeId) => bookingServices
+                        .filter(bs => bs.employee_id === employeeId).map(bs => bs.service_name).join(', ');
 
                     const [stylistsInfo] = await db.execute(
                         `SELECT DISTINCT e.employee_id, e.user_id, u.email, u.full_name 
@@ -578,7 +592,7 @@ exports.processPayment = async (req, res) => {
                                 payment_id: paymentResults.insertId,
                                 email: customerInfo[0].email,
                                 type_code: 'BOOKING_CREATED',
-                                message: `Your appointment has been booked with ${stylistsInfo[0].full_name} at ${bookingDetail.salon_name} on ${bookingDateStr}. Services: ${servicesList}.`,
+                                message: `Your appointment has been booked with ${stylistsInfo.map(st => st.full_name).join(' and ')} at ${bookingDetail.salon_name} on ${bookingDateStr}. Services: ${servicesList}.`,
                                 sender_email: stylistsInfo[0].email || 'SYSTEM'
                             });
                         } catch (notifError) {
@@ -596,7 +610,7 @@ exports.processPayment = async (req, res) => {
                                 payment_id: paymentResults.insertId,
                                 email: stylist.email,
                                 type_code: 'BOOKING_CREATED',
-                                message: `New appointment booked: ${customerInfo[0]?.full_name || 'Customer'} on ${bookingDateStr}. Services: ${servicesList}.`,
+                                message: `New appointment booked: ${customerInfo[0]?.full_name || 'Customer'} on ${bookingDateStr}. Services: ${stylistServicesList(stylist.employee_id)}.`,
                                 sender_email: customerInfo[0]?.email || 'SYSTEM'
                             });
                         } catch (notifError) {
@@ -3,6 +3,14 @@ const { DateTime } = require('luxon');
 const { toMySQLUtc } = require('../utils/utilies');
 const { createNotification } = require('./notificationsController');
 
+//helper function for limit and offset
+function parseLimitOffset(q) {
+    let { limit = 20, offset = 0 } = q || {};
+    limit = Number.isFinite(+limit) ? Math.max(1, Math.min(+limit, 100)) : 20;
+    offset = Number.isFinite(+offset) ? Math.max(0, +offset) : 0;
+    return { limit, offset };
+}
+
 // SF 1.1 Add Product
 exports.addProduct = async (req, res) => {
     const db = connection.promise();
@@ -10,7 +18,8 @@ exports.addProduct = async (req, res) => {
     try {
 
         const { name, description, sku, price, category, stock_qty } = req.body;
-        const owner_user_id = req.user?.user_id;
+        // Set by requirePermission('products:write'): the owner's salon or the salon that delegated shop access
+        const salon_id = req.salon_id;
 
         if (!name || !description || !sku || !price || !category || !stock_qty) {
             return res.status(400).json({ message: "Missing required fields" });
@@ -19,9 +28,9 @@ exports.addProduct = async (req, res) => {
         const nowUtc = toMySQLUtc(DateTime.utc());
         const checkUserQuery = 
         `INSERT INTO products (salon_id, name, description, sku, price, category, stock_qty, created_at, updated_at)
-        VALUES ((SELECT salon_id FROM salons WHERE owner_user_id = ?), ?, ?, ?, ?, ?, ?, ?, ?);`;
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);`;
 
-        const [results] = await db.execute(checkUserQuery, [owner_user_id, name, description, sku, price, category, stock_qty, nowUtc, nowUtc]);
+        const [results] = await db.execute(checkUserQuery, [salon_id ?? null, name, description, sku, price, category, stock_qty, nowUtc, nowUtc]);
 
         if (results.affectedRows === 0) {
             return res.status(404).json({ message: 'Failed to add product' });
@@ -31,8 +40,8 @@ exports.addProduct = async (req, res) => {
             `SELECT u.user_id, u.email, s.salon_id, s.name as salon_name
              FROM salons s
              JOIN users u ON s.owner_user_id = u.user_id
-             WHERE s.owner_user_id = ?`,
-            [owner_user_id]
+             WHERE s.salon_id = ?`,
+            [salon_id]
         );
 
         if (ownerInfo) {
@@ -113,7 +122,7 @@ exports.deleteProduct = async (req, res) => {
 
     try {
         const { product_id } = req.params;
-        const owner_user_id = req.user?.user_id;
+        const salon_id = req.salon_id ?? null;
 
         if (!product_id) {
             return res.status(400).json({ message: 'Product ID is required' });
@@ -124,14 +133,14 @@ exports.deleteProduct = async (req, res) => {
              FROM products p
              JOIN salons s ON p.salon_id = s.salon_id
              JOIN users u ON s.owner_user_id = u.user_id
-             WHERE p.product_id = ? AND s.owner_user_id = ?`,
-            [product_id, owner_user_id]
+             WHERE p.product_id = ? AND p.salon_id = ?`,
+            [product_id, salon_id]
         );
 
         const deleteProductQuery = 
-        `DELETE FROM products WHERE product_id = ? AND salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?);`;
+        `DELETE FROM products WHERE product_id = ? AND salon_id = ?;`;
 
-        const [results] = await db.execute(deleteProductQuery, [product_id, owner_user_id]);
+        const [results] = await db.execute(deleteProductQuery, [product_id, salon_id]);
 
         if (results.affectedRows === 0) {
             return res.status(404).json({ message: 'Product not found' });
@@ -175,15 +184,15 @@ exports.updateProduct = async (req, res) => {
     try {
         const { product_id } = req.params;
         const { name, description, sku, price, category, stock_qty } = req.body;
-        const owner_user_id = req.user?.user_id;
+        const salon_id = req.salon_id ?? null;
 
         if (!name || !description || !sku || !price || !category || !stock_qty) {
             return res.status(400).json({ message: 'Missing required fields' });
         }
 
         const [[oldProduct]] = await db.execute(
-            `SELECT stock_qty, salon_id FROM products WHERE product_id = ? AND salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)`,
-            [product_id, owner_user_id]
+            `SELECT stock_qty, salon_id FROM products WHERE product_id = ? AND salon_id = ?`,
+            [product_id, salon_id]
         );
 
         if (!oldProduct) {
@@ -191,8 +200,8 @@ exports.updateProduct = async (req, res) => {
         }
 
         const updateProductQuery = 
-        `UPDATE products SET name = ?, description = ?, sku = ?, price = ?, category = ?, stock_qty = ? WHERE product_id = ? AND salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?);`;
-        const [results] = await db.execute(updateProductQuery, [name, description, sku, price, category, stock_qty, product_id, owner_user_id]);
+        `UPDATE products SET name = ?, description = ?, sku = ?, price = ?, category = ?, stock_qty = ? WHERE product_id = ? AND salon_id = ?;`;
+        const [results] = await db.execute(updateProductQuery, [name, description, sku, price, category, stock_qty, product_id, salon_id]);
 
         if (results.affectedRows === 0) {
             return res.status(404).json({ message: 'Product not found or SKU already exists.' });
@@ -202,8 +211,8 @@ exports.updateProduct = async (req, res) => {
             `SELECT u.user_id, u.email, s.name as salon_name
              FROM salons s
              JOIN users u ON s.owner_user_id = u.user_id
-             WHERE s.owner_user_id = ?`,
-            [owner_user_id]
+             WHERE s.salon_id = ?`,
+            [salon_id]
         );
 
         if (ownerInfo && stock_qty > oldProduct.stock_qty) {
@@ -751,7 +760,7 @@ exports.viewSalonOrders = async (req, res) => {
 
   try {
     const { limit, offset } = req.body;
-    const owner_user_id = req.user?.user_id;
+    const salon_id = req.salon_id ?? null;
 
     if (!limit || isNaN(offset)) {
       return res.status(400).json({ message: 'Invalid fields.' });
@@ -760,9 +769,9 @@ exports.viewSalonOrders = async (req, res) => {
     const countQuery = 
     `SELECT COUNT(*) as total 
     FROM orders
-    WHERE salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)`;
+    WHERE salon_id = ?`;
 
-    const [countResult] = await db.execute(countQuery, [owner_user_id]);
+    const [countResult] = await db.execute(countQuery, [salon_id]);
 
     const total = countResult[0]?.total || 0;
 
@@ -781,10 +790,10 @@ exports.viewSalonOrders = async (req, res) => {
     JOIN order_items oi ON o.order_id = oi.order_id 
     JOIN products p ON oi.product_id = p.product_id
     JOIN users u ON o.user_id = u.user_id
-    WHERE o.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)
+    WHERE o.salon_id = ?
     LIMIT ${limitInt} OFFSET ${offsetInt};`;
 
-    const [employees] = await db.execute(viewSalonOrdersQuery, [owner_user_id]);
+    const [employees] = await db.execute(viewSalonOrdersQuery, [salon_id]);
 
     const totalPages = Math.ceil(total / limit);
     const currentPage = Math.floor(offset / limit) + 1;
@@ -810,4 +819,63 @@ exports.viewSalonOrders = async (req, res) => {
     }
     return res.status(500).json({ message: 'Internal server error' });
   }
-};
\ No newline at end of file
+};
+
+// SF 1.1 Products across all of the owner's locations
+exports.viewOwnerProducts = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const [products] = await db.execute(
+            `SELECT p.product_id, p.salon_id, s.name AS salon_name, p.name, p.description, p.sku, p.price, p.category, p.stock_qty
+             FROM products p
+             JOIN salons s ON s.salon_id = p.salon_id
+             WHERE s.owner_user_id = ?
+             ORDER BY s.salon_id, p.name`,
+            [req.user.user_id]
+        );
+
+        return res.status(200).json({ data: products });
+    } catch (err) {
+        console.error('viewOwnerProducts error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// SF 1.2 Orders across all of the owner's locations, newest first
+exports.viewOwnerOrders = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { limit, offset } = parseLimitOffset(req.query);
+
+        const [[{ total }]] = await db.execute(
+            `SELECT COUNT(*) AS total
+             FROM orders o
+             JOIN salons s ON s.salon_id = o.salon_id
+             WHERE s.owner_user_id = ?`,
+            [req.user.user_id]
+        );
+
+        const [orders] = await db.execute(
+            `SELECT o.order_id, o.order_code, o.salon_id, s.name AS salon_name, u.full_name AS customer_name,
+                    o.subtotal AS subtotal_order_price, o.tax AS order_tax, o.tax + o.subtotal AS total_order_price,
+                    o.created_at AS ordered_date
+             FROM orders o
+             JOIN salons s ON s.salon_id = o.salon_id
+             JOIN users u ON u.user_id = o.user_id
+             WHERE s.owner_user_id = ?
+             ORDER BY o.created_at DESC, o.order_id DESC
+             LIMIT ${limit} OFFSET ${offset}`,
+            [req.user.user_id]
+        );
+
+        return res.status(200).json({
+            data: orders,
+            meta: { total, limit, offset, hasMore: offset + orders.length < total }
+        });
+    } catch (err) {
+        console.error('viewOwnerOrders error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
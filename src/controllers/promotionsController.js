@@ -16,28 +16,12 @@ const generatePromoSegment = () => {
 
 const generatePromoCode = () => `${generatePromoSegment()}-${generatePromoSegment()}`;
 
-async function ensureSalonOwnership(db, ownerUserId, salonIdParam) {
-    if (!ownerUserId) {
-        throw Object.assign(new Error('Unauthorized'), { statusCode: 401 });
-    }
-
-    const params = [ownerUserId];
-    let query = 'SELECT salon_id, name FROM salons WHERE owner_user_id = ?';
-
-    if (salonIdParam) {
-        query += ' AND salon_id = ?';
-        params.push(salonIdParam);
-    }
-
-    query += ' LIMIT 1';
-
-    const [rows] = await db.execute(query, params);
+// The salon requirePermission('promotions:manage') checked the caller against
+async function getPromotionSalon(db, salonId) {
+    const [rows] = await db.execute('SELECT salon_id, name FROM salons WHERE salon_id = ?', [salonId ?? null]);
 
     if (rows.length === 0) {
-        const message = salonIdParam
-            ? 'Salon not found for this owner'
-            : 'Owner does not have a salon';
-        throw Object.assign(new Error(message), { statusCode: 404 });
+        throw Object.assign(new Error('Salon not found'), { statusCode: 404 });
     }
 
     return rows[0];
@@ -64,8 +48,6 @@ exports.sendPromotionToCustomer = async (req, res) => {
     const db = connection.promise();
 
     try {
-        const ownerUserId = req.user?.user_id;
-        const salonIdFromParams = req.params.salonId;
         const { email, description, discount_pct, expires_at } = req.body || {};
         if (!email  || !discount_pct) {
             return res.status(400).json({
@@ -88,7 +70,7 @@ exports.sendPromotionToCustomer = async (req, res) => {
             expiresAtSql = toMySQLUtc(expires);
         }
 
-        const salon = await ensureSalonOwnership(db, ownerUserId, salonIdFromParams);
+        const salon = await getPromotionSalon(db, req.salon_id);
         const salonId = salon.salon_id;
         const [user] = await db.execute(
             `SELECT count(user_id) as total_bookings, user_id, full_name FROM users 
@@ -105,11 +87,11 @@ GROUP BY users.user_id, users.full_name`,
             });
         }
 
-        const [[ownerUser]] = await db.execute(
+        const [[sender]] = await db.execute(
             'SELECT email FROM users WHERE user_id = ?',
-            [ownerUserId]
+            [req.user.user_id]
         );
-        const senderEmail = ownerUser?.email || 'no-reply@strands';
+        const senderEmail = sender?.email || 'no-reply@strands';
 
         const issuedAt = toMySQLUtc(DateTime.utc());
 
@@ -201,8 +183,6 @@ exports.issueLoyalCustomerPromotions = async (req, res) => {
     const db = connection.promise();
 
     try {
-        const ownerUserId = req.user?.user_id;
-        const salonIdFromParams = parseInt(req.params.salonId, 10);
         const { description, discount_pct, expires_at } = req.body || {};
 
         if (!discount_pct) {
@@ -227,7 +207,7 @@ exports.issueLoyalCustomerPromotions = async (req, res) => {
             expiresAtSql = toMySQLUtc(expires);
         }
 
-        const salon = await ensureSalonOwnership(db, ownerUserId, salonIdFromParams);
+        const salon = await getPromotionSalon(db, req.salon_id);
         const salonId = salon.salon_id;
 
         const [loyalUsers] = await db.execute(
@@ -250,11 +230,11 @@ exports.issueLoyalCustomerPromotions = async (req, res) => {
             });
         }
 
-        const [[ownerUser]] = await db.execute(
+        const [[sender]] = await db.execute(
             'SELECT email FROM users WHERE user_id = ?',
-            [ownerUserId]
+            [req.user.user_id]
         );
-        const senderEmail = ownerUser?.email || 'no-reply@strands';
+        const senderEmail = sender?.email || 'no-reply@strands';
 
         const issuedAt = toMySQLUtc(DateTime.utc());
         const notificationsCreated = [];
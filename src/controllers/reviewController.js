@@ -262,8 +262,8 @@ exports.listSalonReviews = async (req, res) => {
             const [empRows] = await db.execute(`SELECT salon_id FROM employees WHERE user_id = ? AND active = 1`, [authUserId]);
             if (empRows.length === 0) return res.status(404).json({ message: 'Employee profile not found' });
 
-            const employeeSalonId = empRows[0].salon_id;
-            if (employeeSalonId !== salon_id) return res.status(403).json({ message: 'You can only view reviews for the salon you work at' });
+            const employeeSalonIds = new Set(empRows.map(e => e.salon_id));
+            if (!employeeSalonIds.has(salon_id)) return res.status(403).json({ message: 'You can only view reviews for the salon you work at' });
         } else if (role === 'OWNER') {
             const [ownerSalons] = await db.execute(`SELECT salon_id FROM salons WHERE owner_user_id = ?`, [authUserId]);
             if (ownerSalons.length === 0) return res.status(404).json({ message: 'Salon not found for this owner' });
@@ -1,8 +1,17 @@
 const connection = require('../config/databaseConnection'); //db connection
-const { validateEmail, toMySQLUtc, formatDateTime, logUtcDebug, localAvailabilityToUtc, luxonWeekdayToDb } = require('../utils/utilies');
-const { DateTime } = require('luxon');
+const { validateEmail, toMySQLUtc, formatDateTime, logUtcDebug, luxonWeekdayToDb } = require('../utils/utilies');
+const { DateTime, IANAZone } = require('luxon');
 const { getFilePresigned } = require('../utils/s3.js');
 const { createNotification } = require('./notificationsController');
+const { assignEmployeeToSalon } = require('../utils/employees');
+const { writeAuditLog, auditActor } = require('../utils/auditLog');
+const { parseRestriction, restrictSalon, liftSalonRestriction } = require('../utils/salonModeration');
+const { ADDRESS_FIELDS, isValidCoordinate, refreshSalonLocation } = require('../utils/geocoder');
+const { getHoursOverrides, flagBookingsForDate } = require('../utils/salonHours');
+const { buildStylistDailySlots, checkStylistSlot } = require('../utils/stylistSlots');
+const { parseRecurrence, occurrenceStarts, checkOccurrences } = require('../utils/bookingSeries');
+const { BOOKING_TIMINGS, planSegments, stylistWindows } = require('../utils/bookingSegments');
+const { ASSIGNMENT_STRATEGIES, findStylistsOfferingAll, rankStylists } = require('../utils/stylistAssignment');
 
 //allowed salon categories
 const ALLOWED_CATEGORIES = new Set([
@@ -10,6 +19,20 @@ const ALLOWED_CATEGORIES = new Set([
   'SPA & WELLNESS', 'BARBERSHOP', 'FULL SERVICE BEAUTY'
 ]);
 
+// Salon profile fields the owner can edit. Cosmetic fields apply straight away; material fields change what the
+// salon is listed as, so on a live salon they wait for an admin (approveSalon with target PROFILE_CHANGES)
+const COSMETIC_PROFILE_FIELDS = ['description', 'phone', 'email', 'timezone'];
+const MATERIAL_PROFILE_FIELDS = ['name', 'category', 'address', 'city', 'state', 'postal_code', 'country'];
+const PROFILE_FIELD_MAX_LENGTH = {
+  name: 160, phone: 32, email: 255, address: 160, city: 120, state: 64, postal_code: 20, country: 64, timezone: 64
+};
+
+// Largest radius accepted by the "near me" salon search
+const MAX_SEARCH_RADIUS_KM = 500;
+
+// Salons whose stylists discovery loads and checks for free slots per query
+const DISCOVERY_BATCH_SIZE = 50;
+
 // Global weekday constants for availability
 const VALID_WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
 
@@ -44,13 +67,18 @@ exports.checkOwnerHasSalon = async (req, res) => {
   }
 
   try {
-    const [rows] = await db.execute('SELECT salon_id, status FROM salons WHERE owner_user_id = ? LIMIT 1', [owner_user_id]);
+    const [rows] = await db.execute(
+      'SELECT salon_id, name, status, status_reason, status_expires_at FROM salons WHERE owner_user_id = ? ORDER BY salon_id',
+      [owner_user_id]
+    );
 
     const hasSalon = rows.length > 0;
     
     return res.status(200).json({ 
       hasSalon, 
-      status: hasSalon ? rows[0].status : null 
+      status: hasSalon ? rows[0].status : null,
+      salon_count: rows.length,
+      salons: rows
     });
   } catch (err) {
     console.error('checkOwnerHasSalon error:', err);
@@ -102,12 +130,12 @@ exports.createSalon = async (req, res) => {
       });
     }
 
-    //check for only one salon per owner
-    const checkSalonQuery = 'SELECT salon_id FROM salons WHERE owner_user_id = ?';
-    const [existingSalons] = await db.execute(checkSalonQuery, [owner_user_id]);
+    //owners can run several locations, but not two under the same name
+    const checkSalonQuery = 'SELECT salon_id FROM salons WHERE owner_user_id = ? AND LOWER(TRIM(name)) = LOWER(TRIM(?))';
+    const [existingSalons] = await db.execute(checkSalonQuery, [owner_user_id, name]);
 
     if(existingSalons.length > 0) {
-      return res.status(409).json({ message: 'You already have a salon registered.' });
+      return res.status(409).json({ message: 'You already have a salon registered with this name.' });
     }
 
     //inserting salon into db
@@ -125,6 +153,7 @@ exports.createSalon = async (req, res) => {
     //insert
     const [result] = await db.execute(insertSql, params);
     const salon_id = result.insertId;
+    await refreshSalonLocation(db, salon_id);
     
     //retrieve
     const [rows] = await db.execute(
@@ -171,12 +200,132 @@ exports.createSalon = async (req, res) => {
 };
 
 
+// Validates a salon profile PATCH body. Returns { changes } with normalized values or { error }
+const parseProfileChanges = (body = {}) => {
+  const changes = {};
+
+  for (const field of [...COSMETIC_PROFILE_FIELDS, ...MATERIAL_PROFILE_FIELDS]) {
+    if (body[field] === undefined) continue;
+
+    let value = body[field];
+    if (typeof value !== 'string') {
+      return { error: `Field '${field}' must be a string` };
+    }
+    value = value.trim();
+    if (field !== 'description' && !value) {
+      return { error: `Field '${field}' cannot be empty` };
+    }
+    if (PROFILE_FIELD_MAX_LENGTH[field] && value.length > PROFILE_FIELD_MAX_LENGTH[field]) {
+      return { error: `Field '${field}' must be at most ${PROFILE_FIELD_MAX_LENGTH[field]} characters` };
+    }
+    if (field === 'category') {
+      value = value.toUpperCase();
+      if (!ALLOWED_CATEGORIES.has(value)) return { error: "Invalid 'category'" };
+    }
+    if (field === 'email' && !validateEmail(value)) {
+      return { error: 'Invalid email format' };
+    }
+    if (field === 'postal_code' && !/^\d+$/.test(value)) {
+      return { error: "Field 'postal_code' must contain only numeric characters" };
+    }
+    if (field === 'timezone' && !IANAZone.isValidZone(value)) {
+      return { error: "Field 'timezone' must be an IANA timezone such as America/New_York" };
+    }
+    changes[field] = value;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'No profile fields to update' };
+  }
+  return { changes };
+};
+
+const pickFields = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+
+// Admin decision on a live salon's queued name/address/category changes (approveSalon with target PROFILE_CHANGES)
+const reviewProfileChanges = async (db, req, res, salon_id, status) => {
+  const [salonRows] = await db.execute(
+    `SELECT s.salon_id, s.owner_user_id, s.name, s.category, s.address, s.city, s.state, s.postal_code, s.country,
+            s.pending_changes, u.email
+     FROM salons s
+     JOIN users u ON s.owner_user_id = u.user_id
+     WHERE s.salon_id = ?`,
+    [salon_id]
+  );
+
+  if (salonRows.length === 0) {
+    return res.status(404).json({ message: 'Salon not found' });
+  }
+
+  const salon = salonRows[0];
+  const pending = salon.pending_changes;
+  if (!pending || Object.keys(pending).length === 0) {
+    return res.status(409).json({ message: 'No profile changes are waiting for review' });
+  }
+
+  const fields = Object.keys(pending).filter(field => MATERIAL_PROFILE_FIELDS.includes(field));
+  const nowUtc = toMySQLUtc(DateTime.utc());
+
+  if (status === 'APPROVED') {
+    const assignments = fields.map(field => `${field} = ?`).join(', ');
+    await db.execute(
+      `UPDATE salons SET ${assignments}${fields.length ? ',' : ''} pending_changes = NULL, pending_changes_at = NULL, updated_at = ?
+       WHERE salon_id = ?`,
+      [...fields.map(field => pending[field]), nowUtc, salon_id]
+    );
+    if (fields.some(field => ADDRESS_FIELDS.includes(field))) {
+      await refreshSalonLocation(db, salon_id);
+    }
+    await writeAuditLog(db, {
+      table_name: 'salons',
+      record_id: salon.salon_id,
+      action_type: 'UPDATE',
+      old_value: pickFields(salon, fields),
+      new_value: pickFields(pending, fields),
+      changed_by: auditActor(req)
+    });
+  } else {
+    await db.execute(
+      'UPDATE salons SET pending_changes = NULL, pending_changes_at = NULL, updated_at = ? WHERE salon_id = ?',
+      [nowUtc, salon_id]
+    );
+    await writeAuditLog(db, {
+      table_name: 'salons',
+      record_id: salon.salon_id,
+      action_type: 'OTHER',
+      old_value: { pending_changes: pending },
+      new_value: { pending_changes: null, review: 'REJECTED' },
+      changed_by: auditActor(req)
+    });
+  }
+
+  try {
+    await createNotification(db, {
+      user_id: salon.owner_user_id,
+      salon_id: salon.salon_id,
+      email: salon.email,
+      type_code: status === 'APPROVED' ? 'SALON_CHANGES_APPROVED' : 'SALON_CHANGES_REJECTED',
+      message: status === 'APPROVED'
+        ? `Your requested changes to "${salon.name}" have been approved and are now live.`
+        : `Your requested changes to "${salon.name}" were not approved. Contact support if you have any questions.`,
+      sender_email: 'SYSTEM'
+    });
+  } catch (notifError) {
+    console.error('Failed to send salon profile review notification:', notifError);
+  }
+
+  return res.status(200).json({
+    message: `Salon ${salon_id} profile changes have been ${status.toLowerCase()}.`
+  });
+};
+
 //UAR 1.5 salon approval
+// target PROFILE_CHANGES reviews an owner's queued profile edits instead of the salon registration itself
 exports.approveSalon = async (req, res) => {
   const db = connection.promise();
 
   try {
-    const { salon_id, status } = req.body;
+    const { salon_id, status, target = 'SALON' } = req.body;
 
     if (!salon_id || isNaN(salon_id)) {
       return res.status(400).json({ message: 'Invalid salon_id' });
@@ -186,17 +335,49 @@ exports.approveSalon = async (req, res) => {
       return res.status(400).json({ message: 'Invalid status.' });
     }
 
-    const nowUtc = toMySQLUtc(DateTime.utc());
-    const updateSalonQuery = 
-      `UPDATE salons 
-        SET status = ?,
-        approval_date = IF(? = 'APPROVED', ?, approval_date)
-      WHERE salon_id = ?;`;
+    if (!['SALON', 'PROFILE_CHANGES'].includes(target)) {
+      return res.status(400).json({ message: 'Invalid target.' });
+    }
 
-    const [result] = await db.execute(updateSalonQuery, [status, status, nowUtc, salon_id]);
+    if (target === 'PROFILE_CHANGES') {
+      return await reviewProfileChanges(db, req, res, salon_id, status);
+    }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: 'Salon not found' });
+    // Rejections need a reason; an expiring rejection sends the salon back to PENDING (see runExpireSalonRestrictions)
+    let restriction = null;
+    if (status === 'REJECTED') {
+      restriction = parseRestriction(req.body);
+      if (restriction.error) {
+        return res.status(400).json({ message: restriction.error });
+      }
+
+      const result = await restrictSalon(db, {
+        salonId: salon_id,
+        status,
+        reason: restriction.reason,
+        expiresAt: restriction.expiresAt,
+        bookingAction: restriction.bookingAction,
+        changedBy: auditActor(req)
+      });
+      if (!result) {
+        return res.status(404).json({ message: 'Salon not found' });
+      }
+    } else {
+      const nowUtc = toMySQLUtc(DateTime.utc());
+      const updateSalonQuery = 
+        `UPDATE salons 
+          SET status = ?,
+          approval_date = ?,
+          status_reason = NULL,
+          status_expires_at = NULL,
+          bookings_frozen = 0
+        WHERE salon_id = ?;`;
+
+      const [result] = await db.execute(updateSalonQuery, [status, nowUtc, salon_id]);
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Salon not found' });
+      }
     }
 
     // Get salon and owner information for notification
@@ -229,6 +410,9 @@ exports.approveSalon = async (req, res) => {
       }
       
       let statusMessage = prefix + salonName + suffix;
+      if (restriction) {
+        statusMessage = `${prefix}${salonName}" has been rejected. Reason: ${restriction.reason}`;
+      }
       
       if (statusMessage.length > maxLength) {
         statusMessage = statusMessage.substring(0, maxLength);
@@ -263,6 +447,182 @@ exports.approveSalon = async (req, res) => {
   }
 };
 
+// Suspend an approved salon, e.g. { reason, expires_at?, booking_action: 'CANCEL' | 'FREEZE' }
+// CANCEL cancels and refunds upcoming bookings, FREEZE keeps them until the salon is reinstated
+exports.suspendSalon = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const salon_id = Number(req.params.salon_id);
+    if (!Number.isInteger(salon_id) || salon_id <= 0) {
+      return res.status(400).json({ message: 'Invalid salon_id' });
+    }
+
+    const restriction = parseRestriction(req.body);
+    if (restriction.error) {
+      return res.status(400).json({ message: restriction.error });
+    }
+
+    const [salons] = await db.execute('SELECT status FROM salons WHERE salon_id = ?', [salon_id]);
+    if (salons.length === 0) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+    if (salons[0].status !== 'APPROVED') {
+      return res.status(409).json({ message: 'Only approved salons can be suspended' });
+    }
+
+    const { salon, canceledBookingIds } = await restrictSalon(db, {
+      salonId: salon_id,
+      status: 'SUSPENDED',
+      reason: restriction.reason,
+      expiresAt: restriction.expiresAt,
+      bookingAction: restriction.bookingAction,
+      changedBy: auditActor(req)
+    });
+
+    const until = restriction.expiresAt ? ` until ${restriction.expiresAt.toFormat('MMM d, yyyy h:mm a')} UTC` : '';
+    const bookingsNote = restriction.bookingAction === 'CANCEL'
+      ? 'Upcoming bookings have been canceled and refunded.'
+      : 'Upcoming bookings are on hold until the salon is reinstated.';
+    try {
+      await createNotification(db, {
+        user_id: salon.owner_user_id,
+        salon_id,
+        email: salon.owner_email,
+        type_code: 'SALON_SUSPENDED',
+        message: `Your salon "${salon.name}" has been suspended${until}. Reason: ${restriction.reason}. ${bookingsNote}`,
+        sender_email: 'SYSTEM'
+      });
+    } catch (notifError) {
+      console.error('Failed to send salon suspension notification:', notifError);
+    }
+
+    return res.status(200).json({
+      message: `Salon ${salon_id} has been suspended.`,
+      data: {
+        salon_id,
+        status: 'SUSPENDED',
+        status_reason: restriction.reason,
+        status_expires_at: restriction.expiresAt ? formatDateTime(restriction.expiresAt) : null,
+        booking_action: restriction.bookingAction,
+        canceled_bookings: canceledBookingIds.length
+      }
+    });
+  } catch (err) {
+    console.error('suspendSalon error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Lift a suspension (back to APPROVED) or a rejection (back to PENDING review) before it expires
+exports.reinstateSalon = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const salon_id = Number(req.params.salon_id);
+    if (!Number.isInteger(salon_id) || salon_id <= 0) {
+      return res.status(400).json({ message: 'Invalid salon_id' });
+    }
+
+    const result = await liftSalonRestriction(db, { salonId: salon_id, changedBy: auditActor(req) });
+    if (!result) {
+      const [salons] = await db.execute('SELECT status FROM salons WHERE salon_id = ?', [salon_id]);
+      if (salons.length === 0) {
+        return res.status(404).json({ message: 'Salon not found' });
+      }
+      return res.status(409).json({ message: 'Salon is not suspended or rejected' });
+    }
+
+    return res.status(200).json({
+      message: `Salon ${salon_id} has been reinstated.`,
+      data: {
+        salon_id,
+        status: result.status,
+        canceled_bookings: result.canceledBookingIds.length
+      }
+    });
+  } catch (err) {
+    console.error('reinstateSalon error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// lat/lng/radius_km query params of the salon listings. Returns { origin, radiusKm } (both null when not given) or { error }
+const parseLocationQuery = ({ lat, lng, radius_km }) => {
+  let origin = null;
+  if (lat !== undefined || lng !== undefined) {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    if (lat === '' || lng === '' || !isValidCoordinate(latitude, longitude)) {
+      return { error: 'lat and lng must both be valid coordinates' };
+    }
+    origin = { latitude, longitude };
+  }
+
+  let radiusKm = null;
+  if (radius_km !== undefined) {
+    radiusKm = Number(radius_km);
+    if (!origin) {
+      return { error: 'radius_km requires lat and lng' };
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_SEARCH_RADIUS_KM) {
+      return { error: `radius_km must be between 0 and ${MAX_SEARCH_RADIUS_KM}` };
+    }
+  }
+
+  return { origin, radiusKm };
+};
+
+// distance_km expression from origin (alias s for salons) and, with a radius, the WHERE conditions that enforce it
+const locationSql = (origin, radiusKm) => {
+  const distanceSql = 'ST_Distance_Sphere(POINT(s.longitude, s.latitude), POINT(?, ?)) / 1000';
+  const distanceParams = origin ? [origin.longitude, origin.latitude] : [];
+  const radiusWhere = [];
+  const radiusParams = [];
+
+  if (origin && radiusKm !== null) {
+    //bounding box first so the lat/lng index narrows the rows the distance is computed for
+    const latDelta = radiusKm / 111.045;
+    const lngDelta = radiusKm / (111.045 * Math.max(Math.cos(origin.latitude * Math.PI / 180), 0.01));
+    radiusWhere.push(`s.latitude BETWEEN ? AND ?`);
+    radiusParams.push(origin.latitude - latDelta, origin.latitude + latDelta);
+    if (origin.longitude - lngDelta >= -180 && origin.longitude + lngDelta <= 180) {
+      radiusWhere.push(`s.longitude BETWEEN ? AND ?`);
+      radiusParams.push(origin.longitude - lngDelta, origin.longitude + lngDelta);
+    }
+    radiusWhere.push(`${distanceSql} <= ?`);
+    radiusParams.push(...distanceParams, radiusKm);
+  }
+
+  return { distanceSql, distanceParams, radiusWhere, radiusParams };
+};
+
+// limit/offset for salon listings: defaults 20/0, anything negative or non-numeric is an error
+const parsePagination = (query) => {
+  let { limit, offset } = query;
+
+  if (limit !== undefined) {
+    const limitNum = Number.isFinite(+limit) ? +limit : NaN;
+    if (isNaN(limitNum) || limitNum < 0) {
+      return { error: 'Limit must be a non-negative number' };
+    }
+    limit = limitNum;
+  } else {
+    limit = 20;
+  }
+
+  if (offset !== undefined) {
+    const offsetNum = Number.isFinite(+offset) ? +offset : NaN;
+    if (isNaN(offsetNum) || offsetNum < 0) {
+      return { error: 'Offset must be a non-negative number' };
+    }
+    offset = offsetNum;
+  } else {
+    offset = 0; // default
+  }
+
+  return { limit, offset };
+};
 
 //UAR 1.6 browse salons user/admin
 exports.browseSalons = async (req, res) => {
@@ -273,30 +633,23 @@ exports.browseSalons = async (req, res) => {
     const isAdmin = role === "ADMIN";
 
     //URL params
-    let {status = 'all', sort = 'recent', category} = req.query;
+    let {status = 'all', sort, category} = req.query;
     // Normalize status to uppercase for comparison
     status = status ? status.toUpperCase() : 'ALL';
-    let limit = req.query.limit;
-    let offset = req.query.offset;
 
-    if (limit !== undefined) {
-      const limitNum = Number.isFinite(+limit) ? +limit : NaN;
-      if (isNaN(limitNum) || limitNum < 0) {
-        return res.status(400).json({ message: 'Limit must be a non-negative number' });
-      }
-      limit = limitNum;
-    } else {
-      limit = 20;
+    //"near me": lat/lng enable distance_km per result and sort=distance, radius_km limits results to that distance
+    const { origin, radiusKm, error: locationError } = parseLocationQuery(req.query);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
     }
 
-    if (offset !== undefined) {
-      const offsetNum = Number.isFinite(+offset) ? +offset : NaN;
-      if (isNaN(offsetNum) || offsetNum < 0) {
-        return res.status(400).json({ message: 'Offset must be a non-negative number' });
-      }
-      offset = offsetNum;
-    } else {
-      offset = 0; // default
+    sort = sort || (origin ? 'distance' : 'recent');
+    if (sort === 'distance' && !origin) {
+      return res.status(400).json({ message: 'sort=distance requires lat and lng' });
+    }
+    const { limit, offset, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return res.status(400).json({ message: paginationError });
     }
 
     //dynamic filters
@@ -319,6 +672,10 @@ exports.browseSalons = async (req, res) => {
       params.push(category.trim()); 
     }
 
+    const { distanceSql, distanceParams, radiusWhere, radiusParams } = locationSql(origin, radiusKm);
+    where.push(...radiusWhere);
+    params.push(...radiusParams);
+
     const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "WHERE 1=1";
 
     //sorting logic (now on backend as well)
@@ -335,6 +692,10 @@ exports.browseSalons = async (req, res) => {
           orderBy = "ORDER BY avg_rating DESC, total_reviews DESC, name ASC";
         }
         break;
+      case "distance":
+        //salons without coordinates go last
+        orderBy = "ORDER BY distance_km IS NULL, distance_km ASC, s.name ASC";
+        break;
       default:
         orderBy = "ORDER BY s.created_at DESC";
     }
@@ -345,7 +706,9 @@ exports.browseSalons = async (req, res) => {
 
     //fetch salons
     const listSql = `SELECT s.salon_id, s.name, s.description, s.category, s.phone, s.email, s.address,
-                    s.city, s.state, s.postal_code, s.country, s.status, s.created_at, s.updated_at
+                    s.city, s.state, s.postal_code, s.country, s.status, s.created_at, s.updated_at,
+                    s.latitude, s.longitude
+                    ${origin ? `, ${distanceSql} AS distance_km` : ""}
                     ${!isAdmin ? ", sr.avg_rating, sr.total_reviews" : ""}
                     ${isAdmin ? ", u.user_id AS owner_user_id, u.full_name AS owner_name, u.email AS owner_email, u.phone AS owner_phone" : ""}
                     FROM salons s
@@ -353,7 +716,7 @@ exports.browseSalons = async (req, res) => {
                                  FROM reviews GROUP BY salon_id) sr ON sr.salon_id = s.salon_id` : ""}
                     ${isAdmin ? "LEFT JOIN users u ON u.user_id = s.owner_user_id" : ""}
                     ${whereSql} ${orderBy} LIMIT ${limit} OFFSET ${offset};`;
-    const [rows] = await db.execute(listSql, params);
+    const [rows] = await db.execute(listSql, [...distanceParams, ...params]);
 
     //getting photos
     const salonIds = rows.map(r => r.salon_id);
@@ -453,6 +816,9 @@ exports.browseSalons = async (req, res) => {
         status: r.status,
         created_at: r.created_at,
         updated_at: r.updated_at,
+        latitude: r.latitude === null ? null : Number(r.latitude),
+        longitude: r.longitude === null ? null : Number(r.longitude),
+        ...(origin ? { distance_km: r.distance_km === null ? null : Number(Number(r.distance_km).toFixed(2)) } : {}),
         weekly_hours: hoursMap[r.salon_id] || {},
         photo_url: photoMap[r.salon_id] || null,
 
@@ -485,13 +851,167 @@ exports.browseSalons = async (req, res) => {
   }
 };
 
+// Keyword search weights: a term found in the salon name counts most, then service names, city and descriptions
+const SEARCH_WEIGHTS = { salon_name: 5, service_name: 3, city: 2, description: 1 };
+const MAX_SEARCH_TERMS = 5;
+
+// Keyword search across salon names, descriptions, cities and active service names, ranked by relevance
+// Filters: category, min_price/max_price and max_duration (minutes) apply to the salon's services
+exports.searchSalons = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const { q, category, min_price, max_price, max_duration } = req.query;
+
+    if (typeof q !== 'string' || !q.trim() || q.length > 100) {
+      return res.status(400).json({ message: 'q is required (max 100 characters)' });
+    }
+    const terms = [...new Set((q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(t => t.length >= 2))]
+      .slice(0, MAX_SEARCH_TERMS);
+    if (terms.length === 0) {
+      return res.status(400).json({ message: 'q must contain at least one word of 2 or more characters' });
+    }
+
+    const { limit, offset, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return res.status(400).json({ message: paginationError });
+    }
+
+    let normalizedCategory = null;
+    if (category !== undefined) {
+      normalizedCategory = String(category).trim().toUpperCase();
+      if (!ALLOWED_CATEGORIES.has(normalizedCategory)) {
+        return res.status(400).json({ message: "Invalid 'category'", allowed: Array.from(ALLOWED_CATEGORIES) });
+      }
+    }
+
+    const numberParam = (value) => (value === undefined ? null : (value === '' ? NaN : Number(value)));
+    const minPrice = numberParam(min_price);
+    const maxPrice = numberParam(max_price);
+    const maxDuration = numberParam(max_duration);
+    if ([minPrice, maxPrice].some(v => v !== null && (!Number.isFinite(v) || v < 0))) {
+      return res.status(400).json({ message: 'min_price and max_price must be non-negative numbers' });
+    }
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      return res.status(400).json({ message: 'min_price cannot be greater than max_price' });
+    }
+    if (maxDuration !== null && (!Number.isInteger(maxDuration) || maxDuration <= 0)) {
+      return res.status(400).json({ message: 'max_duration must be a positive number of minutes' });
+    }
+
+    //services the filters allow; with any service filter, salons without such a service drop out
+    const serviceWhere = ['sv.active = 1'];
+    const serviceParams = [];
+    if (minPrice !== null) { serviceWhere.push('sv.price >= ?'); serviceParams.push(minPrice); }
+    if (maxPrice !== null) { serviceWhere.push('sv.price <= ?'); serviceParams.push(maxPrice); }
+    if (maxDuration !== null) { serviceWhere.push('sv.duration_minutes <= ?'); serviceParams.push(maxDuration); }
+    const hasServiceFilters = serviceParams.length > 0;
+
+    //terms only contain letters and digits, so they need no LIKE escaping
+    const patterns = terms.map(t => `%${t}%`);
+    const scoreSql = (columns) => terms.map(() => columns
+      .map(([column, weight]) => `CASE WHEN ${column} LIKE ? THEN ${weight} ELSE 0 END`)
+      .join(' + ')).join(' + ');
+    const scoreParams = (columns) => patterns.flatMap(p => columns.map(() => p));
+
+    const salonColumns = [['s.name', SEARCH_WEIGHTS.salon_name], ['s.city', SEARCH_WEIGHTS.city], ['s.description', SEARCH_WEIGHTS.description]];
+    const serviceColumns = [['sv.name', SEARCH_WEIGHTS.service_name], ['sv.description', SEARCH_WEIGHTS.description]];
+
+    const salonWhere = [`s.status = 'APPROVED'`];
+    const salonParams = [];
+    if (normalizedCategory) {
+      salonWhere.push('s.category = ?');
+      salonParams.push(normalizedCategory);
+    }
+
+    const scoredSql = `
+      SELECT s.salon_id, s.name, s.description, s.category, s.address, s.city, s.state, s.postal_code, s.country,
+             ms.starting_price,
+             (${scoreSql(salonColumns)}) + COALESCE(ms.service_score, 0) AS relevance
+      FROM salons s
+      ${hasServiceFilters ? 'JOIN' : 'LEFT JOIN'} (
+        SELECT sv.salon_id, MIN(sv.price) AS starting_price, MAX(${scoreSql(serviceColumns)}) AS service_score
+        FROM services sv
+        WHERE ${serviceWhere.join(' AND ')}
+        GROUP BY sv.salon_id
+      ) ms ON ms.salon_id = s.salon_id
+      WHERE ${salonWhere.join(' AND ')}`;
+    const scoredParams = [
+      ...scoreParams(salonColumns),
+      ...scoreParams(serviceColumns), ...serviceParams,
+      ...salonParams
+    ];
+
+    const [[countRow]] = await db.execute(
+      `SELECT COUNT(*) AS total FROM (${scoredSql}) r WHERE r.relevance > 0`,
+      scoredParams
+    );
+    const total = countRow.total || 0;
+
+    const [rows] = await db.execute(
+      `SELECT r.* FROM (${scoredSql}) r WHERE r.relevance > 0
+       ORDER BY r.relevance DESC, r.name ASC LIMIT ${limit} OFFSET ${offset}`,
+      scoredParams
+    );
+
+    //the services behind each salon's score, best match first
+    const servicesBySalon = {};
+    const salonIds = rows.map(r => r.salon_id);
+    if (salonIds.length > 0) {
+      const [services] = await db.execute(
+        `SELECT * FROM (
+           SELECT sv.service_id, sv.salon_id, sv.name, sv.description, sv.duration_minutes, sv.price,
+                  ${scoreSql(serviceColumns)} AS relevance
+           FROM services sv
+           WHERE sv.salon_id IN (${salonIds.map(() => '?').join(',')}) AND ${serviceWhere.join(' AND ')}
+         ) m
+         WHERE m.relevance > 0
+         ORDER BY m.relevance DESC, m.price ASC`,
+        [...scoreParams(serviceColumns), ...salonIds, ...serviceParams]
+      );
+      for (const service of services) {
+        servicesBySalon[service.salon_id] = servicesBySalon[service.salon_id] || [];
+        servicesBySalon[service.salon_id].push({
+          service_id: service.service_id,
+          name: service.name,
+          description: service.description,
+          duration_minutes: service.duration_minutes,
+          price: service.price
+        });
+      }
+    }
+
+    const data = rows.map(r => ({
+      salon_id: r.salon_id,
+      name: r.name,
+      description: r.description,
+      category: r.category,
+      address: r.address,
+      city: r.city,
+      state: r.state,
+      postal_code: r.postal_code,
+      country: r.country,
+      relevance: Number(r.relevance),
+      starting_price: r.starting_price,
+      matched_services: servicesBySalon[r.salon_id] || []
+    }));
+
+    return res.status(200).json({
+      data,
+      meta: { total, limit, offset, hasMore: offset + data.length < total }
+    });
+  } catch (err) {
+    console.error('searchSalons error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 //UAR 1.7 Add Employee
 exports.addEmployee = async (req, res) => {
   const db = connection.promise();
 
   try {
     const { email, title } = req.body;
-    const owner_user_id = req.user?.user_id;
 
     if (!email || !title) {
       return res.status(400).json({ message: 'Missing required fields' });
@@ -511,10 +1031,10 @@ exports.addEmployee = async (req, res) => {
 
     const employeeUserId = existingEmployee[0].user_id;
 
-    // Get the salon_id for the current owner
+    // The salon requirePermission checked employees:manage against
     const [salonResult] = await db.execute(
-      'SELECT salon_id FROM salons WHERE owner_user_id = ?',
-      [owner_user_id]
+      'SELECT salon_id FROM salons WHERE salon_id = ?',
+      [req.salon_id]
     );
 
     if (salonResult.length === 0) {
@@ -523,60 +1043,27 @@ exports.addEmployee = async (req, res) => {
 
     const salon_id = salonResult[0].salon_id;
 
-    // Check if employee already exists in employees table (from any salon)
-    const checkExistingEmployeeQuery = `
-      SELECT e.employee_id, e.salon_id, e.active
-      FROM employees e
-      WHERE e.user_id = ?
-    `;
-    
-    const [existingEmployeeRecord] = await db.execute(checkExistingEmployeeQuery, [employeeUserId]);
-
     const nowUtc = toMySQLUtc(DateTime.utc());
-    let employee_id;
-    let isNewEmployee = false;
+    const assignment = await assignEmployeeToSalon(db, {
+      salonId: salon_id,
+      userId: employeeUserId,
+      title,
+      nowUtc
+    });
 
-    if (existingEmployeeRecord.length > 0) {
-      const existing = existingEmployeeRecord[0];
-      
-      // If employee is already active at this salon
-      if (existing.salon_id === salon_id && existing.active === 1) {
-        return res.status(409).json({ message: 'User is already an active employee of this salon.' });
-      }
-      
-      // If employee is active at a different salon
-      if (existing.active === 1 && existing.salon_id !== salon_id) {
-        return res.status(409).json({ 
-          message: 'User is currently an active employee at another salon. They must be removed from that salon first.' 
-        });
-      }
-      
-      // Employee exists but is inactive (was fired from another salon) - UPDATE to new salon
-      employee_id = existing.employee_id;
-      const updateEmployeeQuery = `
-        UPDATE employees 
-        SET salon_id = ?, title = ?, active = 1, updated_at = ?
-        WHERE employee_id = ?
-      `;
-      await db.execute(updateEmployeeQuery, [salon_id, title, nowUtc, employee_id]);
-    } else {
-      // Employee doesn't exist in employees table - INSERT new record
-      isNewEmployee = true;
-      const insertEmployeeQuery = `
-        INSERT INTO employees (salon_id, user_id, title, active, created_at, updated_at)
-        VALUES (?, ?, ?, 1, ?, ?)
-      `;
-      const [result] = await db.execute(insertEmployeeQuery, [salon_id, employeeUserId, title, nowUtc, nowUtc]);
-      employee_id = result.insertId;
+    if (assignment.conflict) {
+      return res.status(409).json({ message: assignment.conflict });
     }
 
+    const employee_id = assignment.employee_id;
+
     // Get salon and employee information for notification
     const [salonInfo] = await db.execute(
       `SELECT s.salon_id, s.name, u.full_name as owner_name 
        FROM salons s 
        JOIN users u ON s.owner_user_id = u.user_id 
-       WHERE s.owner_user_id = ?`,
-      [owner_user_id]
+       WHERE s.salon_id = ?`,
+      [salon_id]
     );
 
     const [employeeInfo] = await db.execute(
@@ -624,7 +1111,6 @@ exports.removeEmployee = async (req, res) => {
 
   try {
     const { email } = req.body;
-    const owner_user_id = req.user?.user_id;
 
     if (!email) { 
       return res.status(400).json({ message: 'Missing required fields' });
@@ -638,12 +1124,11 @@ exports.removeEmployee = async (req, res) => {
     const removeEmployeeQuery = `
       UPDATE employees e
       JOIN users u ON e.user_id = u.user_id
-      JOIN salons s ON e.salon_id = s.salon_id
       SET e.active = 0
-      WHERE u.email = ? AND s.owner_user_id = ? AND e.active = 1
+      WHERE u.email = ? AND e.salon_id = ? AND e.active = 1
     `;
 
-    const [result] = await db.execute(removeEmployeeQuery, [email, owner_user_id]);
+    const [result] = await db.execute(removeEmployeeQuery, [email, req.salon_id]);
 
     if (result.affectedRows === 0) {
       return res.status(404).json({ message: 'Employee not found or already inactive' });
@@ -666,7 +1151,7 @@ exports.viewEmployees = async (req, res) => {
 
   try {
     const { limit, offset } = req.body;
-    const owner_user_id = req.user?.user_id;
+    const salon_id = req.salon_id;
 
     if (!limit || isNaN(offset)) {
       return res.status(400).json({ message: 'Invalid fields.' });
@@ -676,9 +1161,9 @@ exports.viewEmployees = async (req, res) => {
     `SELECT COUNT(*) as total 
     FROM employees e 
     JOIN salons s ON e.salon_id = s.salon_id
-    WHERE e.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?) AND e.active = 1`;
+    WHERE e.salon_id = ? AND e.active = 1`;
 
-    const [countResult] = await db.execute(countQuery, [owner_user_id]);
+    const [countResult] = await db.execute(countQuery, [salon_id]);
     const total = countResult[0]?.total || 0;
 
 
@@ -690,12 +1175,12 @@ exports.viewEmployees = async (req, res) => {
     FROM employees e
     JOIN users u ON e.user_id = u.user_id
     JOIN salons s ON e.salon_id = s.salon_id
-    WHERE e.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?) AND e.active = 1
+    WHERE e.salon_id = ? AND e.active = 1
     ORDER BY u.full_name ASC
     LIMIT ${limitInt} OFFSET ${offsetInt}
     `;
 
-    const [employees] = await db.execute(employeesQuery, [owner_user_id]);
+    const [employees] = await db.execute(employeesQuery, [salon_id]);
 
 
     const totalPages = Math.ceil(total / limit);
@@ -729,7 +1214,7 @@ exports.configureLoyaltyProgram = async (req, res) => {
 
   try {
     const { target_visits, discount_percentage, note, active } = req.body;
-    const owner_user_id = req.user?.user_id;
+    const salon_id = req.salon_id;
 
     if (!target_visits || !discount_percentage) { 
       return res.status(400).json({ message: 'Missing required fields' });
@@ -737,9 +1222,9 @@ exports.configureLoyaltyProgram = async (req, res) => {
 
     const nowUtc = toMySQLUtc(DateTime.utc());
     const insertLoyaltyProgramQuery = 
-    `INSERT INTO loyalty_programs (salon_id, target_visits, discount_percentage, note, created_at, updated_at, active) VALUES ((SELECT salon_id FROM salons WHERE owner_user_id = ?), ?, ?, ?, ?, ?, ?);`;
+    `INSERT INTO loyalty_programs (salon_id, target_visits, discount_percentage, note, created_at, updated_at, active) VALUES (?, ?, ?, ?, ?, ?, ?);`;
 
-    const [result] = await db.execute(insertLoyaltyProgramQuery, [owner_user_id, target_visits, discount_percentage, note, nowUtc, nowUtc, active]);
+    const [result] = await db.execute(insertLoyaltyProgramQuery, [salon_id, target_visits, discount_percentage, note, nowUtc, nowUtc, active]);
 
     if (result.affectedRows === 0) {
       return res.status(404).json({ message: 'Salon not found' });
@@ -761,16 +1246,16 @@ exports.updateLoyaltyProgram = async (req, res) => {
 
   try {
     const { target_visits, discount_percentage, note, active } = req.body;
-    const owner_user_id = req.user?.user_id;
+    const salon_id = req.salon_id;
 
     if (!target_visits || !discount_percentage) { 
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
     const updateLoyaltyProgramQuery = 
-    `UPDATE loyalty_programs SET target_visits = ?, discount_percentage = ?, note = ?, active = ? WHERE salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)`;
+    `UPDATE loyalty_programs SET target_visits = ?, discount_percentage = ?, note = ?, active = ? WHERE salon_id = ?`;
 
-    const [result] = await db.execute(updateLoyaltyProgramQuery, [target_visits, discount_percentage, note, active, owner_user_id]);
+    const [result] = await db.execute(updateLoyaltyProgramQuery, [target_visits, discount_percentage, note, active, salon_id]);
 
     if (result.length === 0) {
       return res.status(404).json({ 
@@ -793,12 +1278,12 @@ exports.getLoyaltyProgram = async (req, res) => {
   const db = connection.promise();
 
   try {
-    const owner_user_id = req.user?.user_id;
+    const salon_id = req.salon_id;
 
     const updateLoyaltyProgramQuery = 
-    `SELECT target_visits, discount_percentage, note, active FROM loyalty_programs WHERE salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)`;
+    `SELECT target_visits, discount_percentage, note, active FROM loyalty_programs WHERE salon_id = ?`;
 
-    const [result] = await db.execute(updateLoyaltyProgramQuery,[owner_user_id]);
+    const [result] = await db.execute(updateLoyaltyProgramQuery,[salon_id]);
 
     if (result.length === 0) {
       return res.status(404).json({ 
@@ -822,11 +1307,8 @@ exports.getSalonHours = async (req, res) => {
   const db = connection.promise();
   
   try {
-      const owner_user_id = req.user?.user_id;
-      
-   
-      const getSalonQuery = 'SELECT salon_id FROM salons WHERE owner_user_id = ?';
-      const [salonResult] = await db.execute(getSalonQuery, [owner_user_id]);
+      const getSalonQuery = 'SELECT salon_id FROM salons WHERE salon_id = ?';
+      const [salonResult] = await db.execute(getSalonQuery, [req.salon_id]);
       
 
       const salon_id = salonResult[0].salon_id;
@@ -883,7 +1365,6 @@ exports.setSalonHours = async (req, res) => {
   
   try {
       const { weekly_hours } = req.body;
-      const owner_user_id = req.user?.user_id;
       
       if (!weekly_hours || typeof weekly_hours !== 'object') {
           return res.status(400).json({
@@ -891,8 +1372,8 @@ exports.setSalonHours = async (req, res) => {
           });
       }
       
-      const getSalonQuery = 'SELECT salon_id, timezone FROM salons WHERE owner_user_id = ?';
-      const [salonResult] = await db.execute(getSalonQuery, [owner_user_id]);
+      const getSalonQuery = 'SELECT salon_id, timezone FROM salons WHERE salon_id = ?';
+      const [salonResult] = await db.execute(getSalonQuery, [req.salon_id]);
     
       const salon_id = salonResult[0].salon_id;
       const salonTimezone = salonResult[0].timezone || 'America/New_York';
@@ -1119,36 +1600,211 @@ exports.setSalonHours = async (req, res) => {
   }
 };
 
-// BS 1.0 - Set employee availability (Owner only)
-exports.setEmployeeAvailability = async (req, res) => {
+// Salon for the date override endpoints (checked by requirePermission), null when the owner has none
+const getSalonForHours = async (db, req) => {
+  const [rows] = await db.execute(
+    'SELECT salon_id, name, timezone FROM salons WHERE salon_id = ?',
+    [req.salon_id ?? null]
+  );
+  return rows[0] || null;
+};
+
+const parseOverrideDate = (value) => {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? DateTime.fromISO(value) : null;
+  return date && date.isValid ? value : null;
+};
+
+// BS 1.0 - List holiday closures and special hours, ?from=&to= (YYYY-MM-DD, default today to 90 days ahead)
+exports.getSalonHoursOverrides = async (req, res) => {
   const db = connection.promise();
-  
+
   try {
-      const { employeeId } = req.params;
-      const { weekly_availability } = req.body;
-      const owner_user_id = req.user?.user_id;
-      
-      if (!weekly_availability || typeof weekly_availability !== 'object') {
-          return res.status(400).json({
-              message: 'weekly_availability object is required'
-          });
+    const salon = await getSalonForHours(db, req);
+    if (!salon) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+
+    const today = DateTime.now().setZone(salon.timezone || 'America/New_York');
+    const from = req.query.from === undefined ? today.toFormat('yyyy-MM-dd') : parseOverrideDate(req.query.from);
+    const to = req.query.to === undefined ? today.plus({ days: 90 }).toFormat('yyyy-MM-dd') : parseOverrideDate(req.query.to);
+    if (!from || !to || from > to) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD dates with from on or before to' });
+    }
+
+    const overrides = await getHoursOverrides(db, salon.salon_id, from, to);
+    return res.status(200).json({
+      data: Object.values(overrides).map(o => ({
+        date: o.date,
+        is_closed: !!o.is_closed,
+        start_time: o.start_time,
+        end_time: o.end_time,
+        note: o.note
+      }))
+    });
+  } catch (err) {
+    console.error('getSalonHoursOverrides error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// BS 1.0 - Close the salon on a date ({ is_closed: true, note }) or set special hours ({ start_time, end_time, note })
+// Scheduled bookings that no longer fit are flagged and their customers notified
+exports.setSalonHoursOverride = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const date = parseOverrideDate(req.params.date);
+    if (!date) {
+      return res.status(400).json({ message: 'Invalid date. Use YYYY-MM-DD' });
+    }
+
+    const { is_closed = false, start_time, end_time, note = null } = req.body || {};
+    if (typeof is_closed !== 'boolean') {
+      return res.status(400).json({ message: 'is_closed must be a boolean' });
+    }
+    if (note !== null && (typeof note !== 'string' || note.length > 255)) {
+      return res.status(400).json({ message: 'note must be a string of at most 255 characters' });
+    }
+
+    let startTime = null;
+    let endTime = null;
+    if (!is_closed) {
+      const startDt = typeof start_time === 'string' ? DateTime.fromISO(`${date}T${start_time}`) : null;
+      const endDt = typeof end_time === 'string' ? DateTime.fromISO(`${date}T${end_time}`) : null;
+      if (!startDt?.isValid || !endDt?.isValid) {
+        return res.status(400).json({ message: 'start_time and end_time are required unless is_closed is true' });
       }
-      
-     
-      const getSalonQuery = 'SELECT salon_id, timezone FROM salons WHERE owner_user_id = ?';
-      const [salonResult] = await db.execute(getSalonQuery, [owner_user_id]);
-      
-   
-      
-       const salon_id = salonResult[0].salon_id;
-       const salonTimezone = salonResult[0].timezone || 'America/New_York';
-       
-       // Get salon operating hours for validation
-      const getSalonHoursQuery = `
-          SELECT weekday, start_time, end_time 
-          FROM salon_availability 
-          WHERE salon_id = ?
-      `;
+      if (startDt >= endDt) {
+        return res.status(400).json({ message: 'start_time must be before end_time' });
+      }
+      startTime = startDt.toFormat('HH:mm:ss');
+      endTime = endDt.toFormat('HH:mm:ss');
+    }
+
+    const salon = await getSalonForHours(db, req);
+    if (!salon) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+    if (date < DateTime.now().setZone(salon.timezone || 'America/New_York').toFormat('yyyy-MM-dd')) {
+      return res.status(400).json({ message: 'Date cannot be in the past' });
+    }
+
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    await db.execute(
+      `INSERT INTO salon_hours_overrides (salon_id, override_date, is_closed, start_time, end_time, note, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE is_closed = VALUES(is_closed), start_time = VALUES(start_time),
+                               end_time = VALUES(end_time), note = VALUES(note), updated_at = VALUES(updated_at)`,
+      [salon.salon_id, date, is_closed ? 1 : 0, startTime, endTime, note, nowUtc, nowUtc]
+    );
+
+    const override = { date, is_closed, start_time: startTime, end_time: endTime, note };
+    const flaggedBookings = await flagBookingsForDate(db, salon, date, override);
+
+    const [employees] = await db.execute(
+      `SELECT e.employee_id, e.user_id, u.email
+       FROM employees e
+       JOIN users u ON e.user_id = u.user_id
+       WHERE e.salon_id = ? AND e.active = 1`,
+      [salon.salon_id]
+    );
+    const hoursText = is_closed ? 'closed' : `open ${startTime.slice(0, 5)} - ${endTime.slice(0, 5)}`;
+    try {
+      for (const employee of employees) {
+        await createNotification(db, {
+          user_id: employee.user_id,
+          salon_id: salon.salon_id,
+          employee_id: employee.employee_id,
+          email: employee.email,
+          type_code: 'SALON_HOURS_CHANGED',
+          message: `${salon.name} will be ${hoursText} on ${date}${note ? ` (${note})` : ''}.`,
+          sender_email: 'SYSTEM'
+        });
+      }
+    } catch (notifError) {
+      console.error('Failed to send salon hours override notifications:', notifError);
+    }
+
+    return res.status(200).json({
+      message: 'Salon hours override saved',
+      data: { ...override, flagged_bookings: flaggedBookings }
+    });
+  } catch (err) {
+    console.error('setSalonHoursOverride error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// BS 1.0 - Remove a date override so the weekly hours apply again
+exports.deleteSalonHoursOverride = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const date = parseOverrideDate(req.params.date);
+    if (!date) {
+      return res.status(400).json({ message: 'Invalid date. Use YYYY-MM-DD' });
+    }
+
+    const salon = await getSalonForHours(db, req);
+    if (!salon) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+
+    const [result] = await db.execute(
+      'DELETE FROM salon_hours_overrides WHERE salon_id = ? AND override_date = ?',
+      [salon.salon_id, date]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'No override for this date' });
+    }
+
+    await flagBookingsForDate(db, salon, date, null);
+
+    return res.status(200).json({ message: 'Salon hours override removed' });
+  } catch (err) {
+    console.error('deleteSalonHoursOverride error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// BS 1.0 - Set employee availability (Owner only)
+exports.setEmployeeAvailability = async (req, res) => {
+  const db = connection.promise();
+  
+  try {
+      const { employeeId } = req.params;
+      const { weekly_availability } = req.body;
+      
+      if (!weekly_availability || typeof weekly_availability !== 'object') {
+          return res.status(400).json({
+              message: 'weekly_availability object is required'
+          });
+      }
+      
+     
+      const getSalonQuery = 'SELECT salon_id, timezone FROM salons WHERE salon_id = ?';
+      const [salonResult] = await db.execute(getSalonQuery, [req.salon_id]);
+      
+   
+      
+       const salon_id = salonResult[0].salon_id;
+       const salonTimezone = salonResult[0].timezone || 'America/New_York';
+
+       // Availability is kept per salon: the stylist must work at this one
+       const [employeeRows] = await db.execute(
+           'SELECT employee_id FROM employees WHERE employee_id = ? AND salon_id = ? AND active = 1',
+           [employeeId, salon_id]
+       );
+       if (employeeRows.length === 0) {
+           return res.status(404).json({ message: 'Employee not found' });
+       }
+       
+       // Get salon operating hours for validation
+      const getSalonHoursQuery = `
+          SELECT weekday, start_time, end_time 
+          FROM salon_availability 
+          WHERE salon_id = ?
+      `;
       const [salonHoursResult] = await db.execute(getSalonHoursQuery, [salon_id]);
       
       const salonHours = {};
@@ -1421,13 +2077,19 @@ exports.getEmployeeAvailability = async (req, res) => {
   
   try {
       const { employeeId } = req.params;
-      const owner_user_id = req.user?.user_id;
-      
 
-      const getSalonQuery = 'SELECT salon_id FROM salons WHERE owner_user_id = ?';
-      const [salonResult] = await db.execute(getSalonQuery, [owner_user_id]);
+      const getSalonQuery = 'SELECT salon_id FROM salons WHERE salon_id = ?';
+      const [salonResult] = await db.execute(getSalonQuery, [req.salon_id]);
 
        const salon_id = salonResult[0].salon_id;
+
+       const [employeeRows] = await db.execute(
+           'SELECT employee_id FROM employees WHERE employee_id = ? AND salon_id = ? AND active = 1',
+           [employeeId, salon_id]
+       );
+       if (employeeRows.length === 0) {
+           return res.status(404).json({ message: 'Employee not found' });
+       }
        
        // Get employee availability
       const getAvailabilityQuery = `
@@ -1505,10 +2167,8 @@ exports.getEmployees = async (req, res) => {
   const db = connection.promise();
   
   try {
-      const owner_user_id = req.user?.user_id;
-      
-      const getSalonQuery = 'SELECT salon_id FROM salons WHERE owner_user_id = ?';
-      const [salonResult] = await db.execute(getSalonQuery, [owner_user_id]);
+      const getSalonQuery = 'SELECT salon_id FROM salons WHERE salon_id = ?';
+      const [salonResult] = await db.execute(getSalonQuery, [req.salon_id]);
       
 
       const salon_id = salonResult[0].salon_id;
@@ -1676,224 +2336,10 @@ exports.getAvailableTimeSlotsRange = async (req, res) => {
           return res.status(404).json({ message: 'Stylist not found or not available' });
       }
       
-      // Get all employee availability
-      const getAvailabilityQuery = `
-          SELECT weekday, start_time, end_time, slot_interval_minutes
-          FROM employee_availability 
-          WHERE employee_id = ?
-          ORDER BY weekday
-      `;
-      const [availabilityResult] = await db.execute(getAvailabilityQuery, [employee_id]);
-      
-      // Get all employee unavailability
-      const getUnavailabilityQuery = `
-          SELECT weekday, start_time, end_time
-          FROM employee_unavailability 
-          WHERE employee_id = ?
-          ORDER BY weekday, start_time
-      `;
-      const [unavailabilityResult] = await db.execute(getUnavailabilityQuery, [employee_id]);
-      
-      // Get existing bookings for the date range
-      // Use DATE_FORMAT to return SQL format (YYYY-MM-DD HH:mm:ss) instead of ISO
-      const getBookingsQuery = `
-          SELECT DISTINCT 
-              DATE_FORMAT(b.scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
-              DATE_FORMAT(b.scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end,
-              b.status
-          FROM bookings b
-          JOIN booking_services bs ON b.booking_id = bs.booking_id
-          WHERE bs.employee_id = ? 
-          AND b.scheduled_start < ? 
-          AND b.scheduled_end > ?
-          AND b.status NOT IN ('CANCELED', 'NO_SHOW')
-          ORDER BY scheduled_start
-      `;
-      const startDateUtc = toMySQLUtc(startDate);
-      const endDateUtc = toMySQLUtc(endDate.endOf('day')); // End of day
-      const [bookingsResult] = await db.execute(getBookingsQuery, [employee_id, endDateUtc, startDateUtc]);
-      
-      // Create availability map by weekday
-      const availabilityMap = {};
-      availabilityResult.forEach(avail => {
-          availabilityMap[avail.weekday] = avail;
-      });
-      
-      // Create unavailability map by weekday
-      const unavailabilityMap = {};
-      unavailabilityResult.forEach(unavail => {
-          if (!unavailabilityMap[unavail.weekday]) {
-              unavailabilityMap[unavail.weekday] = [];
-          }
-          unavailabilityMap[unavail.weekday].push(unavail);
-      });
-      
-      // Parse all bookings once - we'll check ALL bookings against ALL slots
-      const allBookings = [];
-      bookingsResult.forEach(booking => {
-          const bookingStart = DateTime.fromSQL(booking.scheduled_start, { zone: 'utc' });
-          const bookingEnd = DateTime.fromSQL(booking.scheduled_end, { zone: 'utc' });
-          if (bookingStart.isValid && bookingEnd.isValid) {
-              allBookings.push({
-                  start: bookingStart,
-                  end: bookingEnd,
-                  status: booking.status
-              });
-          }
+      const dailySlots = await buildStylistDailySlots(db, {
+          salon_id, employee_id, salonTimezone, startDate, endDate, serviceDurationMinutes
       });
       
-      // Generate time slots for each day
-      const dailySlots = {};
-      let currentDate = startDate;
-      
-      while (currentDate <= endDate) {
-          const dateStr = currentDate.toFormat('yyyy-MM-dd');
-          // Convert Luxon weekday to database weekday
-          const dayOfWeek = luxonWeekdayToDb(currentDate.weekday);
-          const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek];
-          
-          const availability = availabilityMap[dayOfWeek];
-          const unavailability = unavailabilityMap[dayOfWeek] || [];
-          
-          if (!availability) {
-              dailySlots[dateStr] = {
-                  date: dateStr,
-                  day_name: dayName,
-                  available_slots: [],
-                  is_closed: true,
-                  message: 'No availability set for this day'
-              };
-          } else {
-              const allSlots = [];
-              const availabilityStart = localAvailabilityToUtc(availability.start_time, dateStr, salonTimezone);
-              const availabilityEnd = localAvailabilityToUtc(availability.end_time, dateStr, salonTimezone);
-              const slotIntervalMinutes = availability.slot_interval_minutes || 30;
-              
-              logUtcDebug(`getAvailableTimeSlotsRange ${dateStr} availabilityStart`, availabilityStart);
-              logUtcDebug(`getAvailableTimeSlotsRange ${dateStr} availabilityEnd`, availabilityEnd);
-              
-              // Collect all blocked time ranges with their types
-              const blockedTimes = [];
-              
-              // Track unavailability blocks
-              unavailability.forEach(block => {
-                  blockedTimes.push({
-                      start: localAvailabilityToUtc(block.start_time, dateStr, salonTimezone),
-                      end: localAvailabilityToUtc(block.end_time, dateStr, salonTimezone),
-                      type: 'blocked' // unavailability block
-                  });
-              });
-              
-              // Track bookings - check ALL bookings, not just ones for this date
-              // A booking can overlap with slots on any day in the range
-              allBookings.forEach(booking => {
-                  blockedTimes.push({
-                      start: booking.start,
-                      end: booking.end,
-                      type: 'booked' // existing booking
-                  });
-              });
-              
-              const getSlotBlockReason = (slotStart, slotEnd) => {
-                  const slotStartUtc = slotStart.toUTC();
-                  const slotEndUtc = slotEnd.toUTC();
-                  
-                  for (const blocked of blockedTimes) {
-                      const blockedStartUtc = blocked.start.toUTC();
-                      const blockedEndUtc = blocked.end.toUTC();
-                      
-                      const overlaps = (slotStartUtc < blockedEndUtc) && (blockedStartUtc < slotEndUtc);
-                      
-                      if (overlaps) {
-                          logUtcDebug(`getAvailableTimeSlotsRange ${dateStr} slot blocked`, {
-                              slotStart: slotStartUtc.toISO(),
-                              slotEnd: slotEndUtc.toISO(),
-                              blockedStart: blockedStartUtc.toISO(),
-                              blockedEnd: blockedEndUtc.toISO(),
-                              type: blocked.type
-                          });
-                          return blocked.type; // Return 'booked' or 'blocked'
-                      }
-                  }
-                  return null; // Slot is available
-              };
-              
-              const now = DateTime.utc();
-              const todayStr = now.toFormat('yyyy-MM-dd');
-              const isCurrentDay = dateStr === todayStr;
-              
-              // Generate all possible slots within availability window
-              let slotStart = availabilityStart;
-              
-              // If current day, skip past slots
-              if (isCurrentDay && slotStart < now) {
-                  // Round up to next slot interval
-                  const minutesSinceStartOfHour = now.minute + (now.second / 60);
-                  const roundedMinutes = Math.ceil(minutesSinceStartOfHour / slotIntervalMinutes) * slotIntervalMinutes;
-                  const roundedNow = now.startOf('hour').plus({ minutes: roundedMinutes });
-                  slotStart = roundedNow > slotStart ? roundedNow : slotStart;
-              }
-              
-              // Generate all slots from start to end
-              // Slots are spaced by serviceDurationMinutes (non-overlapping)
-              while (slotStart < availabilityEnd) {
-                  const slotEnd = slotStart.plus({ minutes: serviceDurationMinutes });
-                  
-                  // Skip this slot if it extends past the availability end time
-                  if (slotEnd > availabilityEnd) {
-                      break;
-                  }
-                  
-                  // Check if this slot is blocked and get the reason
-                  const blockReason = getSlotBlockReason(slotStart, slotEnd);
-                  const isBlocked = blockReason !== null;
-                  
-                  // Convert to salon local timezone for display
-                  const slotStartLocal = slotStart.setZone(salonTimezone);
-                  const slotEndLocal = slotEnd.setZone(salonTimezone);
-                  
-                  // Build slot object
-                  const slot = {
-                      start_time: slotStart.toISO(),
-                      end_time: slotEnd.toISO(),
-                      display_start_time: slotStartLocal.toISO(),
-                      display_end_time: slotEndLocal.toISO(),
-                      available: !isBlocked
-                  };
-                  
-                  // Add unavailable_reason if slot is not available
-                  if (!isBlocked) {
-                      // Slot is available, no reason needed
-                  } else {
-                      // Slot is unavailable, add reason
-                      slot.unavailable_reason = blockReason || 'unavailable';
-                  }
-                  
-                  allSlots.push(slot);
-                  
-                  // Move to next slot - use serviceDurationMinutes for spacing
-                  slotStart = slotStart.plus({ minutes: serviceDurationMinutes });
-              }
-              
-              const availableSlotsCount = allSlots.filter(slot => slot.available === true).length;
-              const isClosed = availableSlotsCount === 0;
-              
-              dailySlots[dateStr] = {
-                  date: dateStr,
-                  day_name: dayName,
-                  availability: {
-                      start_time: availability.start_time,
-                      end_time: availability.end_time
-                  },
-                  available_slots: allSlots,
-                  total_slots: allSlots.length,
-                  is_closed: isClosed
-              };
-          }
-          
-          currentDate = currentDate.plus({ days: 1 });
-      }
-      
       return res.status(200).json({
           data: {
               stylist: {
@@ -1918,6 +2364,203 @@ exports.getAvailableTimeSlotsRange = async (req, res) => {
   }
 };
 
+// BS 1.1 - Discovery: which salons/stylists have a free slot on a date, e.g.
+// ?service=balayage&date=2025-11-15&from=13:00&to=16:00&lat=40.7&lng=-74&radius_km=10
+// service matches active service names the stylist offers (the slot length is that service's duration);
+// category alone matches any active stylist at salons of that category, with slots of ?duration= minutes (default 30).
+// date/from/to are in each salon's local time.
+// SQL narrows the salons (closest first with a location, otherwise by name) to those with a stylist whose hours for
+// the date overlap the window. Only salons with a free slot are listed and counted in meta.total, so every one of
+// them is checked: salons off the page stop at their first stylist with a free slot, salons on the page list them all.
+exports.discoverAvailability = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const { service, category, date, from = '00:00', to = '23:59', duration = 30 } = req.query;
+
+    const serviceTerm = typeof service === 'string' ? service.trim() : '';
+    let normalizedCategory = null;
+    if (category !== undefined) {
+      normalizedCategory = String(category).trim().toUpperCase();
+      if (!ALLOWED_CATEGORIES.has(normalizedCategory)) {
+        return res.status(400).json({ message: "Invalid 'category'", allowed: Array.from(ALLOWED_CATEGORIES) });
+      }
+    }
+    if (!serviceTerm && !normalizedCategory) {
+      return res.status(400).json({ message: 'Provide a service name and/or a category' });
+    }
+    if (serviceTerm.length > 100) {
+      return res.status(400).json({ message: 'service must be at most 100 characters' });
+    }
+
+    const day = typeof date === 'string' ? DateTime.fromISO(date + 'T00:00:00Z', { zone: 'utc' }) : null;
+    if (!day || !day.isValid || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ message: 'date is required in YYYY-MM-DD format' });
+    }
+    if (day < DateTime.utc().startOf('day').minus({ days: 1 })) {
+      return res.status(400).json({ message: 'date cannot be in the past' });
+    }
+
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!timePattern.test(from) || !timePattern.test(to) || from >= to) {
+      return res.status(400).json({ message: 'from and to must be HH:mm times with from before to' });
+    }
+
+    const slotMinutes = parseInt(duration);
+    if (isNaN(slotMinutes) || slotMinutes <= 0 || slotMinutes > 24 * 60) {
+      return res.status(400).json({ message: 'Invalid duration. Must be a positive number (minutes)' });
+    }
+
+    const { origin, radiusKm, error: locationError } = parseLocationQuery(req.query);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+
+    const { limit, offset, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return res.status(400).json({ message: paginationError });
+    }
+
+    const { distanceSql, distanceParams, radiusWhere, radiusParams } = locationSql(origin, radiusKm);
+    // Stylists working that weekday whose hours (narrowed to the salon's special hours) overlap the window, salon not closed
+    const where = [
+      `s.status = 'APPROVED'`,
+      'e.active = 1',
+      '(ho.is_closed IS NULL OR ho.is_closed = 0)',
+      `EXISTS (SELECT 1 FROM employee_availability ea
+               WHERE ea.employee_id = e.employee_id AND ea.weekday = ?
+                 AND GREATEST(ea.start_time, COALESCE(ho.start_time, ea.start_time)) < LEAST(ea.end_time, COALESCE(ho.end_time, ea.end_time))
+                 AND GREATEST(ea.start_time, COALESCE(ho.start_time, ea.start_time)) < ?
+                 AND LEAST(ea.end_time, COALESCE(ho.end_time, ea.end_time)) > ?)`,
+      ...radiusWhere
+    ];
+    const params = [date, luxonWeekdayToDb(day.weekday), `${to}:00`, `${from}:00`, ...radiusParams];
+    if (normalizedCategory) {
+      where.push('s.category = ?');
+      params.push(normalizedCategory);
+    }
+    if (serviceTerm) {
+      where.push('sv.name LIKE ?');
+      params.push(`%${serviceTerm.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    const fromSql = `FROM salons s
+       JOIN employees e ON e.salon_id = s.salon_id
+       JOIN users u ON u.user_id = e.user_id
+       LEFT JOIN salon_hours_overrides ho ON ho.salon_id = s.salon_id AND ho.override_date = ?
+       ${serviceTerm ? `JOIN employee_services es ON es.employee_id = e.employee_id
+       JOIN services sv ON sv.service_id = es.service_id AND sv.salon_id = s.salon_id AND sv.active = 1` : ''}
+       WHERE ${where.join(' AND ')}`;
+    const orderSql = `${origin ? 'distance_km IS NULL, distance_km ASC,' : ''} s.name ASC, s.salon_id ASC`;
+
+    const [orderedSalons] = await db.execute(
+      `SELECT s.salon_id ${origin ? `, ${distanceSql} AS distance_km` : ''}
+       ${fromSql}
+       GROUP BY s.salon_id, s.name
+       ORDER BY ${orderSql}`,
+      [...distanceParams, ...params]
+    );
+
+    const now = DateTime.utc();
+    //free slots of a stylist inside the requested local window
+    const freeSlots = async (candidate) => {
+      const dailySlots = await buildStylistDailySlots(db, {
+        salon_id: candidate.salon_id,
+        employee_id: candidate.employee_id,
+        salonTimezone: candidate.timezone || 'America/New_York',
+        startDate: day,
+        endDate: day,
+        serviceDurationMinutes: serviceTerm ? candidate.duration_minutes : slotMinutes
+      });
+
+      return (dailySlots[date]?.available_slots || [])
+        .filter(slot => {
+          if (!slot.available || DateTime.fromISO(slot.start_time) <= now) return false;
+          const localStart = DateTime.fromISO(slot.display_start_time, { setZone: true }).toFormat('HH:mm');
+          const localEnd = DateTime.fromISO(slot.display_end_time, { setZone: true }).toFormat('HH:mm');
+          return localStart >= from && localEnd <= to && localEnd > localStart;
+        })
+        .map(slot => ({
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+          display_start_time: slot.display_start_time,
+          display_end_time: slot.display_end_time
+        }));
+    };
+
+    const data = [];
+    let total = 0;
+
+    for (let i = 0; i < orderedSalons.length; i += DISCOVERY_BATCH_SIZE) {
+      const batchSalonIds = orderedSalons.slice(i, i + DISCOVERY_BATCH_SIZE).map(row => row.salon_id);
+      const [candidates] = await db.execute(
+        `SELECT s.salon_id, s.name AS salon_name, s.category, s.address, s.city, s.state, s.timezone,
+                e.employee_id, e.title, u.full_name
+                ${serviceTerm ? ', sv.service_id, sv.name AS service_name, sv.duration_minutes, sv.price' : ''}
+                ${origin ? `, ${distanceSql} AS distance_km` : ''}
+         ${fromSql} AND s.salon_id IN (${batchSalonIds.map(() => '?').join(',')})
+         ORDER BY ${orderSql}, u.full_name ASC`,
+        [...distanceParams, ...params, ...batchSalonIds]
+      );
+
+      const candidatesBySalon = new Map(batchSalonIds.map(salonId => [salonId, []]));
+      for (const candidate of candidates) {
+        candidatesBySalon.get(candidate.salon_id).push(candidate);
+      }
+
+      for (const [salonId, salonCandidates] of candidatesBySalon) {
+        const onPage = total >= offset && total < offset + limit;
+        const stylists = [];
+
+        for (const candidate of salonCandidates) {
+          const slots = await freeSlots(candidate);
+          if (slots.length === 0) continue;
+
+          stylists.push({
+            employee_id: candidate.employee_id,
+            name: candidate.full_name,
+            title: candidate.title,
+            service: serviceTerm ? {
+              service_id: candidate.service_id,
+              name: candidate.service_name,
+              duration_minutes: candidate.duration_minutes,
+              price: candidate.price
+            } : null,
+            slots
+          });
+          if (!onPage) break;
+        }
+
+        if (stylists.length === 0) continue;
+        total += 1;
+
+        if (onPage) {
+          const salon = salonCandidates[0];
+          data.push({
+            salon_id: salonId,
+            name: salon.salon_name,
+            category: salon.category,
+            address: salon.address,
+            city: salon.city,
+            state: salon.state,
+            timezone: salon.timezone || 'America/New_York',
+            ...(origin ? { distance_km: salon.distance_km === null ? null : Number(Number(salon.distance_km).toFixed(2)) } : {}),
+            stylists
+          });
+        }
+      }
+    }
+
+    return res.status(200).json({
+      data,
+      meta: { total, limit, offset, hasMore: offset + data.length < total }
+    });
+  } catch (err) {
+    console.error('discoverAvailability error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 // BS 1.01 - Stylist creates a service and adds it to their profile
 exports.createAndAddServiceToStylist = async (req, res) => {
   const db = connection.promise();
@@ -1947,9 +2590,10 @@ exports.createAndAddServiceToStylist = async (req, res) => {
     const getEmployeeQuery = `
       SELECT e.employee_id, e.salon_id 
       FROM employees e 
-      WHERE e.user_id = ? AND e.active = 1
+      WHERE e.employee_id = ? AND e.user_id = ? AND e.active = 1
     `;
-    const [employeeResult] = await db.execute(getEmployeeQuery, [user_id]);
+    // req.employee_id is the employment picked by employeeSalonContext
+    const [employeeResult] = await db.execute(getEmployeeQuery, [req.employee_id ?? null, user_id]);
     
     const employee_id = employeeResult[0].employee_id;
     const salon_id = employeeResult[0].salon_id;
@@ -2055,9 +2699,9 @@ exports.removeServiceFromStylist = async (req, res) => {
     const getEmployeeQuery = `
       SELECT e.employee_id, e.salon_id 
       FROM employees e 
-      WHERE e.user_id = ? AND e.active = 1
+      WHERE e.employee_id = ? AND e.user_id = ? AND e.active = 1
     `;
-    const [employeeResult] = await db.execute(getEmployeeQuery, [user_id]);
+    const [employeeResult] = await db.execute(getEmployeeQuery, [req.employee_id ?? null, user_id]);
     
 
     const employee_id = employeeResult[0].employee_id;
@@ -2192,9 +2836,9 @@ exports.updateServiceFromStylist = async (req, res) => {
     const getEmployeeQuery = `
       SELECT e.employee_id, e.salon_id 
       FROM employees e 
-      WHERE e.user_id = ? AND e.active = 1
+      WHERE e.employee_id = ? AND e.user_id = ? AND e.active = 1
     `;
-    const [employeeResult] = await db.execute(getEmployeeQuery, [user_id]);
+    const [employeeResult] = await db.execute(getEmployeeQuery, [req.employee_id ?? null, user_id]);
     
     if (employeeResult.length === 0) {
       return res.status(404).json({ message: 'Employee profile not found' });
@@ -2350,9 +2994,9 @@ exports.getStylistServices = async (req, res) => {
       const getEmployeeQuery = `
         SELECT e.employee_id, e.salon_id, e.title 
         FROM employees e 
-        WHERE e.user_id = ? AND e.active = 1
+        WHERE e.employee_id = ? AND e.user_id = ? AND e.active = 1
       `;
-      const [employeeResult] = await db.execute(getEmployeeQuery, [employee_user_id]);
+      const [employeeResult] = await db.execute(getEmployeeQuery, [req.employee_id ?? null, employee_user_id]);
       
       if (employeeResult.length === 0) {
         return res.status(404).json({ message: 'Employee profile not found' });
@@ -2455,61 +3099,296 @@ exports.browseSalonServices = async (req, res) => {
 };
 
 
-// BS 1.1 - Book a time slot for a customer
-exports.bookTimeSlot = async (req, res) => {
-  const db = connection.promise();
+// BS 1.1 - Recurring appointments (bookTimeSlot with a recurrence): the same services with the same stylist
+// every N weeks. Every occurrence is held as a PENDING booking and paid through the regular checkout; the series
+// expires like a single hold unless one occurrence is paid within 5 minutes (see runPendingBookingCleanup).
+// Occurrences that can't be booked are reported with alternative times; with skip_conflicts the rest is booked.
+const bookSeries = async (db, res, { salon_id, employee_id, customer_user_id, salonTimezone, startDate, services, detailsById,
+  totalDurationMinutes, employee, notes, recurrence: rawRecurrence }) => {
+  const recurrence = parseRecurrence(rawRecurrence);
+  if (recurrence.error) {
+    return res.status(400).json({ message: recurrence.error });
+  }
 
-  try {
-    const { salon_id, employee_id } = req.params;
-    const { scheduled_start, services, notes = ''} = req.body;
-    const customer_user_id = req.user?.user_id;
+  const { starts, error } = occurrenceStarts(startDate, recurrence, salonTimezone);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
+  const { bookable, conflicts } = await checkOccurrences(db, {
+    salon_id,
+    employee_id,
+    salonTimezone,
+    starts,
+    durationMinutes: totalDurationMinutes
+  });
+  if (bookable.length === 0 || (conflicts.length > 0 && !recurrence.skipConflicts)) {
+    return res.status(409).json({
+      message: 'Some occurrences of the series are not available',
+      data: { conflicts }
+    });
+  }
 
+  const nowUtc = toMySQLUtc(DateTime.utc());
+  const occurrences = [];
+  let series_id;
 
-    if (!salon_id || isNaN(salon_id) || !employee_id || isNaN(employee_id)) {
-      return res.status(400).json({ message: 'Invalid salon_id or employee_id' });
-    }
-    if (!scheduled_start) {
-      return res.status(400).json({ message: 'scheduled_start is required' });
-    }
-    if (!services || !Array.isArray(services) || services.length === 0) {
-      return res.status(400).json({ message: 'At least one service is required' });
-    }
+  await db.query('START TRANSACTION');
+  try {
+    const [seriesResult] = await db.execute(
+      `INSERT INTO booking_series
+         (salon_id, customer_user_id, employee_id, interval_weeks, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 'ACTIVE', ?, ?)`,
+      [salon_id, customer_user_id, employee_id, recurrence.intervalWeeks, nowUtc, nowUtc]
+    );
+    series_id = seriesResult.insertId;
 
-    let startDate;
-    if (typeof scheduled_start === 'string') {
-      const hasTimezone = /([zZ]|[+-]\d{2}:\d{2})$/.test(scheduled_start);
-      if (!hasTimezone) {
-        return res.status(400).json({
-          message: 'scheduled_start must include a timezone offset (e.g., 2025-11-12T09:00:00-05:00 or 2025-11-12T14:00:00Z)'
-        });
+    for (const { occurrence, start, end } of bookable) {
+      const [bookingResult] = await db.execute(
+        `INSERT INTO bookings
+           (salon_id, customer_user_id, series_id, scheduled_start, scheduled_end, status, notes, created_at, updated_at)
+         VALUES
+           (?, ?, ?, ?, ?, 'PENDING', ?, ?, ?)`,
+        [salon_id, customer_user_id, series_id, toMySQLUtc(start), toMySQLUtc(end), notes, nowUtc, nowUtc]
+      );
+
+      for (const s of services) {
+        const sd = detailsById[s.service_id];
+        await db.execute(
+          `INSERT INTO booking_services
+             (booking_id, employee_id, service_id, price, duration_minutes, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [bookingResult.insertId, employee_id, s.service_id, sd.price, sd.duration_minutes, nowUtc, nowUtc]
+        );
       }
-      startDate = DateTime.fromISO(scheduled_start);
-    } else {
-      return res.status(400).json({
-        message: 'scheduled_start must be a string in ISO 8601 format with timezone'
+
+      occurrences.push({
+        occurrence,
+        booking_id: bookingResult.insertId,
+        scheduled_start: formatDateTime(start),
+        scheduled_end: formatDateTime(end),
+        status: 'PENDING'
       });
     }
 
-    if (!startDate.isValid) {
-      return res.status(400).json({
-        message: `Invalid scheduled_start: ${startDate.invalidReason || 'Invalid format'}. Provide a valid ISO 8601 datetime with timezone.`
+    await db.query('COMMIT');
+  } catch (DBerror) {
+    await db.query('ROLLBACK');
+    throw DBerror;
+  }
+
+  const [participants] = await db.execute(
+    `SELECT c.user_id AS customer_user_id, c.email AS customer_email, c.full_name AS customer_name,
+            su.user_id AS stylist_user_id, su.email AS stylist_email, s.name AS salon_name
+     FROM users c
+     JOIN employees e ON e.employee_id = ?
+     JOIN users su ON su.user_id = e.user_id
+     JOIN salons s ON s.salon_id = e.salon_id
+     WHERE c.user_id = ?`,
+    [employee_id, customer_user_id]
+  );
+  const servicesList = services.map(s => detailsById[s.service_id].name).join(', ');
+  const firstDateStr = bookable[0].start.setZone(salonTimezone).toFormat('EEE, MMM d, yyyy h:mm a');
+  const cadence = `every ${recurrence.intervalWeeks === 1 ? 'week' : `${recurrence.intervalWeeks} weeks`}`;
+
+  if (participants.length > 0) {
+    const p = participants[0];
+    try {
+      await createNotification(db, {
+        user_id: p.customer_user_id,
+        salon_id,
+        employee_id,
+        email: p.customer_email,
+        type_code: 'BOOKING_CREATED',
+        message: `Your recurring appointment with ${employee.full_name} at ${p.salon_name} has been booked ${cadence} starting ${firstDateStr} (${occurrences.length} appointments). Services: ${servicesList}.`,
+        sender_email: 'SYSTEM'
+      });
+      await createNotification(db, {
+        user_id: p.stylist_user_id,
+        salon_id,
+        employee_id,
+        email: p.stylist_email,
+        type_code: 'BOOKING_CREATED',
+        message: `New recurring appointment: ${p.customer_name || 'Customer'} ${cadence} starting ${firstDateStr} (${occurrences.length} appointments). Services: ${servicesList}.`,
+        sender_email: p.customer_email || 'SYSTEM'
+      });
+    } catch (notifError) {
+      console.error('Failed to send recurring booking notifications:', notifError);
+    }
+  }
+
+  return res.status(201).json({
+    message: 'Recurring appointments booked successfully',
+    data: {
+      series_id,
+      interval_weeks: recurrence.intervalWeeks,
+      stylist: {
+        employee_id: parseInt(employee_id),
+        name: employee.full_name,
+        title: employee.title
+      },
+      services: services.map(s => ({
+        service_id: s.service_id,
+        service_name: detailsById[s.service_id].name,
+        duration_minutes: detailsById[s.service_id].duration_minutes,
+        price: Number(detailsById[s.service_id].price)
+      })),
+      occurrences,
+      skipped: conflicts,
+      expires_at: DateTime.min(bookable[0].start, DateTime.utc().plus({ minutes: 5 })).toISO()
+    }
+  });
+};
+
+// BS 1.1 - Holds the stylist's time as a PENDING booking until payment (expires after 5 minutes) and sends the
+// booking response. Callers have already checked the slot with checkStylistSlot; extraData is added to the response.
+// With recordAssignment the stylist becomes the salon's last assigned one (round-robin) in the same transaction.
+const holdTimeSlot = async (db, res, { salon_id, employee_id, customer_user_id, startDate, endDate, services, detailsById,
+  employee, notes, extraData = {}, recordAssignment = false }) => {
+  const requestStartStr = toMySQLUtc(startDate);
+  const requestEndStr   = toMySQLUtc(endDate);
+
+  await db.query('START TRANSACTION');
+  try {
+    logUtcDebug('salonController.holdTimeSlot inserting booking scheduled_start', requestStartStr);
+    logUtcDebug('salonController.holdTimeSlot inserting booking scheduled_end', requestEndStr);
+
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    const [bookingResult] = await db.execute(
+      `INSERT INTO bookings
+         (salon_id, customer_user_id, scheduled_start, scheduled_end, status, notes, created_at, updated_at)
+       VALUES
+         (?, ?, ?, ?, 'PENDING', ?, ?, ?)`,
+      [salon_id, customer_user_id, requestStartStr, requestEndStr, notes, nowUtc, nowUtc]
+    );
+
+    const booking_id = bookingResult.insertId;
+
+    // Link services to booking
+    for (const s of services) {
+      const sd = detailsById[s.service_id];
+      await db.execute(
+        `INSERT INTO booking_services
+           (booking_id, employee_id, service_id, price, duration_minutes, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [booking_id, employee_id, s.service_id, sd.price, sd.duration_minutes, nowUtc, nowUtc]
+      );
+    }
+
+    if (recordAssignment) {
+      await db.execute(
+        'UPDATE salons SET last_assigned_employee_id = ? WHERE salon_id = ?',
+        [employee_id, salon_id]
+      );
+    }
+
+    const totalPrice = services.reduce((sum, s) => sum + Number(detailsById[s.service_id].price), 0);
+
+    logUtcDebug('salonController.holdTimeSlot response scheduled_start', startDate);
+    logUtcDebug('salonController.holdTimeSlot response scheduled_end', endDate);
+
+    await db.query('COMMIT');
+
+    const now = DateTime.utc();
+    const fiveMinutesFromNow = now.plus({ minutes: 5 });
+    const expiresAt = startDate < fiveMinutesFromNow ? startDate : fiveMinutesFromNow; 
+
+    return res.status(201).json({
+      message: 'Appointment booked successfully',
+      data: {
+        booking_id,
+        stylist: {
+          employee_id: parseInt(employee_id),
+          name: employee.full_name,
+          title: employee.title
+        },
+        appointment: {
+          scheduled_start: formatDateTime(startDate),
+          scheduled_end: formatDateTime(endDate),
+          duration_minutes: Math.round(endDate.diff(startDate, 'minutes').minutes),
+          status: 'PENDING'
+        },
+        services: services.map(s => ({
+          service_id: s.service_id,
+          service_name: detailsById[s.service_id].name,
+          duration_minutes: detailsById[s.service_id].duration_minutes,
+          price: Number(detailsById[s.service_id].price)
+        })),
+        total_price: totalPrice,
+        notes,
+        created_at: now.toISO(),
+        expires_at: expiresAt.toISO(),
+        ...extraData
+      }
+    });
+
+  } catch (DBerror) {
+    await db.query('ROLLBACK');
+    throw DBerror;
+  }
+};
+
+// BS 1.1 - Book a time slot for a customer
+exports.bookTimeSlot = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const { salon_id, employee_id } = req.params;
+    const { scheduled_start, services, notes = ''} = req.body;
+    const customer_user_id = req.user?.user_id;
+
+
+
+    if (!salon_id || isNaN(salon_id) || !employee_id || isNaN(employee_id)) {
+      return res.status(400).json({ message: 'Invalid salon_id or employee_id' });
+    }
+    if (!scheduled_start) {
+      return res.status(400).json({ message: 'scheduled_start is required' });
+    }
+    if (!services || !Array.isArray(services) || services.length === 0) {
+      return res.status(400).json({ message: 'At least one service is required' });
+    }
+
+    let startDate;
+    if (typeof scheduled_start === 'string') {
+      const hasTimezone = /([zZ]|[+-]\d{2}:\d{2})$/.test(scheduled_start);
+      if (!hasTimezone) {
+        return res.status(400).json({
+          message: 'scheduled_start must include a timezone offset (e.g., 2025-11-12T09:00:00-05:00 or 2025-11-12T14:00:00Z)'
+        });
+      }
+      startDate = DateTime.fromISO(scheduled_start);
+    } else {
+      return res.status(400).json({
+        message: 'scheduled_start must be a string in ISO 8601 format with timezone'
       });
     }
-    
-    // Convert to UTC for consistent processing
-    startDate = startDate.toUTC();
-    
-    const [salonTimezoneResult] = await db.execute(
-      'SELECT timezone FROM salons WHERE salon_id = ?',
-      [salon_id]
-    );
-    const salonTimezone = salonTimezoneResult[0]?.timezone || 'America/New_York';
-    
-    const now = DateTime.utc();
-    if (startDate < now) {
-      return res.status(400).json({ message: 'Cannot book appointments in the past' });
-    }
+
+    if (!startDate.isValid) {
+      return res.status(400).json({
+        message: `Invalid scheduled_start: ${startDate.invalidReason || 'Invalid format'}. Provide a valid ISO 8601 datetime with timezone.`
+      });
+    }
+    
+    // Convert to UTC for consistent processing
+    startDate = startDate.toUTC();
+    
+    const [salonTimezoneResult] = await db.execute(
+      'SELECT timezone, status FROM salons WHERE salon_id = ?',
+      [salon_id]
+    );
+    if (salonTimezoneResult.length === 0) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+    if (salonTimezoneResult[0].status !== 'APPROVED') {
+      return res.status(403).json({ message: 'Salon is not available for booking' });
+    }
+    const salonTimezone = salonTimezoneResult[0]?.timezone || 'America/New_York';
+    
+    const now = DateTime.utc();
+    if (startDate < now) {
+      return res.status(400).json({ message: 'Cannot book appointments in the past' });
+    }
 
     const serviceIds = services.map(s => s.service_id);
     const placeholders = serviceIds.map(() => '?').join(',');
@@ -2566,172 +3445,424 @@ exports.bookTimeSlot = async (req, res) => {
       });
     }
 
+    // Recurring series: { recurrence: { interval_weeks, count | until, skip_conflicts } }
+    if (req.body.recurrence !== undefined) {
+      return bookSeries(db, res, {
+        salon_id,
+        employee_id,
+        customer_user_id,
+        salonTimezone,
+        startDate,
+        services,
+        detailsById,
+        totalDurationMinutes,
+        employee: employeeResult[0],
+        notes,
+        recurrence: req.body.recurrence
+      });
+    }
+
     const requestStartStr = toMySQLUtc(startDate);
     const requestEndStr   = toMySQLUtc(endDate);
     logUtcDebug('salonController.bookTimeSlot requestStartStr', requestStartStr);
     logUtcDebug('salonController.bookTimeSlot requestEndStr', requestEndStr);
 
-    const [conflictsResult] = await db.execute(
-      `SELECT b.booking_id, 
-              DATE_FORMAT(b.scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
-              DATE_FORMAT(b.scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end
-       FROM bookings b
-       JOIN booking_services bs ON b.booking_id = bs.booking_id
-       WHERE bs.employee_id = ?
-         AND b.status NOT IN ('CANCELED', 'NO_SHOW')
-         AND b.scheduled_start < ?
-         AND b.scheduled_end > ?`,
-      [employee_id, requestEndStr, requestStartStr]
-    );
+    // Existing bookings, availability, closures, unavailability blocks and time off
+    const slotProblem = await checkStylistSlot(db, { salon_id, employee_id, salonTimezone, startDate, endDate });
+    if (slotProblem) {
+      return res.status(slotProblem.status).json(slotProblem.body);
+    }
+
+    logUtcDebug('salonController.bookTimeSlot computed startDate', startDate);
+    logUtcDebug('salonController.bookTimeSlot computed endDate', endDate);
+
+    return holdTimeSlot(db, res, {
+      salon_id,
+      employee_id,
+      customer_user_id,
+      startDate,
+      endDate,
+      services,
+      detailsById,
+      employee: employeeResult[0],
+      notes
+    });
+  } catch (error) {
+    console.error('bookTimeSlot error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+
+// BS 1.1 - Book one appointment with services split across stylists (e.g. color with one, cut with another).
+// services: [{ service_id, employee_id }] in order; timing SEQUENTIAL chains them back to back, PARALLEL starts
+// every stylist at scheduled_start. Each stylist is checked only over their own segment.
+exports.bookMultiStylistSlot = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const { salon_id } = req.params;
+    const { scheduled_start, services, timing = 'SEQUENTIAL', notes = '' } = req.body;
+    const customer_user_id = req.user?.user_id;
 
-    if (conflictsResult.length > 0) {
-      logUtcDebug('salonController.bookTimeSlot conflict detected', {
-        existing_start: conflictsResult[0].scheduled_start,
-        existing_end: conflictsResult[0].scheduled_end,
-        new_start: requestStartStr,
-        new_end: requestEndStr
+    if (!salon_id || isNaN(salon_id)) {
+      return res.status(400).json({ message: 'Invalid salon_id' });
+    }
+    if (!scheduled_start) {
+      return res.status(400).json({ message: 'scheduled_start is required' });
+    }
+    if (!services || !Array.isArray(services) || services.length === 0) {
+      return res.status(400).json({ message: 'At least one service is required' });
+    }
+    if (services.some(s => !Number.isInteger(Number(s?.service_id)) || !Number.isInteger(Number(s?.employee_id)))) {
+      return res.status(400).json({ message: 'Each service needs a service_id and an employee_id' });
+    }
+    if (!BOOKING_TIMINGS.includes(timing)) {
+      return res.status(400).json({ message: `timing must be one of ${BOOKING_TIMINGS.join(', ')}` });
+    }
+    if (req.body.recurrence !== undefined) {
+      return res.status(400).json({ message: 'Recurring appointments are booked with a single stylist' });
+    }
+
+    if (typeof scheduled_start !== 'string' || !/([zZ]|[+-]\d{2}:\d{2})$/.test(scheduled_start)) {
+      return res.status(400).json({
+        message: 'scheduled_start must include a timezone offset (e.g., 2025-11-12T09:00:00-05:00 or 2025-11-12T14:00:00Z)'
       });
+    }
+    let startDate = DateTime.fromISO(scheduled_start);
+    if (!startDate.isValid) {
       return res.status(400).json({
-        message: 'Time slot is no longer available',
-        conflicting_booking: {
-          booking_id: conflictsResult[0].booking_id,
-          scheduled_start: formatDateTime(conflictsResult[0].scheduled_start),
-          scheduled_end: formatDateTime(conflictsResult[0].scheduled_end)
-        }
+        message: `Invalid scheduled_start: ${startDate.invalidReason || 'Invalid format'}. Provide a valid ISO 8601 datetime with timezone.`
       });
     }
+    startDate = startDate.toUTC();
 
-    // Pull all weekday availability for stylist
-    const [availabilityResult] = await db.execute(
-      `SELECT weekday, start_time, end_time
-       FROM employee_availability
-       WHERE employee_id = ?`,
-      [employee_id]
+    const [salonTimezoneResult] = await db.execute(
+      'SELECT timezone, status FROM salons WHERE salon_id = ?',
+      [salon_id]
     );
-    if (availabilityResult.length === 0) {
-      return res.status(400).json({ message: 'Stylist has no availability set' });
+    if (salonTimezoneResult.length === 0) {
+      return res.status(404).json({ message: 'Salon not found' });
     }
+    if (salonTimezoneResult[0].status !== 'APPROVED') {
+      return res.status(403).json({ message: 'Salon is not available for booking' });
+    }
+    const salonTimezone = salonTimezoneResult[0]?.timezone || 'America/New_York';
 
-    //Get the day of the week for the booking in SALON timezone (not UTC!)
-    const startDateInSalonTz = startDate.setZone(salonTimezone);
-    const bookingDayOfWeek = luxonWeekdayToDb(startDateInSalonTz.weekday);
-    
-    const dayAvailability = availabilityResult.find(a => a.weekday === bookingDayOfWeek);
-    if (!dayAvailability) {
-      return res.status(400).json({ message: 'Stylist is not available on this day' });
+    if (startDate < DateTime.utc()) {
+      return res.status(400).json({ message: 'Cannot book appointments in the past' });
     }
 
-    // Build YYYY-MM-DD for the booking date in SALON timezone (not UTC!)
-    const dayStr = startDateInSalonTz.toFormat('yyyy-MM-dd');
+    const requested = services.map(s => ({ service_id: Number(s.service_id), employee_id: Number(s.employee_id) }));
+    const serviceIds = [...new Set(requested.map(s => s.service_id))];
+    const employeeIds = [...new Set(requested.map(s => s.employee_id))];
 
-    // Convert availability to UTC using salon timezone (not request offset)
-    const availStart = localAvailabilityToUtc(dayAvailability.start_time, dayStr, salonTimezone);
-    const availEnd   = localAvailabilityToUtc(dayAvailability.end_time, dayStr, salonTimezone);
-    
-    logUtcDebug('salonController.bookTimeSlot availStart (UTC)', availStart);
-    logUtcDebug('salonController.bookTimeSlot availEnd (UTC)', availEnd);
-    
-    if (startDate < availStart || endDate > availEnd) {
+    const [serviceDetails] = await db.execute(
+      `SELECT service_id, duration_minutes, price, salon_id, name
+       FROM services
+       WHERE service_id IN (${serviceIds.map(() => '?').join(',')})`,
+      serviceIds
+    );
+    if (serviceDetails.length !== serviceIds.length) {
+      return res.status(400).json({ message: 'One or more services not found' });
+    }
+    for (const s of serviceDetails) {
+      if (s.salon_id !== parseInt(salon_id)) {
+        return res.status(400).json({ message: `Service ${s.name} does not belong to this salon` });
+      }
+    }
+    const detailsById = {};
+    serviceDetails.forEach(s => { detailsById[s.service_id] = s; });
+
+    const [employeeResult] = await db.execute(
+      `SELECT e.employee_id, e.title, u.full_name
+       FROM employees e
+       JOIN users u ON e.user_id = u.user_id
+       WHERE e.employee_id IN (${employeeIds.map(() => '?').join(',')}) AND e.salon_id = ? AND e.active = 1`,
+      [...employeeIds, salon_id]
+    );
+    if (employeeResult.length !== employeeIds.length) {
+      return res.status(404).json({ message: 'Employee not found or inactive' });
+    }
+    const employeesById = {};
+    employeeResult.forEach(e => { employeesById[e.employee_id] = e; });
+
+    // Every stylist must offer the services assigned to them
+    const [employeeServices] = await db.execute(
+      `SELECT employee_id, service_id FROM employee_services WHERE employee_id IN (${employeeIds.map(() => '?').join(',')})`,
+      employeeIds
+    );
+    const offered = new Set(employeeServices.map(es => `${es.employee_id}:${es.service_id}`));
+    const unassignable = requested.find(s => !offered.has(`${s.employee_id}:${s.service_id}`));
+    if (unassignable) {
       return res.status(400).json({
-        message: `Booking time must be within stylist's availability (${dayAvailability.start_time} - ${dayAvailability.end_time})`
+        message: `${employeesById[unassignable.employee_id].full_name} does not offer ${detailsById[unassignable.service_id].name}`
       });
     }
 
-    // Unavailability overlap
-    const [unavailabilityResult] = await db.execute(
-      `SELECT start_time, end_time
-       FROM employee_unavailability
-       WHERE employee_id = ? AND weekday = ?`,
-      [employee_id, bookingDayOfWeek]
+    const { segments, endDate } = planSegments(
+      startDate,
+      requested.map(s => ({ ...s, duration_minutes: detailsById[s.service_id].duration_minutes })),
+      timing
     );
 
-    const hasUnavailabilityConflict = unavailabilityResult.some(block => {
-      const blockStart = localAvailabilityToUtc(block.start_time, dayStr, salonTimezone);
-      const blockEnd   = localAvailabilityToUtc(block.end_time, dayStr, salonTimezone);
-      return (startDate < blockEnd) && (blockStart < endDate);
-    });
-
-    if (hasUnavailabilityConflict) {
-      return res.status(409).json({ message: 'Stylist is unavailable during this time slot' });
+    // Per-stylist checks: existing bookings, availability, closures, unavailability blocks and time off
+    for (const [employee_id, windows] of Object.entries(stylistWindows(segments))) {
+      for (const window of windows) {
+        const slotProblem = await checkStylistSlot(db, {
+          salon_id,
+          employee_id: Number(employee_id),
+          salonTimezone,
+          startDate: window.start,
+          endDate: window.end
+        });
+        if (slotProblem) {
+          return res.status(slotProblem.status).json({ ...slotProblem.body, employee_id: Number(employee_id) });
+        }
+      }
     }
 
-    logUtcDebug('salonController.bookTimeSlot computed startDate', startDate);
-    logUtcDebug('salonController.bookTimeSlot computed endDate', endDate);
-
+    let booking_id;
     await db.query('START TRANSACTION');
     try {
-
-      logUtcDebug('salonController.bookTimeSlot inserting booking scheduled_start', requestStartStr);
-      logUtcDebug('salonController.bookTimeSlot inserting booking scheduled_end', requestEndStr);
-
       const nowUtc = toMySQLUtc(DateTime.utc());
       const [bookingResult] = await db.execute(
         `INSERT INTO bookings
            (salon_id, customer_user_id, scheduled_start, scheduled_end, status, notes, created_at, updated_at)
          VALUES
            (?, ?, ?, ?, 'PENDING', ?, ?, ?)`,
-        [salon_id, customer_user_id, requestStartStr, requestEndStr, notes, nowUtc, nowUtc]
+        [salon_id, customer_user_id, toMySQLUtc(startDate), toMySQLUtc(endDate), notes, nowUtc, nowUtc]
       );
+      booking_id = bookingResult.insertId;
 
-      const booking_id = bookingResult.insertId;
-
-      // Link services to booking
-      for (const s of services) {
-        const sd = detailsById[s.service_id];
+      for (const seg of segments) {
+        const sd = detailsById[seg.service_id];
         await db.execute(
           `INSERT INTO booking_services
-             (booking_id, employee_id, service_id, price, duration_minutes, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [booking_id, employee_id, s.service_id, sd.price, sd.duration_minutes, nowUtc, nowUtc]
+             (booking_id, employee_id, service_id, price, duration_minutes, segment_start, segment_end, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [booking_id, seg.employee_id, seg.service_id, sd.price, sd.duration_minutes, toMySQLUtc(seg.start), toMySQLUtc(seg.end), nowUtc, nowUtc]
         );
       }
 
-      const totalPrice = services.reduce((sum, s) => sum + Number(detailsById[s.service_id].price), 0);
+      await db.query('COMMIT');
+    } catch (DBerror) {
+      await db.query('ROLLBACK');
+      throw DBerror;
+    }
+
+    const now = DateTime.utc();
+    const fiveMinutesFromNow = now.plus({ minutes: 5 });
+    const expiresAt = startDate < fiveMinutesFromNow ? startDate : fiveMinutesFromNow;
+
+    return res.status(201).json({
+      message: 'Appointment booked successfully',
+      data: {
+        booking_id,
+        timing,
+        stylists: employeeIds.map(id => ({
+          employee_id: id,
+          name: employeesById[id].full_name,
+          title: employeesById[id].title
+        })),
+        appointment: {
+          scheduled_start: formatDateTime(startDate),
+          scheduled_end: formatDateTime(endDate),
+          duration_minutes: Math.round(endDate.diff(startDate, 'minutes').minutes),
+          status: 'PENDING'
+        },
+        services: segments.map(seg => ({
+          service_id: seg.service_id,
+          service_name: detailsById[seg.service_id].name,
+          employee_id: seg.employee_id,
+          segment_start: formatDateTime(seg.start),
+          segment_end: formatDateTime(seg.end),
+          duration_minutes: detailsById[seg.service_id].duration_minutes,
+          price: Number(detailsById[seg.service_id].price)
+        })),
+        total_price: segments.reduce((sum, seg) => sum + Number(detailsById[seg.service_id].price), 0),
+        notes,
+        created_at: now.toISO(),
+        expires_at: expiresAt.toISO()
+      }
+    });
+  } catch (error) {
+    console.error('bookMultiStylistSlot error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 
-      logUtcDebug('salonController.bookTimeSlot response scheduled_start', startDate);
-      logUtcDebug('salonController.bookTimeSlot response scheduled_end', endDate);
+// BS 1.1 - Book with any available stylist: every active stylist offering all the services who is free at
+// scheduled_start is a candidate, and the salon's stylist_assignment strategy picks one.
+exports.bookAnyStylist = async (req, res) => {
+  const db = connection.promise();
 
-      await db.query('COMMIT');
+  try {
+    const { salon_id } = req.params;
+    const { scheduled_start, services, notes = '' } = req.body;
+    const customer_user_id = req.user?.user_id;
 
-      const now = DateTime.utc();
-      const fiveMinutesFromNow = now.plus({ minutes: 5 });
-      const expiresAt = startDate < fiveMinutesFromNow ? startDate : fiveMinutesFromNow; 
+    if (!salon_id || isNaN(salon_id)) {
+      return res.status(400).json({ message: 'Invalid salon_id' });
+    }
+    if (!scheduled_start) {
+      return res.status(400).json({ message: 'scheduled_start is required' });
+    }
+    if (!services || !Array.isArray(services) || services.length === 0) {
+      return res.status(400).json({ message: 'At least one service is required' });
+    }
+    if (req.body.recurrence !== undefined) {
+      return res.status(400).json({ message: 'Choose a stylist to book recurring appointments' });
+    }
 
-      return res.status(201).json({
-        message: 'Appointment booked successfully',
-        data: {
-          booking_id,
-          stylist: {
-            employee_id: parseInt(employee_id),
-            name: employeeResult[0].full_name,
-            title: employeeResult[0].title
-          },
-          appointment: {
-            scheduled_start: formatDateTime(startDate),
-            scheduled_end: formatDateTime(endDate),
-            duration_minutes: Math.round(endDate.diff(startDate, 'minutes').minutes),
-            status: 'PENDING'
-          },
-          services: services.map(s => ({
-            service_id: s.service_id,
-            service_name: detailsById[s.service_id].name,
-            duration_minutes: detailsById[s.service_id].duration_minutes,
-            price: Number(detailsById[s.service_id].price)
-          })),
-          total_price: totalPrice,
-          notes,
-          created_at: now.toISO(),
-          expires_at: expiresAt.toISO()
-        }
+    if (typeof scheduled_start !== 'string' || !/([zZ]|[+-]\d{2}:\d{2})$/.test(scheduled_start)) {
+      return res.status(400).json({
+        message: 'scheduled_start must include a timezone offset (e.g., 2025-11-12T09:00:00-05:00 or 2025-11-12T14:00:00Z)'
       });
+    }
+    let startDate = DateTime.fromISO(scheduled_start);
+    if (!startDate.isValid) {
+      return res.status(400).json({
+        message: `Invalid scheduled_start: ${startDate.invalidReason || 'Invalid format'}. Provide a valid ISO 8601 datetime with timezone.`
+      });
+    }
+    startDate = startDate.toUTC();
 
-    } catch (DBerror) {
-      await db.query('ROLLBACK');
-      throw DBerror;
+    const [salonResult] = await db.execute(
+      'SELECT timezone, status, stylist_assignment, last_assigned_employee_id FROM salons WHERE salon_id = ?',
+      [salon_id]
+    );
+    if (salonResult.length === 0) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+    if (salonResult[0].status !== 'APPROVED') {
+      return res.status(403).json({ message: 'Salon is not available for booking' });
+    }
+    const salonTimezone = salonResult[0].timezone || 'America/New_York';
+    const strategy = salonResult[0].stylist_assignment;
+
+    if (startDate < DateTime.utc()) {
+      return res.status(400).json({ message: 'Cannot book appointments in the past' });
+    }
+
+    const serviceIds = [...new Set(services.map(s => s.service_id))];
+    const [serviceDetails] = await db.execute(
+      `SELECT service_id, duration_minutes, price, salon_id, name
+       FROM services
+       WHERE service_id IN (${serviceIds.map(() => '?').join(',')})`,
+      serviceIds
+    );
+    if (serviceDetails.length !== serviceIds.length) {
+      return res.status(400).json({ message: 'One or more services not found' });
+    }
+    for (const s of serviceDetails) {
+      if (s.salon_id !== parseInt(salon_id)) {
+        return res.status(400).json({ message: `Service ${s.name} does not belong to this salon` });
+      }
     }
+    const detailsById = {};
+    serviceDetails.forEach(s => { detailsById[s.service_id] = s; });
 
+    const totalDurationMinutes = services.reduce((sum, s) => sum + detailsById[s.service_id].duration_minutes, 0);
+    const endDate = startDate.plus({ minutes: totalDurationMinutes });
+
+    const qualified = await findStylistsOfferingAll(db, salon_id, serviceIds);
+    if (qualified.length === 0) {
+      return res.status(404).json({ message: 'No stylist at this salon offers all of the requested services' });
+    }
+
+    // Existing bookings, availability, closures, unavailability blocks and time off
+    const available = [];
+    for (const stylist of qualified) {
+      const slotProblem = await checkStylistSlot(db, {
+        salon_id,
+        employee_id: stylist.employee_id,
+        salonTimezone,
+        startDate,
+        endDate
+      });
+      if (!slotProblem) {
+        available.push(stylist);
+      }
+    }
+    if (available.length === 0) {
+      return res.status(409).json({ message: 'No stylist is available at this time' });
+    }
+
+    const [assigned] = await rankStylists(db, {
+      strategy,
+      stylists: available,
+      startDate,
+      salonTimezone,
+      lastAssignedEmployeeId: salonResult[0].last_assigned_employee_id
+    });
+    return holdTimeSlot(db, res, {
+      salon_id,
+      employee_id: assigned.employee_id,
+      customer_user_id,
+      startDate,
+      endDate,
+      services,
+      detailsById,
+      employee: assigned,
+      notes,
+      extraData: {
+        assignment: { strategy, available_stylists: available.length }
+      },
+      recordAssignment: true
+    });
   } catch (error) {
-    console.error('bookTimeSlot error:', error);
+    console.error('bookAnyStylist error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+
+// BS 1.1 - Owner views how "any available stylist" bookings are assigned
+exports.getStylistAssignment = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const [rows] = await db.execute(
+      'SELECT stylist_assignment FROM salons WHERE salon_id = ?',
+      [req.salon_id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+
+    return res.status(200).json({
+      data: { strategy: rows[0].stylist_assignment, strategies: ASSIGNMENT_STRATEGIES }
+    });
+  } catch (error) {
+    console.error('getStylistAssignment error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+
+// BS 1.1 - Owner picks how "any available stylist" bookings are assigned
+exports.setStylistAssignment = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const { strategy } = req.body || {};
+    if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ message: `strategy must be one of ${ASSIGNMENT_STRATEGIES.join(', ')}` });
+    }
+
+    await db.execute(
+      'UPDATE salons SET stylist_assignment = ?, updated_at = ? WHERE salon_id = ?',
+      [strategy, toMySQLUtc(DateTime.utc()), req.salon_id]
+    );
+
+    return res.status(200).json({
+      message: 'Stylist assignment updated',
+      data: { strategy }
+    });
+  } catch (error) {
+    console.error('setStylistAssignment error:', error);
     return res.status(500).json({ message: 'Internal server error' });
   }
 };
@@ -2766,8 +3897,8 @@ exports.getSalonInformation = async (req, res) => {
     
   
     const [salonResult] = await db.execute(
-      'SELECT salon_id, name, description, category, phone, email, address, city, state, postal_code, country, status FROM salons WHERE owner_user_id = ?',
-      [user_id]
+      'SELECT salon_id, name, description, category, phone, email, address, city, state, postal_code, country, timezone, status, status_reason, status_expires_at, pending_changes FROM salons WHERE salon_id = ? AND owner_user_id = ?',
+      [req.salon_id, user_id]
     );
     
     if (salonResult.length === 0) {
@@ -2817,6 +3948,140 @@ exports.getSalonInformation = async (req, res) => {
   }
 };
 
+// Owner edits the salon profile. Cosmetic fields apply now; on a live (approved or suspended) salon,
+// name/address/category changes are queued for admin review and merged with anything already queued
+exports.updateSalonProfile = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const { changes, error } = parseProfileChanges(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const [salonRows] = await db.execute(
+      `SELECT salon_id, name, description, category, phone, email, address, city, state, postal_code, country,
+              timezone, status, pending_changes
+       FROM salons
+       WHERE salon_id = ? AND owner_user_id = ?`,
+      [req.salon_id ?? null, req.user.user_id]
+    );
+
+    if (salonRows.length === 0) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+
+    const salon = salonRows[0];
+    const reviewRequired = ['APPROVED', 'SUSPENDED'].includes(salon.status);
+    const pending = { ...(salon.pending_changes || {}) };
+    const applied = {};
+    const queued = {};
+
+    for (const [field, value] of Object.entries(changes)) {
+      const material = MATERIAL_PROFILE_FIELDS.includes(field);
+      if (material && reviewRequired) {
+        // Setting a field back to its live value withdraws the queued change
+        if (salon[field] === value) {
+          delete pending[field];
+        } else {
+          pending[field] = value;
+          queued[field] = value;
+        }
+      } else if (salon[field] !== value) {
+        applied[field] = value;
+      }
+    }
+
+    const newName = applied.name ?? queued.name;
+    if (newName !== undefined) {
+      const [duplicates] = await db.execute(
+        'SELECT salon_id FROM salons WHERE owner_user_id = ? AND salon_id <> ? AND LOWER(TRIM(name)) = LOWER(TRIM(?))',
+        [req.user.user_id, salon.salon_id, newName]
+      );
+      if (duplicates.length > 0) {
+        return res.status(409).json({ message: 'You already have a salon registered with this name.' });
+      }
+    }
+
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    const appliedFields = Object.keys(applied);
+    if (appliedFields.length > 0) {
+      await db.execute(
+        `UPDATE salons SET ${appliedFields.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE salon_id = ?`,
+        [...appliedFields.map(field => applied[field]), nowUtc, salon.salon_id]
+      );
+      if (appliedFields.some(field => ADDRESS_FIELDS.includes(field))) {
+        await refreshSalonLocation(db, salon.salon_id);
+      }
+      await writeAuditLog(db, {
+        table_name: 'salons',
+        record_id: salon.salon_id,
+        action_type: 'UPDATE',
+        old_value: pickFields(salon, appliedFields),
+        new_value: applied,
+        changed_by: auditActor(req)
+      });
+    }
+
+    const pendingChanges = Object.keys(pending).length > 0 ? pending : null;
+    if (JSON.stringify(pendingChanges) !== JSON.stringify(salon.pending_changes ?? null)) {
+      await db.execute(
+        'UPDATE salons SET pending_changes = ?, pending_changes_at = ? WHERE salon_id = ?',
+        [pendingChanges ? JSON.stringify(pendingChanges) : null, pendingChanges ? nowUtc : null, salon.salon_id]
+      );
+      await writeAuditLog(db, {
+        table_name: 'salons',
+        record_id: salon.salon_id,
+        action_type: 'OTHER',
+        old_value: { pending_changes: salon.pending_changes ?? null },
+        new_value: { pending_changes: pendingChanges, review: 'PENDING' },
+        changed_by: auditActor(req)
+      });
+    }
+
+    return res.status(200).json({
+      message: Object.keys(queued).length > 0
+        ? 'Salon profile updated. Name, address and category changes are waiting for admin review.'
+        : 'Salon profile updated.',
+      data: { applied, pending_changes: pendingChanges }
+    });
+  } catch (err) {
+    console.error('updateSalonProfile error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Admin queue of profile changes waiting for review
+exports.listPendingProfileChanges = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const [salons] = await db.execute(
+      `SELECT s.salon_id, s.name, s.category, s.address, s.city, s.state, s.postal_code, s.country, s.status,
+              s.pending_changes, s.pending_changes_at, u.full_name AS owner_name, u.email AS owner_email
+       FROM salons s
+       JOIN users u ON s.owner_user_id = u.user_id
+       WHERE s.pending_changes IS NOT NULL
+       ORDER BY s.pending_changes_at ASC`
+    );
+
+    return res.status(200).json({
+      data: salons.map(({ pending_changes, pending_changes_at, owner_name, owner_email, ...current }) => ({
+        salon_id: current.salon_id,
+        status: current.status,
+        owner_name,
+        owner_email,
+        current: pickFields(current, Object.keys(pending_changes)),
+        requested: pending_changes,
+        submitted_at: formatDateTime(pending_changes_at)
+      }))
+    });
+  } catch (err) {
+    console.error('listPendingProfileChanges error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 // AFDV 1.1 Track Salon Event
 exports.trackSalonEvent = async (req, res) => {
   const db = connection.promise();
@@ -2850,15 +4115,10 @@ exports.getTopSalonMetrics = async (req, res) => {
   const db = connection.promise();
 
   try {
-    const owner_user_id = req.user?.user_id;
-
-    if (!owner_user_id) {
-      return res.status(401).json({ message: 'Invalid fields.' });
-    }
-
     // Check if owner has a salon first
-    const checkSalonQuery = `SELECT salon_id FROM salons WHERE owner_user_id = ?`;  
-    const [salonCheck] = await db.execute(checkSalonQuery, [owner_user_id]);
+    const checkSalonQuery = `SELECT salon_id FROM salons WHERE salon_id = ?`;  
+    const [salonCheck] = await db.execute(checkSalonQuery, [req.salon_id ?? null]);
+    const salon_id = req.salon_id;
 
     if (!salonCheck || salonCheck.length === 0) {
       return res.status(200).json({
@@ -2908,13 +4168,13 @@ exports.getTopSalonMetrics = async (req, res) => {
           ON p.booking_id = b.booking_id 
           AND p.status = 'SUCCEEDED'
 
-      WHERE s.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)
+      WHERE s.salon_id = ?
       GROUP BY e.employee_id, u.full_name, s.name
       ORDER BY total_revenue DESC;`;
 
     const [topSalonStylistResults] = await db.execute(topSalonStylistQuery, [
       mondayStr, tuesdayStr, wednesdayStr, thursdayStr, fridayStr, saturdayStr, sundayStr,
-      owner_user_id
+      salon_id
     ]);
 
     const salonServicesQuery = 
@@ -2928,11 +4188,11 @@ exports.getTopSalonMetrics = async (req, res) => {
     JOIN booking_services bs ON b.booking_id = bs.booking_id
     JOIN services sv ON bs.service_id = sv.service_id
     JOIN salons s ON sv.salon_id = s.salon_id
-    WHERE p.status = 'SUCCEEDED' AND s.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)
+    WHERE p.status = 'SUCCEEDED' AND s.salon_id = ?
     GROUP BY sv.service_id, sv.name, s.name
     ORDER BY total_revenue DESC, times_booked DESC;`;
 
-    const [salonServicesResults] = await db.execute(salonServicesQuery, [owner_user_id]);
+    const [salonServicesResults] = await db.execute(salonServicesQuery, [salon_id]);
 
     const productRevenueQuery = 
     `SELECT 
@@ -2944,10 +4204,10 @@ exports.getTopSalonMetrics = async (req, res) => {
     JOIN products pr ON oi.product_id = pr.product_id
     JOIN orders o ON oi.order_id = o.order_id
     JOIN salons s ON s.salon_id = pr.salon_id
-    WHERE s.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)
+    WHERE s.salon_id = ?
     GROUP BY pr.product_id, pr.name, pr.price, s.name
     ORDER BY total_revenue DESC, units_sold DESC;`;
-    const [productRevenueResults] = await db.execute(productRevenueQuery, [owner_user_id]);
+    const [productRevenueResults] = await db.execute(productRevenueQuery, [salon_id]);
 
     const totalProductRevenueQuery = 
     `SELECT COALESCE(SUM(oi.quantity * oi.purchase_price), 0) AS total_product_revenue
@@ -2955,9 +4215,9 @@ exports.getTopSalonMetrics = async (req, res) => {
     JOIN products pr ON oi.product_id = pr.product_id
     JOIN orders o ON oi.order_id = o.order_id
     JOIN salons s ON s.salon_id = pr.salon_id
-    WHERE s.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)
+    WHERE s.salon_id = ?
     GROUP BY s.salon_id, s.name;`;
-    const [totalProductRevenueResults] = await db.execute(totalProductRevenueQuery, [owner_user_id]);
+    const [totalProductRevenueResults] = await db.execute(totalProductRevenueQuery, [salon_id]);
 
 
     const totalSalonRevenueQuery =
@@ -2966,9 +4226,9 @@ exports.getTopSalonMetrics = async (req, res) => {
     FROM payments p
     JOIN bookings b ON p.booking_id = b.booking_id
     JOIN salons s ON b.salon_id = s.salon_id
-    WHERE p.status = 'SUCCEEDED' AND s.salon_id = (SELECT salon_id FROM salons WHERE owner_user_id = ?)
+    WHERE p.status = 'SUCCEEDED' AND s.salon_id = ?
     GROUP BY s.salon_id, s.name;`;
-    const [totalSalonRevenueResults] = await db.execute(totalSalonRevenueQuery, [owner_user_id]);
+    const [totalSalonRevenueResults] = await db.execute(totalSalonRevenueQuery, [salon_id]);
 
 
 
@@ -2987,6 +4247,76 @@ exports.getTopSalonMetrics = async (req, res) => {
   }
 };
 
+// Owner's salons, for picking the X-Salon-Id sent to the other owner endpoints
+exports.listMySalons = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const [salons] = await db.execute(
+      `SELECT salon_id, name, category, city, state, status, created_at
+       FROM salons
+       WHERE owner_user_id = ?
+       ORDER BY salon_id`,
+      [req.user.user_id]
+    );
+
+    return res.status(200).json({
+      data: salons.map(salon => ({ ...salon, created_at: formatDateTime(salon.created_at) }))
+    });
+  } catch (err) {
+    console.error('listMySalons error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// PLR 1.2 Salon metrics consolidated across all of the owner's locations
+exports.getLocationsOverview = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const [rows] = await db.execute(
+      `SELECT s.salon_id, s.name AS salon_name, s.city, s.status,
+        (SELECT COALESCE(SUM(p.amount), 0)
+           FROM payments p
+           JOIN bookings b ON p.booking_id = b.booking_id
+          WHERE b.salon_id = s.salon_id AND p.status = 'SUCCEEDED') AS salon_revenue,
+        (SELECT COUNT(*) FROM bookings b WHERE b.salon_id = s.salon_id) AS total_bookings,
+        (SELECT COALESCE(SUM(oi.quantity * oi.purchase_price), 0)
+           FROM order_items oi
+           JOIN orders o ON oi.order_id = o.order_id
+          WHERE o.salon_id = s.salon_id) AS product_revenue,
+        (SELECT COUNT(*) FROM orders o WHERE o.salon_id = s.salon_id) AS total_orders,
+        (SELECT COUNT(*) FROM employees e WHERE e.salon_id = s.salon_id AND e.active = 1) AS active_employees
+       FROM salons s
+       WHERE s.owner_user_id = ?
+       ORDER BY s.salon_id`,
+      [req.user.user_id]
+    );
+
+    const locations = rows.map(row => ({
+      ...row,
+      salon_revenue: Number(row.salon_revenue),
+      total_bookings: Number(row.total_bookings),
+      product_revenue: Number(row.product_revenue),
+      total_orders: Number(row.total_orders),
+      active_employees: Number(row.active_employees)
+    }));
+
+    const totals = locations.reduce((sum, location) => ({
+      salon_revenue: sum.salon_revenue + location.salon_revenue,
+      total_bookings: sum.total_bookings + location.total_bookings,
+      product_revenue: sum.product_revenue + location.product_revenue,
+      total_orders: sum.total_orders + location.total_orders,
+      active_employees: sum.active_employees + location.active_employees
+    }), { salon_revenue: 0, total_bookings: 0, product_revenue: 0, total_orders: 0, active_employees: 0 });
+
+    return res.status(200).json({ data: { locations, totals } });
+  } catch (err) {
+    console.error('getLocationsOverview error:', err);
+    return res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
 // Check Salon Status
 exports.checkSalonStatus = async (req, res) => {
   const db = connection.promise();
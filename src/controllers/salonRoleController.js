@@ -0,0 +1,342 @@
+const connection = require('../config/databaseConnection');
+const { DateTime } = require('luxon');
+const { toMySQLUtc } = require('../utils/utilies');
+const { PERMISSIONS, isValidPermission, resolveRequestSalonId, getSalonPermissions } = require('../utils/permissions');
+const { writeAuditLog, auditActor } = require('../utils/auditLog');
+
+const MAX_ROLE_NAME_LENGTH = 64;
+
+// Returns the de-duplicated permission list, or null if it is not an array of known codes
+const parsePermissionList = (permissions) => {
+  if (!Array.isArray(permissions) || !permissions.every(p => typeof p === 'string' && isValidPermission(p))) {
+    return null;
+  }
+  return [...new Set(permissions)];
+};
+
+const getRole = async (db, salonId, salonRoleId) => {
+  const [rows] = await db.execute(
+    'SELECT salon_role_id, salon_id, name FROM salon_roles WHERE salon_role_id = ? AND salon_id = ?',
+    [salonRoleId, salonId]
+  );
+  return rows[0] || null;
+};
+
+const replaceRolePermissions = async (db, salonRoleId, permissions) => {
+  await db.execute('DELETE FROM salon_role_permissions WHERE salon_role_id = ?', [salonRoleId]);
+  for (const permission of permissions) {
+    await db.execute(
+      'INSERT INTO salon_role_permissions (salon_role_id, permission_code) VALUES (?, ?)',
+      [salonRoleId, permission]
+    );
+  }
+};
+
+// Permission registry
+exports.listPermissions = async (req, res) => {
+  return res.status(200).json({
+    data: Object.entries(PERMISSIONS).map(([code, description]) => ({ code, description }))
+  });
+};
+
+// Caller's effective permissions at a salon (their own / where they work, or ?salon_id=)
+exports.getMyPermissions = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const salonId = await resolveRequestSalonId(db, req);
+    const permissions = await getSalonPermissions(db, req.user, salonId);
+
+    return res.status(200).json({
+      data: { salon_id: salonId, permissions }
+    });
+  } catch (err) {
+    console.error('getMyPermissions error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// List the salon's roles with their permissions and assigned employees
+exports.listRoles = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    // Set by ownerSalonContext, null when the owner has no salon
+    const salonId = req.salon_id;
+    if (!salonId) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+
+    const [roles] = await db.execute(
+      'SELECT salon_role_id, name FROM salon_roles WHERE salon_id = ? ORDER BY name ASC',
+      [salonId]
+    );
+    const [permissions] = await db.execute(
+      `SELECT p.salon_role_id, p.permission_code
+       FROM salon_role_permissions p
+       JOIN salon_roles r ON r.salon_role_id = p.salon_role_id
+       WHERE r.salon_id = ?`,
+      [salonId]
+    );
+    const [assignments] = await db.execute(
+      `SELECT a.salon_role_id, u.user_id, u.full_name, u.email
+       FROM salon_role_assignments a
+       JOIN users u ON u.user_id = a.user_id
+       WHERE a.salon_id = ?
+       ORDER BY u.full_name ASC`,
+      [salonId]
+    );
+
+    return res.status(200).json({
+      data: roles.map(r => ({
+        salon_role_id: r.salon_role_id,
+        name: r.name,
+        permissions: permissions.filter(p => p.salon_role_id === r.salon_role_id).map(p => p.permission_code),
+        assignees: assignments
+          .filter(a => a.salon_role_id === r.salon_role_id)
+          .map(a => ({ user_id: a.user_id, full_name: a.full_name, email: a.email }))
+      }))
+    });
+  } catch (err) {
+    console.error('listRoles error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Create a salon role, e.g. { name: 'Front desk', permissions: ['bookings:manage', 'products:write'] }
+exports.createRole = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    const permissions = parsePermissionList(req.body?.permissions);
+
+    if (!name || name.length > MAX_ROLE_NAME_LENGTH) {
+      return res.status(400).json({ message: `name is required (max ${MAX_ROLE_NAME_LENGTH} characters)` });
+    }
+    if (!permissions) {
+      return res.status(400).json({ message: 'permissions must be a list of known permission codes' });
+    }
+
+    const salonId = req.salon_id;
+    if (!salonId) {
+      return res.status(404).json({ message: 'Salon not found' });
+    }
+
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    const [result] = await db.execute(
+      'INSERT INTO salon_roles (salon_id, name, created_at, updated_at) VALUES (?, ?, ?, ?)',
+      [salonId, name, nowUtc, nowUtc]
+    );
+    await replaceRolePermissions(db, result.insertId, permissions);
+
+    await writeAuditLog(db, {
+      table_name: 'salon_roles',
+      record_id: result.insertId,
+      action_type: 'INSERT',
+      old_value: null,
+      new_value: { salon_id: salonId, name, permissions },
+      changed_by: auditActor(req)
+    });
+
+    return res.status(201).json({
+      message: 'Role created',
+      data: { salon_role_id: result.insertId, name, permissions }
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+    console.error('createRole error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Rename a role and/or replace its permissions. Takes effect on the assignees' next request.
+exports.updateRole = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const salonRoleId = Number(req.params.salon_role_id);
+    const { name: rawName, permissions: rawPermissions } = req.body || {};
+    const name = typeof rawName === 'string' ? rawName.trim() : undefined;
+    const permissions = rawPermissions === undefined ? undefined : parsePermissionList(rawPermissions);
+
+    if (name === undefined && permissions === undefined) {
+      return res.status(400).json({ message: 'Provide name and/or permissions' });
+    }
+    if (name !== undefined && (!name || name.length > MAX_ROLE_NAME_LENGTH)) {
+      return res.status(400).json({ message: `name is required (max ${MAX_ROLE_NAME_LENGTH} characters)` });
+    }
+    if (permissions === null) {
+      return res.status(400).json({ message: 'permissions must be a list of known permission codes' });
+    }
+
+    const salonId = req.salon_id;
+    const role = salonId && Number.isInteger(salonRoleId) ? await getRole(db, salonId, salonRoleId) : null;
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const [oldPermissions] = await db.execute(
+      'SELECT permission_code FROM salon_role_permissions WHERE salon_role_id = ?',
+      [salonRoleId]
+    );
+
+    if (name !== undefined) {
+      await db.execute(
+        'UPDATE salon_roles SET name = ?, updated_at = ? WHERE salon_role_id = ?',
+        [name, toMySQLUtc(DateTime.utc()), salonRoleId]
+      );
+    }
+    if (permissions !== undefined) {
+      await replaceRolePermissions(db, salonRoleId, permissions);
+    }
+
+    const newPermissions = permissions !== undefined ? permissions : oldPermissions.map(p => p.permission_code);
+
+    await writeAuditLog(db, {
+      table_name: 'salon_roles',
+      record_id: salonRoleId,
+      action_type: 'UPDATE',
+      old_value: { name: role.name, permissions: oldPermissions.map(p => p.permission_code) },
+      new_value: { name: name !== undefined ? name : role.name, permissions: newPermissions },
+      changed_by: auditActor(req)
+    });
+
+    return res.status(200).json({
+      message: 'Role updated',
+      data: { salon_role_id: salonRoleId, name: name !== undefined ? name : role.name, permissions: newPermissions }
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+    console.error('updateRole error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Delete a role, its assignees lose the permissions it granted
+exports.deleteRole = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const salonRoleId = Number(req.params.salon_role_id);
+    const salonId = req.salon_id;
+    const role = salonId && Number.isInteger(salonRoleId) ? await getRole(db, salonId, salonRoleId) : null;
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    await db.execute('DELETE FROM salon_role_assignments WHERE salon_role_id = ?', [salonRoleId]);
+    await db.execute('DELETE FROM salon_role_permissions WHERE salon_role_id = ?', [salonRoleId]);
+    await db.execute('DELETE FROM salon_roles WHERE salon_role_id = ?', [salonRoleId]);
+
+    await writeAuditLog(db, {
+      table_name: 'salon_roles',
+      record_id: salonRoleId,
+      action_type: 'DELETE',
+      old_value: { salon_id: salonId, name: role.name },
+      new_value: null,
+      changed_by: auditActor(req)
+    });
+
+    return res.status(200).json({ message: 'Role deleted' });
+  } catch (err) {
+    console.error('deleteRole error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Assign a role to one of the salon's active employees
+exports.assignRole = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const salonRoleId = Number(req.params.salon_role_id);
+    const userId = Number(req.body?.user_id);
+
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return res.status(400).json({ message: 'user_id is required' });
+    }
+
+    const salonId = req.salon_id;
+    const role = salonId && Number.isInteger(salonRoleId) ? await getRole(db, salonId, salonRoleId) : null;
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const [employees] = await db.execute(
+      'SELECT employee_id FROM employees WHERE user_id = ? AND salon_id = ? AND active = 1',
+      [userId, salonId]
+    );
+    if (employees.length === 0) {
+      return res.status(404).json({ message: 'Employee not found at this salon' });
+    }
+
+    const [result] = await db.execute(
+      `INSERT IGNORE INTO salon_role_assignments (salon_role_id, user_id, salon_id, assigned_by, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [salonRoleId, userId, salonId, req.user.user_id, toMySQLUtc(DateTime.utc())]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: 'Employee already has this role' });
+    }
+
+    await writeAuditLog(db, {
+      table_name: 'salon_role_assignments',
+      record_id: userId,
+      action_type: 'INSERT',
+      old_value: null,
+      new_value: { salon_id: salonId, salon_role_id: salonRoleId, role: role.name },
+      changed_by: auditActor(req)
+    });
+
+    return res.status(200).json({
+      message: 'Role assigned',
+      data: { salon_role_id: salonRoleId, user_id: userId }
+    });
+  } catch (err) {
+    console.error('assignRole error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Remove a role from an employee
+exports.unassignRole = async (req, res) => {
+  const db = connection.promise();
+
+  try {
+    const salonRoleId = Number(req.params.salon_role_id);
+    const userId = Number(req.params.user_id);
+
+    const salonId = req.salon_id;
+    const role = salonId && Number.isInteger(salonRoleId) ? await getRole(db, salonId, salonRoleId) : null;
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const [result] = await db.execute(
+      'DELETE FROM salon_role_assignments WHERE salon_role_id = ? AND user_id = ?',
+      [salonRoleId, userId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    await writeAuditLog(db, {
+      table_name: 'salon_role_assignments',
+      record_id: userId,
+      action_type: 'DELETE',
+      old_value: { salon_id: salonId, salon_role_id: salonRoleId, role: role.name },
+      new_value: null,
+      changed_by: auditActor(req)
+    });
+
+    return res.status(200).json({ message: 'Role unassigned' });
+  } catch (err) {
+    console.error('unassignRole error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
@@ -0,0 +1,97 @@
+const connection = require('../config/databaseConnection');
+const { DateTime } = require('luxon');
+const { toMySQLUtc, formatDateTime } = require('../utils/utilies');
+const { revokeSession } = require('../utils/sessions');
+
+// A session is listed while it can still be resumed: not revoked and its newest refresh token is unused and unexpired
+const ACTIVE_SESSION_SQL = `
+    s.revoked_at IS NULL
+    AND EXISTS (
+        SELECT 1 FROM refresh_tokens rt
+        WHERE rt.family_id = s.session_id AND rt.used_at IS NULL AND rt.revoked_at IS NULL AND rt.expires_at > ?
+    )`;
+
+// List the current user's active sessions (devices), the one making the request is flagged current
+exports.listSessions = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const [rows] = await db.execute(
+            `SELECT s.session_id, s.user_agent, s.ip_address, s.created_at, s.last_seen_at
+             FROM user_sessions s
+             WHERE s.user_id = ? AND ${ACTIVE_SESSION_SQL}
+             ORDER BY s.last_seen_at DESC`,
+            [req.user.user_id, toMySQLUtc(DateTime.utc())]
+        );
+
+        return res.status(200).json({
+            data: rows.map(s => ({
+                session_id: s.session_id,
+                user_agent: s.user_agent,
+                ip_address: s.ip_address,
+                created_at: formatDateTime(s.created_at),
+                last_seen_at: formatDateTime(s.last_seen_at),
+                current: s.session_id === req.user.fid
+            }))
+        });
+    } catch (error) {
+        console.error('listSessions error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Sign out one session. Its refresh tokens and already issued access tokens stop working.
+exports.revokeSession = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { session_id } = req.params;
+
+        const [rows] = await db.execute(
+            'SELECT session_id, revoked_at FROM user_sessions WHERE session_id = ? AND user_id = ?',
+            [session_id, req.user.user_id]
+        );
+
+        if (rows.length === 0 || rows[0].revoked_at) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        await revokeSession(db, session_id);
+
+        return res.status(200).json({
+            message: 'Session revoked',
+            data: { session_id, current: session_id === req.user.fid }
+        });
+    } catch (error) {
+        console.error('revokeSession error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Sign out every session except the one making the request
+exports.revokeOtherSessions = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        if (!req.user.fid) {
+            return res.status(400).json({ message: 'Current session could not be determined. Please log in again.' });
+        }
+
+        const [rows] = await db.execute(
+            'SELECT session_id FROM user_sessions WHERE user_id = ? AND session_id != ? AND revoked_at IS NULL',
+            [req.user.user_id, req.user.fid]
+        );
+
+        for (const row of rows) {
+            await revokeSession(db, row.session_id);
+        }
+
+        return res.status(200).json({
+            message: 'Other sessions revoked',
+            data: { revoked_count: rows.length }
+        });
+    } catch (error) {
+        console.error('revokeOtherSessions error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
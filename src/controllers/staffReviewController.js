@@ -1,5 +1,6 @@
 const connection = require('../config/databaseConnection');
 const { formatDateTime } = require('../utils/utilies');
+const { USER_EMPLOYEE_IDS_SQL } = require('../utils/employees');
 const { createNotification } = require('./notificationsController');
 
 //helper function to check for pagination offset
@@ -36,11 +37,10 @@ async function employeeBelongsToOwner(db, employeeId, ownerUserId) {
     return (row?.cnt || 0) > 0;
 }
 
-//helper function to get an employee's ID and their salon ID
-async function employeeIdForUser(db, userId) {
-    const [[row]] = await db.execute(`SELECT employee_id, salon_id FROM employees WHERE user_id = ? AND active = 1`, [userId]
-    );
-    return row || null;
+//helper function to get an employee's IDs, one per salon they work at
+async function employeeIdsForUser(db, userId) {
+    const [rows] = await db.execute(USER_EMPLOYEE_IDS_SQL, [userId]);
+    return rows.map(r => r.employee_id);
 }
 
 //UPH 1.5 as a user (customer) I want to create a review for a specific staff member
@@ -251,9 +251,9 @@ exports.listEmployeeReviews = async (req, res) => {
 
         //ensuring employees only see their own staff reviews and owners only see staff reviews from their salon
         if (role === 'EMPLOYEE') {
-            const myEmp = await employeeIdForUser(db, authUserId);
-            if (!myEmp) return res.status(404).json({ message: 'Employee profile not found' });
-            if (myEmp.employee_id !== employee_id) return res.status(403).json({ message: 'You can only view your own reviews' });
+            const myEmpIds = await employeeIdsForUser(db, authUserId);
+            if (!myEmpIds.length) return res.status(404).json({ message: 'Employee profile not found' });
+            if (!myEmpIds.includes(employee_id)) return res.status(403).json({ message: 'You can only view your own reviews' });
         } else if (role === 'OWNER') {
             const ok = await employeeBelongsToOwner(db, employee_id, authUserId);
             if (!ok) return res.status(403).json({ message: 'You can only view reviews for your staff' });
@@ -377,13 +377,13 @@ exports.createStaffReply = async (req, res) => {
         if (typeof message !== 'string' || !message.trim()) return res.status(400).json({ message: 'message is required' });
         if (message.length > 2000) return res.status(400).json({ message: 'message too long (max 2000 chars)' });
 
-        const myEmp = await employeeIdForUser(db, authUserId);
-        if (!myEmp) return res.status(404).json({ message: 'Employee profile not found' });
+        const myEmpIds = await employeeIdsForUser(db, authUserId);
+        if (!myEmpIds.length) return res.status(404).json({ message: 'Employee profile not found' });
 
         //make sure review exists and is for this employee
         const [[rev]] = await db.execute(`SELECT staff_review_id, employee_id FROM staff_reviews WHERE staff_review_id = ?`, [srid]);
         if (!rev) return res.status(404).json({ message: 'Staff review not found' });
-        if (rev.employee_id !== myEmp.employee_id) return res.status(403).json({ message: 'You can only reply to reviews about you' });
+        if (!myEmpIds.includes(rev.employee_id)) return res.status(403).json({ message: 'You can only reply to reviews about you' });
 
         //check for only one reply per staff review
         const [[exists]] = await db.execute(`SELECT staff_reply_id FROM staff_review_replies WHERE staff_review_id = ?`, [srid]);
@@ -413,7 +413,7 @@ exports.createStaffReply = async (req, res) => {
                 await createNotification(db, {
                     user_id: reviewAuthor.user_id,
                     salon_id: reviewAuthor.salon_id,
-                    employee_id: myEmp.employee_id,
+                    employee_id: rev.employee_id,
                     email: reviewAuthor.email,
                     type_code: 'STAFF_REVIEW_REPLY_CREATED',
                     message: `${row.author_name} replied to your review: ${message.trim().substring(0, 100)}${message.trim().length > 100 ? '...' : ''}`,
@@ -459,13 +459,13 @@ exports.updateStaffReply = async (req, res) => {
         if (message.length > 2000) return res.status(400).json({ message: 'message too long (max 2000 chars)' });
 
         //check to ensure this employee can actually update this reply
-        const myEmp = await employeeIdForUser(db, authUserId);
-        if (!myEmp) return res.status(404).json({ message: 'Employee profile not found' });
+        const myEmpIds = await employeeIdsForUser(db, authUserId);
+        if (!myEmpIds.length) return res.status(404).json({ message: 'Employee profile not found' });
         const [[rr]] = await db.execute(`SELECT rr.staff_reply_id, rr.staff_review_id, rr.author_user_id, sr.employee_id FROM staff_review_replies rr
                                         JOIN staff_reviews sr ON sr.staff_review_id = rr.staff_review_id WHERE rr.staff_reply_id = ?`, [staff_reply_id]
         );
         if (!rr) return res.status(404).json({ message: 'Reply not found' });
-        if (rr.author_user_id !== authUserId || rr.employee_id !== myEmp.employee_id) return res.status(403).json({ message: 'You can only update your own reply' });
+        if (rr.author_user_id !== authUserId || !myEmpIds.includes(rr.employee_id)) return res.status(403).json({ message: 'You can only update your own reply' });
 
         //update the reply
         await db.execute(`UPDATE staff_review_replies SET message = ? WHERE staff_reply_id = ?`, [message.trim(), staff_reply_id]);
@@ -491,7 +491,7 @@ exports.updateStaffReply = async (req, res) => {
                 await createNotification(db, {
                     user_id: reviewAuthor.user_id,
                     salon_id: reviewAuthor.salon_id,
-                    employee_id: myEmp.employee_id,
+                    employee_id: rr.employee_id,
                     email: reviewAuthor.email,
                     type_code: 'STAFF_REVIEW_REPLY_UPDATED',
                     message: `${row.author_name} updated their reply to your review.`,
@@ -529,15 +529,15 @@ exports.deleteStaffReply = async (req, res) => {
         const staff_reply_id = parseInt(req.params.staff_reply_id, 10);
         if (!Number.isInteger(staff_reply_id) || staff_reply_id <= 0) return res.status(400).json({ message: 'Invalid staff_reply_id' });
 
-        const myEmp = await employeeIdForUser(db, authUserId);
-        if (!myEmp) return res.status(404).json({ message: 'Employee profile not found' });
+        const myEmpIds = await employeeIdsForUser(db, authUserId);
+        if (!myEmpIds.length) return res.status(404).json({ message: 'Employee profile not found' });
 
         //check if employee works at this salon and can delete this reply
         const [[rr]] = await db.execute(`SELECT rr.staff_reply_id, rr.author_user_id, sr.employee_id
                                         FROM staff_review_replies rr JOIN staff_reviews sr ON sr.staff_review_id = rr.staff_review_id WHERE rr.staff_reply_id = ?`, [staff_reply_id]
         );
         if (!rr) return res.status(404).json({ message: 'Reply not found' });
-        if (rr.author_user_id !== authUserId || rr.employee_id !== myEmp.employee_id) return res.status(403).json({ message: 'You can only delete your own reply' });
+        if (rr.author_user_id !== authUserId || !myEmpIds.includes(rr.employee_id)) return res.status(403).json({ message: 'You can only delete your own reply' });
 
         //delete the reply
         await db.execute(`DELETE FROM staff_review_replies WHERE staff_reply_id = ?`, [staff_reply_id]);
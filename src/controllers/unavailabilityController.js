@@ -1,5 +1,7 @@
 const connection = require('../config/databaseConnection'); //db connection
-const { formatDateTime, localAvailabilityToUtc, luxonWeekdayToDb } = require('../utils/utilies');
+const { formatDateTime, localAvailabilityToUtc, luxonWeekdayToDb, toMySQLUtc } = require('../utils/utilies');
+const { parseTimeOffRange, findTimeOffConflicts } = require('../utils/timeOff');
+const { createNotification } = require('./notificationsController');
 const { DateTime } = require('luxon');
 
 //validating time for SQL
@@ -41,7 +43,7 @@ exports.createRecurringBlock = async (req, res) => {
 
     try {
         const [empRows] = await db.execute(`SELECT e.employee_id, e.user_id, e.salon_id FROM employees e 
-                                        WHERE e.user_id = ?`, [authUserId]
+                                        WHERE e.employee_id = ? AND e.user_id = ?`, [req.employee_id ?? null, authUserId]
         ); if (!empRows.length) return res.status(404).json({ message: 'Employee not found' });
 
         const employeeId = empRows[0].employee_id;
@@ -163,9 +165,9 @@ exports.listRecurringBlocks = async (req, res) => {
     const authUserId = req.user?.user_id;
 
     try {
-        //looking up employee by user_id
+        //looking up the employment picked by employeeSalonContext
         const [empRows] = await db.execute(`SELECT e.employee_id, e.user_id FROM employees e 
-                                        WHERE e.user_id = ?`, [authUserId]
+                                        WHERE e.employee_id = ? AND e.user_id = ?`, [req.employee_id ?? null, authUserId]
         ); if (!empRows.length) return res.status(404).json({ message: 'Employee not found' });
 
         const employeeId = empRows[0].employee_id;
@@ -208,9 +210,9 @@ exports.deleteRecurringBlock = async (req, res) => {
     const authUserId = req.user?.user_id;
 
     try {
-        //looking up employee by user_id first
+        //looking up the employment picked by employeeSalonContext
         const [empRows] = await db.execute(`SELECT e.employee_id, e.user_id FROM employees e 
-                                        WHERE e.user_id = ?`, [authUserId]
+                                        WHERE e.employee_id = ? AND e.user_id = ?`, [req.employee_id ?? null, authUserId]
         ); if (!empRows.length) return res.status(404).json({ message: 'Employee not found' });
 
         const employeeId = empRows[0].employee_id;
@@ -231,4 +233,248 @@ exports.deleteRecurringBlock = async (req, res) => {
         console.error('deleteRecurringBlock error:', err);
         return res.status(500).json({ message: 'Internal server error' });
     }
+};
+
+//time off rows as returned by the API (start/end in UTC ISO)
+const TIME_OFF_COLUMNS = `t.time_off_id, t.employee_id, DATE_FORMAT(t.start_at, '%Y-%m-%d %H:%i:%s') AS start_at,
+                          DATE_FORMAT(t.end_at, '%Y-%m-%d %H:%i:%s') AS end_at, t.all_day, t.reason, t.status,
+                          t.review_note, DATE_FORMAT(t.reviewed_at, '%Y-%m-%d %H:%i:%s') AS reviewed_at, t.created_at`;
+
+const formatTimeOff = (row) => ({
+    ...row,
+    start_at: formatDateTime(row.start_at),
+    end_at: formatDateTime(row.end_at),
+    all_day: !!row.all_day,
+    reviewed_at: formatDateTime(row.reviewed_at)
+});
+
+const TIME_OFF_STATUSES = ['PENDING', 'APPROVED', 'DENIED', 'CANCELED'];
+const REVIEW_DECISIONS = ['APPROVED', 'DENIED'];
+
+//BS 1.5 stylist time off (request): full days or part of a day, pending until the owner reviews it
+exports.requestTimeOff = async (req, res) => {
+    const db = connection.promise();
+
+    //get authenticated user
+    const authUserId = req.user?.user_id;
+
+    try {
+        const [empRows] = await db.execute(`SELECT e.employee_id, e.salon_id, u.full_name, s.name AS salon_name, s.timezone,
+                                        s.owner_user_id, o.email AS owner_email
+                                        FROM employees e
+                                        JOIN users u ON u.user_id = e.user_id
+                                        JOIN salons s ON s.salon_id = e.salon_id
+                                        JOIN users o ON o.user_id = s.owner_user_id
+                                        WHERE e.employee_id = ? AND e.user_id = ?`, [req.employee_id ?? null, authUserId]
+        ); if (!empRows.length) return res.status(404).json({ message: 'Employee not found' });
+
+        const employee = empRows[0];
+        const salonTimezone = employee.timezone || 'America/New_York';
+
+        const range = parseTimeOffRange(req.body, salonTimezone);
+        if (range.error) return res.status(400).json({ message: range.error });
+
+        const startStr = toMySQLUtc(range.startUtc);
+        const endStr = toMySQLUtc(range.endUtc);
+
+        //checking for overlap with time off already requested or approved
+        const [overlap] = await db.execute(`SELECT 1 FROM employee_time_off
+                                       WHERE employee_id = ? AND status IN ('PENDING', 'APPROVED')
+                                       AND start_at < ? AND end_at > ?
+                                       LIMIT 1`, [employee.employee_id, endStr, startStr]
+        ); if (overlap.length) return res.status(409).json({ message: 'Overlaps existing time off' });
+
+        const [ins] = await db.execute(`INSERT INTO employee_time_off (employee_id, start_at, end_at, all_day, reason, status)
+                                   VALUES (?, ?, ?, ?, ?, 'PENDING')`,
+                                   [employee.employee_id, startStr, endStr, range.allDay ? 1 : 0, range.reason]
+        );
+
+        //reported so the stylist and owner can see which appointments need to move, the request is still created
+        const conflictingAppointments = await findTimeOffConflicts(db, employee.employee_id, range.startUtc, range.endUtc);
+
+        const localStart = range.startUtc.setZone(salonTimezone).toFormat('EEE, MMM d, yyyy h:mm a');
+        const localEnd = range.endUtc.setZone(salonTimezone).toFormat('EEE, MMM d, yyyy h:mm a');
+        try {
+            await createNotification(db, {
+                user_id: employee.owner_user_id,
+                salon_id: employee.salon_id,
+                employee_id: employee.employee_id,
+                email: employee.owner_email,
+                type_code: 'TIME_OFF_REQUESTED',
+                message: `${employee.full_name} requested time off at ${employee.salon_name} from ${localStart} to ${localEnd}.`
+                    + (conflictingAppointments.length ? ` ${conflictingAppointments.length} scheduled appointment(s) fall in this period.` : ''),
+                sender_email: 'SYSTEM'
+            });
+        } catch (notifError) {
+            console.error('Failed to send time off request notification:', notifError);
+        }
+
+        const [[row]] = await db.execute(`SELECT ${TIME_OFF_COLUMNS} FROM employee_time_off t WHERE t.time_off_id = ?`, [ins.insertId]);
+        return res.status(201).json({
+            message: 'Time off requested',
+            data: { ...formatTimeOff(row), conflicting_appointments: conflictingAppointments }
+        });
+    } catch (err) {
+        console.error('requestTimeOff error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+//BS 1.5 stylist time off (list own requests, upcoming unless ?include_past=true)
+exports.listMyTimeOff = async (req, res) => {
+    const db = connection.promise();
+
+    //get authenticated user
+    const authUserId = req.user?.user_id;
+
+    try {
+        const [empRows] = await db.execute(`SELECT e.employee_id FROM employees e WHERE e.employee_id = ? AND e.user_id = ?`,
+                                        [req.employee_id ?? null, authUserId]
+        ); if (!empRows.length) return res.status(404).json({ message: 'Employee not found' });
+
+        const where = ['t.employee_id = ?'];
+        const params = [empRows[0].employee_id];
+        if (req.query.include_past !== 'true') { where.push('t.end_at > ?'); params.push(toMySQLUtc(DateTime.utc())); }
+
+        const [rows] = await db.execute(`SELECT ${TIME_OFF_COLUMNS} FROM employee_time_off t
+                                        WHERE ${where.join(' AND ')} ORDER BY t.start_at ASC`, params
+        ); return res.status(200).json({ data: rows.map(formatTimeOff) });
+    } catch (err) {
+        console.error('listMyTimeOff error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+//BS 1.5 stylist time off (cancel a pending or approved request that hasn't ended)
+exports.cancelTimeOff = async (req, res) => {
+    const db = connection.promise();
+
+    const timeOffId = parseInt(req.params.time_off_id, 10);
+    if (!timeOffId) return res.status(400).json({ message: 'Invalid time_off_id' });
+
+    //get authenticated user
+    const authUserId = req.user?.user_id;
+
+    try {
+        const [empRows] = await db.execute(`SELECT e.employee_id FROM employees e WHERE e.employee_id = ? AND e.user_id = ?`,
+                                        [req.employee_id ?? null, authUserId]
+        ); if (!empRows.length) return res.status(404).json({ message: 'Employee not found' });
+
+        const [result] = await db.execute(`UPDATE employee_time_off SET status = 'CANCELED'
+                                          WHERE time_off_id = ? AND employee_id = ? AND status IN ('PENDING', 'APPROVED') AND end_at > ?`,
+                                          [timeOffId, empRows[0].employee_id, toMySQLUtc(DateTime.utc())]
+        ); if (result.affectedRows === 0) return res.status(404).json({ message: 'Time off not found or can no longer be canceled' });
+
+        return res.status(200).json({ message: 'Time off canceled' });
+    } catch (err) {
+        console.error('cancelTimeOff error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+//BS 1.5 stylist time off (owner list, ?status= defaults to PENDING), each with the appointments it conflicts with
+exports.listSalonTimeOff = async (req, res) => {
+    const db = connection.promise();
+
+    const status = req.query.status === undefined ? 'PENDING' : String(req.query.status).toUpperCase();
+    if (!TIME_OFF_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of ${TIME_OFF_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const [rows] = await db.execute(`SELECT ${TIME_OFF_COLUMNS}, u.full_name AS employee_name
+                                        FROM employee_time_off t
+                                        JOIN employees e ON e.employee_id = t.employee_id
+                                        JOIN users u ON u.user_id = e.user_id
+                                        WHERE e.salon_id = ? AND t.status = ? AND t.end_at > ?
+                                        ORDER BY t.start_at ASC`,
+                                        [req.salon_id ?? null, status, toMySQLUtc(DateTime.utc())]
+        );
+
+        const data = [];
+        for (const row of rows) {
+            const conflicts = ['PENDING', 'APPROVED'].includes(row.status)
+                ? await findTimeOffConflicts(db, row.employee_id,
+                    DateTime.fromSQL(row.start_at, { zone: 'utc' }), DateTime.fromSQL(row.end_at, { zone: 'utc' }))
+                : [];
+            data.push({ ...formatTimeOff(row), conflicting_appointments: conflicts });
+        }
+        return res.status(200).json({ data });
+    } catch (err) {
+        console.error('listSalonTimeOff error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+//BS 1.5 stylist time off (owner review): { decision: 'APPROVED' | 'DENIED', note }
+//approving does not touch existing appointments, the conflicts are returned so the owner can move or cancel them
+exports.reviewTimeOff = async (req, res) => {
+    const db = connection.promise();
+
+    const timeOffId = parseInt(req.params.time_off_id, 10);
+    if (!timeOffId) return res.status(400).json({ message: 'Invalid time_off_id' });
+
+    const { decision, note = null } = req.body || {};
+    if (!REVIEW_DECISIONS.includes(decision)) {
+        return res.status(400).json({ message: `decision must be one of ${REVIEW_DECISIONS.join(', ')}` });
+    }
+    if (note !== null && (typeof note !== 'string' || note.length > 255)) {
+        return res.status(400).json({ message: 'note must be a string of at most 255 characters' });
+    }
+
+    try {
+        const [rows] = await db.execute(`SELECT ${TIME_OFF_COLUMNS}, e.user_id, e.salon_id, u.email, s.name AS salon_name, s.timezone
+                                        FROM employee_time_off t
+                                        JOIN employees e ON e.employee_id = t.employee_id
+                                        JOIN users u ON u.user_id = e.user_id
+                                        JOIN salons s ON s.salon_id = e.salon_id
+                                        WHERE t.time_off_id = ? AND e.salon_id = ?`, [timeOffId, req.salon_id ?? null]
+        ); if (!rows.length) return res.status(404).json({ message: 'Time off not found' });
+
+        const { user_id, email, salon_id, salon_name, timezone, ...timeOff } = rows[0];
+        //schedule managers are employees too, their own requests go to the owner
+        if (user_id === req.user.user_id) {
+            return res.status(403).json({ message: 'You cannot review your own time off' });
+        }
+        if (timeOff.status !== 'PENDING') {
+            return res.status(409).json({ message: `Time off is already ${timeOff.status.toLowerCase()}` });
+        }
+
+        const nowUtc = toMySQLUtc(DateTime.utc());
+        await db.execute(`UPDATE employee_time_off SET status = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?
+                         WHERE time_off_id = ?`, [decision, req.user.user_id, nowUtc, note, timeOffId]);
+
+        const startUtc = DateTime.fromSQL(timeOff.start_at, { zone: 'utc' });
+        const endUtc = DateTime.fromSQL(timeOff.end_at, { zone: 'utc' });
+        const conflictingAppointments = decision === 'APPROVED'
+            ? await findTimeOffConflicts(db, timeOff.employee_id, startUtc, endUtc)
+            : [];
+
+        const salonTimezone = timezone || 'America/New_York';
+        const period = `${startUtc.setZone(salonTimezone).toFormat('EEE, MMM d, yyyy h:mm a')} to ${endUtc.setZone(salonTimezone).toFormat('EEE, MMM d, yyyy h:mm a')}`;
+        try {
+            await createNotification(db, {
+                user_id,
+                salon_id,
+                employee_id: timeOff.employee_id,
+                email,
+                type_code: decision === 'APPROVED' ? 'TIME_OFF_APPROVED' : 'TIME_OFF_DENIED',
+                message: `Your time off at ${salon_name} from ${period} was ${decision.toLowerCase()}.${note ? ` Note: ${note}` : ''}`,
+                sender_email: 'SYSTEM'
+            });
+        } catch (notifError) {
+            console.error('Failed to send time off review notification:', notifError);
+        }
+
+        return res.status(200).json({
+            message: `Time off ${decision.toLowerCase()}`,
+            data: {
+                ...formatTimeOff({ ...timeOff, status: decision, review_note: note, reviewed_at: nowUtc }),
+                conflicting_appointments: conflictingAppointments
+            }
+        });
+    } catch (err) {
+        console.error('reviewTimeOff error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
 };
\ No newline at end of file
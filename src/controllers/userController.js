@@ -1,15 +1,68 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const connection = require('../config/databaseConnection');
-const { generateToken } = require('../middleware/auth.middleware');
-const { validateEmail, toMySQLUtc, formatDateTime, logUtcDebug, luxonWeekdayToDb } = require('../utils/utilies');
+const { generateToken, revokeToken, revokeAllUserTokens } = require('../middleware/auth.middleware');
+const { validateEmail, validatePhoneE164, toMySQLUtc, formatDateTime, logUtcDebug, luxonWeekdayToDb } = require('../utils/utilies');
 const { DateTime } = require('luxon');
 const { createNotification } = require('./notificationsController');
+const { generateOpaqueToken, hashToken } = require('../utils/tokenSecurity');
+const { sendMail } = require('../utils/mailer');
+const { getLoginRetryAfter, recordLoginFailure, clearAccountFailures } = require('../utils/loginThrottle');
+const { getFilePresigned } = require('../utils/s3');
+const { getMfaStatus, issueMfaChallengeToken } = require('../utils/mfa');
+const notificationSecurity = require('../utils/notificationsSecurity');
+const { writeAuditLog, auditActor } = require('../utils/auditLog');
+const { sessionClient, createSession, touchSession, revokeSession } = require('../utils/sessions');
 
 const useExternalTransactions = () => (
     process.env.NODE_ENV === 'test' &&
     process.env.TEST_USE_EXTERNAL_TRANSACTIONS === 'true'
 );
 
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_RESET_TTL_MINUTES = 30;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+const VERIFICATION_RESEND_DAILY_LIMIT = 5;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Store a new refresh token (hashed) in the given family and return the raw token for the client
+const issueRefreshToken = async (db, userId, familyId) => {
+    const refreshToken = generateOpaqueToken();
+    const nowUtc = DateTime.utc();
+    await db.execute(
+        `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [userId, familyId, hashToken(refreshToken), toMySQLUtc(nowUtc.plus({ days: REFRESH_TOKEN_TTL_DAYS })), toMySQLUtc(nowUtc)]
+    );
+    return refreshToken;
+};
+
+// Issue an email verification token for the given address and send it to that address.
+// Older unused tokens for the user are invalidated so only the latest link works.
+const issueEmailVerification = async (db, userId, email, fullName) => {
+    const verificationToken = generateOpaqueToken(32);
+    const nowUtc = DateTime.utc();
+
+    await db.execute(
+        'UPDATE email_verification_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+        [toMySQLUtc(nowUtc), userId]
+    );
+    await db.execute(
+        `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [userId, email, hashToken(verificationToken), toMySQLUtc(nowUtc.plus({ hours: EMAIL_VERIFICATION_TTL_HOURS })), toMySQLUtc(nowUtc)]
+    );
+
+    await sendMail(db, {
+        user_id: userId,
+        to: email,
+        subject: 'Verify your Strands email address',
+        type_code: 'EMAIL_VERIFICATION',
+        text: `Hi ${fullName}, use this code to verify your email address: ${verificationToken}. It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    });
+};
+
 // User Sign Up
 exports.signUp = async (req, res) => {
     const db = connection.promise();
@@ -27,7 +80,7 @@ exports.signUp = async (req, res) => {
         }
 
         // Validate password strength *REVIST WITH FRONTEND*
-        if (password.length < 6) {
+        if (password.length < MIN_PASSWORD_LENGTH) {
             return res.status(400).json({
                 message: "Password must be at least 6 characters long"
             });
@@ -117,6 +170,13 @@ exports.signUp = async (req, res) => {
             console.error('Failed to send signup notification:', notifError);
         }
 
+        try {
+            await issueEmailVerification(db, userId, email, full_name);
+        } catch (verificationError) {
+            // User can request a new link through the resend endpoint
+            console.error('Failed to send verification email:', verificationError);
+        }
+
         // Return success response without token
         res.status(201).json({
             message: "User signed up successfully",
@@ -137,11 +197,70 @@ exports.signUp = async (req, res) => {
     }
 };
 
+// Finish a login once every factor has been checked: activates the user, records the session, issues the
+// access/refresh token pair, tracks the login and sends the login notification. Also used by the MFA step of login.
+// client: { userAgent, ip } from sessionClient(req)
+exports.startSession = async (db, user, client = {}) => {
+    // Activate user if not already active
+    const activateUserQuery = 'UPDATE users SET active = 1 WHERE user_id = ? AND active != 1';
+    await db.execute(activateUserQuery, [user.user_id]);
+
+    // Update last login time
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    const updateLoginQuery = 'UPDATE users SET last_login_at = ? WHERE user_id = ?';
+    await db.execute(updateLoginQuery, [nowUtc, user.user_id]);
+
+    // Each login starts a new session (= refresh token family); fid lets logout revoke it from the access token
+    const familyId = crypto.randomUUID();
+    await createSession(db, { sessionId: familyId, userId: user.user_id, ...client });
+    const tokenPayload = {
+        user_id: user.user_id,
+        role: user.role.toUpperCase(),
+        full_name: user.full_name,
+        tv: user.token_version,
+        fid: familyId
+    };
+
+    const token = generateToken(tokenPayload);
+    const refreshToken = await issueRefreshToken(db, user.user_id, familyId);
+
+    // Store token expiration time (2 hours from now)
+    const tokenExpiry = DateTime.utc().plus({ hours: 2 });
+    const updateTokenQuery = 'UPDATE auth_credentials SET token_expires_at = ? WHERE user_id = ?';
+    await db.execute(updateTokenQuery, [toMySQLUtc(tokenExpiry), user.user_id]);
+
+    // Track login
+    const trackLoginQuery = 'INSERT INTO logins (user_id, login_date) VALUES (?, ?)';
+    await db.execute(trackLoginQuery, [user.user_id, nowUtc]);
+
+    // Send "Logging in" notification
+    try {
+        await createNotification(db, {
+            user_id: user.user_id,
+            email: user.email,
+            type_code: 'LOGIN_SUCCESS',
+            message: `You have successfully logged in to your Strands account. Welcome back, ${user.full_name}!`,
+            sender_email: 'SYSTEM'
+        });
+    } catch (notifError) {
+        console.error('Failed to send login notification:', notifError);
+    }
+
+    return {
+        user_id: user.user_id,
+        full_name: user.full_name,
+        role: user.role,
+        email_verified: Boolean(user.email_verified_at),
+        token: token,
+        refresh_token: refreshToken
+    };
+};
+
 // User Login
 exports.login = async (req, res) => {
     const db = connection.promise();
     /*Not adding the token login in the beginning, but will have the token generated after the users logins.
-    Not adding the ability to refresh tokens, or reset passwords etc, unless asked by Professor.
+    A refresh token is returned alongside the 2h access token, see refreshToken.
     */
 
     try {
@@ -159,74 +278,70 @@ exports.login = async (req, res) => {
             });
         }
 
-        const checkUserQuery = 'SELECT user_id, role, full_name FROM users WHERE email = ?';
+        // Brute-force protection, checked before touching the account
+        const clientIp = req.ip;
+        const retryAfter = await getLoginRetryAfter(db, { email, ip: clientIp });
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                message: "Too many failed login attempts. Please try again later.",
+                retry_after_seconds: retryAfter
+            });
+        }
+
+        const checkUserQuery = 'SELECT user_id, role, full_name, email_verified_at, suspended_at FROM users WHERE email = ?';
         const [existingUsers] = await db.execute(checkUserQuery, [email]);
 
         if (existingUsers.length === 0) {
+            await recordLoginFailure(db, { email, ip: clientIp, reason: 'UNKNOWN_EMAIL' });
             return res.status(401).json({
                 message: "Invalid credentials"
             });
         }
         
-        const checkAuthQuery = 'SELECT password_hash FROM auth_credentials WHERE user_id = ?';
+        const checkAuthQuery = 'SELECT password_hash, token_version FROM auth_credentials WHERE user_id = ?';
         const [authCredentials] = await db.execute(checkAuthQuery, [existingUsers[0].user_id]);
         
 
         const isPasswordValid = await bcrypt.compare(password, authCredentials[0].password_hash);
         if (!isPasswordValid) {
+            await recordLoginFailure(db, { email, ip: clientIp, userId: existingUsers[0].user_id, reason: 'INVALID_PASSWORD' });
             return res.status(401).json({
                 message: "Invalid credentials"
             });
         }
 
-        // Activate user if not already active
-        const activateUserQuery = 'UPDATE users SET active = 1 WHERE user_id = ? AND active != 1';
-        await db.execute(activateUserQuery, [existingUsers[0].user_id]);
-
-        // Update last login time
-        const nowUtc = toMySQLUtc(DateTime.utc());
-        const updateLoginQuery = 'UPDATE users SET last_login_at = ? WHERE user_id = ?';
-        await db.execute(updateLoginQuery, [nowUtc, existingUsers[0].user_id]);
-
-        const tokenPayload = {
-            user_id: existingUsers[0].user_id,
-            role: existingUsers[0].role.toUpperCase(),
-            full_name: existingUsers[0].full_name
-        };
-
-        const token = generateToken(tokenPayload);
-        
-        // Store token expiration time (2 hours from now)
-        const tokenExpiry = DateTime.utc().plus({ hours: 2 });
-        const updateTokenQuery = 'UPDATE auth_credentials SET token_expires_at = ? WHERE user_id = ?';
-        await db.execute(updateTokenQuery, [toMySQLUtc(tokenExpiry), existingUsers[0].user_id]);
-
+        await clearAccountFailures(db, email);
 
-        // Track login
-        const trackLoginQuery = 'INSERT INTO logins (user_id, login_date) VALUES (?, ?)';
-        await db.execute(trackLoginQuery, [existingUsers[0].user_id, nowUtc]);
+        // Only revealed once the password is correct
+        if (existingUsers[0].suspended_at) {
+            return res.status(403).json({
+                message: "Account suspended. Please contact support."
+            });
+        }
 
-        // Send "Logging in" notification
-        try {
-            await createNotification(db, {
-                user_id: existingUsers[0].user_id,
-                email: email,
-                type_code: 'LOGIN_SUCCESS',
-                message: `You have successfully logged in to your Strands account. Welcome back, ${existingUsers[0].full_name}!`,
-                sender_email: 'SYSTEM'
+        const mfa = await getMfaStatus(db, existingUsers[0].user_id, existingUsers[0].role);
+        if (mfa.enabled || mfa.required) {
+            return res.status(200).json({
+                message: "MFA verification required",
+                data: {
+                    user_id: existingUsers[0].user_id,
+                    mfa_required: true,
+                    mfa_setup_required: !mfa.enabled,
+                    mfa_token: issueMfaChallengeToken(existingUsers[0].user_id)
+                }
             });
-        } catch (notifError) {
-            console.error('Failed to send login notification:', notifError);
         }
 
+        const session = await exports.startSession(db, {
+            ...existingUsers[0],
+            email,
+            token_version: authCredentials[0].token_version
+        }, sessionClient(req));
+
         res.status(200).json({
             message: "Login successful",
-            data: {
-                user_id: existingUsers[0].user_id,
-                full_name: existingUsers[0].full_name,
-                role: existingUsers[0].role,
-                token: token
-            }
+            data: session
         });
         
     } catch (error) {
@@ -238,7 +353,7 @@ exports.login = async (req, res) => {
 };
 
 // User Logout
-/* Token will not be invalidated, but the user will be set as inactive. 
+/* The token is added to the revoked_tokens denylist so it is rejected by authenticateToken, and the user is set as inactive.
     Frontend will handle the token deletion and redirect to login page after calling this endpoint.
 */
 exports.logout = async (req, res) => {
@@ -258,6 +373,10 @@ exports.logout = async (req, res) => {
         const clearTokenQuery = 'UPDATE auth_credentials SET token_expires_at = NULL WHERE user_id = ?';
         await db.execute(logoutQuery, [userId]);
         await db.execute(clearTokenQuery, [userId]);
+        await revokeToken(db, req.user);
+        if (req.user.fid) {
+            await revokeSession(db, req.user.fid);
+        }
         
         res.status(200).json({
             message: "Logout successful",
@@ -275,6 +394,1037 @@ exports.logout = async (req, res) => {
     }
 };
 
+// Refresh Access Token
+/* Refresh tokens are single use: each call rotates to a new one in the same family.
+    Presenting an already used or revoked token is treated as theft and revokes the whole family.
+*/
+exports.refreshToken = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { refresh_token } = req.body || {};
+
+        if (!refresh_token || typeof refresh_token !== 'string') {
+            return res.status(400).json({
+                message: "refresh_token is required"
+            });
+        }
+
+        const nowUtc = DateTime.utc();
+        const [tokens] = await db.execute(
+            `SELECT rt.token_id, rt.user_id, rt.family_id, rt.used_at, rt.revoked_at,
+                    (rt.expires_at <= ?) AS is_expired,
+                    u.role, u.full_name, u.suspended_at, u.deleted_at, ac.token_version
+             FROM refresh_tokens rt
+             JOIN users u ON u.user_id = rt.user_id
+             JOIN auth_credentials ac ON ac.user_id = rt.user_id
+             WHERE rt.token_hash = ?`,
+            [toMySQLUtc(nowUtc), hashToken(refresh_token)]
+        );
+
+        if (tokens.length === 0) {
+            return res.status(401).json({
+                message: "Invalid refresh token"
+            });
+        }
+
+        const stored = tokens[0];
+
+        if (stored.used_at || stored.revoked_at) {
+            await revokeSession(db, stored.family_id);
+            return res.status(401).json({
+                message: "Refresh token has already been used"
+            });
+        }
+
+        if (Number(stored.is_expired) === 1) {
+            return res.status(401).json({
+                message: "Refresh token has expired"
+            });
+        }
+
+        // Account state is checked on every rotation, not only when the session was started
+        if (stored.deleted_at || !['ADMIN', 'OWNER', 'CUSTOMER', 'EMPLOYEE'].includes(String(stored.role).toUpperCase())) {
+            await revokeSession(db, stored.family_id);
+            return res.status(401).json({
+                message: "Invalid refresh token"
+            });
+        }
+        if (stored.suspended_at) {
+            await revokeSession(db, stored.family_id);
+            return res.status(403).json({
+                message: "Account suspended. Please contact support."
+            });
+        }
+
+        // Conditional update so two concurrent refreshes with the same token cannot both succeed
+        const [markResult] = await db.execute(
+            'UPDATE refresh_tokens SET used_at = ? WHERE token_id = ? AND used_at IS NULL AND revoked_at IS NULL',
+            [toMySQLUtc(nowUtc), stored.token_id]
+        );
+        if (markResult.affectedRows === 0) {
+            await revokeSession(db, stored.family_id);
+            return res.status(401).json({
+                message: "Refresh token has already been used"
+            });
+        }
+
+        const token = generateToken({
+            user_id: stored.user_id,
+            role: stored.role.toUpperCase(),
+            full_name: stored.full_name,
+            tv: stored.token_version,
+            fid: stored.family_id
+        });
+        const newRefreshToken = await issueRefreshToken(db, stored.user_id, stored.family_id);
+        await touchSession(db, stored.family_id, req.ip);
+
+        await db.execute(
+            'UPDATE auth_credentials SET token_expires_at = ? WHERE user_id = ?',
+            [toMySQLUtc(nowUtc.plus({ hours: 2 })), stored.user_id]
+        );
+
+        return res.status(200).json({
+            message: "Token refreshed",
+            data: {
+                user_id: stored.user_id,
+                token: token,
+                refresh_token: newRefreshToken
+            }
+        });
+
+    } catch (error) {
+        console.error('refreshToken error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Forgot Password
+/* Always responds the same way so the endpoint can't be used to discover which emails have accounts.
+    The raw reset token is only ever sent to the user, we store its hash.
+*/
+exports.forgotPassword = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { email } = req.body || {};
+
+        if (!email) {
+            return res.status(400).json({
+                message: "Email is required"
+            });
+        }
+
+        if (!validateEmail(email)) {
+            return res.status(400).json({
+                message: "Invalid email format"
+            });
+        }
+
+        const genericResponse = {
+            message: "If an account exists for that email, a password reset link has been sent"
+        };
+
+        const [users] = await db.execute('SELECT user_id, full_name FROM users WHERE email = ?', [email]);
+        if (users.length === 0) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const userId = users[0].user_id;
+        const nowUtc = DateTime.utc();
+        const resetToken = generateOpaqueToken(32);
+
+        // Only the most recent reset link should work
+        await db.execute(
+            'UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+            [toMySQLUtc(nowUtc), userId]
+        );
+        await db.execute(
+            `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_at)
+             VALUES (?, ?, ?, ?)`,
+            [userId, hashToken(resetToken), toMySQLUtc(nowUtc.plus({ minutes: PASSWORD_RESET_TTL_MINUTES })), toMySQLUtc(nowUtc)]
+        );
+
+        try {
+            await sendMail(db, {
+                user_id: userId,
+                to: email,
+                subject: 'Reset your Strands password',
+                type_code: 'PASSWORD_RESET_REQUESTED',
+                text: `Hi ${users[0].full_name}, use this code to reset your Strands password: ${resetToken}. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not request this, you can ignore this message.`
+            });
+        } catch (mailError) {
+            console.error('Failed to send password reset email:', mailError);
+        }
+
+        return res.status(200).json(genericResponse);
+
+    } catch (error) {
+        console.error('forgotPassword error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Reset Password
+exports.resetPassword = async (req, res) => {
+    const db = connection.promise();
+    const manageTransactionExternally = useExternalTransactions();
+    let transactionStarted = false;
+
+    try {
+        const { token, new_password } = req.body || {};
+
+        if (!token || !new_password) {
+            return res.status(400).json({
+                message: "token and new_password are required"
+            });
+        }
+
+        if (new_password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                message: "Password must be at least 6 characters long"
+            });
+        }
+
+        const nowUtc = toMySQLUtc(DateTime.utc());
+        const [tokens] = await db.execute(
+            `SELECT prt.reset_id, prt.user_id, u.email
+             FROM password_reset_tokens prt
+             JOIN users u ON u.user_id = prt.user_id
+             WHERE prt.token_hash = ? AND prt.used_at IS NULL AND prt.expires_at > ?`,
+            [hashToken(token), nowUtc]
+        );
+
+        if (tokens.length === 0) {
+            return res.status(400).json({
+                message: "Invalid or expired reset token"
+            });
+        }
+
+        const { reset_id, user_id, email } = tokens[0];
+        const hashedPassword = await bcrypt.hash(new_password, Number(process.env.BCRYPT_SALT));
+
+        if (!manageTransactionExternally) {
+            await db.beginTransaction();
+            transactionStarted = true;
+        }
+
+        const [markResult] = await db.execute(
+            'UPDATE password_reset_tokens SET used_at = ? WHERE reset_id = ? AND used_at IS NULL',
+            [nowUtc, reset_id]
+        );
+        if (markResult.affectedRows === 0) {
+            if (transactionStarted) {
+                await db.rollback();
+            }
+            return res.status(400).json({
+                message: "Invalid or expired reset token"
+            });
+        }
+
+        await db.execute(
+            'UPDATE auth_credentials SET password_hash = ? WHERE user_id = ?',
+            [hashedPassword, user_id]
+        );
+        await revokeAllUserTokens(db, user_id);
+
+        if (!manageTransactionExternally) {
+            await db.commit();
+        }
+
+        try {
+            await createNotification(db, {
+                user_id,
+                email,
+                type_code: 'PASSWORD_CHANGED',
+                message: 'Your Strands password was reset. All existing sessions have been signed out.',
+                sender_email: 'SYSTEM'
+            });
+        } catch (notifError) {
+            console.error('Failed to send password reset notification:', notifError);
+        }
+
+        return res.status(200).json({
+            message: "Password has been reset"
+        });
+
+    } catch (error) {
+        if (!manageTransactionExternally && transactionStarted) {
+            try {
+                await db.rollback();
+            } catch (rollbackError) {
+                console.error('resetPassword rollback error:', rollbackError);
+            }
+        }
+        console.error('resetPassword error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Change Password
+/* Every other session is signed out; the caller gets a fresh token pair so they stay logged in. */
+exports.changePassword = async (req, res) => {
+    const db = connection.promise();
+    const manageTransactionExternally = useExternalTransactions();
+    let transactionStarted = false;
+
+    try {
+        const userId = req.user?.user_id;
+        const { current_password, new_password } = req.body || {};
+
+        if (!userId) {
+            return res.status(401).json({
+                message: "Unauthorized"
+            });
+        }
+
+        if (!current_password || !new_password) {
+            return res.status(400).json({
+                message: "current_password and new_password are required"
+            });
+        }
+
+        if (new_password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                message: "Password must be at least 6 characters long"
+            });
+        }
+
+        if (current_password === new_password) {
+            return res.status(400).json({
+                message: "New password must be different from the current password"
+            });
+        }
+
+        const [rows] = await db.execute(
+            `SELECT u.role, u.full_name, u.email, ac.password_hash
+             FROM users u
+             JOIN auth_credentials ac ON ac.user_id = u.user_id
+             WHERE u.user_id = ?`,
+            [userId]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                message: "User not found"
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(current_password, rows[0].password_hash);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                message: "Current password is incorrect"
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(new_password, Number(process.env.BCRYPT_SALT));
+
+        if (!manageTransactionExternally) {
+            await db.beginTransaction();
+            transactionStarted = true;
+        }
+
+        await db.execute(
+            'UPDATE auth_credentials SET password_hash = ? WHERE user_id = ?',
+            [hashedPassword, userId]
+        );
+        await revokeAllUserTokens(db, userId);
+
+        const [[credentials]] = await db.execute(
+            'SELECT token_version FROM auth_credentials WHERE user_id = ?',
+            [userId]
+        );
+        // Every other session was just revoked, this request continues in a fresh one
+        const familyId = crypto.randomUUID();
+        await createSession(db, { sessionId: familyId, userId, ...sessionClient(req) });
+        const token = generateToken({
+            user_id: userId,
+            role: rows[0].role.toUpperCase(),
+            full_name: rows[0].full_name,
+            tv: credentials.token_version,
+            fid: familyId
+        });
+        const refreshToken = await issueRefreshToken(db, userId, familyId);
+        await db.execute(
+            'UPDATE auth_credentials SET token_expires_at = ? WHERE user_id = ?',
+            [toMySQLUtc(DateTime.utc().plus({ hours: 2 })), userId]
+        );
+
+        if (!manageTransactionExternally) {
+            await db.commit();
+        }
+
+        try {
+            await createNotification(db, {
+                user_id: userId,
+                email: rows[0].email,
+                type_code: 'PASSWORD_CHANGED',
+                message: 'Your Strands password was changed. Other sessions have been signed out.',
+                sender_email: 'SYSTEM'
+            });
+        } catch (notifError) {
+            console.error('Failed to send password change notification:', notifError);
+        }
+
+        return res.status(200).json({
+            message: "Password changed successfully",
+            data: {
+                user_id: userId,
+                token: token,
+                refresh_token: refreshToken
+            }
+        });
+
+    } catch (error) {
+        if (!manageTransactionExternally && transactionStarted) {
+            try {
+                await db.rollback();
+            } catch (rollbackError) {
+                console.error('changePassword rollback error:', rollbackError);
+            }
+        }
+        console.error('changePassword error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Verify Email
+exports.verifyEmail = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const { token } = req.body || {};
+
+        if (!token) {
+            return res.status(400).json({
+                message: "token is required"
+            });
+        }
+
+        const nowUtc = toMySQLUtc(DateTime.utc());
+        const [tokens] = await db.execute(
+            `SELECT evt.verification_id, evt.user_id, evt.email
+             FROM email_verification_tokens evt
+             WHERE evt.token_hash = ? AND evt.used_at IS NULL AND evt.expires_at > ?`,
+            [hashToken(token), nowUtc]
+        );
+
+        if (tokens.length === 0) {
+            return res.status(400).json({
+                message: "Invalid or expired verification token"
+            });
+        }
+
+        const { verification_id, user_id, email } = tokens[0];
+
+        await db.execute(
+            'UPDATE email_verification_tokens SET used_at = ? WHERE verification_id = ?',
+            [nowUtc, verification_id]
+        );
+
+        // The token only proves ownership of the address it was sent to
+        const [result] = await db.execute(
+            'UPDATE users SET email_verified_at = ? WHERE user_id = ? AND email = ?',
+            [nowUtc, user_id, email]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({
+                message: "Invalid or expired verification token"
+            });
+        }
+
+        return res.status(200).json({
+            message: "Email verified successfully",
+            data: {
+                user_id,
+                email_verified: true
+            }
+        });
+
+    } catch (error) {
+        console.error('verifyEmail error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Resend Verification Email
+exports.resendVerificationEmail = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = req.user?.user_id;
+        if (!userId) {
+            return res.status(401).json({
+                message: "Unauthorized"
+            });
+        }
+
+        const [users] = await db.execute(
+            'SELECT email, full_name, email_verified_at FROM users WHERE user_id = ?',
+            [userId]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({
+                message: "User not found"
+            });
+        }
+
+        if (users[0].email_verified_at) {
+            return res.status(409).json({
+                message: "Email is already verified"
+            });
+        }
+
+        const nowUtc = DateTime.utc();
+        const [[recent]] = await db.execute(
+            `SELECT
+                SUM(created_at > ?) AS in_cooldown,
+                COUNT(*) AS last_day
+             FROM email_verification_tokens
+             WHERE user_id = ? AND created_at > ?`,
+            [
+                toMySQLUtc(nowUtc.minus({ seconds: VERIFICATION_RESEND_COOLDOWN_SECONDS })),
+                userId,
+                toMySQLUtc(nowUtc.minus({ days: 1 }))
+            ]
+        );
+
+        if (Number(recent.in_cooldown) > 0 || Number(recent.last_day) >= VERIFICATION_RESEND_DAILY_LIMIT) {
+            const retryAfter = Number(recent.in_cooldown) > 0 ? VERIFICATION_RESEND_COOLDOWN_SECONDS : 24 * 60 * 60;
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                message: "Too many verification emails requested. Please try again later."
+            });
+        }
+
+        await issueEmailVerification(db, userId, users[0].email, users[0].full_name);
+
+        return res.status(200).json({
+            message: "Verification email sent"
+        });
+
+    } catch (error) {
+        console.error('resendVerificationEmail error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Get current user's profile
+exports.getMe = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = req.user?.user_id;
+        if (!userId) {
+            return res.status(401).json({
+                message: "Unauthorized"
+            });
+        }
+
+        const [users] = await db.execute(
+            `SELECT user_id, full_name, email, phone, profile_picture_url, role, email_verified_at, last_login_at, created_at
+             FROM users WHERE user_id = ?`,
+            [userId]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({
+                message: "User not found"
+            });
+        }
+
+        const user = users[0];
+
+        // profile_picture_url holds the S3 key; hand out a short-lived URL
+        let profilePictureUrl = null;
+        if (user.profile_picture_url) {
+            const { url } = await getFilePresigned(user.profile_picture_url);
+            profilePictureUrl = url || null;
+        }
+
+        return res.status(200).json({
+            data: {
+                user_id: user.user_id,
+                full_name: user.full_name,
+                email: user.email,
+                email_verified: Boolean(user.email_verified_at),
+                phone: user.phone,
+                role: user.role,
+                profile_picture_url: profilePictureUrl,
+                last_login_at: user.last_login_at ? formatDateTime(user.last_login_at) : null,
+                created_at: user.created_at ? formatDateTime(user.created_at) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('getMe error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Update current user's profile
+/* Changing the email marks the account unverified until the new address is confirmed. */
+exports.updateMe = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = req.user?.user_id;
+        if (!userId) {
+            return res.status(401).json({
+                message: "Unauthorized"
+            });
+        }
+
+        const { full_name, email, phone } = req.body || {};
+
+        if (full_name === undefined && email === undefined && phone === undefined) {
+            return res.status(400).json({
+                message: "At least one of full_name, email or phone is required"
+            });
+        }
+
+        const updates = {};
+
+        if (full_name !== undefined) {
+            if (typeof full_name !== 'string' || !full_name.trim() || full_name.trim().length > 120) {
+                return res.status(400).json({
+                    message: "full_name must be a non-empty string of at most 120 characters"
+                });
+            }
+            updates.full_name = full_name.trim();
+        }
+
+        if (phone !== undefined) {
+            if (phone === null || phone === '') {
+                updates.phone = null;
+            } else if (!validatePhoneE164(phone)) {
+                return res.status(400).json({
+                    message: "phone must be in E.164 format, e.g. +15551234567"
+                });
+            } else {
+                updates.phone = phone;
+            }
+        }
+
+        const [users] = await db.execute(
+            'SELECT full_name, email, phone, email_verified_at FROM users WHERE user_id = ?',
+            [userId]
+        );
+        if (users.length === 0) {
+            return res.status(404).json({
+                message: "User not found"
+            });
+        }
+        const current = users[0];
+
+        let emailChanged = false;
+        if (email !== undefined) {
+            if (typeof email !== 'string' || !validateEmail(email.trim())) {
+                return res.status(400).json({
+                    message: "Invalid email format"
+                });
+            }
+
+            const newEmail = email.trim();
+            if (newEmail.toLowerCase() !== current.email.toLowerCase()) {
+                const [taken] = await db.execute(
+                    'SELECT user_id FROM users WHERE email = ? AND user_id != ?',
+                    [newEmail, userId]
+                );
+                if (taken.length > 0) {
+                    return res.status(409).json({
+                        message: "Email is already in use"
+                    });
+                }
+                updates.email = newEmail;
+                updates.email_verified_at = null;
+                emailChanged = true;
+            }
+        }
+
+        const fields = Object.keys(updates);
+        if (fields.length > 0) {
+            const setClause = fields.map(field => `${field} = ?`).join(', ');
+            await db.execute(
+                `UPDATE users SET ${setClause} WHERE user_id = ?`,
+                [...fields.map(field => updates[field]), userId]
+            );
+        }
+
+        if (emailChanged) {
+            try {
+                await issueEmailVerification(db, userId, updates.email, updates.full_name || current.full_name);
+            } catch (verificationError) {
+                console.error('Failed to send verification email:', verificationError);
+            }
+
+            try {
+                await createNotification(db, {
+                    user_id: userId,
+                    email: current.email,
+                    type_code: 'EMAIL_CHANGED',
+                    message: `The email address on your Strands account was changed to ${updates.email}. If this wasn't you, reset your password immediately.`,
+                    sender_email: 'SYSTEM'
+                });
+            } catch (notifError) {
+                console.error('Failed to send email change notification:', notifError);
+            }
+        }
+
+        return res.status(200).json({
+            message: emailChanged
+                ? "Profile updated. Please verify your new email address."
+                : "Profile updated",
+            data: {
+                user_id: userId,
+                full_name: updates.full_name ?? current.full_name,
+                email: updates.email ?? current.email,
+                phone: updates.phone !== undefined ? updates.phone : current.phone,
+                email_verified: emailChanged ? false : Boolean(current.email_verified_at)
+            }
+        });
+
+    } catch (error) {
+        console.error('updateMe error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Export current user's data
+/* Card numbers are never exported, only brand and last 4 digits. Notifications are decrypted. */
+exports.exportMyData = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const userId = req.user?.user_id;
+        if (!userId) {
+            return res.status(401).json({
+                message: "Unauthorized"
+            });
+        }
+
+        const [users] = await db.execute(
+            `SELECT user_id, full_name, email, phone, role, email_verified_at, last_login_at, created_at, updated_at
+             FROM users WHERE user_id = ?`,
+            [userId]
+        );
+        if (users.length === 0) {
+            return res.status(404).json({
+                message: "User not found"
+            });
+        }
+
+        const [bookings] = await db.execute(
+            `SELECT b.booking_id, b.salon_id, s.name AS salon_name, b.scheduled_start, b.scheduled_end, b.status, b.notes, b.created_at
+             FROM bookings b
+             JOIN salons s ON s.salon_id = b.salon_id
+             WHERE b.customer_user_id = ?
+             ORDER BY b.scheduled_start DESC`,
+            [userId]
+        );
+
+        const bookingIds = bookings.map(b => b.booking_id);
+        let bookingServices = [];
+        if (bookingIds.length > 0) {
+            const placeholders = bookingIds.map(() => '?').join(',');
+            [bookingServices] = await db.execute(
+                `SELECT bs.booking_id, sv.name AS service_name, bs.price, bs.duration_minutes
+                 FROM booking_services bs
+                 JOIN services sv ON sv.service_id = bs.service_id
+                 WHERE bs.booking_id IN (${placeholders})`,
+                bookingIds
+            );
+        }
+
+        const [payments] = await db.execute(
+            `SELECT p.payment_id, p.booking_id, p.order_id, p.amount, p.status, p.created_at, cc.brand, cc.last4
+             FROM payments p
+             LEFT JOIN bookings b ON b.booking_id = p.booking_id
+             LEFT JOIN orders o ON o.order_id = p.order_id
+             LEFT JOIN credit_cards cc ON cc.credit_card_id = p.credit_card_id
+             WHERE b.customer_user_id = ? OR o.user_id = ?
+             ORDER BY p.created_at DESC`,
+            [userId, userId]
+        );
+
+        const [reviews] = await db.execute(
+            `SELECT review_id, salon_id, rating, message, created_at FROM reviews WHERE user_id = ? ORDER BY created_at DESC`,
+            [userId]
+        );
+        const [staffReviews] = await db.execute(
+            `SELECT staff_review_id, employee_id, rating, message, created_at FROM staff_reviews WHERE user_id = ? ORDER BY created_at DESC`,
+            [userId]
+        );
+        const [notes] = await db.execute(
+            `SELECT note_id, booking_id, note, created_at, updated_at FROM appointment_notes WHERE author_user_id = ? ORDER BY created_at DESC`,
+            [userId]
+        );
+        const [loyalty] = await db.execute(
+            `SELECT lm.salon_id, s.name AS salon_name, lm.visits_count, lm.total_visits_count, lm.created_at
+             FROM loyalty_memberships lm
+             JOIN salons s ON s.salon_id = lm.salon_id
+             WHERE lm.user_id = ?`,
+            [userId]
+        );
+        const [promotions] = await db.execute(
+            `SELECT user_promo_id, salon_id, promo_code, description, discount_pct, issued_at, expires_at, status, redeemed_at
+             FROM user_promotions WHERE user_id = ? ORDER BY issued_at DESC`,
+            [userId]
+        );
+        const [notificationRows] = await db.execute(
+            `SELECT notification_id, type_code, status, message, created_at, read_at
+             FROM notifications_inbox WHERE user_id = ? ORDER BY created_at DESC`,
+            [userId]
+        );
+
+        const [sessions] = await db.execute(
+            `SELECT user_agent, ip_address, created_at, last_seen_at, revoked_at
+             FROM user_sessions WHERE user_id = ? ORDER BY created_at DESC`,
+            [userId]
+        );
+
+        const notifications = notificationRows.map(n => {
+            let message = n.message;
+            try {
+                message = notificationSecurity.decryptMessage(n.message);
+            } catch (decryptError) {
+                message = '[Unable to decrypt message]';
+            }
+            return {
+                notification_id: n.notification_id,
+                type_code: n.type_code,
+                status: n.status,
+                message,
+                created_at: formatDateTime(n.created_at),
+                read_at: n.read_at ? formatDateTime(n.read_at) : null
+            };
+        });
+
+        const user = users[0];
+        const archive = {
+            exported_at: DateTime.utc().toISO(),
+            profile: {
+                user_id: user.user_id,
+                full_name: user.full_name,
+                email: user.email,
+                phone: user.phone,
+                role: user.role,
+                email_verified: Boolean(user.email_verified_at),
+                last_login_at: user.last_login_at ? formatDateTime(user.last_login_at) : null,
+                created_at: formatDateTime(user.created_at)
+            },
+            bookings: bookings.map(b => ({
+                booking_id: b.booking_id,
+                salon_id: b.salon_id,
+                salon_name: b.salon_name,
+                scheduled_start: formatDateTime(b.scheduled_start),
+                scheduled_end: formatDateTime(b.scheduled_end),
+                status: b.status,
+                notes: b.notes,
+                created_at: formatDateTime(b.created_at),
+                services: bookingServices
+                    .filter(bs => bs.booking_id === b.booking_id)
+                    .map(bs => ({ service_name: bs.service_name, price: Number(bs.price), duration_minutes: bs.duration_minutes }))
+            })),
+            payments: payments.map(p => ({
+                payment_id: p.payment_id,
+                booking_id: p.booking_id,
+                order_id: p.order_id,
+                amount: Number(p.amount),
+                status: p.status,
+                card: p.last4 ? `${p.brand} **** ${p.last4}` : null,
+                created_at: formatDateTime(p.created_at)
+            })),
+            reviews: reviews.map(r => ({ ...r, rating: Number(r.rating), created_at: formatDateTime(r.created_at) })),
+            staff_reviews: staffReviews.map(r => ({ ...r, rating: Number(r.rating), created_at: formatDateTime(r.created_at) })),
+            notes: notes.map(n => ({ ...n, created_at: formatDateTime(n.created_at), updated_at: formatDateTime(n.updated_at) })),
+            loyalty_memberships: loyalty.map(l => ({ ...l, created_at: formatDateTime(l.created_at) })),
+            promotions: promotions.map(p => ({
+                ...p,
+                discount_pct: p.discount_pct !== null ? Number(p.discount_pct) : null,
+                issued_at: formatDateTime(p.issued_at),
+                expires_at: p.expires_at ? formatDateTime(p.expires_at) : null,
+                redeemed_at: p.redeemed_at ? formatDateTime(p.redeemed_at) : null
+            })),
+            notifications,
+            sessions: sessions.map(s => ({
+                user_agent: s.user_agent,
+                ip_address: s.ip_address,
+                created_at: formatDateTime(s.created_at),
+                last_seen_at: formatDateTime(s.last_seen_at),
+                revoked_at: s.revoked_at ? formatDateTime(s.revoked_at) : null
+            }))
+        };
+
+        res.set('Content-Disposition', `attachment; filename="strands-export-${userId}.json"`);
+        return res.status(200).json({ data: archive });
+
+    } catch (error) {
+        console.error('exportMyData error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Delete current user's account
+/* The users row is anonymized rather than deleted so bookings and payments stay intact for salon accounting.
+    Stored card data is scrubbed down to brand/last4, notifications and notes are removed, and all tokens are revoked.
+*/
+exports.deleteMyAccount = async (req, res) => {
+    const db = connection.promise();
+    const manageTransactionExternally = useExternalTransactions();
+    let transactionStarted = false;
+
+    try {
+        const userId = req.user?.user_id;
+        if (!userId) {
+            return res.status(401).json({
+                message: "Unauthorized"
+            });
+        }
+
+        const { password } = req.body || {};
+        if (!password) {
+            return res.status(400).json({
+                message: "Password is required to delete your account"
+            });
+        }
+
+        const [rows] = await db.execute(
+            `SELECT u.role, u.deleted_at, ac.password_hash
+             FROM users u
+             JOIN auth_credentials ac ON ac.user_id = u.user_id
+             WHERE u.user_id = ?`,
+            [userId]
+        );
+        if (rows.length === 0 || rows[0].deleted_at) {
+            return res.status(404).json({
+                message: "User not found"
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, rows[0].password_hash);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                message: "Invalid credentials"
+            });
+        }
+
+        const [ownedSalons] = await db.execute('SELECT salon_id FROM salons WHERE owner_user_id = ?', [userId]);
+        if (ownedSalons.length > 0) {
+            return res.status(409).json({
+                message: "Owners must close or transfer their salon before deleting their account"
+            });
+        }
+
+        const nowUtc = toMySQLUtc(DateTime.utc());
+        const [upcoming] = await db.execute(
+            `SELECT booking_id FROM bookings
+             WHERE customer_user_id = ? AND status IN ('PENDING', 'SCHEDULED') AND scheduled_start > ?
+             LIMIT 1`,
+            [userId, nowUtc]
+        );
+        if (upcoming.length > 0) {
+            return res.status(409).json({
+                message: "Cancel your upcoming appointments before deleting your account"
+            });
+        }
+
+        if (!manageTransactionExternally) {
+            await db.beginTransaction();
+            transactionStarted = true;
+        }
+
+        const anonymizedFields = ['full_name', 'email', 'phone', 'profile_picture_url'];
+        await db.execute(
+            `UPDATE users
+             SET full_name = 'Deleted User', email = ?, phone = NULL, profile_picture_url = NULL,
+                 active = 0, email_verified_at = NULL, deleted_at = ?
+             WHERE user_id = ?`,
+            [`deleted-user-${userId}@deleted.invalid`, nowUtc, userId]
+        );
+
+        // Unusable hash, no password can match it
+        await db.execute(
+            'UPDATE auth_credentials SET password_hash = ? WHERE user_id = ?',
+            [`!deleted:${generateOpaqueToken(16)}`, userId]
+        );
+        await revokeAllUserTokens(db, userId);
+
+        await db.execute(
+            'UPDATE credit_cards SET encrypted_pan = NULL, cvc_hmac = NULL, card_hash = NULL WHERE user_id = ?',
+            [userId]
+        );
+        await db.execute(
+            `UPDATE billing_addresses
+             SET full_name = NULL, address_line1 = '', address_line2 = NULL, phone = NULL
+             WHERE user_id = ?`,
+            [userId]
+        );
+        await db.execute('UPDATE employees SET active = 0 WHERE user_id = ?', [userId]);
+        await db.execute('DELETE FROM notifications_inbox WHERE user_id = ?', [userId]);
+        await db.execute('DELETE FROM appointment_notes WHERE author_user_id = ?', [userId]);
+        await db.execute('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+        await db.execute('DELETE FROM email_verification_tokens WHERE user_id = ?', [userId]);
+        await db.execute('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+        await db.execute('DELETE FROM user_mfa WHERE user_id = ?', [userId]);
+        // Session rows stay (revoked) until their tokens expire, only the device details are personal data
+        await db.execute('UPDATE user_sessions SET user_agent = NULL, ip_address = NULL WHERE user_id = ?', [userId]);
+
+        await writeAuditLog(db, {
+            table_name: 'users',
+            record_id: userId,
+            action_type: 'SOFT_DELETE',
+            old_value: { role: rows[0].role, anonymized_fields: anonymizedFields },
+            new_value: { deleted_at: nowUtc, active: 0 },
+            changed_by: auditActor(req)
+        });
+
+        if (!manageTransactionExternally) {
+            await db.commit();
+        }
+
+        return res.status(200).json({
+            message: "Account deleted",
+            data: {
+                user_id: userId
+            }
+        });
+
+    } catch (error) {
+        if (!manageTransactionExternally && transactionStarted) {
+            try {
+                await db.rollback();
+            } catch (rollbackError) {
+                console.error('deleteMyAccount rollback error:', rollbackError);
+            }
+        }
+        console.error('deleteMyAccount error:', error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
 // Example Authenication Test
 exports.authTest = async (req, res) => {
     res.status(200).json({
@@ -295,7 +1445,7 @@ exports.getStylistSalon = async (req, res) => {
         return res.status(401).json({ message: 'No user found' });
       }
 
-      // Query to get the salon where this employee works
+      // Query to get the salon picked by employeeSalonContext
       const getStylistSalonQuery = 
       `SELECT s.salon_id, s.name, s.description, s.category, s.phone, s.email, 
               s.address, s.city, s.state, s.postal_code, s.country, 
@@ -303,11 +1453,11 @@ exports.getStylistSalon = async (req, res) => {
        FROM salons s
        JOIN employees e ON s.salon_id = e.salon_id
        JOIN users u ON s.owner_user_id = u.user_id
-       WHERE e.user_id = ? AND e.active = 1`;
+       WHERE e.employee_id = ? AND e.user_id = ? AND e.active = 1`;
   
       
   
-      const [result] = await db.execute(getStylistSalonQuery, [user_id]);
+      const [result] = await db.execute(getStylistSalonQuery, [req.employee_id ?? null, user_id]);
   
       if (result.length === 0) {
         return res.status(404).json({ 
@@ -325,6 +1475,27 @@ exports.getStylistSalon = async (req, res) => {
     }
   };
 
+// Every salon the stylist currently works at, for picking the X-Salon-Id sent to the stylist endpoints
+exports.listStylistSalons = async (req, res) => {
+    const db = connection.promise();
+
+    try {
+        const [salons] = await db.execute(
+            `SELECT s.salon_id, s.name, s.city, s.state, s.status, e.employee_id, e.title AS employee_title
+             FROM employees e
+             JOIN salons s ON s.salon_id = e.salon_id
+             WHERE e.user_id = ? AND e.active = 1
+             ORDER BY e.employee_id`,
+            [req.user.user_id]
+        );
+
+        return res.status(200).json({ data: salons });
+    } catch (err) {
+        console.error('listStylistSalons error:', err);
+        return res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
 
 
 
@@ -378,12 +1549,13 @@ exports.getStylistWeeklySchedule = async (req, res) => {
 
     
 
-    // Get employee_id and salon_id from user_id
-    const getEmployeeQuery = 'SELECT employee_id, salon_id FROM employees WHERE user_id = ? AND active = 1';
-    const [employeeResult] = await db.execute(getEmployeeQuery, [user_id]);
+    // The employment picked by employeeSalonContext: the schedule covers one salon
+    const employee_id = req.employee_id;
+    const salon_id = req.salon_id;
 
-    const employee_id = employeeResult[0].employee_id;
-    const salon_id = employeeResult[0].salon_id;
+    if (!employee_id) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
 
     // Get salon timezone - critical for grouping bookings by correct date
     const getSalonTimezoneQuery = 'SELECT timezone FROM salons WHERE salon_id = ?';
@@ -429,13 +1601,14 @@ exports.getStylistWeeklySchedule = async (req, res) => {
 
     // Get bookings that OVERLAP with the date range (not just start in range)
     // Use DATE_FORMAT to return SQL format (YYYY-MM-DD HH:mm:ss) for Luxon parsing
+    // In a multi-stylist booking the stylist only sees their own segment (first to last of their services)
     const getBookingsQuery = `
-      SELECT DISTINCT 
+      SELECT 
         b.booking_id, 
         b.salon_id, 
         b.customer_user_id, 
-        DATE_FORMAT(b.scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
-        DATE_FORMAT(b.scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end,
+        DATE_FORMAT(COALESCE(seg.segment_start, b.scheduled_start), '%Y-%m-%d %H:%i:%s') AS scheduled_start,
+        DATE_FORMAT(COALESCE(seg.segment_end, b.scheduled_end), '%Y-%m-%d %H:%i:%s') AS scheduled_end,
         b.status, 
         b.notes, 
         b.created_at, 
@@ -444,11 +1617,15 @@ exports.getStylistWeeklySchedule = async (req, res) => {
         u.email AS customer_email, 
         u.phone AS customer_phone
       FROM bookings b
-      JOIN booking_services bs ON b.booking_id = bs.booking_id
+      JOIN (
+        SELECT booking_id, MIN(segment_start) AS segment_start, MAX(segment_end) AS segment_end
+        FROM booking_services
+        WHERE employee_id = ?
+        GROUP BY booking_id
+      ) seg ON b.booking_id = seg.booking_id
       JOIN users u ON b.customer_user_id = u.user_id
-      WHERE bs.employee_id = ?
-        AND b.scheduled_start < ?
-        AND b.scheduled_end > ?
+      WHERE COALESCE(seg.segment_start, b.scheduled_start) < ?
+        AND COALESCE(seg.segment_end, b.scheduled_end) > ?
       ORDER BY scheduled_start ASC
     `;
     const requestStartStr = toMySQLUtc(startOfDay);
@@ -509,6 +1686,8 @@ exports.getStylistWeeklySchedule = async (req, res) => {
       const placeholders = bookingIds.map(() => '?').join(',');
       const getServicesBulkQuery = `
         SELECT bs.booking_id, bs.service_id, bs.price, bs.duration_minutes,
+               DATE_FORMAT(bs.segment_start, '%Y-%m-%d %H:%i:%s') AS segment_start,
+               DATE_FORMAT(bs.segment_end, '%Y-%m-%d %H:%i:%s') AS segment_end,
                s.name AS service_name
         FROM booking_services bs
         JOIN services s ON bs.service_id = s.service_id
@@ -522,7 +1701,9 @@ exports.getStylistWeeklySchedule = async (req, res) => {
           service_id: row.service_id,
           service_name: row.service_name,
           duration_minutes: row.duration_minutes,
-          price: row.price
+          price: row.price,
+          segment_start: row.segment_start,
+          segment_end: row.segment_end
         });
       }
     }
@@ -697,7 +1878,9 @@ exports.getStylistWeeklySchedule = async (req, res) => {
             service_id: s.service_id,
             service_name: s.service_name,
             duration_minutes: Number(s.duration_minutes),
-            price: s.price
+            price: s.price,
+            segment_start: formatDateTime(s.segment_start),
+            segment_end: formatDateTime(s.segment_end)
           })),
           total_duration_minutes: totalDuration,
           total_price: totalPrice,
@@ -839,16 +2022,14 @@ exports.viewStylistMetrics = async (req, res) => {
       return res.status(401).json({ message: 'Invalid fields.' });
     }
 
-    const getEmployeeQuery = 'SELECT employee_id, salon_id FROM employees WHERE user_id = ? AND active = 1';
-    const [employeeResult] = await db.execute(getEmployeeQuery, [user_id]);
+    // The employment picked by employeeSalonContext
+    const employee_id = req.employee_id;
+    const salon_id = req.salon_id;
 
-    if (employeeResult.length === 0) {
+    if (!employee_id) {
       return res.status(404).json({ message: 'Employee not found' });
     }
 
-    const employee_id = employeeResult[0].employee_id;
-    const salon_id = employeeResult[0].salon_id;
-
     const getSalonTimezoneQuery = 'SELECT timezone FROM salons WHERE salon_id = ?';
     const [salonTimezoneResult] = await db.execute(getSalonTimezoneQuery, [salon_id]);
     const salonTimezone = salonTimezoneResult[0]?.timezone || 'America/New_York';
@@ -0,0 +1,162 @@
+const connection = require('../config/databaseConnection'); //db connection
+const { toMySQLUtc, formatDateTime } = require('../utils/utilies');
+const { getFreedSlots, offerFreedSlots, WAITLIST_HOLD_MINUTES } = require('../utils/waitlist');
+const { DateTime } = require('luxon');
+
+const MAX_WINDOW_DAYS = 30;
+const DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+
+const positiveInt = (value) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+//waitlist rows as returned by the API
+const WAITLIST_COLUMNS = `w.waitlist_id, w.salon_id, s.name AS salon_name, w.employee_id, u.full_name AS stylist_name,
+                          w.service_id, sv.name AS service_name,
+                          DATE_FORMAT(w.window_start, '%Y-%m-%d') AS window_start, DATE_FORMAT(w.window_end, '%Y-%m-%d') AS window_end,
+                          w.status, w.offer_booking_id, DATE_FORMAT(w.offer_expires_at, '%Y-%m-%d %H:%i:%s') AS offer_expires_at, w.created_at`;
+const WAITLIST_JOINS = `JOIN salons s ON s.salon_id = w.salon_id
+                        JOIN employees e ON e.employee_id = w.employee_id
+                        JOIN users u ON u.user_id = e.user_id
+                        JOIN services sv ON sv.service_id = w.service_id`;
+
+const formatEntry = (row) => ({ ...row, offer_expires_at: formatDateTime(row.offer_expires_at) });
+
+//BS 1.1 customer joins a fully booked stylist's waitlist for a service and a date window (salon-local YYYY-MM-DD)
+exports.joinWaitlist = async (req, res) => {
+    const db = connection.promise();
+
+    const authUserId = req.user?.user_id;
+    const { start_date, end_date = req.body?.start_date } = req.body || {};
+    const salonId = positiveInt(req.body?.salon_id);
+    const employeeId = positiveInt(req.body?.employee_id);
+    const serviceId = positiveInt(req.body?.service_id);
+
+    //validating ids and window
+    if (!salonId || !employeeId || !serviceId) {
+        return res.status(400).json({ message: 'salon_id, employee_id and service_id are required' });
+    }
+    if (!DATE_RX.test(start_date || '') || !DATE_RX.test(end_date || '')
+        || !DateTime.fromISO(start_date).isValid || !DateTime.fromISO(end_date).isValid) {
+        return res.status(400).json({ message: 'start_date and end_date must be YYYY-MM-DD dates' });
+    }
+    if (end_date < start_date) {
+        return res.status(400).json({ message: 'end_date must be on or after start_date' });
+    }
+    if (DateTime.fromISO(end_date).diff(DateTime.fromISO(start_date), 'days').days >= MAX_WINDOW_DAYS) {
+        return res.status(400).json({ message: `The waitlist window cannot be longer than ${MAX_WINDOW_DAYS} days` });
+    }
+
+    try {
+        //stylist must be active at an approved salon and offer the service
+        const [rows] = await db.execute(`SELECT s.timezone, s.status
+                                        FROM employees e
+                                        JOIN salons s ON s.salon_id = e.salon_id
+                                        JOIN employee_services es ON es.employee_id = e.employee_id AND es.service_id = ?
+                                        JOIN services sv ON sv.service_id = es.service_id AND sv.active = 1
+                                        WHERE e.employee_id = ? AND e.salon_id = ? AND e.active = 1`,
+                                        [serviceId, employeeId, salonId]
+        ); if (!rows.length) return res.status(404).json({ message: 'Stylist or service not found at this salon' });
+
+        if (rows[0].status !== 'APPROVED') return res.status(403).json({ message: 'Salon is not available for booking' });
+
+        const today = DateTime.now().setZone(rows[0].timezone || 'America/New_York').toFormat('yyyy-MM-dd');
+        if (start_date < today) return res.status(400).json({ message: 'start_date cannot be in the past' });
+
+        //one active entry per stylist/service and window
+        const [existing] = await db.execute(`SELECT 1 FROM waitlist_entries
+                                            WHERE customer_user_id = ? AND employee_id = ? AND service_id = ?
+                                            AND status IN ('WAITING', 'OFFERED') AND window_start <= ? AND window_end >= ?
+                                            LIMIT 1`, [authUserId, employeeId, serviceId, end_date, start_date]
+        ); if (existing.length) return res.status(409).json({ message: 'You are already on the waitlist for these dates' });
+
+        const [ins] = await db.execute(`INSERT INTO waitlist_entries
+                                       (salon_id, customer_user_id, employee_id, service_id, window_start, window_end, status)
+                                       VALUES (?, ?, ?, ?, ?, ?, 'WAITING')`,
+                                       [salonId, authUserId, employeeId, serviceId, start_date, end_date]
+        );
+
+        const [[row]] = await db.execute(`SELECT ${WAITLIST_COLUMNS} FROM waitlist_entries w ${WAITLIST_JOINS} WHERE w.waitlist_id = ?`, [ins.insertId]);
+        const [[{ position }]] = await db.execute(`SELECT COUNT(*) AS position FROM waitlist_entries
+                                                  WHERE employee_id = ? AND status = 'WAITING' AND waitlist_id <= ?`, [employeeId, ins.insertId]);
+
+        return res.status(201).json({
+            message: `Added to the waitlist. If a spot opens up it will be held for you for ${WAITLIST_HOLD_MINUTES} minutes.`,
+            data: { ...formatEntry(row), position }
+        });
+    } catch (err) {
+        console.error('joinWaitlist error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+//BS 1.1 customer lists their waitlist entries (active ones unless ?include_closed=true)
+exports.listMyWaitlist = async (req, res) => {
+    const db = connection.promise();
+
+    const authUserId = req.user?.user_id;
+
+    try {
+        const where = ['w.customer_user_id = ?'];
+        if (req.query.include_closed !== 'true') where.push(`w.status IN ('WAITING', 'OFFERED')`);
+
+        const [rows] = await db.execute(`SELECT ${WAITLIST_COLUMNS} FROM waitlist_entries w ${WAITLIST_JOINS}
+                                        WHERE ${where.join(' AND ')} ORDER BY w.window_start ASC, w.waitlist_id ASC`, [authUserId]
+        ); return res.status(200).json({ data: rows.map(formatEntry) });
+    } catch (err) {
+        console.error('listMyWaitlist error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+//BS 1.1 customer leaves the waitlist, a held spot is released to the next customer
+exports.leaveWaitlist = async (req, res) => {
+    const db = connection.promise();
+
+    const authUserId = req.user?.user_id;
+    const waitlistId = positiveInt(req.params.waitlist_id);
+    if (!waitlistId) return res.status(400).json({ message: 'Invalid waitlist_id' });
+
+    try {
+        const [rows] = await db.execute(`SELECT waitlist_id, status, offer_booking_id FROM waitlist_entries
+                                        WHERE waitlist_id = ? AND customer_user_id = ? AND status IN ('WAITING', 'OFFERED')`,
+                                        [waitlistId, authUserId]
+        ); if (!rows.length) return res.status(404).json({ message: 'Waitlist entry not found or already closed' });
+
+        const entry = rows[0];
+        let freedSlots = [];
+
+        //db interactions
+        await db.beginTransaction();
+        try {
+            if (entry.status === 'OFFERED' && entry.offer_booking_id) {
+                //the hold is still unpaid, drop it
+                const [hold] = await db.execute(`SELECT booking_id FROM bookings WHERE booking_id = ? AND status = 'PENDING' FOR UPDATE`,
+                                               [entry.offer_booking_id]);
+                if (hold.length) {
+                    freedSlots = await getFreedSlots(db, [entry.offer_booking_id]);
+                    await db.execute(`DELETE FROM booking_services WHERE booking_id = ?`, [entry.offer_booking_id]);
+                    await db.execute(`DELETE FROM bookings WHERE booking_id = ?`, [entry.offer_booking_id]);
+                }
+            }
+            await db.execute(`UPDATE waitlist_entries SET status = 'CANCELED', updated_at = ? WHERE waitlist_id = ?`,
+                            [toMySQLUtc(DateTime.utc()), waitlistId]);
+            await db.commit();
+        } catch (txErr) {
+            await db.rollback();
+            throw txErr;
+        }
+
+        try {
+            await offerFreedSlots(db, freedSlots);
+        } catch (waitlistError) {
+            console.error('Failed to offer freed time to the waitlist:', waitlistError);
+        }
+
+        return res.status(200).json({ message: 'Removed from the waitlist' });
+    } catch (err) {
+        console.error('leaveWaitlist error:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
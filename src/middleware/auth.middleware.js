@@ -1,14 +1,78 @@
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { DateTime } = require("luxon");
+const connection = require("../config/databaseConnection");
+const { toMySQLUtc } = require("../utils/utilies");
+const { touchSession } = require("../utils/sessions");
+const { isValidPermission, resolveOwnerSalon, resolveRequestSalonId, hasPermission } = require("../utils/permissions");
+const { resolveEmployment } = require("../utils/employees");
 
 // JWT Functions
+// Every token carries a jti so it can be revoked individually, and the user's token_version
+// (tv) so all of a user's tokens can be revoked at once (password change, suspension).
 const generateToken = (payload) => {
-    return jwt.sign(payload, process.env.JWT_SECRET, {
+    return jwt.sign({ ...payload, jti: payload.jti || crypto.randomUUID() }, process.env.JWT_SECRET, {
         expiresIn: '2h'
     });
 };
 
+// Checks the denylist, the token's session (fid) and the user's current token version.
+// Tokens without a jti/tv/fid (issued before revocation existed) only get the checks they can support.
+const isTokenRevoked = async (decoded) => {
+    const db = connection.promise();
+    const [rows] = await db.execute(
+        `SELECT
+            (SELECT token_version FROM auth_credentials WHERE user_id = ?) AS token_version,
+            EXISTS(SELECT 1 FROM revoked_tokens WHERE jti = ?) AS revoked,
+            EXISTS(SELECT 1 FROM user_sessions WHERE session_id = ? AND revoked_at IS NOT NULL) AS session_revoked`,
+        [decoded.user_id ?? null, decoded.jti ?? null, decoded.fid ?? null]
+    );
+
+    const { token_version, revoked, session_revoked } = rows[0];
+    if (Number(revoked) === 1 || Number(session_revoked) === 1) {
+        return true;
+    }
+
+    return decoded.tv !== undefined && token_version !== null && Number(decoded.tv) < Number(token_version);
+};
+
+// Denylist a single token until it would have expired anyway.
+const revokeToken = async (db, decoded) => {
+    if (!decoded.jti) {
+        return revokeAllUserTokens(db, decoded.user_id);
+    }
+
+    const expiresAt = decoded.exp
+        ? DateTime.fromSeconds(decoded.exp, { zone: 'utc' })
+        : DateTime.utc().plus({ hours: 2 });
+
+    await db.execute(
+        `INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at, revoked_at)
+         VALUES (?, ?, ?, ?)`,
+        [decoded.jti, decoded.user_id, toMySQLUtc(expiresAt), toMySQLUtc(DateTime.utc())]
+    );
+};
+
+// Bump the user's token version so every token issued before now is rejected,
+// and revoke their refresh tokens and sessions so no new access tokens can be minted.
+const revokeAllUserTokens = async (db, userId) => {
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    await db.execute(
+        'UPDATE auth_credentials SET token_version = token_version + 1, token_expires_at = NULL WHERE user_id = ?',
+        [userId]
+    );
+    await db.execute(
+        'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+        [nowUtc, userId]
+    );
+    await db.execute(
+        'UPDATE user_sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+        [nowUtc, userId]
+    );
+};
+
 // Authentication Middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -16,16 +80,35 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         if (process.env.NODE_ENV !== 'test') {
         console.error('authenticateToken error:', error);
         }
         return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    // Purpose-bound tokens (e.g. MFA challenges) are not access tokens
+    if (decoded.purpose) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+        if (await isTokenRevoked(decoded)) {
+            return res.status(403).json({ error: 'Invalid or expired token' });
+        }
+        if (decoded.fid) {
+            await touchSession(connection.promise(), decoded.fid, req.ip);
+        }
+    } catch (error) {
+        console.error('authenticateToken revocation check error:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    req.user = decoded;
+    next();
 };
 
 // Role Authorization
@@ -48,8 +131,136 @@ const roleAuthorization = (roles) => {
     };
 };
 
+// Owner Salon Context
+/* Owners can run several salons, so owner routes act on the salon chosen with the X-Salon-Id header
+   (or a salon_id param/query/body field). Owners with a single salon don't need to send it.
+   Sets req.salon_id (null when the owner has no salon yet, controllers report that as before).
+*/
+const ownerSalonContext = async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const context = await resolveOwnerSalon(connection.promise(), req);
+        if (context.error) {
+            return res.status(context.status).json({ error: context.error });
+        }
+        req.salon_id = context.salonId;
+    } catch (error) {
+        console.error('ownerSalonContext error:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    next();
+};
+
+// Employee Salon Context
+/* Stylists can work at several salons, so stylist routes act on the employment picked with the X-Salon-Id
+   header (or salon_id). Stylists with a single salon don't need to send it.
+   Sets req.employee_id and req.salon_id (both null when they aren't employed anywhere, controllers report that).
+*/
+const employeeSalonContext = async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const context = await resolveEmployment(connection.promise(), req);
+        if (context.error) {
+            return res.status(context.status).json({ error: context.error });
+        }
+        req.employee_id = context.employment?.employee_id ?? null;
+        req.salon_id = context.employment?.salon_id ?? null;
+    } catch (error) {
+        console.error('employeeSalonContext error:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    next();
+};
+
+// Permission Authorization
+/* Use after roleAuthorization for routes a salon can delegate, e.g.
+    roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('products:write')
+   Sets req.salon_id to the salon the permission was checked against. Owners and employees pick it like
+   ownerSalonContext and employeeSalonContext do.
+*/
+const requirePermission = (permission) => {
+    if (!isValidPermission(permission)) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (req.user.role === 'OWNER') {
+            return ownerSalonContext(req, res, next);
+        }
+
+        try {
+            const db = connection.promise();
+            let salonId;
+            if (req.user.role === 'EMPLOYEE') {
+                const context = await resolveEmployment(db, req);
+                if (context.error) {
+                    return res.status(context.status).json({ error: context.error });
+                }
+                salonId = context.employment?.salon_id ?? null;
+            } else {
+                salonId = await resolveRequestSalonId(db, req);
+            }
+
+            if (!(await hasPermission(db, req.user, salonId, permission))) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+
+            req.salon_id = salonId;
+        } catch (error) {
+            console.error('requirePermission error:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+
+        next();
+    };
+};
+
+// Email Verification
+// Unverified users can log in but not book, check out or register a salon.
+const requireVerifiedEmail = async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const db = connection.promise();
+        const [rows] = await db.execute(
+            'SELECT email_verified_at FROM users WHERE user_id = ?',
+            [req.user.user_id]
+        );
+
+        if (rows.length > 0 && !rows[0].email_verified_at) {
+            return res.status(403).json({ error: 'Email address must be verified' });
+        }
+    } catch (error) {
+        console.error('requireVerifiedEmail error:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    next();
+};
+
 module.exports = {
     generateToken,
+    isTokenRevoked,
     authenticateToken,
-    roleAuthorization
+    roleAuthorization,
+    ownerSalonContext,
+    employeeSalonContext,
+    requirePermission,
+    requireVerifiedEmail,
+    revokeToken,
+    revokeAllUserTokens
 };
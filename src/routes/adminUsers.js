@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { listUsers, getUser, suspendUser, reactivateUser, changeUserRole, unlockUser, getMfaPolicies, setMfaPolicy } = require('../controllers/adminUserController');
+const { authenticateToken, roleAuthorization } = require('../middleware/auth.middleware');
+
+// MFA enforcement per role (declared before /:user_id)
+router.get('/mfa-policy', authenticateToken, roleAuthorization(['ADMIN']), getMfaPolicies);
+router.put('/mfa-policy', authenticateToken, roleAuthorization(['ADMIN']), setMfaPolicy);
+
+// User console: list/search and details
+router.get('/', authenticateToken, roleAuthorization(['ADMIN']), listUsers);
+router.get('/:user_id', authenticateToken, roleAuthorization(['ADMIN']), getUser);
+
+// Suspend / reactivate / change role, all written to audit_log
+router.post('/:user_id/suspend', authenticateToken, roleAuthorization(['ADMIN']), suspendUser);
+router.post('/:user_id/reactivate', authenticateToken, roleAuthorization(['ADMIN']), reactivateUser);
+router.patch('/:user_id/role', authenticateToken, roleAuthorization(['ADMIN']), changeUserRole);
+
+// Unlock an account locked out by failed logins
+router.post('/:user_id/unlock', authenticateToken, roleAuthorization(['ADMIN']), unlockUser);
+
+module.exports = router;
@@ -12,13 +12,18 @@ router.post('/reschedule', authenticateToken, roleAuthorization(['CUSTOMER']), b
 //BS 1.3 customer cancels booking/appointment
 router.post('/cancel', authenticateToken, roleAuthorization(['CUSTOMER']), bookingController.cancelBooking);
 
+//BS 1.2/1.3 recurring series: view, move or cancel every upcoming occurrence (single occurrences use /reschedule and /cancel)
+router.get('/series/:series_id', authenticateToken, roleAuthorization(['CUSTOMER']), bookingController.getBookingSeries);
+router.post('/series/:series_id/reschedule', authenticateToken, roleAuthorization(['CUSTOMER']), bookingController.rescheduleBookingSeries);
+router.post('/series/:series_id/cancel', authenticateToken, roleAuthorization(['CUSTOMER']), bookingController.cancelBookingSeries);
+
 //BS 1.7 stylist cancels booking/appointment
 router.post('/stylist/cancel', authenticateToken, roleAuthorization(['EMPLOYEE']), bookingController.cancelBookingAsStylist);
 
 // Delete pending booking (transaction didn't go through)
 router.delete('/:booking_id/deletePendingBooking', authenticateToken, roleAuthorization(['CUSTOMER']), bookingController.deletePendingBooking);
 
-//UPH 1.2/1.21 salon owner/stylist seeing customer visits, stylists' only see their own
+//UPH 1.2/1.21 salon owner/stylist seeing customer visits, stylists' only see their own unless they have bookings:manage
 router.get('/visits/customers', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), bookingController.listVisitCustomers);
 
 //UPH 1.2/1.21 salon owner/stylist seeing an individual customer's details
@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { uploadBeforePhoto, uploadAfterPhoto, deletePhoto, getPhoto, checkIfPhotoAttached, getSalonGallery, uploadSalonPhoto, getSalonPhoto, deleteSalonPhoto } = require('../controllers/fileController');
-const { authenticateToken, roleAuthorization } = require('../middleware/auth.middleware');
+const { uploadBeforePhoto, uploadAfterPhoto, deletePhoto, getPhoto, checkIfPhotoAttached, getSalonGallery, uploadSalonPhoto, getSalonPhoto, deleteSalonPhoto, uploadProfilePhoto } = require('../controllers/fileController');
+const { authenticateToken, roleAuthorization, ownerSalonContext } = require('../middleware/auth.middleware');
 
 
 const storage = multer.memoryStorage();
@@ -38,8 +38,11 @@ router.get('/get-salon-gallery', authenticateToken, roleAuthorization(['CUSTOMER
 
 
 // UAR 1.3 Upload Salon Photo
-router.post('/upload-salon-photo', authenticateToken, roleAuthorization(['OWNER']), upload.single("file"), uploadSalonPhoto);
+router.post('/upload-salon-photo', authenticateToken, roleAuthorization(['OWNER']), upload.single("file"), ownerSalonContext, uploadSalonPhoto);
 router.get('/get-salon-photo', authenticateToken, roleAuthorization(['CUSTOMER','EMPLOYEE','OWNER','ADMIN']), getSalonPhoto);
-router.delete('/delete-salon-photo', authenticateToken, roleAuthorization(['OWNER']), deleteSalonPhoto);
+router.delete('/delete-salon-photo', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, deleteSalonPhoto);
+
+// Profile photo for the current user, any role
+router.post('/upload-profile-photo', authenticateToken, upload.single("file"), uploadProfilePhoto);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getNotifications, getUnreadCount, markAsRead, markAllAsRead, stylistSendReminder, deleteNotification, deleteAllNotifications, ownerSendUnusedOffersNotifications } = require('../controllers/notificationsController');
-const { authenticateToken, roleAuthorization } = require('../middleware/auth.middleware');
+const { authenticateToken, roleAuthorization, ownerSalonContext, employeeSalonContext } = require('../middleware/auth.middleware');
 
 // NC 1.1 - Get user's notifications with pagination
 router.get('/inbox', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE', 'CUSTOMER', "ADMIN"]), getNotifications);
@@ -16,7 +16,7 @@ router.post('/mark-read', authenticateToken, roleAuthorization(['OWNER', 'EMPLOY
 router.post('/mark-all-read', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE', 'CUSTOMER', "ADMIN"]), markAllAsRead);
 
 // NC 1.1 - Stylist manually sends appointment reminder to specific customers by email
-router.post('/stylist/send-reminder', authenticateToken, roleAuthorization(['EMPLOYEE']), stylistSendReminder);
+router.post('/stylist/send-reminder', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, stylistSendReminder);
 
 // NC 1.1 - Delete notification
 router.delete('/delete/:notification_id', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE', 'CUSTOMER', "ADMIN"]), deleteNotification);
@@ -25,7 +25,7 @@ router.delete('/delete/:notification_id', authenticateToken, roleAuthorization([
 router.delete('/delete-all', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE', 'CUSTOMER', "ADMIN"]), deleteAllNotifications);
 
 // NC 1.3 - Owner endpoint to manually trigger unused offers notifications
-router.post('/owner/send-unused-offers', authenticateToken, roleAuthorization(['OWNER']), ownerSendUnusedOffersNotifications);
+router.post('/owner/send-unused-offers', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, ownerSendUnusedOffersNotifications);
 
 module.exports = router;
 
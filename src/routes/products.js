@@ -1,21 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { addProduct, getProducts, deleteProduct, updateProduct, addToCart, viewCart, removeFromCart, updateCart, checkout, viewUserOrders, viewSalonOrders } = require('../controllers/productsController');
-const { authenticateToken, roleAuthorization } = require('../middleware/auth.middleware');
+const { addProduct, getProducts, deleteProduct, updateProduct, addToCart, viewCart, removeFromCart, updateCart, checkout, viewUserOrders, viewSalonOrders, viewOwnerProducts, viewOwnerOrders } = require('../controllers/productsController');
+const { authenticateToken, roleAuthorization, requirePermission, requireVerifiedEmail } = require('../middleware/auth.middleware');
 
-//SF 1.1 Owner Shop
-router.post('/', authenticateToken, roleAuthorization(['OWNER']), addProduct);
+//SF 1.1 Owner Shop (employees need the products:write permission delegated by the owner)
+router.post('/', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('products:write'), addProduct);
 router.get('/:salon_id', authenticateToken, roleAuthorization(['CUSTOMER','OWNER']), getProducts);
-router.delete('/:product_id', authenticateToken, roleAuthorization(['OWNER']), deleteProduct);
-router.patch('/:product_id', authenticateToken, roleAuthorization(['OWNER']), updateProduct);
+router.delete('/:product_id', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('products:write'), deleteProduct);
+router.patch('/:product_id', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('products:write'), updateProduct);
 
 // SF 1.2 Customer Shop
 router.post('/customer/add-to-cart', authenticateToken, roleAuthorization(['CUSTOMER']), addToCart);
 router.get('/customer/view-cart/:salon_id', authenticateToken, roleAuthorization(['CUSTOMER']), viewCart);
 router.delete('/customer/remove-from-cart', authenticateToken, roleAuthorization(['CUSTOMER']), removeFromCart);
 router.patch('/customer/update-cart', authenticateToken, roleAuthorization(['CUSTOMER']), updateCart);
-router.post('/customer/checkout', authenticateToken, roleAuthorization(['CUSTOMER']), checkout);
+router.post('/customer/checkout', authenticateToken, roleAuthorization(['CUSTOMER']), requireVerifiedEmail, checkout);
 router.post('/customer/view-orders', authenticateToken, roleAuthorization(['CUSTOMER']), viewUserOrders);
-router.post('/owner/view-orders', authenticateToken, roleAuthorization(['OWNER']), viewSalonOrders);
+router.post('/owner/view-orders', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('products:write'), viewSalonOrders);
+
+// Consolidated views across all of the owner's locations
+router.get('/owner/all-locations', authenticateToken, roleAuthorization(['OWNER']), viewOwnerProducts);
+router.get('/owner/all-locations/orders', authenticateToken, roleAuthorization(['OWNER']), viewOwnerOrders);
 
 module.exports = router;
\ No newline at end of file
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const {issueLoyalCustomerPromotions,getUserPromotions,sendPromotionToCustomer,previewPromoCode} = require('../controllers/promotionsController');
-const { authenticateToken, roleAuthorization } = require('../middleware/auth.middleware');
+const { authenticateToken, roleAuthorization, requirePermission } = require('../middleware/auth.middleware');
 
-// NC 1.2 - Issue loyal customer promotions (Bulk to gold customers)
-router.post('/salons/:salonId/issue-promotions',authenticateToken,roleAuthorization(['OWNER']),issueLoyalCustomerPromotions);
+// NC 1.2 - Issue loyal customer promotions (Bulk to gold customers), employees need the promotions:manage permission
+router.post('/salons/:salon_id/issue-promotions',authenticateToken,roleAuthorization(['OWNER','EMPLOYEE']),requirePermission('promotions:manage'),issueLoyalCustomerPromotions);
 
 // NC 1.2 - Send promotion to a specific customer
-router.post('/salons/:salonId/sendPromoToCustomer',authenticateToken,roleAuthorization(['OWNER']),sendPromotionToCustomer);
+router.post('/salons/:salon_id/sendPromoToCustomer',authenticateToken,roleAuthorization(['OWNER','EMPLOYEE']),requirePermission('promotions:manage'),sendPromotionToCustomer);
 
 // NC 1.2 - Get user promotions
 router.get('/user/get-promotions',authenticateToken,roleAuthorization(['CUSTOMER']),getUserPromotions);
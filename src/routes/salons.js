@@ -1,63 +1,113 @@
 const express = require('express');
 const router = express.Router();
 const salonController = require('../controllers/salonController');
-const {authenticateToken, roleAuthorization} = require('../middleware/auth.middleware');
+const employeeInvitationController = require('../controllers/employeeInvitationController');
+const salonRoleController = require('../controllers/salonRoleController');
+const unavailabilityController = require('../controllers/unavailabilityController');
+const {authenticateToken, roleAuthorization, ownerSalonContext, employeeSalonContext, requirePermission, requireVerifiedEmail} = require('../middleware/auth.middleware');
 
 // UAR 1.3/1.4 registration + salon type
 router.get('/check', authenticateToken, roleAuthorization(['OWNER']), salonController.checkOwnerHasSalon);
-router.post('/create', authenticateToken, roleAuthorization(['OWNER']), salonController.createSalon);
+router.post('/create', authenticateToken, roleAuthorization(['OWNER']), requireVerifiedEmail, salonController.createSalon);
 
+// Owners can run several salons: the owner routes below act on the one picked with the X-Salon-Id header
+// (or salon_id), which owners with a single salon may leave out
+router.get('/mine', authenticateToken, roleAuthorization(['OWNER']), salonController.listMySalons);
 
-// UAR 1.5 salon approval
-router.patch('/approve', authenticateToken, roleAuthorization(['ADMIN']), salonController.approveSalon);
 
-// UAR 1.6 browse salons
-router.get('/browse', authenticateToken, roleAuthorization(['ADMIN', 'CUSTOMER']), salonController.browseSalons);
+// UAR 1.5 salon approval (also reviews queued profile changes with target PROFILE_CHANGES)
+router.patch('/approve', authenticateToken, roleAuthorization(['ADMIN']), salonController.approveSalon);
+// Suspensions/rejections carry a reason and optional expiry; reinstate lifts them early
+router.post('/:salon_id/suspend', authenticateToken, roleAuthorization(['ADMIN']), salonController.suspendSalon);
+router.post('/:salon_id/reinstate', authenticateToken, roleAuthorization(['ADMIN']), salonController.reinstateSalon);
+router.get('/profile-changes', authenticateToken, roleAuthorization(['ADMIN']), salonController.listPendingProfileChanges);
 
-// UAR 1.7 Add/Remove Employee
-router.post('/addEmployee', authenticateToken, roleAuthorization(['OWNER']), salonController.addEmployee);
-router.delete('/removeEmployee', authenticateToken, roleAuthorization(['OWNER']), salonController.removeEmployee);
-router.post('/viewEmployees', authenticateToken, roleAuthorization(['OWNER']), salonController.viewEmployees);
+// Owner edits the salon profile: name, address and category changes on a live salon wait for admin review
+router.patch('/profile', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, salonController.updateSalonProfile);
 
+// UAR 1.6 browse salons (lat/lng/radius_km for "near me" search)
+router.get('/browse', authenticateToken, roleAuthorization(['ADMIN', 'CUSTOMER']), salonController.browseSalons);
 
-// PLR 1.6 Configure Loyalty Program
-router.post('/configureLoyaltyProgram', authenticateToken, roleAuthorization(['OWNER']), salonController.configureLoyaltyProgram);
-router.patch('/updateLoyaltyProgram', authenticateToken, roleAuthorization(['OWNER']), salonController.updateLoyaltyProgram);
-router.get('/getLoyaltyProgram', authenticateToken, roleAuthorization(['OWNER']), salonController.getLoyaltyProgram);
+// Keyword search over salons and their services with price/duration/category filters
+router.get('/search', authenticateToken, roleAuthorization(['ADMIN', 'CUSTOMER']), salonController.searchSalons);
+
+// UAR 1.7 Add/Remove Employee (employees need the employees:manage permission delegated by the owner)
+router.post('/addEmployee', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('employees:manage'), salonController.addEmployee);
+router.delete('/removeEmployee', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('employees:manage'), salonController.removeEmployee);
+router.post('/viewEmployees', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('employees:manage'), salonController.viewEmployees);
+
+// Employee invitations: owner (or an employee with employees:manage) invites by email, invitee responds with the emailed token (may not have an account yet)
+router.post('/invitations', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('employees:manage'), employeeInvitationController.createInvitation);
+router.get('/invitations', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('employees:manage'), employeeInvitationController.listInvitations);
+router.delete('/invitations/:invitation_id', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('employees:manage'), employeeInvitationController.revokeInvitation);
+router.get('/invitations/lookup', employeeInvitationController.getInvitation);
+router.post('/invitations/accept', employeeInvitationController.acceptInvitation);
+router.post('/invitations/decline', employeeInvitationController.declineInvitation);
+
+// Delegated salon roles: the owner groups permissions into roles and assigns them to employees
+router.get('/permissions', authenticateToken, roleAuthorization(['OWNER']), salonRoleController.listPermissions);
+router.get('/permissions/me', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), salonRoleController.getMyPermissions);
+router.get('/roles', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, salonRoleController.listRoles);
+router.post('/roles', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, salonRoleController.createRole);
+router.put('/roles/:salon_role_id', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, salonRoleController.updateRole);
+router.delete('/roles/:salon_role_id', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, salonRoleController.deleteRole);
+router.post('/roles/:salon_role_id/assignments', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, salonRoleController.assignRole);
+router.delete('/roles/:salon_role_id/assignments/:user_id', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, salonRoleController.unassignRole);
+
+
+// PLR 1.6 Configure Loyalty Program (employees need the loyalty:manage permission)
+router.post('/configureLoyaltyProgram', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('loyalty:manage'), salonController.configureLoyaltyProgram);
+router.patch('/updateLoyaltyProgram', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('loyalty:manage'), salonController.updateLoyaltyProgram);
+router.get('/getLoyaltyProgram', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('loyalty:manage'), salonController.getLoyaltyProgram);
 
 // BS 1.0 - Salon Operating Hours
 
-//Technically Owner get the hours for a salon, but only owner can set the hours
-router.get('/getHours', authenticateToken, roleAuthorization(['OWNER']), salonController.getSalonHours);
-router.post('/setHours', authenticateToken, roleAuthorization(['OWNER']), salonController.setSalonHours);
+// Hours, date overrides, availability, stylist assignment and time off review: owners, or employees with schedule:manage
+router.get('/getHours', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.getSalonHours);
+router.post('/setHours', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.setSalonHours);
+
+// Date-specific closures and special hours (YYYY-MM-DD in the salon's timezone)
+router.get('/hours/overrides', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.getSalonHoursOverrides);
+router.put('/hours/overrides/:date', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.setSalonHoursOverride);
+router.delete('/hours/overrides/:date', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.deleteSalonHoursOverride);
 
-// BS 1.0 - Employee Availability Management (Owner only)
-router.get('/getEmployees', authenticateToken, roleAuthorization(['OWNER']), salonController.getEmployees);
-router.post('/setEmployeeAvailability/:employeeId', authenticateToken, roleAuthorization(['OWNER']), salonController.setEmployeeAvailability);
-router.get('/getEmployeeAvailability/:employeeId', authenticateToken, roleAuthorization(['OWNER']), salonController.getEmployeeAvailability);
+// BS 1.0 - Employee Availability Management
+router.get('/getEmployees', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.getEmployees);
+router.post('/setEmployeeAvailability/:employeeId', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.setEmployeeAvailability);
+router.get('/getEmployeeAvailability/:employeeId', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.getEmployeeAvailability);
+// How "any available stylist" bookings pick the stylist
+router.get('/stylist-assignment', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.getStylistAssignment);
+router.put('/stylist-assignment', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), salonController.setStylistAssignment);
+// Stylist time off requests awaiting (or past) the owner's review
+router.get('/time-off', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), unavailabilityController.listSalonTimeOff);
+router.post('/time-off/:time_off_id/review', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('schedule:manage'), unavailabilityController.reviewTimeOff);
 
 
 // BS 1.01 - Stylist service management(Employee only)
-router.post('/stylist/createService', authenticateToken, roleAuthorization(['EMPLOYEE']), salonController.createAndAddServiceToStylist);
-router.patch('/stylist/updateService/:service_id', authenticateToken, roleAuthorization(['EMPLOYEE']), salonController.updateServiceFromStylist);
-router.delete('/stylist/removeService/:service_id', authenticateToken, roleAuthorization(['EMPLOYEE']), salonController.removeServiceFromStylist);
-router.get('/stylist/myServices', authenticateToken, roleAuthorization(['EMPLOYEE']), salonController.getStylistServices);
+router.post('/stylist/createService', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, salonController.createAndAddServiceToStylist);
+router.patch('/stylist/updateService/:service_id', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, salonController.updateServiceFromStylist);
+router.delete('/stylist/removeService/:service_id', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, salonController.removeServiceFromStylist);
+router.get('/stylist/myServices', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, salonController.getStylistServices);
 
 
 // BS 1.1 - Customer booking endpoints
+router.get('/discover', authenticateToken, roleAuthorization(['CUSTOMER']), salonController.discoverAvailability);
 router.get('/:salon_id/stylists', authenticateToken, roleAuthorization(['CUSTOMER']), salonController.getAvailableStylists);
 router.get('/:salon_id/stylists/:employee_id/timeslots', authenticateToken, roleAuthorization(['CUSTOMER']), salonController.getAvailableTimeSlotsRange);
 router.get('/:salon_id/stylists/:employee_id/services', authenticateToken, roleAuthorization(['CUSTOMER']), salonController.getStylistServices);
-router.post('/:salon_id/stylists/:employee_id/book', authenticateToken, roleAuthorization(['CUSTOMER']), salonController.bookTimeSlot);
+router.post('/:salon_id/stylists/:employee_id/book', authenticateToken, roleAuthorization(['CUSTOMER']), requireVerifiedEmail, salonController.bookTimeSlot);
+router.post('/:salon_id/book', authenticateToken, roleAuthorization(['CUSTOMER']), requireVerifiedEmail, salonController.bookMultiStylistSlot);
+router.post('/:salon_id/book/any-stylist', authenticateToken, roleAuthorization(['CUSTOMER']), requireVerifiedEmail, salonController.bookAnyStylist);
 router.get('/:salon_id/services', authenticateToken, roleAuthorization(['CUSTOMER']), salonController.browseSalonServices);
 
-router.get('/information', authenticateToken, roleAuthorization(['OWNER']), salonController.getSalonInformation);
+router.get('/information', authenticateToken, roleAuthorization(['OWNER']), ownerSalonContext, salonController.getSalonInformation);
 
 // AFVD 1.1 User Engagement Tracking
 router.post('/track-salon-event', authenticateToken, roleAuthorization(['CUSTOMER']), salonController.trackSalonEvent);
 
-// PLR 1.2 View Salon Metrics
-router.get('/top-metrics', authenticateToken, roleAuthorization(['OWNER']), salonController.getTopSalonMetrics);
+// PLR 1.2 View Salon Metrics (employees need the analytics:view permission)
+router.get('/top-metrics', authenticateToken, roleAuthorization(['OWNER', 'EMPLOYEE']), requirePermission('analytics:view'), salonController.getTopSalonMetrics);
+router.get('/top-metrics/all-locations', authenticateToken, roleAuthorization(['OWNER']), salonController.getLocationsOverview);
 
 // OPT Check Salon Status
 router.get('/check-salon-status', authenticateToken, roleAuthorization(['CUSTOMER']), salonController.checkSalonStatus);
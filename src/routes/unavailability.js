@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const unavailabilityController = require('../controllers/unavailabilityController');
-const {authenticateToken, roleAuthorization} = require('../middleware/auth.middleware');
+const {authenticateToken, roleAuthorization, employeeSalonContext} = require('../middleware/auth.middleware');
 
 //BS 1.5 block unavailable time slots
-router.post('/', authenticateToken, roleAuthorization(['EMPLOYEE']), unavailabilityController.createRecurringBlock);
-router.get('/', authenticateToken, roleAuthorization(['EMPLOYEE']), unavailabilityController.listRecurringBlocks);
-router.delete('/', authenticateToken, roleAuthorization(['EMPLOYEE']), unavailabilityController.deleteRecurringBlock);
+router.post('/', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, unavailabilityController.createRecurringBlock);
+router.get('/', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, unavailabilityController.listRecurringBlocks);
+router.delete('/', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, unavailabilityController.deleteRecurringBlock);
+
+//BS 1.5 dated time off (full or partial days), approved by the owner
+router.post('/time-off', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, unavailabilityController.requestTimeOff);
+router.get('/time-off', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, unavailabilityController.listMyTimeOff);
+router.delete('/time-off/:time_off_id', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, unavailabilityController.cancelTimeOff);
 
 module.exports = router;
\ No newline at end of file
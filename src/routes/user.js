@@ -1,20 +1,53 @@
 const express = require('express');
 const router = express.Router();
-const { signUp, login, logout, authTest, getStylistSalon,viewLoyaltyProgram, getStylistWeeklySchedule, viewStylistMetrics, viewTotalRewards, getAllRewards, viewSingleLoyaltyProgram } = require('../controllers/userController');
-const { authenticateToken, roleAuthorization } = require('../middleware/auth.middleware');
+const { signUp, login, logout, refreshToken, forgotPassword, resetPassword, changePassword, verifyEmail, resendVerificationEmail, getMe, updateMe, exportMyData, deleteMyAccount, authTest, getStylistSalon, listStylistSalons,viewLoyaltyProgram, getStylistWeeklySchedule, viewStylistMetrics, viewTotalRewards, getAllRewards, viewSingleLoyaltyProgram } = require('../controllers/userController');
+const { verifyLoginMfa, setupLoginMfa, getMfa, setupMfa, enableMfa, disableMfa, regenerateRecoveryCodes } = require('../controllers/mfaController');
+const { listSessions, revokeSession, revokeOtherSessions } = require('../controllers/sessionController');
+const { authenticateToken, roleAuthorization, employeeSalonContext } = require('../middleware/auth.middleware');
 
 
 router.post('/signup', signUp);
 router.post('/login', login);
 router.post('/logout', authenticateToken, logout);
+router.post('/refresh', refreshToken);
+
+// Second login step when MFA is enabled or required for the role
+router.post('/login/mfa', verifyLoginMfa);
+router.post('/login/mfa/setup', setupLoginMfa);
+
+// TOTP enrollment and recovery codes
+router.get('/mfa', authenticateToken, getMfa);
+router.post('/mfa/setup', authenticateToken, setupMfa);
+router.post('/mfa/enable', authenticateToken, enableMfa);
+router.post('/mfa/disable', authenticateToken, disableMfa);
+router.post('/mfa/recovery-codes', authenticateToken, regenerateRecoveryCodes);
+
+// Active sessions (one per login/device) and remote sign-out
+router.get('/sessions', authenticateToken, listSessions);
+router.post('/sessions/revoke-others', authenticateToken, revokeOtherSessions);
+router.delete('/sessions/:session_id', authenticateToken, revokeSession);
+
+router.post('/password/forgot', forgotPassword);
+router.post('/password/reset', resetPassword);
+router.post('/password/change', authenticateToken, changePassword);
+
+router.post('/verify-email', verifyEmail);
+router.post('/verify-email/resend', authenticateToken, resendVerificationEmail);
 
 router.get('/auth-test', authenticateToken, authTest); // Example Authenication Test
 
-// UAR 1.8 Get stylist's assigned salon
-router.get('/stylist/getSalon', authenticateToken, roleAuthorization(['EMPLOYEE']), getStylistSalon);
+// Profile (photo upload lives in /api/file/upload-profile-photo)
+router.get('/me', authenticateToken, getMe);
+router.patch('/me', authenticateToken, updateMe);
+router.get('/me/export', authenticateToken, exportMyData);
+router.post('/me/delete', authenticateToken, deleteMyAccount);
+
+// UAR 1.8 Get stylist's assigned salon (stylists working at several salons pick one with the X-Salon-Id header)
+router.get('/stylist/salons', authenticateToken, roleAuthorization(['EMPLOYEE']), listStylistSalons);
+router.get('/stylist/getSalon', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, getStylistSalon);
 
 // BS 1.4 Get stylist's weekly schedule
-router.get('/stylist/weeklySchedule', authenticateToken, roleAuthorization(['EMPLOYEE']), getStylistWeeklySchedule);
+router.get('/stylist/weeklySchedule', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, getStylistWeeklySchedule);
 // PLR 1.4 View Loyalty Program
 router.get('/loyalty/view', authenticateToken, roleAuthorization(['CUSTOMER']), viewLoyaltyProgram);
 router.get('/loyalty/salon-view', authenticateToken, roleAuthorization(['CUSTOMER']), viewSingleLoyaltyProgram);
@@ -22,6 +55,6 @@ router.get('/loyalty/total-rewards', authenticateToken, roleAuthorization(['CUST
 router.get('/loyalty/all-rewards', authenticateToken, roleAuthorization(['CUSTOMER']), getAllRewards);
 
 // PLR 1.2 View Stylist Metrics
-router.get('/stylist/metrics', authenticateToken, roleAuthorization(['EMPLOYEE']), viewStylistMetrics);
+router.get('/stylist/metrics', authenticateToken, roleAuthorization(['EMPLOYEE']), employeeSalonContext, viewStylistMetrics);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { authenticateToken, roleAuthorization, requireVerifiedEmail } = require('../middleware/auth.middleware');
+
+//BS 1.1 customers wait for a fully booked stylist, freed spots are held for them in order
+router.post('/', authenticateToken, roleAuthorization(['CUSTOMER']), requireVerifiedEmail, waitlistController.joinWaitlist);
+router.get('/', authenticateToken, roleAuthorization(['CUSTOMER']), waitlistController.listMyWaitlist);
+router.delete('/:waitlist_id', authenticateToken, roleAuthorization(['CUSTOMER']), waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const { DateTime } = require('luxon');
+const { toMySQLUtc } = require('./utilies');
+
+// Write a row to audit_log. old_value/new_value are stored as JSON; changed_by is a free-form actor label (email, "SYSTEM", ip...)
+exports.writeAuditLog = async (db, { table_name, record_id, action_type, old_value = null, new_value = null, changed_by = null }) => {
+    await db.execute(
+        `INSERT INTO audit_log (table_name, record_id, action_type, old_value, new_value, changed_by, changed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            table_name,
+            record_id ?? 0,
+            action_type,
+            old_value === null ? null : JSON.stringify(old_value),
+            new_value === null ? null : JSON.stringify(new_value),
+            changed_by ? String(changed_by).slice(0, 100) : null,
+            toMySQLUtc(DateTime.utc())
+        ]
+    );
+};
+
+// changed_by label for the authenticated user making a change
+exports.auditActor = (req) => (req.user?.user_id ? `user:${req.user.user_id}` : 'SYSTEM');
@@ -0,0 +1,56 @@
+/*
+ * Multi-stylist bookings: one booking whose services are split across stylists. Each booking_services row
+ * carries its own segment_start/segment_end; rows without them (single-stylist bookings) take the whole booking.
+ * SEQUENTIAL chains the services back to back in the order given, PARALLEL starts every stylist at the
+ * booking start and chains only that stylist's own services.
+ */
+const BOOKING_TIMINGS = ['SEQUENTIAL', 'PARALLEL'];
+
+// A stylist's time within a booking, for queries joining bookings b with booking_services bs
+const STYLIST_SEGMENT_START_SQL = 'COALESCE(bs.segment_start, b.scheduled_start)';
+const STYLIST_SEGMENT_END_SQL = 'COALESCE(bs.segment_end, b.scheduled_end)';
+
+// Lays out [{ service_id, employee_id, duration_minutes }] from startDate (UTC).
+// Returns { segments: [{ service_id, employee_id, start, end }], endDate }.
+const planSegments = (startDate, services, timing) => {
+    const cursors = {};
+    let cursor = startDate;
+    let endDate = startDate;
+
+    const segments = services.map(s => {
+        const start = timing === 'PARALLEL' ? (cursors[s.employee_id] || startDate) : cursor;
+        const end = start.plus({ minutes: s.duration_minutes });
+        cursors[s.employee_id] = end;
+        cursor = end;
+        if (end > endDate) {
+            endDate = end;
+        }
+        return { service_id: s.service_id, employee_id: s.employee_id, start, end };
+    });
+
+    return { segments, endDate };
+};
+
+// Each stylist's busy windows as { [employee_id]: [{ start, end }] }, back-to-back segments merged
+const stylistWindows = (segments) => {
+    const windows = {};
+    const sorted = [...segments].sort((a, b) => a.start - b.start);
+    for (const { employee_id, start, end } of sorted) {
+        const list = windows[employee_id] || (windows[employee_id] = []);
+        const last = list[list.length - 1];
+        if (last && +last.end === +start) {
+            last.end = end;
+        } else {
+            list.push({ start, end });
+        }
+    }
+    return windows;
+};
+
+module.exports = {
+    BOOKING_TIMINGS,
+    STYLIST_SEGMENT_START_SQL,
+    STYLIST_SEGMENT_END_SQL,
+    planSegments,
+    stylistWindows
+};
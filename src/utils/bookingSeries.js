@@ -0,0 +1,124 @@
+/*
+ * Recurring booking series (booking_series): the same services with the same stylist every N weeks.
+ * Each occurrence is a normal booking row carrying series_id, so it can be canceled or rescheduled on its own
+ * through the single-booking endpoints. Occurrences keep their local wall-clock time across DST changes.
+ */
+const { DateTime } = require('luxon');
+const { buildStylistDailySlots, checkStylistSlot } = require('./stylistSlots');
+
+const MAX_INTERVAL_WEEKS = 12;
+const MAX_SERIES_OCCURRENCES = 26;
+const MAX_ALTERNATIVES = 3;
+
+// Validates { interval_weeks, count } or { interval_weeks, until } (YYYY-MM-DD, salon-local, inclusive).
+// Returns { intervalWeeks, count, until, skipConflicts } or { error }.
+const parseRecurrence = (recurrence) => {
+    if (!recurrence || typeof recurrence !== 'object') {
+        return { error: 'recurrence must be an object with interval_weeks and count or until' };
+    }
+
+    const intervalWeeks = Number(recurrence.interval_weeks);
+    if (!Number.isInteger(intervalWeeks) || intervalWeeks < 1 || intervalWeeks > MAX_INTERVAL_WEEKS) {
+        return { error: `interval_weeks must be an integer between 1 and ${MAX_INTERVAL_WEEKS}` };
+    }
+
+    const hasCount = recurrence.count !== undefined;
+    const hasUntil = recurrence.until !== undefined;
+    if (hasCount === hasUntil) {
+        return { error: 'Provide either count or until' };
+    }
+
+    let count = null;
+    let until = null;
+    if (hasCount) {
+        count = Number(recurrence.count);
+        if (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES) {
+            return { error: `count must be an integer between 2 and ${MAX_SERIES_OCCURRENCES}` };
+        }
+    } else {
+        until = typeof recurrence.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(recurrence.until) ? recurrence.until : null;
+        if (!until || !DateTime.fromISO(until).isValid) {
+            return { error: 'until must be a YYYY-MM-DD date' };
+        }
+    }
+
+    return { intervalWeeks, count, until, skipConflicts: recurrence.skip_conflicts === true };
+};
+
+// Occurrence starts (UTC) from firstStart every intervalWeeks, stepping in the salon's local time.
+// Returns { starts } or { error } when the series is too short or too long.
+const occurrenceStarts = (firstStart, { intervalWeeks, count, until }, salonTimezone) => {
+    const firstLocal = firstStart.setZone(salonTimezone);
+    const starts = [];
+    for (let i = 0; count === null || i < count; i++) {
+        const local = firstLocal.plus({ weeks: i * intervalWeeks });
+        if (until && local.toFormat('yyyy-MM-dd') > until) {
+            break;
+        }
+        if (starts.length === MAX_SERIES_OCCURRENCES) {
+            return { error: `A series cannot have more than ${MAX_SERIES_OCCURRENCES} occurrences` };
+        }
+        starts.push(local.toUTC());
+    }
+
+    if (starts.length < 2) {
+        return { error: 'A series needs at least two occurrences' };
+    }
+    return { starts };
+};
+
+// Up to MAX_ALTERNATIVES free slots on the same salon-local day, closest to the requested time first
+const findAlternatives = async (db, { salon_id, employee_id, salonTimezone, start, durationMinutes }) => {
+    const dateStr = start.setZone(salonTimezone).toFormat('yyyy-MM-dd');
+    const day = DateTime.fromISO(dateStr, { zone: 'utc' });
+    const dailySlots = await buildStylistDailySlots(db, {
+        salon_id,
+        employee_id,
+        salonTimezone,
+        startDate: day,
+        endDate: day,
+        serviceDurationMinutes: durationMinutes
+    });
+
+    return (dailySlots[dateStr]?.available_slots || [])
+        .filter(slot => slot.available)
+        .sort((a, b) => Math.abs(DateTime.fromISO(a.start_time) - start) - Math.abs(DateTime.fromISO(b.start_time) - start))
+        .slice(0, MAX_ALTERNATIVES)
+        .map(slot => ({ scheduled_start: slot.display_start_time, scheduled_end: slot.display_end_time }));
+};
+
+// Checks every occurrence against the stylist's schedule. Returns { bookable, conflicts } where bookable holds
+// { occurrence, start, end } and conflicts holds the reason and alternative times of each occurrence that can't be booked.
+const checkOccurrences = async (db, { salon_id, employee_id, salonTimezone, starts, durationMinutes, excludeBookingIds = [] }) => {
+    const bookable = [];
+    const conflicts = [];
+    const now = DateTime.utc();
+
+    for (const [index, start] of starts.entries()) {
+        const end = start.plus({ minutes: durationMinutes });
+        const problem = start < now
+            ? { body: { message: 'Occurrence is in the past' } }
+            : await checkStylistSlot(db, { salon_id, employee_id, salonTimezone, startDate: start, endDate: end, excludeBookingIds });
+
+        if (!problem) {
+            bookable.push({ occurrence: index + 1, start, end });
+            continue;
+        }
+        conflicts.push({
+            occurrence: index + 1,
+            scheduled_start: start.setZone(salonTimezone).toISO(),
+            scheduled_end: end.setZone(salonTimezone).toISO(),
+            reason: problem.body.message,
+            alternatives: start < now ? [] : await findAlternatives(db, { salon_id, employee_id, salonTimezone, start, durationMinutes })
+        });
+    }
+
+    return { bookable, conflicts };
+};
+
+module.exports = {
+    MAX_SERIES_OCCURRENCES,
+    parseRecurrence,
+    occurrenceStarts,
+    checkOccurrences
+};
@@ -0,0 +1,86 @@
+const { requestedSalonId } = require('./permissions');
+
+// Every employees row (one per salon) belonging to the same stylist as the employee_id bound to the placeholder.
+// Booking conflict checks use it so a stylist can't be double-booked across the salons they work at.
+const STYLIST_EMPLOYEE_IDS_SQL = `SELECT sibling.employee_id
+  FROM employees sibling
+  JOIN employees e ON e.user_id = sibling.user_id
+  WHERE e.employee_id = ?`;
+
+// Active employees rows (one per salon) of the user bound to the placeholder. Stylist requests about a given
+// booking or review, and their visit history, use it so they cover every salon the stylist works at.
+const USER_EMPLOYEE_IDS_SQL = `SELECT employee_id
+  FROM employees
+  WHERE user_id = ? AND active = 1`;
+
+/*
+ * Attach a user to a salon as an employee. A stylist can work at several salons, with one employees row
+ * per salon; the row for this salon is reactivated if they were removed from it before (kept for history).
+ * Returns { employee_id } on success or { conflict: message } when the user is already active at this salon.
+ */
+const assignEmployeeToSalon = async (db, { salonId, userId, title, nowUtc }) => {
+  const [existingEmployeeRecord] = await db.execute(
+    `SELECT e.employee_id, e.active
+     FROM employees e
+     WHERE e.user_id = ? AND e.salon_id = ?`,
+    [userId, salonId]
+  );
+
+  if (existingEmployeeRecord.length === 0) {
+    const [result] = await db.execute(
+      `INSERT INTO employees (salon_id, user_id, title, active, created_at, updated_at)
+       VALUES (?, ?, ?, 1, ?, ?)`,
+      [salonId, userId, title, nowUtc, nowUtc]
+    );
+    return { employee_id: result.insertId };
+  }
+
+  const existing = existingEmployeeRecord[0];
+
+  if (existing.active === 1) {
+    return { conflict: 'User is already an active employee of this salon.' };
+  }
+
+  await db.execute(
+    `UPDATE employees
+     SET title = ?, active = 1, updated_at = ?
+     WHERE employee_id = ?`,
+    [title, nowUtc, existing.employee_id]
+  );
+  return { employee_id: existing.employee_id };
+};
+
+/*
+ * The employment a stylist request acts on: the salon picked with the X-Salon-Id header (or salon_id),
+ * otherwise their only active employment. Returns { employment } ({ employee_id, salon_id } or null when
+ * they aren't employed anywhere) or { status, error } for the error response.
+ */
+const resolveEmployment = async (db, req) => {
+  const requested = requestedSalonId(req);
+  if (requested === null) {
+    return { status: 400, error: 'Invalid salon_id' };
+  }
+
+  const [rows] = await db.execute(
+    `SELECT employee_id, salon_id
+     FROM employees
+     WHERE user_id = ? AND active = 1 ${requested !== undefined ? 'AND salon_id = ?' : ''}
+     ORDER BY employee_id`,
+    requested !== undefined ? [req.user.user_id, requested] : [req.user.user_id]
+  );
+
+  if (requested !== undefined && rows.length === 0) {
+    return { status: 403, error: 'Insufficient permissions' };
+  }
+  if (rows.length > 1) {
+    return { status: 400, error: 'You work at multiple salons: choose one with the X-Salon-Id header or salon_id' };
+  }
+  return { employment: rows[0] || null };
+};
+
+module.exports = {
+  STYLIST_EMPLOYEE_IDS_SQL,
+  USER_EMPLOYEE_IDS_SQL,
+  assignEmployeeToSalon,
+  resolveEmployment
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/*
+ * Salon geocoding (address -> salons.latitude / salons.longitude) for "near me" search.
+ * A real provider is plugged in with setGeocoder(async ({ address, city, state, postal_code, country }) => ({ latitude, longitude }) | null).
+ * The default stub needs no network: it derives a stable point inside the continental US from the postal code
+ * (or city/state), so salons sharing a postal code land together. It is for local development and tests only.
+ */
+
+const ADDRESS_FIELDS = ['address', 'city', 'state', 'postal_code', 'country'];
+
+const stubGeocoder = async ({ city, state, postal_code }) => {
+    const key = (postal_code || [city, state].filter(Boolean).join(',')).trim().toUpperCase();
+    if (!key) {
+        return null;
+    }
+    const digest = crypto.createHash('sha256').update(key).digest();
+    return {
+        latitude: 25 + (digest.readUInt32BE(0) / 0xffffffff) * 24,
+        longitude: -124 + (digest.readUInt32BE(4) / 0xffffffff) * 57
+    };
+};
+
+let geocoder = stubGeocoder;
+
+const setGeocoder = (customGeocoder) => {
+    geocoder = customGeocoder || stubGeocoder;
+};
+
+const isValidCoordinate = (latitude, longitude) =>
+    Number.isFinite(latitude) && Number.isFinite(longitude)
+    && latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+
+// Geocodes the salon's current address and stores the result. A failed lookup clears the coordinates
+// (the salon drops out of radius search) and never fails the caller.
+const refreshSalonLocation = async (db, salonId) => {
+    try {
+        const [rows] = await db.execute(
+            `SELECT ${ADDRESS_FIELDS.join(', ')} FROM salons WHERE salon_id = ?`,
+            [salonId]
+        );
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const result = await geocoder(rows[0]);
+        const latitude = Number(result?.latitude);
+        const longitude = Number(result?.longitude);
+        const location = result && isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+
+        await db.execute(
+            'UPDATE salons SET latitude = ?, longitude = ? WHERE salon_id = ?',
+            [location ? location.latitude.toFixed(6) : null, location ? location.longitude.toFixed(6) : null, salonId]
+        );
+        return location;
+    } catch (err) {
+        console.error('Failed to geocode salon address:', err);
+        return null;
+    }
+};
+
+module.exports = {
+    ADDRESS_FIELDS,
+    setGeocoder,
+    isValidCoordinate,
+    refreshSalonLocation
+};
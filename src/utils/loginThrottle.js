@@ -0,0 +1,103 @@
+const { DateTime } = require('luxon');
+const { toMySQLUtc } = require('./utilies');
+const { writeAuditLog } = require('./auditLog');
+
+/*
+ * Failed login tracking, keyed per account (email) and per client IP.
+ * The first few failures are free, then each failure delays the next attempt exponentially
+ * (2s, 4s, 8s, ...) until the lockout threshold is reached and the key is locked for LOCKOUT_MINUTES.
+ * Failures older than FAILURE_WINDOW_MINUTES no longer count.
+ */
+const LIMITS = {
+    ACCOUNT: { freeAttempts: 2, lockoutThreshold: 5 },
+    IP: { freeAttempts: 10, lockoutThreshold: 20 }
+};
+const LOCKOUT_MINUTES = 15;
+const FAILURE_WINDOW_MINUTES = 15;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const throttleKeys = ({ email, ip }) => ([
+    { scope: 'ACCOUNT', scope_key: normalizeEmail(email) },
+    { scope: 'IP', scope_key: String(ip || 'unknown') }
+]);
+
+const lockDurationSeconds = (scope, failedCount) => {
+    const { freeAttempts, lockoutThreshold } = LIMITS[scope];
+    if (failedCount >= lockoutThreshold) {
+        return LOCKOUT_MINUTES * 60;
+    }
+    if (failedCount <= freeAttempts) {
+        return 0;
+    }
+    return Math.pow(2, failedCount - freeAttempts);
+};
+
+// Returns the number of seconds the caller must wait before another attempt, 0 when allowed
+const getLoginRetryAfter = async (db, { email, ip }) => {
+    const keys = throttleKeys({ email, ip });
+    const nowUtc = DateTime.utc();
+    const [rows] = await db.execute(
+        `SELECT locked_until
+         FROM login_throttles
+         WHERE ((scope = ? AND scope_key = ?) OR (scope = ? AND scope_key = ?))
+         AND locked_until > ?`,
+        [keys[0].scope, keys[0].scope_key, keys[1].scope, keys[1].scope_key, toMySQLUtc(nowUtc)]
+    );
+
+    let retryAfter = 0;
+    for (const row of rows) {
+        const lockedUntil = DateTime.fromJSDate(row.locked_until, { zone: 'utc' });
+        retryAfter = Math.max(retryAfter, Math.ceil(lockedUntil.diff(nowUtc, 'seconds').seconds));
+    }
+    return retryAfter;
+};
+
+const recordLoginFailure = async (db, { email, ip, userId = null, reason }) => {
+    const nowUtc = DateTime.utc();
+    const windowStart = nowUtc.minus({ minutes: FAILURE_WINDOW_MINUTES });
+
+    for (const { scope, scope_key } of throttleKeys({ email, ip })) {
+        const [rows] = await db.execute(
+            'SELECT failed_count, last_failed_at FROM login_throttles WHERE scope = ? AND scope_key = ?',
+            [scope, scope_key]
+        );
+
+        let failedCount = 1;
+        if (rows.length > 0 && DateTime.fromJSDate(rows[0].last_failed_at, { zone: 'utc' }) > windowStart) {
+            failedCount = rows[0].failed_count + 1;
+        }
+
+        const lockSeconds = lockDurationSeconds(scope, failedCount);
+        const lockedUntil = lockSeconds > 0 ? toMySQLUtc(nowUtc.plus({ seconds: lockSeconds })) : null;
+
+        await db.execute(
+            `INSERT INTO login_throttles (scope, scope_key, failed_count, last_failed_at, locked_until)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE failed_count = VALUES(failed_count), last_failed_at = VALUES(last_failed_at), locked_until = VALUES(locked_until)`,
+            [scope, scope_key, failedCount, toMySQLUtc(nowUtc), lockedUntil]
+        );
+    }
+
+    await writeAuditLog(db, {
+        table_name: 'users',
+        record_id: userId ?? 0,
+        action_type: 'LOGIN',
+        new_value: { success: false, email: normalizeEmail(email), ip: ip || null, reason },
+        changed_by: ip || normalizeEmail(email)
+    });
+};
+
+// Successful login resets the account counter; the IP counter is left to decay so one valid account can't clear it
+const clearAccountFailures = async (db, email) => {
+    await db.execute(
+        'DELETE FROM login_throttles WHERE scope = ? AND scope_key = ?',
+        ['ACCOUNT', normalizeEmail(email)]
+    );
+};
+
+module.exports = {
+    getLoginRetryAfter,
+    recordLoginFailure,
+    clearAccountFailures
+};
@@ -0,0 +1,38 @@
+const notificationsController = require('../controllers/notificationsController');
+
+/*
+ * Outbound mail for account flows (password reset, verification, invites).
+ * By default messages are delivered to the user's notifications inbox. An SMTP/SES
+ * transport can be plugged in with setMailTransport(async (db, mail) => { ... }); a transport
+ * returns false when it could not deliver the message.
+ */
+
+const inboxTransport = async (db, mail) => {
+    // The inbox belongs to an account, mail to an address without one (e.g. an invite) needs a real transport
+    if (!mail.user_id) {
+        return false;
+    }
+    await notificationsController.createNotification(db, {
+        user_id: mail.user_id,
+        email: mail.to,
+        type_code: mail.type_code,
+        message: mail.text,
+        sender_email: 'SYSTEM'
+    });
+    return true;
+};
+
+let transport = inboxTransport;
+
+exports.setMailTransport = (customTransport) => {
+    transport = customTransport || inboxTransport;
+};
+
+// mail: { user_id, to, subject, text, type_code }
+// Resolves to true once delivered, false when the transport could not deliver it
+exports.sendMail = async (db, mail) => {
+    if (!mail || !mail.to || !mail.text) {
+        throw new Error('Missing required mail fields');
+    }
+    return (await transport(db, mail)) !== false;
+};
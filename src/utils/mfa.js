@@ -0,0 +1,48 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const MFA_CHALLENGE_PURPOSE = 'mfa_challenge';
+const MFA_CHALLENGE_TTL = '5m';
+const MFA_ENFORCEABLE_ROLES = ['OWNER', 'ADMIN'];
+
+// enabled: user finished TOTP enrollment; required: an admin policy forces MFA for the user's role
+const getMfaStatus = async (db, userId, role) => {
+    const [[row]] = await db.execute(
+        `SELECT
+            (SELECT enabled_at FROM user_mfa WHERE user_id = ?) AS enabled_at,
+            (SELECT required FROM mfa_role_policies WHERE role = ?) AS required`,
+        [userId, String(role || '').toUpperCase()]
+    );
+
+    return {
+        enabled: Boolean(row.enabled_at),
+        required: MFA_ENFORCEABLE_ROLES.includes(String(role || '').toUpperCase()) && Number(row.required) === 1
+    };
+};
+
+// Short-lived token proving the password step passed. It is not an access token,
+// authenticateToken rejects anything carrying a purpose claim.
+const issueMfaChallengeToken = (userId) => {
+    return jwt.sign(
+        { user_id: userId, purpose: MFA_CHALLENGE_PURPOSE, jti: crypto.randomUUID() },
+        process.env.JWT_SECRET,
+        { expiresIn: MFA_CHALLENGE_TTL }
+    );
+};
+
+// Returns the decoded challenge or null when invalid/expired
+const verifyMfaChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === MFA_CHALLENGE_PURPOSE ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    MFA_ENFORCEABLE_ROLES,
+    getMfaStatus,
+    issueMfaChallengeToken,
+    verifyMfaChallengeToken
+};
@@ -0,0 +1,139 @@
+/*
+ * Permission registry for delegated salon access.
+ * ADMIN has every permission, a salon's owner has every permission for that salon, and other users
+ * (employees) get permissions through salon roles the owner assigns them (salon_roles / salon_role_assignments).
+ * Only add codes here together with the routes that check them.
+ */
+const PERMISSIONS = {
+    'bookings:manage': 'View and manage the salon\'s bookings',
+    'products:write': 'Add, update and delete shop products and view shop orders',
+    'loyalty:manage': 'Configure the salon loyalty program',
+    'promotions:manage': 'Create and send salon promotions',
+    'schedule:manage': 'Set salon hours and employee availability',
+    'employees:manage': 'Invite, add and remove employees',
+    'analytics:view': 'View salon metrics'
+};
+
+const isValidPermission = (code) => Object.prototype.hasOwnProperty.call(PERMISSIONS, code);
+
+// The salon_id a client asked for: X-Salon-Id header, then salon_id in params, query or body.
+// undefined when none was given, null when the given value is not a valid id.
+const requestedSalonId = (req) => {
+    const raw = req.get?.('x-salon-id') ?? req.params?.salon_id ?? req.query?.salon_id ?? req.body?.salon_id;
+    if (raw === undefined || raw === null || raw === '') {
+        return undefined;
+    }
+    const salonId = Number(raw);
+    return Number.isInteger(salonId) && salonId > 0 ? salonId : null;
+};
+
+// Owners can have several salons. An explicit salon must be one of theirs; without one, an owner
+// with a single salon (or none, salonId null) gets that salon and an owner with several must choose.
+// Returns { salonId } or { status, error } for the error response.
+const resolveOwnerSalon = async (db, req) => {
+    const requested = requestedSalonId(req);
+    if (requested === null) {
+        return { status: 400, error: 'Invalid salon_id' };
+    }
+
+    if (requested !== undefined) {
+        const [rows] = await db.execute(
+            'SELECT salon_id FROM salons WHERE salon_id = ? AND owner_user_id = ?',
+            [requested, req.user.user_id]
+        );
+        return rows.length > 0 ? { salonId: requested } : { status: 403, error: 'Insufficient permissions' };
+    }
+
+    const [rows] = await db.execute(
+        'SELECT salon_id FROM salons WHERE owner_user_id = ? ORDER BY salon_id LIMIT 2',
+        [req.user.user_id]
+    );
+    if (rows.length > 1) {
+        return { status: 400, error: 'You own multiple salons: choose one with the X-Salon-Id header or salon_id' };
+    }
+    return { salonId: rows.length > 0 ? rows[0].salon_id : null };
+};
+
+// The salon a request acts on: the requested salon, otherwise the caller's only salon (owner)
+// or the only salon they work at (employee). Returns null when none can be determined.
+const resolveRequestSalonId = async (db, req) => {
+    const requested = requestedSalonId(req);
+    if (requested !== undefined) {
+        return requested;
+    }
+
+    if (req.user.role === 'OWNER') {
+        const context = await resolveOwnerSalon(db, req);
+        return context.salonId ?? null;
+    }
+
+    if (req.user.role === 'EMPLOYEE') {
+        const [rows] = await db.execute(
+            'SELECT salon_id FROM employees WHERE user_id = ? AND active = 1 ORDER BY employee_id LIMIT 2',
+            [req.user.user_id]
+        );
+        return rows.length === 1 ? rows[0].salon_id : null;
+    }
+
+    return null;
+};
+
+// Delegated permissions only apply while the user is still an active employee of that salon
+const ROLE_PERMISSIONS_SQL = `
+    SELECT DISTINCT p.permission_code
+    FROM salon_role_assignments a
+    JOIN salon_role_permissions p ON p.salon_role_id = a.salon_role_id
+    JOIN employees e ON e.user_id = a.user_id AND e.salon_id = a.salon_id AND e.active = 1
+    WHERE a.user_id = ? AND a.salon_id = ?`;
+
+// All permission codes the user holds at a salon
+const getSalonPermissions = async (db, user, salonId) => {
+    if (user.role === 'ADMIN') {
+        return Object.keys(PERMISSIONS);
+    }
+    if (!salonId) {
+        return [];
+    }
+
+    const [salons] = await db.execute('SELECT owner_user_id FROM salons WHERE salon_id = ?', [salonId]);
+    if (salons.length === 0) {
+        return [];
+    }
+    if (salons[0].owner_user_id === user.user_id) {
+        return Object.keys(PERMISSIONS);
+    }
+
+    const [rows] = await db.execute(ROLE_PERMISSIONS_SQL, [user.user_id, salonId]);
+    return rows.map(r => r.permission_code);
+};
+
+const hasPermission = async (db, user, salonId, permission) => {
+    const permissions = await getSalonPermissions(db, user, salonId);
+    return permissions.includes(permission);
+};
+
+const PERMITTED_SALONS_SQL = `
+    SELECT DISTINCT a.salon_id
+    FROM salon_role_assignments a
+    JOIN salon_role_permissions p ON p.salon_role_id = a.salon_role_id
+    JOIN employees e ON e.user_id = a.user_id AND e.salon_id = a.salon_id AND e.active = 1
+    WHERE a.user_id = ? AND p.permission_code = ?`;
+
+// Every salon where the user holds a permission: all salons of an owner, otherwise those their roles grant it at
+const getPermittedSalonIds = async (db, user, permission) => {
+    const [rows] = user.role === 'OWNER'
+        ? await db.execute('SELECT salon_id FROM salons WHERE owner_user_id = ? ORDER BY salon_id', [user.user_id])
+        : await db.execute(PERMITTED_SALONS_SQL, [user.user_id, permission]);
+    return rows.map(r => r.salon_id);
+};
+
+module.exports = {
+    PERMISSIONS,
+    isValidPermission,
+    requestedSalonId,
+    resolveOwnerSalon,
+    resolveRequestSalonId,
+    getSalonPermissions,
+    hasPermission,
+    getPermittedSalonIds
+};
@@ -0,0 +1,122 @@
+/*
+ * Date-specific salon hours (salon_hours_overrides): a closed day or custom hours that replace the weekly
+ * salon_availability for that local date. On an override day stylists who normally work that weekday are
+ * bookable for the part of their shift within the override hours; stylists who are off that weekday stay off.
+ */
+const { DateTime } = require('luxon');
+const { toMySQLUtc, localAvailabilityToUtc } = require('./utilies');
+const { createNotification } = require('../controllers/notificationsController');
+
+// Booking flag set when a booking falls outside its salon's hours for the day
+const SALON_HOURS_FLAG = 'SALON_HOURS';
+
+const OVERRIDE_COLUMNS = `override_id, DATE_FORMAT(override_date, '%Y-%m-%d') AS date, is_closed, start_time, end_time, note`;
+
+// Overrides for local dates from..to (YYYY-MM-DD), keyed by date
+const getHoursOverrides = async (db, salonId, from, to) => {
+    const [rows] = await db.execute(
+        `SELECT ${OVERRIDE_COLUMNS} FROM salon_hours_overrides
+         WHERE salon_id = ? AND override_date BETWEEN ? AND ?
+         ORDER BY override_date`,
+        [salonId, from, to]
+    );
+    return Object.fromEntries(rows.map(row => [row.date, row]));
+};
+
+const getHoursOverride = async (db, salonId, date) => {
+    const overrides = await getHoursOverrides(db, salonId, date, date);
+    return overrides[date] || null;
+};
+
+// The stylist's working hours on a date: their weekly availability, narrowed to the override hours on a
+// special-hours day. null when the salon is closed, the stylist is off that weekday or their shift lies
+// outside the special hours. TIME values (HH:MM:SS) compare as strings.
+const effectiveDayHours = (dayAvailability, override) => {
+    if (!dayAvailability || override?.is_closed) {
+        return null;
+    }
+    if (!override) {
+        return dayAvailability;
+    }
+    const start_time = dayAvailability.start_time > override.start_time ? dayAvailability.start_time : override.start_time;
+    const end_time = dayAvailability.end_time < override.end_time ? dayAvailability.end_time : override.end_time;
+    return start_time < end_time ? { ...dayAvailability, start_time, end_time } : null;
+};
+
+// Re-checks the salon's SCHEDULED bookings on a local date against its override (null once removed).
+// Bookings outside the hours get the SALON_HOURS flag and their customer is notified; bookings that fit again are unflagged.
+// Returns the ids of the flagged bookings.
+const flagBookingsForDate = async (db, salon, date, override) => {
+    const salonTimezone = salon.timezone || 'America/New_York';
+    const dayStart = DateTime.fromISO(date, { zone: salonTimezone }).startOf('day');
+    const dayStartUtc = toMySQLUtc(dayStart.toUTC());
+    const dayEndUtc = toMySQLUtc(dayStart.plus({ days: 1 }).toUTC());
+
+    const [bookings] = await db.execute(
+        `SELECT b.booking_id, b.customer_user_id, b.flag_code, u.email,
+                DATE_FORMAT(b.scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
+                DATE_FORMAT(b.scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end
+         FROM bookings b
+         JOIN users u ON u.user_id = b.customer_user_id
+         WHERE b.salon_id = ? AND b.status = 'SCHEDULED'
+           AND b.scheduled_start >= ? AND b.scheduled_start < ?`,
+        [salon.salon_id, dayStartUtc, dayEndUtc]
+    );
+
+    const opensAt = override && !override.is_closed ? localAvailabilityToUtc(override.start_time, date, salonTimezone) : null;
+    const closesAt = override && !override.is_closed ? localAvailabilityToUtc(override.end_time, date, salonTimezone) : null;
+    const reason = override?.is_closed
+        ? `${salon.name} is closed on ${date}${override.note ? ` (${override.note})` : ''}`
+        : `${salon.name} has special hours on ${date}`;
+
+    const flagged = [];
+    for (const booking of bookings) {
+        const start = DateTime.fromSQL(booking.scheduled_start, { zone: 'utc' });
+        const end = DateTime.fromSQL(booking.scheduled_end, { zone: 'utc' });
+        const outside = override && (override.is_closed || start < opensAt || end > closesAt);
+
+        if (!outside) {
+            if (booking.flag_code === SALON_HOURS_FLAG) {
+                await db.execute(
+                    'UPDATE bookings SET flag_code = NULL, flag_reason = NULL WHERE booking_id = ?',
+                    [booking.booking_id]
+                );
+            }
+            continue;
+        }
+
+        flagged.push(booking.booking_id);
+        if (booking.flag_code === SALON_HOURS_FLAG) {
+            continue;
+        }
+        await db.execute(
+            'UPDATE bookings SET flag_code = ?, flag_reason = ? WHERE booking_id = ?',
+            [SALON_HOURS_FLAG, reason, booking.booking_id]
+        );
+
+        const bookingDateStr = start.setZone(salonTimezone).toFormat('EEE, MMM d, yyyy h:mm a');
+        try {
+            await createNotification(db, {
+                user_id: booking.customer_user_id,
+                salon_id: salon.salon_id,
+                booking_id: booking.booking_id,
+                email: booking.email,
+                type_code: 'BOOKING_HOURS_CONFLICT',
+                message: `${reason}, which affects your appointment on ${bookingDateStr}. Please reschedule or cancel it.`,
+                sender_email: 'SYSTEM'
+            });
+        } catch (notifError) {
+            console.error('Failed to send salon hours override notification:', notifError);
+        }
+    }
+
+    return flagged;
+};
+
+module.exports = {
+    SALON_HOURS_FLAG,
+    getHoursOverrides,
+    getHoursOverride,
+    effectiveDayHours,
+    flagBookingsForDate
+};
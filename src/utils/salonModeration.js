@@ -0,0 +1,202 @@
+/*
+ * Admin restrictions on a salon (REJECTED / SUSPENDED) and what happens to its bookings.
+ * A restriction carries a required reason and an optional expiry (salons.status_reason / status_expires_at).
+ * Bookings are either canceled with a refund or frozen: frozen bookings stay SCHEDULED but cannot be paid,
+ * rescheduled or auto-completed until the salon is reinstated.
+ */
+const { DateTime } = require('luxon');
+const { toMySQLUtc } = require('./utilies');
+const { createNotification } = require('../controllers/notificationsController');
+const { writeAuditLog } = require('./auditLog');
+
+const BOOKING_ACTIONS = ['CANCEL', 'FREEZE'];
+const MAX_REASON_LENGTH = 500;
+
+// Validates { reason, expires_at, booking_action } from an admin request.
+// Returns { reason, expiresAt, bookingAction } or { error }.
+const parseRestriction = (body, defaultBookingAction = 'CANCEL') => {
+    const reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+        return { error: `reason is required (max ${MAX_REASON_LENGTH} characters)` };
+    }
+
+    let expiresAt = null;
+    if (body.expires_at !== undefined && body.expires_at !== null) {
+        expiresAt = typeof body.expires_at === 'string' ? DateTime.fromISO(body.expires_at, { zone: 'utc' }) : null;
+        if (!expiresAt || !expiresAt.isValid || expiresAt <= DateTime.utc()) {
+            return { error: 'expires_at must be a future ISO 8601 datetime' };
+        }
+    }
+
+    const bookingAction = body.booking_action === undefined ? defaultBookingAction : body.booking_action;
+    if (!BOOKING_ACTIONS.includes(bookingAction)) {
+        return { error: `booking_action must be one of ${BOOKING_ACTIONS.join(', ')}` };
+    }
+
+    return { reason, expiresAt, bookingAction };
+};
+
+const getSalon = async (db, salonId) => {
+    const [rows] = await db.execute(
+        `SELECT s.salon_id, s.name, s.status, s.status_reason, s.status_expires_at, s.bookings_frozen, s.timezone,
+                s.owner_user_id, u.email AS owner_email
+         FROM salons s
+         JOIN users u ON u.user_id = s.owner_user_id
+         WHERE s.salon_id = ?`,
+        [salonId]
+    );
+    return rows[0] || null;
+};
+
+// Cancels the salon's SCHEDULED/PENDING bookings and refunds their payments.
+// which: 'UPCOMING' (not started yet) or 'MISSED' (start passed while the bookings were frozen).
+const cancelSalonBookings = async (db, salon, which, reason) => {
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    const [bookings] = await db.execute(
+        `SELECT b.booking_id, b.customer_user_id, u.email,
+                DATE_FORMAT(b.scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start
+         FROM bookings b
+         JOIN users u ON u.user_id = b.customer_user_id
+         WHERE b.salon_id = ?
+           AND b.status IN ('SCHEDULED', 'PENDING')
+           AND b.scheduled_start ${which === 'MISSED' ? '<' : '>='} ?`,
+        [salon.salon_id, nowUtc]
+    );
+    if (bookings.length === 0) {
+        return [];
+    }
+
+    const ids = bookings.map(b => b.booking_id);
+    const placeholders = ids.map(() => '?').join(',');
+    await db.execute(
+        `UPDATE bookings SET status = 'CANCELED', updated_at = ? WHERE booking_id IN (${placeholders})`,
+        [nowUtc, ...ids]
+    );
+    await db.execute(
+        `UPDATE payments
+         SET status = 'REFUNDED', updated_at = ?
+         WHERE booking_id IN (${placeholders}) AND status <> 'REFUNDED'`,
+        [nowUtc, ...ids]
+    );
+
+    const salonTimezone = salon.timezone || 'America/New_York';
+    for (const booking of bookings) {
+        const bookingDateStr = DateTime.fromSQL(booking.scheduled_start, { zone: 'utc' })
+            .setZone(salonTimezone)
+            .toFormat('EEE, MMM d, yyyy h:mm a');
+        try {
+            await createNotification(db, {
+                user_id: booking.customer_user_id,
+                salon_id: salon.salon_id,
+                booking_id: booking.booking_id,
+                email: booking.email,
+                type_code: 'BOOKING_CANCELED',
+                message: `Your appointment at ${salon.name} scheduled for ${bookingDateStr} has been canceled (${reason}). Any payment has been refunded.`,
+                sender_email: 'SYSTEM'
+            });
+        } catch (notifError) {
+            console.error('Failed to send salon restriction cancellation notification:', notifError);
+        }
+    }
+
+    return ids;
+};
+
+// Rejects or suspends a salon. Returns null when the salon does not exist,
+// otherwise { salon, canceledBookingIds } where salon is the state before the change.
+const restrictSalon = async (db, { salonId, status, reason, expiresAt, bookingAction, changedBy }) => {
+    const salon = await getSalon(db, salonId);
+    if (!salon) {
+        return null;
+    }
+
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    const expiresAtUtc = expiresAt ? toMySQLUtc(expiresAt) : null;
+    const frozen = bookingAction === 'FREEZE' ? 1 : 0;
+
+    await db.execute(
+        `UPDATE salons
+         SET status = ?, status_reason = ?, status_expires_at = ?, bookings_frozen = ?, updated_at = ?
+         WHERE salon_id = ?`,
+        [status, reason, expiresAtUtc, frozen, nowUtc, salonId]
+    );
+
+    const canceledBookingIds = bookingAction === 'CANCEL'
+        ? await cancelSalonBookings(db, salon, 'UPCOMING', `${salon.name} is ${status.toLowerCase()}`)
+        : [];
+
+    await writeAuditLog(db, {
+        table_name: 'salons',
+        record_id: salonId,
+        action_type: 'UPDATE',
+        old_value: { status: salon.status, status_reason: salon.status_reason, status_expires_at: salon.status_expires_at },
+        new_value: {
+            status,
+            status_reason: reason,
+            status_expires_at: expiresAtUtc,
+            booking_action: bookingAction,
+            canceled_bookings: canceledBookingIds
+        },
+        changed_by: changedBy
+    });
+
+    return { salon, canceledBookingIds };
+};
+
+// Lifts a salon's restriction: SUSPENDED goes back to APPROVED, REJECTED goes back to PENDING for a new review.
+// Frozen bookings whose time passed during the suspension are canceled and refunded; the rest are kept.
+// Returns null when the salon does not exist or is not restricted, otherwise { salon, status, canceledBookingIds }.
+const liftSalonRestriction = async (db, { salonId, changedBy }) => {
+    const salon = await getSalon(db, salonId);
+    if (!salon || !['SUSPENDED', 'REJECTED'].includes(salon.status)) {
+        return null;
+    }
+
+    const status = salon.status === 'SUSPENDED' ? 'APPROVED' : 'PENDING';
+    const nowUtc = toMySQLUtc(DateTime.utc());
+
+    await db.execute(
+        `UPDATE salons
+         SET status = ?, status_reason = NULL, status_expires_at = NULL, bookings_frozen = 0, updated_at = ?
+         WHERE salon_id = ?`,
+        [status, nowUtc, salonId]
+    );
+
+    const canceledBookingIds = salon.bookings_frozen
+        ? await cancelSalonBookings(db, salon, 'MISSED', `${salon.name} was suspended at the time`)
+        : [];
+
+    await writeAuditLog(db, {
+        table_name: 'salons',
+        record_id: salonId,
+        action_type: 'UPDATE',
+        old_value: { status: salon.status, status_reason: salon.status_reason, status_expires_at: salon.status_expires_at },
+        new_value: { status, canceled_bookings: canceledBookingIds },
+        changed_by: changedBy
+    });
+
+    const message = status === 'APPROVED'
+        ? `Your salon "${salon.name}" has been reinstated and is live on Strands again.`
+        : `The rejection of your salon "${salon.name}" has been lifted. Your registration is back under review.`;
+    try {
+        await createNotification(db, {
+            user_id: salon.owner_user_id,
+            salon_id: salonId,
+            email: salon.owner_email,
+            type_code: 'SALON_REINSTATED',
+            message,
+            sender_email: 'SYSTEM'
+        });
+    } catch (notifError) {
+        console.error('Failed to send salon reinstatement notification:', notifError);
+    }
+
+    return { salon, status, canceledBookingIds };
+};
+
+module.exports = {
+    BOOKING_ACTIONS,
+    parseRestriction,
+    restrictSalon,
+    liftSalonRestriction
+};
@@ -0,0 +1,56 @@
+const { DateTime } = require('luxon');
+const { toMySQLUtc } = require('./utilies');
+
+/*
+ * A session is one login on one device. Its id is the refresh token family id, which is also
+ * carried in the access token as `fid`, so revoking a session kills both its refresh tokens and
+ * any access tokens already issued for it (checked in authenticateToken).
+ */
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+// last_seen_at is only written once per interval so authenticated requests don't each cost a write
+const LAST_SEEN_RESOLUTION_SECONDS = 60;
+
+const sessionClient = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+    ip: req.ip || null
+});
+
+const createSession = async (db, { sessionId, userId, userAgent, ip }) => {
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    await db.execute(
+        `INSERT INTO user_sessions (session_id, user_id, user_agent, ip_address, created_at, last_seen_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [sessionId, userId, userAgent || null, ip || null, nowUtc, nowUtc]
+    );
+};
+
+const touchSession = async (db, sessionId, ip) => {
+    const now = DateTime.utc();
+    await db.execute(
+        `UPDATE user_sessions
+         SET last_seen_at = ?, ip_address = COALESCE(?, ip_address)
+         WHERE session_id = ? AND revoked_at IS NULL AND last_seen_at < ?`,
+        [toMySQLUtc(now), ip || null, sessionId, toMySQLUtc(now.minus({ seconds: LAST_SEEN_RESOLUTION_SECONDS }))]
+    );
+};
+
+const revokeSession = async (db, sessionId) => {
+    const nowUtc = toMySQLUtc(DateTime.utc());
+    await db.execute(
+        'UPDATE user_sessions SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL',
+        [nowUtc, sessionId]
+    );
+    await db.execute(
+        'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+        [nowUtc, sessionId]
+    );
+};
+
+module.exports = {
+    sessionClient,
+    createSession,
+    touchSession,
+    revokeSession
+};
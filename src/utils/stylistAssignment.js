@@ -0,0 +1,80 @@
+/*
+ * "Any available stylist" bookings: the salon picks the stylist among everyone who offers all the requested services
+ * and is free at the requested time. The salon's stylist_assignment setting decides how:
+ * LEAST_BUSY takes the stylist with the fewest booked minutes that day, ROUND_ROBIN the next stylist after the
+ * last one assigned and HIGHEST_RATED the best average rating in staff_reviews.
+ */
+const { toMySQLUtc } = require('./utilies');
+const { STYLIST_SEGMENT_START_SQL, STYLIST_SEGMENT_END_SQL } = require('./bookingSegments');
+
+const ASSIGNMENT_STRATEGIES = ['LEAST_BUSY', 'ROUND_ROBIN', 'HIGHEST_RATED'];
+
+// Active stylists of the salon offering every service in serviceIds, by employee_id
+const findStylistsOfferingAll = async (db, salonId, serviceIds) => {
+    const [rows] = await db.execute(
+        `SELECT e.employee_id, e.title, u.full_name
+         FROM employees e
+         JOIN users u ON u.user_id = e.user_id
+         JOIN employee_services es ON es.employee_id = e.employee_id
+         WHERE e.salon_id = ? AND e.active = 1 AND es.service_id IN (${serviceIds.map(() => '?').join(',')})
+         GROUP BY e.employee_id, e.title, u.full_name
+         HAVING COUNT(DISTINCT es.service_id) = ?
+         ORDER BY e.employee_id`,
+        [salonId, ...serviceIds, serviceIds.length]
+    );
+    return rows;
+};
+
+// Minutes each stylist is booked on the salon-local day of startDate, as { [employee_id]: minutes }
+const bookedMinutesOnDay = async (db, employeeIds, startDate, salonTimezone) => {
+    const dayStart = startDate.setZone(salonTimezone).startOf('day');
+    const [rows] = await db.execute(
+        `SELECT employee_id, SUM(TIMESTAMPDIFF(MINUTE, seg_start, seg_end)) AS booked_minutes
+         FROM (
+             SELECT DISTINCT b.booking_id, bs.employee_id,
+                    ${STYLIST_SEGMENT_START_SQL} AS seg_start, ${STYLIST_SEGMENT_END_SQL} AS seg_end
+             FROM bookings b
+             JOIN booking_services bs ON bs.booking_id = b.booking_id
+             WHERE bs.employee_id IN (${employeeIds.map(() => '?').join(',')})
+               AND b.status NOT IN ('CANCELED', 'NO_SHOW')
+               AND ${STYLIST_SEGMENT_START_SQL} < ? AND ${STYLIST_SEGMENT_END_SQL} > ?
+         ) segments
+         GROUP BY employee_id`,
+        [...employeeIds, toMySQLUtc(dayStart.plus({ days: 1 }).toUTC()), toMySQLUtc(dayStart.toUTC())]
+    );
+    return Object.fromEntries(rows.map(row => [row.employee_id, Number(row.booked_minutes)]));
+};
+
+// Orders the free stylists best first for the strategy. Ties go to the lower employee_id.
+const rankStylists = async (db, { strategy, stylists, startDate, salonTimezone, lastAssignedEmployeeId }) => {
+    const byId = [...stylists].sort((a, b) => a.employee_id - b.employee_id);
+    const employeeIds = byId.map(s => s.employee_id);
+
+    if (strategy === 'ROUND_ROBIN') {
+        const next = byId.findIndex(s => s.employee_id > (lastAssignedEmployeeId || 0));
+        return next <= 0 ? byId : [...byId.slice(next), ...byId.slice(0, next)];
+    }
+
+    if (strategy === 'HIGHEST_RATED') {
+        const [rows] = await db.execute(
+            `SELECT employee_id, AVG(rating) AS avg_rating, COUNT(*) AS review_count
+             FROM staff_reviews
+             WHERE employee_id IN (${employeeIds.map(() => '?').join(',')})
+             GROUP BY employee_id`,
+            employeeIds
+        );
+        const ratings = Object.fromEntries(rows.map(row => [row.employee_id, row]));
+        const score = (s) => Number(ratings[s.employee_id]?.avg_rating ?? -1);
+        const count = (s) => Number(ratings[s.employee_id]?.review_count ?? 0);
+        return byId.sort((a, b) => score(b) - score(a) || count(b) - count(a));
+    }
+
+    const booked = await bookedMinutesOnDay(db, employeeIds, startDate, salonTimezone);
+    return byId.sort((a, b) => (booked[a.employee_id] || 0) - (booked[b.employee_id] || 0));
+};
+
+module.exports = {
+    ASSIGNMENT_STRATEGIES,
+    findStylistsOfferingAll,
+    rankStylists
+};
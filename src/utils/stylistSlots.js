@@ -0,0 +1,365 @@
+/*
+ * Stylist slot rules shared by booking flows: weekly availability, salon hours overrides, recurring
+ * unavailability blocks, approved time off and existing bookings at any of the stylist's salons.
+ */
+const { DateTime } = require('luxon');
+const { toMySQLUtc, formatDateTime, logUtcDebug, localAvailabilityToUtc, luxonWeekdayToDb } = require('./utilies');
+const { STYLIST_EMPLOYEE_IDS_SQL } = require('./employees');
+const { getHoursOverrides, getHoursOverride, effectiveDayHours } = require('./salonHours');
+const { getApprovedTimeOff } = require('./timeOff');
+const { STYLIST_SEGMENT_START_SQL, STYLIST_SEGMENT_END_SQL } = require('./bookingSegments');
+
+// Builds a stylist's slots for each day from startDate to endDate (UTC day starts, read as salon-local dates),
+// marking slots that overlap an unavailability block, approved time off or a booking at any of the stylist's salons.
+// Shared by getAvailableTimeSlotsRange, discoverAvailability and the recurring series alternatives.
+const buildStylistDailySlots = async (db, { salon_id, employee_id, salonTimezone, startDate, endDate, serviceDurationMinutes }) => {
+    const hoursOverrides = await getHoursOverrides(db, salon_id, startDate.toFormat('yyyy-MM-dd'), endDate.toFormat('yyyy-MM-dd'));
+
+    // Get all employee availability
+    const getAvailabilityQuery = `
+        SELECT weekday, start_time, end_time, slot_interval_minutes
+        FROM employee_availability 
+        WHERE employee_id = ?
+        ORDER BY weekday
+    `;
+    const [availabilityResult] = await db.execute(getAvailabilityQuery, [employee_id]);
+    
+    // Get all employee unavailability
+    const getUnavailabilityQuery = `
+        SELECT weekday, start_time, end_time
+        FROM employee_unavailability 
+        WHERE employee_id = ?
+        ORDER BY weekday, start_time
+    `;
+    const [unavailabilityResult] = await db.execute(getUnavailabilityQuery, [employee_id]);
+    
+    // Get existing bookings for the date range
+    // Use DATE_FORMAT to return SQL format (YYYY-MM-DD HH:mm:ss) instead of ISO
+    const getBookingsQuery = `
+        SELECT DISTINCT 
+            DATE_FORMAT(${STYLIST_SEGMENT_START_SQL}, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
+            DATE_FORMAT(${STYLIST_SEGMENT_END_SQL}, '%Y-%m-%d %H:%i:%s') AS scheduled_end,
+            b.status
+        FROM bookings b
+        JOIN booking_services bs ON b.booking_id = bs.booking_id
+        WHERE bs.employee_id IN (${STYLIST_EMPLOYEE_IDS_SQL})
+        AND ${STYLIST_SEGMENT_START_SQL} < ? 
+        AND ${STYLIST_SEGMENT_END_SQL} > ?
+        AND b.status NOT IN ('CANCELED', 'NO_SHOW')
+        ORDER BY scheduled_start
+    `;
+    const startDateUtc = toMySQLUtc(startDate);
+    const endDateUtc = toMySQLUtc(endDate.endOf('day')); // End of day
+    const [bookingsResult] = await db.execute(getBookingsQuery, [employee_id, endDateUtc, startDateUtc]);
+
+    // Approved dated time off (vacations, days off) blocks slots like bookings do
+    const timeOff = await getApprovedTimeOff(db, employee_id, startDate, endDate.endOf('day'));
+    
+    // Create availability map by weekday
+    const availabilityMap = {};
+    availabilityResult.forEach(avail => {
+        availabilityMap[avail.weekday] = avail;
+    });
+    
+    // Create unavailability map by weekday
+    const unavailabilityMap = {};
+    unavailabilityResult.forEach(unavail => {
+        if (!unavailabilityMap[unavail.weekday]) {
+            unavailabilityMap[unavail.weekday] = [];
+        }
+        unavailabilityMap[unavail.weekday].push(unavail);
+    });
+    
+    // Parse all bookings once - we'll check ALL bookings against ALL slots
+    const allBookings = [];
+    bookingsResult.forEach(booking => {
+        const bookingStart = DateTime.fromSQL(booking.scheduled_start, { zone: 'utc' });
+        const bookingEnd = DateTime.fromSQL(booking.scheduled_end, { zone: 'utc' });
+        if (bookingStart.isValid && bookingEnd.isValid) {
+            allBookings.push({
+                start: bookingStart,
+                end: bookingEnd,
+                status: booking.status
+            });
+        }
+    });
+    
+    // Generate time slots for each day
+    const dailySlots = {};
+    let currentDate = startDate;
+    
+    while (currentDate <= endDate) {
+        const dateStr = currentDate.toFormat('yyyy-MM-dd');
+        // Convert Luxon weekday to database weekday
+        const dayOfWeek = luxonWeekdayToDb(currentDate.weekday);
+        const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek];
+        
+        // Holiday closures close the date, special hours narrow the stylist's weekly hours
+        const hoursOverride = hoursOverrides[dateStr];
+        const availability = effectiveDayHours(availabilityMap[dayOfWeek], hoursOverride);
+        const unavailability = unavailabilityMap[dayOfWeek] || [];
+        
+        if (!availability) {
+            dailySlots[dateStr] = {
+                date: dateStr,
+                day_name: dayName,
+                available_slots: [],
+                is_closed: true,
+                message: hoursOverride?.is_closed
+                    ? `Salon closed${hoursOverride.note ? `: ${hoursOverride.note}` : ''}`
+                    : availabilityMap[dayOfWeek]
+                        ? 'Stylist is not working during the salon\'s special hours'
+                        : 'No availability set for this day'
+            };
+        } else {
+            const allSlots = [];
+            const availabilityStart = localAvailabilityToUtc(availability.start_time, dateStr, salonTimezone);
+            const availabilityEnd = localAvailabilityToUtc(availability.end_time, dateStr, salonTimezone);
+            const slotIntervalMinutes = availability.slot_interval_minutes || 30;
+            
+            logUtcDebug(`getAvailableTimeSlotsRange ${dateStr} availabilityStart`, availabilityStart);
+            logUtcDebug(`getAvailableTimeSlotsRange ${dateStr} availabilityEnd`, availabilityEnd);
+            
+            // Collect all blocked time ranges with their types
+            const blockedTimes = [];
+            
+            // Track unavailability blocks
+            unavailability.forEach(block => {
+                blockedTimes.push({
+                    start: localAvailabilityToUtc(block.start_time, dateStr, salonTimezone),
+                    end: localAvailabilityToUtc(block.end_time, dateStr, salonTimezone),
+                    type: 'blocked' // unavailability block
+                });
+            });
+            
+            timeOff.forEach(range => {
+                blockedTimes.push({
+                    start: range.start,
+                    end: range.end,
+                    type: 'time_off'
+                });
+            });
+            
+            // Track bookings - check ALL bookings, not just ones for this date
+            // A booking can overlap with slots on any day in the range
+            allBookings.forEach(booking => {
+                blockedTimes.push({
+                    start: booking.start,
+                    end: booking.end,
+                    type: 'booked' // existing booking
+                });
+            });
+            
+            const getSlotBlockReason = (slotStart, slotEnd) => {
+                const slotStartUtc = slotStart.toUTC();
+                const slotEndUtc = slotEnd.toUTC();
+                
+                for (const blocked of blockedTimes) {
+                    const blockedStartUtc = blocked.start.toUTC();
+                    const blockedEndUtc = blocked.end.toUTC();
+                    
+                    const overlaps = (slotStartUtc < blockedEndUtc) && (blockedStartUtc < slotEndUtc);
+                    
+                    if (overlaps) {
+                        logUtcDebug(`getAvailableTimeSlotsRange ${dateStr} slot blocked`, {
+                            slotStart: slotStartUtc.toISO(),
+                            slotEnd: slotEndUtc.toISO(),
+                            blockedStart: blockedStartUtc.toISO(),
+                            blockedEnd: blockedEndUtc.toISO(),
+                            type: blocked.type
+                        });
+                        return blocked.type; // Return 'booked', 'blocked' or 'time_off'
+                    }
+                }
+                return null; // Slot is available
+            };
+            
+            const now = DateTime.utc();
+            const todayStr = now.toFormat('yyyy-MM-dd');
+            const isCurrentDay = dateStr === todayStr;
+            
+            // Generate all possible slots within availability window
+            let slotStart = availabilityStart;
+            
+            // If current day, skip past slots
+            if (isCurrentDay && slotStart < now) {
+                // Round up to next slot interval
+                const minutesSinceStartOfHour = now.minute + (now.second / 60);
+                const roundedMinutes = Math.ceil(minutesSinceStartOfHour / slotIntervalMinutes) * slotIntervalMinutes;
+                const roundedNow = now.startOf('hour').plus({ minutes: roundedMinutes });
+                slotStart = roundedNow > slotStart ? roundedNow : slotStart;
+            }
+            
+            // Generate all slots from start to end
+            // Slots are spaced by serviceDurationMinutes (non-overlapping)
+            while (slotStart < availabilityEnd) {
+                const slotEnd = slotStart.plus({ minutes: serviceDurationMinutes });
+                
+                // Skip this slot if it extends past the availability end time
+                if (slotEnd > availabilityEnd) {
+                    break;
+                }
+                
+                // Check if this slot is blocked and get the reason
+                const blockReason = getSlotBlockReason(slotStart, slotEnd);
+                const isBlocked = blockReason !== null;
+                
+                // Convert to salon local timezone for display
+                const slotStartLocal = slotStart.setZone(salonTimezone);
+                const slotEndLocal = slotEnd.setZone(salonTimezone);
+                
+                // Build slot object
+                const slot = {
+                    start_time: slotStart.toISO(),
+                    end_time: slotEnd.toISO(),
+                    display_start_time: slotStartLocal.toISO(),
+                    display_end_time: slotEndLocal.toISO(),
+                    available: !isBlocked
+                };
+                
+                // Add unavailable_reason if slot is not available
+                if (!isBlocked) {
+                    // Slot is available, no reason needed
+                } else {
+                    // Slot is unavailable, add reason
+                    slot.unavailable_reason = blockReason || 'unavailable';
+                }
+                
+                allSlots.push(slot);
+                
+                // Move to next slot - use serviceDurationMinutes for spacing
+                slotStart = slotStart.plus({ minutes: serviceDurationMinutes });
+            }
+            
+            const availableSlotsCount = allSlots.filter(slot => slot.available === true).length;
+            const isClosed = availableSlotsCount === 0;
+            
+            dailySlots[dateStr] = {
+                date: dateStr,
+                day_name: dayName,
+                availability: {
+                    start_time: availability.start_time,
+                    end_time: availability.end_time
+                },
+                available_slots: allSlots,
+                total_slots: allSlots.length,
+                is_closed: isClosed
+            };
+        }
+        
+        currentDate = currentDate.plus({ days: 1 });
+    }
+
+    return dailySlots;
+};
+
+// Checks that a stylist can take startDate..endDate (UTC), counting only their own segment of multi-stylist bookings.
+// Returns null when the time is free, otherwise { status, body } with the error response. excludeBookingIds are
+// left out of the booking conflict check (occurrences being moved).
+const checkStylistSlot = async (db, { salon_id, employee_id, salonTimezone, startDate, endDate, excludeBookingIds = [] }) => {
+    const requestStartStr = toMySQLUtc(startDate);
+    const requestEndStr = toMySQLUtc(endDate);
+
+    const excludeSql = excludeBookingIds.length ? `AND b.booking_id NOT IN (${excludeBookingIds.map(() => '?').join(',')})` : '';
+    const [conflictsResult] = await db.execute(
+        `SELECT b.booking_id,
+                DATE_FORMAT(b.scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
+                DATE_FORMAT(b.scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end
+         FROM bookings b
+         JOIN booking_services bs ON b.booking_id = bs.booking_id
+         WHERE bs.employee_id IN (${STYLIST_EMPLOYEE_IDS_SQL})
+           AND b.status NOT IN ('CANCELED', 'NO_SHOW')
+           AND ${STYLIST_SEGMENT_START_SQL} < ?
+           AND ${STYLIST_SEGMENT_END_SQL} > ?
+           ${excludeSql}`,
+        [employee_id, requestEndStr, requestStartStr, ...excludeBookingIds]
+    );
+
+    if (conflictsResult.length > 0) {
+        logUtcDebug('checkStylistSlot conflict detected', {
+            existing_start: conflictsResult[0].scheduled_start,
+            existing_end: conflictsResult[0].scheduled_end,
+            new_start: requestStartStr,
+            new_end: requestEndStr
+        });
+        return {
+            status: 400,
+            body: {
+                message: 'Time slot is no longer available',
+                conflicting_booking: {
+                    booking_id: conflictsResult[0].booking_id,
+                    scheduled_start: formatDateTime(conflictsResult[0].scheduled_start),
+                    scheduled_end: formatDateTime(conflictsResult[0].scheduled_end)
+                }
+            }
+        };
+    }
+
+    // Pull all weekday availability for stylist
+    const [availabilityResult] = await db.execute(
+        `SELECT weekday, start_time, end_time
+         FROM employee_availability
+         WHERE employee_id = ?`,
+        [employee_id]
+    );
+    if (availabilityResult.length === 0) {
+        return { status: 400, body: { message: 'Stylist has no availability set' } };
+    }
+
+    // Weekday and date of the booking in SALON timezone (not UTC!)
+    const startDateInSalonTz = startDate.setZone(salonTimezone);
+    const bookingDayOfWeek = luxonWeekdayToDb(startDateInSalonTz.weekday);
+    const dayStr = startDateInSalonTz.toFormat('yyyy-MM-dd');
+
+    // Holiday closures close the date, special hours narrow the stylist's weekly hours
+    const hoursOverride = await getHoursOverride(db, salon_id, dayStr);
+    if (hoursOverride?.is_closed) {
+        return { status: 400, body: { message: 'Salon is closed on this date' } };
+    }
+
+    const dayAvailability = effectiveDayHours(availabilityResult.find(a => a.weekday === bookingDayOfWeek), hoursOverride);
+    if (!dayAvailability) {
+        return { status: 400, body: { message: 'Stylist is not available on this day' } };
+    }
+
+    // Convert availability to UTC using salon timezone (not request offset)
+    const availStart = localAvailabilityToUtc(dayAvailability.start_time, dayStr, salonTimezone);
+    const availEnd = localAvailabilityToUtc(dayAvailability.end_time, dayStr, salonTimezone);
+    logUtcDebug('checkStylistSlot availStart (UTC)', availStart);
+    logUtcDebug('checkStylistSlot availEnd (UTC)', availEnd);
+
+    if (startDate < availStart || endDate > availEnd) {
+        return {
+            status: 400,
+            body: { message: `Booking time must be within stylist's availability (${dayAvailability.start_time} - ${dayAvailability.end_time})` }
+        };
+    }
+
+    // Unavailability overlap
+    const [unavailabilityResult] = await db.execute(
+        `SELECT start_time, end_time
+         FROM employee_unavailability
+         WHERE employee_id = ? AND weekday = ?`,
+        [employee_id, bookingDayOfWeek]
+    );
+    const hasUnavailabilityConflict = unavailabilityResult.some(block => {
+        const blockStart = localAvailabilityToUtc(block.start_time, dayStr, salonTimezone);
+        const blockEnd = localAvailabilityToUtc(block.end_time, dayStr, salonTimezone);
+        return (startDate < blockEnd) && (blockStart < endDate);
+    });
+    if (hasUnavailabilityConflict) {
+        return { status: 409, body: { message: 'Stylist is unavailable during this time slot' } };
+    }
+
+    const timeOff = await getApprovedTimeOff(db, employee_id, startDate, endDate);
+    if (timeOff.length > 0) {
+        return { status: 409, body: { message: 'Stylist is on time off during this time slot' } };
+    }
+
+    return null;
+};
+
+module.exports = {
+    buildStylistDailySlots,
+    checkStylistSlot
+};
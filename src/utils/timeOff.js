@@ -0,0 +1,103 @@
+/*
+ * Dated stylist time off (employee_time_off): full days or part of a day, requested by the stylist and approved
+ * by the owner. Ranges are stored in UTC; only APPROVED time off blocks slots and bookings.
+ */
+const { DateTime } = require('luxon');
+const { toMySQLUtc, formatDateTime } = require('./utilies');
+const { STYLIST_SEGMENT_START_SQL, STYLIST_SEGMENT_END_SQL } = require('./bookingSegments');
+
+const MAX_TIME_OFF_DAYS = 90;
+const MAX_REASON_LENGTH = 255;
+const DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RX = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+// Validates { start_date, end_date?, start_time?, end_time?, reason? } against the salon's timezone.
+// Without times the range covers whole days from start_date to end_date; with times it runs from
+// start_date start_time to end_date end_time. Returns { startUtc, endUtc, allDay, reason } or { error }.
+const parseTimeOffRange = (body, salonTimezone) => {
+    const { start_date, end_date = body?.start_date, start_time, end_time, reason = null } = body || {};
+    if (!DATE_RX.test(start_date || '') || !DATE_RX.test(end_date || '')) {
+        return { error: 'start_date and end_date must be YYYY-MM-DD dates' };
+    }
+    if ((start_time === undefined) !== (end_time === undefined)) {
+        return { error: 'Provide both start_time and end_time, or neither for full days' };
+    }
+    if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        return { error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` };
+    }
+
+    const allDay = start_time === undefined;
+    if (!allDay && (!TIME_RX.test(start_time) || !TIME_RX.test(end_time))) {
+        return { error: 'Start time and End time must be HH:MM (24h) format' };
+    }
+
+    const start = allDay
+        ? DateTime.fromISO(start_date, { zone: salonTimezone }).startOf('day')
+        : DateTime.fromISO(`${start_date}T${start_time}`, { zone: salonTimezone });
+    const end = allDay
+        ? DateTime.fromISO(end_date, { zone: salonTimezone }).plus({ days: 1 }).startOf('day')
+        : DateTime.fromISO(`${end_date}T${end_time}`, { zone: salonTimezone });
+    if (!start.isValid || !end.isValid) {
+        return { error: 'start_date and end_date must be valid dates' };
+    }
+    if (end <= start) {
+        return { error: 'Time off must end after it starts' };
+    }
+    if (end <= DateTime.utc()) {
+        return { error: 'Time off cannot be in the past' };
+    }
+    if (end.diff(start, 'days').days > MAX_TIME_OFF_DAYS) {
+        return { error: `Time off cannot be longer than ${MAX_TIME_OFF_DAYS} days` };
+    }
+
+    return { startUtc: start.toUTC(), endUtc: end.toUTC(), allDay, reason };
+};
+
+// The employee's APPROVED time off overlapping fromUtc..toUtc as [{ start, end }] UTC DateTimes
+const getApprovedTimeOff = async (db, employeeId, fromUtc, toUtc) => {
+    const [rows] = await db.execute(
+        `SELECT DATE_FORMAT(start_at, '%Y-%m-%d %H:%i:%s') AS start_at,
+                DATE_FORMAT(end_at, '%Y-%m-%d %H:%i:%s') AS end_at
+         FROM employee_time_off
+         WHERE employee_id = ? AND status = 'APPROVED' AND start_at < ? AND end_at > ?
+         ORDER BY start_at`,
+        [employeeId, toMySQLUtc(toUtc), toMySQLUtc(fromUtc)]
+    );
+    return rows.map(row => ({
+        start: DateTime.fromSQL(row.start_at, { zone: 'utc' }),
+        end: DateTime.fromSQL(row.end_at, { zone: 'utc' })
+    }));
+};
+
+// The employee's upcoming SCHEDULED bookings that fall inside startUtc..endUtc
+const findTimeOffConflicts = async (db, employeeId, startUtc, endUtc) => {
+    const nowUtc = DateTime.utc();
+    const [rows] = await db.execute(
+        `SELECT DISTINCT b.booking_id,
+                DATE_FORMAT(b.scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
+                DATE_FORMAT(b.scheduled_end, '%Y-%m-%d %H:%i:%s') AS scheduled_end,
+                u.full_name AS customer_name
+         FROM bookings b
+         JOIN booking_services bs ON b.booking_id = bs.booking_id
+         LEFT JOIN users u ON b.customer_user_id = u.user_id
+         WHERE bs.employee_id = ?
+           AND b.status = 'SCHEDULED'
+           AND ${STYLIST_SEGMENT_START_SQL} < ? AND ${STYLIST_SEGMENT_END_SQL} > ?
+           AND b.scheduled_start >= ?
+         ORDER BY scheduled_start ASC`,
+        [employeeId, toMySQLUtc(endUtc), toMySQLUtc(startUtc), toMySQLUtc(nowUtc)]
+    );
+    return rows.map(row => ({
+        booking_id: row.booking_id,
+        scheduled_start: formatDateTime(row.scheduled_start),
+        scheduled_end: formatDateTime(row.scheduled_end),
+        customer_name: row.customer_name || null
+    }));
+};
+
+module.exports = {
+    MAX_TIME_OFF_DAYS,
+    parseTimeOffRange,
+    getApprovedTimeOff,
+    findTimeOffConflicts
+};
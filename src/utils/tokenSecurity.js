@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Opaque tokens (refresh, reset, verification) are handed to the client once and only their hash is stored
+
+// Generate a random URL-safe token
+exports.generateOpaqueToken = (bytes = 48) => {
+    return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Hash a token for storage/lookup
+exports.hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
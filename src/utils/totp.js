@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+/*
+ * TOTP (RFC 6238) for MFA: SHA1, 6 digits, 30 second steps, compatible with
+ * Google Authenticator / Authy / 1Password. Secrets are stored AES-256-GCM encrypted.
+ */
+
+const ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const hotp = (secretBase32, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secretBase32)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+const currentStep = (nowMs = Date.now()) => Math.floor(nowMs / 1000 / STEP_SECONDS);
+
+// 160-bit secret, base32 encoded
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+exports.generateTotp = (secretBase32, nowMs = Date.now()) => hotp(secretBase32, currentStep(nowMs));
+
+// Returns the matched time step (to reject replays) or null. Allows one step of clock drift either way.
+exports.verifyTotp = (secretBase32, code, nowMs = Date.now(), window = 1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const step = currentStep(nowMs);
+    for (let drift = -window; drift <= window; drift++) {
+        const candidate = hotp(secretBase32, step + drift);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return step + drift;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI for authenticator apps, the frontend renders it as a QR code
+exports.buildProvisioningUri = (secretBase32, accountName, issuer = 'Strands') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret: secretBase32,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+exports.encryptSecret = (secretBase32) => {
+    if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length !== 64) {
+        throw new Error('MFA_ENCRYPTION_KEY must be set to 64 hex characters (32 bytes)');
+    }
+
+    const key = Buffer.from(ENCRYPTION_KEY, 'hex');
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    let encrypted = cipher.update(secretBase32, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return `${iv.toString('hex')}:${encrypted}:${cipher.getAuthTag().toString('hex')}`;
+};
+
+exports.decryptSecret = (encryptedData) => {
+    if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length !== 64) {
+        throw new Error('MFA_ENCRYPTION_KEY must be set to 64 hex characters (32 bytes)');
+    }
+
+    const [ivHex, encrypted, authTagHex] = String(encryptedData).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(ENCRYPTION_KEY, 'hex'), Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+exports.generateRecoveryCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+};
+
+exports.normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase();
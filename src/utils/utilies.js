@@ -14,6 +14,11 @@ const validateEmail = (email) => {
    return emailRegex.test(email);
 };
 
+// E.164: leading +, country code, up to 15 digits total
+const validatePhoneE164 = (phone) => {
+   return typeof phone === 'string' && /^\+[1-9]\d{1,14}$/.test(phone);
+};
+
 function toMySQLUtc(dt) {
    if (!(dt instanceof DateTime)) {
        throw new Error('toMySQLUtc requires a DateTime object');
@@ -128,6 +133,47 @@ async function runTokenCleanup(connection) {
           
            //console.log(`Cleanup: Deactivated ${userResult.affectedRows} users and cleared ${tokenResult.affectedRows} expired tokens`);
        }
+
+       // Denylisted tokens past their JWT expiry can no longer be presented, so drop them
+       const purgeRevokedTokensQuery = `
+           DELETE FROM revoked_tokens
+           WHERE expires_at < ?
+       `;
+       await db.execute(purgeRevokedTokensQuery, [currentUtc]);
+
+       // Refresh tokens rotate within a family, so a family is dead once its newest token has expired.
+       // Used tokens are kept until then for reuse detection.
+       const purgeRefreshFamiliesQuery = `
+           DELETE FROM refresh_tokens
+           WHERE family_id IN (
+               SELECT family_id FROM (
+                   SELECT family_id
+                   FROM refresh_tokens
+                   GROUP BY family_id
+                   HAVING MAX(expires_at) < ?
+               ) AS expired_families
+           )
+       `;
+       await db.execute(purgeRefreshFamiliesQuery, [currentUtc]);
+
+       // A session without refresh tokens can't be resumed; keep it until its last access token (2h) has expired
+       const purgeSessionsQuery = `
+           DELETE FROM user_sessions
+           WHERE last_seen_at < ?
+           AND NOT EXISTS (SELECT 1 FROM refresh_tokens rt WHERE rt.family_id = user_sessions.session_id)
+       `;
+       await db.execute(purgeSessionsQuery, [toMySQLUtc(DateTime.utc().minus({ hours: 2 }))]);
+
+       await db.execute('DELETE FROM password_reset_tokens WHERE expires_at < ?', [currentUtc]);
+       await db.execute('DELETE FROM email_verification_tokens WHERE expires_at < ?', [currentUtc]);
+
+       // Failed login counters that have decayed and are no longer locked
+       const purgeLoginThrottlesQuery = `
+           DELETE FROM login_throttles
+           WHERE last_failed_at < ?
+           AND (locked_until IS NULL OR locked_until < ?)
+       `;
+       await db.execute(purgeLoginThrottlesQuery, [toMySQLUtc(DateTime.utc().minus({ minutes: 15 })), currentUtc]);
    } catch (error) {
        console.error('Token cleanup job failed:', error);
    }
@@ -148,6 +194,7 @@ async function runBookingsAutoComplete(connection) {
            WHERE status = 'SCHEDULED'
              AND scheduled_end IS NOT NULL
              AND scheduled_end < ?
+             AND salon_id NOT IN (SELECT salon_id FROM salons WHERE bookings_frozen = 1)
        `;
        await db.execute(updateQuery, [currentUtc]);
    } catch (error) {
@@ -323,6 +370,7 @@ async function runAppointmentReminders(connection) {
                 JOIN users u ON b.customer_user_id = u.user_id
                 JOIN salons s ON b.salon_id = s.salon_id
                 WHERE b.status = 'SCHEDULED'
+                  AND s.bookings_frozen = 0
                   AND b.scheduled_start > ?
                   AND b.scheduled_start <= ?`,
                [queryStart, queryEnd]
@@ -496,6 +544,30 @@ async function runExpirePromoCodes(connection) {
 }
 
 
+// Job to lift salon suspensions/rejections whose expiry has passed every 5 minutes
+async function runExpireSalonRestrictions(connection) {
+   try {
+       const db = connection.promise();
+       const { liftSalonRestriction } = require('./salonModeration');
+
+       const [salons] = await db.execute(
+           `SELECT salon_id
+            FROM salons
+            WHERE status IN ('SUSPENDED', 'REJECTED')
+              AND status_expires_at IS NOT NULL
+              AND status_expires_at <= ?`,
+           [toMySQLUtc(DateTime.utc())]
+       );
+
+       for (const salon of salons) {
+           await liftSalonRestriction(db, { salonId: salon.salon_id, changedBy: 'SYSTEM' });
+       }
+   } catch (error) {
+       console.error('Expire salon restrictions job failed:', error);
+   }
+}
+
+
 // Job to delete temporary credit cards after all associated bookings have passed
 async function runTempCreditCardCleanup(connection) {
    try {
@@ -601,13 +673,17 @@ async function runTempCreditCardCleanup(connection) {
 }
 
 // Cleanup job to delete pending bookings where appointment time has passed or 5 minutes have elapsed
+// Waitlist holds last until their offer expires; the freed time is then offered to the next waiting customer
+// Recurring series expire as a whole; once one occurrence is paid the unpaid ones stay held until they start
 async function runPendingBookingCleanup(connection) {
    try {
        const db = connection.promise();
+       const { getFreedSlots, offerFreedSlots } = require('./waitlist');
        const now = DateTime.utc();
        const fiveMinutesAgo = now.minus({ minutes: 5 });
        const nowCutoff = toMySQLUtc(now);
        const fiveMinutesAgoCutoff = toMySQLUtc(fiveMinutesAgo);
+       let freedSlots = [];
 
        await db.beginTransaction();
 
@@ -616,29 +692,42 @@ async function runPendingBookingCleanup(connection) {
                `SELECT booking_id 
                 FROM bookings 
                 WHERE status = 'PENDING' 
-                AND (scheduled_start <= ? OR created_at < ?)`,
-               [nowCutoff, fiveMinutesAgoCutoff]
+                AND (scheduled_start <= ? OR (created_at < ? AND NOT EXISTS (
+                    SELECT 1 FROM waitlist_entries w
+                    WHERE w.offer_booking_id = bookings.booking_id AND w.status = 'OFFERED' AND w.offer_expires_at > ?
+                ) AND NOT EXISTS (
+                    SELECT 1 FROM bookings paid
+                    WHERE paid.series_id = bookings.series_id AND paid.status <> 'PENDING'
+                )))`,
+               [nowCutoff, fiveMinutesAgoCutoff, nowCutoff]
            );
 
-           if (oldBookings.length === 0) {
-               await db.commit();
-               return;
-           }
+           if (oldBookings.length > 0) {
+               const bookingIds = oldBookings.map(b => b.booking_id);
+               const placeholders = bookingIds.map(() => '?').join(',');
+               freedSlots = await getFreedSlots(db, bookingIds);
 
-           const bookingIds = oldBookings.map(b => b.booking_id);
-           const placeholders = bookingIds.map(() => '?').join(',');
+               await db.execute(
+                   `DELETE FROM booking_services 
+                    WHERE booking_id IN (${placeholders})`,
+                   bookingIds
+               );
 
-           await db.execute(
-               `DELETE FROM booking_services 
-                WHERE booking_id IN (${placeholders})`,
-               bookingIds
-           );
+               await db.execute(
+                   `DELETE FROM bookings 
+                    WHERE booking_id IN (${placeholders}) 
+                    AND status = 'PENDING'`,
+                   bookingIds
+               );
+           }
 
+           // Offers whose hold ran out (or was deleted by the customer) and waits whose window has passed
            await db.execute(
-               `DELETE FROM bookings 
-                WHERE booking_id IN (${placeholders}) 
-                AND status = 'PENDING'`,
-               bookingIds
+               `UPDATE waitlist_entries
+                SET status = 'EXPIRED', updated_at = ?
+                WHERE (status = 'OFFERED' AND offer_expires_at <= ?)
+                   OR (status = 'WAITING' AND window_end < ?)`,
+               [nowCutoff, nowCutoff, now.minus({ days: 1 }).toISODate()]
            );
 
            await db.commit();
@@ -646,6 +735,8 @@ async function runPendingBookingCleanup(connection) {
            await db.rollback();
            throw txErr;
        }
+
+       await offerFreedSlots(db, freedSlots);
    } catch (error) {
        console.error('Pending booking cleanup job failed:', error);
    }
@@ -653,6 +744,7 @@ async function runPendingBookingCleanup(connection) {
 
 module.exports = {
    validateEmail,
+   validatePhoneE164,
    runTokenCleanup,
    runBookingsAutoComplete,
    toMySQLUtc,
@@ -661,6 +753,7 @@ module.exports = {
    runAppointmentReminders,
    runUnusedOffersReminders,
    runExpirePromoCodes,
+   runExpireSalonRestrictions,
    runTempCreditCardCleanup,
    runPendingBookingCleanup,
    logUtcDebug,
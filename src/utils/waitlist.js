@@ -0,0 +1,139 @@
+/*
+ * Waitlist for fully booked stylists (waitlist_entries). When a booking is canceled or a pending booking is cleaned up,
+ * the freed time is offered to the waiting customers of that stylist in the order they joined: the first one whose
+ * service fits gets a PENDING booking held for WAITLIST_HOLD_MINUTES, confirmed through the normal payment flow.
+ * An offer that runs out is expired by runPendingBookingCleanup, which frees the time again for the next customer.
+ */
+const { DateTime } = require('luxon');
+const { toMySQLUtc } = require('./utilies');
+const { checkStylistSlot } = require('./stylistSlots');
+const { STYLIST_SEGMENT_START_SQL, STYLIST_SEGMENT_END_SQL } = require('./bookingSegments');
+const { createNotification } = require('../controllers/notificationsController');
+
+const WAITLIST_HOLD_MINUTES = 30;
+const MAX_OFFER_CANDIDATES = 20;
+
+// Stylist time released by the given bookings, one entry per booking and stylist segment, upcoming only.
+// Read it before the bookings are deleted.
+const getFreedSlots = async (db, bookingIds) => {
+    if (bookingIds.length === 0) {
+        return [];
+    }
+    const [rows] = await db.execute(
+        `SELECT DISTINCT b.booking_id, b.salon_id, bs.employee_id,
+                DATE_FORMAT(${STYLIST_SEGMENT_START_SQL}, '%Y-%m-%d %H:%i:%s') AS scheduled_start,
+                DATE_FORMAT(${STYLIST_SEGMENT_END_SQL}, '%Y-%m-%d %H:%i:%s') AS scheduled_end
+         FROM bookings b
+         JOIN booking_services bs ON bs.booking_id = b.booking_id
+         WHERE b.booking_id IN (${bookingIds.map(() => '?').join(',')}) AND ${STYLIST_SEGMENT_START_SQL} > ?`,
+        [...bookingIds, toMySQLUtc(DateTime.utc())]
+    );
+    return rows.map(row => ({
+        salon_id: row.salon_id,
+        employee_id: row.employee_id,
+        start: DateTime.fromSQL(row.scheduled_start, { zone: 'utc' }),
+        end: DateTime.fromSQL(row.scheduled_end, { zone: 'utc' })
+    }));
+};
+
+// Holds the freed time for the first waiting customer it fits. Returns the waitlist_id that got the offer, or null.
+const offerFreedSlot = async (db, { salon_id, employee_id, start, end }) => {
+    const [salonRows] = await db.execute('SELECT name, timezone, status FROM salons WHERE salon_id = ?', [salon_id]);
+    if (salonRows.length === 0 || salonRows[0].status !== 'APPROVED') {
+        return null;
+    }
+    const salonTimezone = salonRows[0].timezone || 'America/New_York';
+    const localDate = start.setZone(salonTimezone).toFormat('yyyy-MM-dd');
+
+    const [entries] = await db.execute(
+        `SELECT w.waitlist_id, w.customer_user_id, w.service_id, sv.name AS service_name, sv.duration_minutes, sv.price,
+                u.email, su.full_name AS stylist_name
+         FROM waitlist_entries w
+         JOIN services sv ON sv.service_id = w.service_id AND sv.active = 1
+         JOIN employee_services es ON es.employee_id = w.employee_id AND es.service_id = w.service_id
+         JOIN users u ON u.user_id = w.customer_user_id
+         JOIN employees e ON e.employee_id = w.employee_id AND e.active = 1
+         JOIN users su ON su.user_id = e.user_id
+         WHERE w.employee_id = ? AND w.status = 'WAITING' AND ? BETWEEN w.window_start AND w.window_end
+         ORDER BY w.created_at ASC, w.waitlist_id ASC
+         LIMIT ${MAX_OFFER_CANDIDATES}`,
+        [employee_id, localDate]
+    );
+
+    for (const entry of entries) {
+        const holdEnd = start.plus({ minutes: entry.duration_minutes });
+        if (holdEnd > end) {
+            continue;
+        }
+        const problem = await checkStylistSlot(db, { salon_id, employee_id, salonTimezone, startDate: start, endDate: holdEnd });
+        if (problem) {
+            continue;
+        }
+
+        const nowUtc = toMySQLUtc(DateTime.utc());
+        const expiresAt = DateTime.utc().plus({ minutes: WAITLIST_HOLD_MINUTES });
+        const [bookingResult] = await db.execute(
+            `INSERT INTO bookings
+               (salon_id, customer_user_id, scheduled_start, scheduled_end, status, notes, created_at, updated_at)
+             VALUES (?, ?, ?, ?, 'PENDING', '', ?, ?)`,
+            [salon_id, entry.customer_user_id, toMySQLUtc(start), toMySQLUtc(holdEnd), nowUtc, nowUtc]
+        );
+        const bookingId = bookingResult.insertId;
+        await db.execute(
+            `INSERT INTO booking_services
+               (booking_id, employee_id, service_id, price, duration_minutes, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [bookingId, employee_id, entry.service_id, entry.price, entry.duration_minutes, nowUtc, nowUtc]
+        );
+        await db.execute(
+            `UPDATE waitlist_entries
+             SET status = 'OFFERED', offer_booking_id = ?, offer_expires_at = ?, updated_at = ?
+             WHERE waitlist_id = ?`,
+            [bookingId, toMySQLUtc(expiresAt), nowUtc, entry.waitlist_id]
+        );
+
+        const slotStr = start.setZone(salonTimezone).toFormat('EEE, MMM d, yyyy h:mm a');
+        try {
+            await createNotification(db, {
+                user_id: entry.customer_user_id,
+                salon_id,
+                employee_id,
+                booking_id: bookingId,
+                email: entry.email,
+                type_code: 'WAITLIST_SLOT_OFFERED',
+                message: `A spot opened up with ${entry.stylist_name} at ${salonRows[0].name} on ${slotStr} for ${entry.service_name}. `
+                    + `It is held for you for ${WAITLIST_HOLD_MINUTES} minutes: complete the payment to confirm it.`,
+                sender_email: 'SYSTEM'
+            });
+        } catch (notifError) {
+            console.error('Failed to send waitlist offer notification:', notifError);
+        }
+
+        return entry.waitlist_id;
+    }
+
+    return null;
+};
+
+const offerFreedSlots = async (db, slots) => {
+    for (const slot of slots) {
+        await offerFreedSlot(db, slot);
+    }
+};
+
+// Ends the offer held by a booking: BOOKED once it is paid, EXPIRED when the customer lets it go
+const closeWaitlistOffer = async (db, bookingId, status) => {
+    await db.execute(
+        `UPDATE waitlist_entries SET status = ?, updated_at = ?
+         WHERE offer_booking_id = ? AND status = 'OFFERED'`,
+        [status, toMySQLUtc(DateTime.utc()), bookingId]
+    );
+};
+
+module.exports = {
+    WAITLIST_HOLD_MINUTES,
+    getFreedSlots,
+    offerFreedSlot,
+    offerFreedSlots,
+    closeWaitlistOffer
+};
@@ -3,7 +3,7 @@ const connection = require('../src/config/databaseConnection');
 const { insertUserWithCredentials, generateTestToken, generateFakeToken } = require('./helpers/authTestUtils');
 const { setupServiceTestEnvironment, baseServicePayload } = require('./helpers/serviceTestUtils');
 const { DateTime } = require('luxon');
-const { toMySQLUtc } = require('../src/utils/utilies');
+const { toMySQLUtc, runPendingBookingCleanup } = require('../src/utils/utilies');
 
 jest.mock('../src/controllers/notificationsController', () => {
     const original = jest.requireActual('../src/controllers/notificationsController');
@@ -942,6 +942,611 @@ describe('BS 1.1 - Customer Booking Flow', () => {
     });
 */
 
+    describe('Availability discovery', () => {
+        test('Discovery returns stylists with free slots in the requested window and drops booked ones', async () => {
+            const { salonId, employeeId, serviceId, customer, customerToken } = await setupBookingTestEnvironment({
+                serviceName: 'Zyqwave Cut',
+                durationMinutes: 60
+            });
+            const monday = getNextMonday(DateTime.utc()).toISODate();
+            const query = `/api/salons/discover?service=zyqwave&date=${monday}&from=10:00&to=12:00`;
+
+            const response = await request(app)
+                .get(query)
+                .set('Authorization', `Bearer ${customerToken}`);
+
+            expect(response.status).toBe(200);
+            const salon = response.body.data.find(s => s.salon_id === salonId);
+            expect(salon.stylists).toHaveLength(1);
+            expect(salon.stylists[0]).toMatchObject({ employee_id: employeeId, service: { service_id: serviceId, duration_minutes: 60 } });
+            expect(salon.stylists[0].slots.map(slot => slot.display_start_time.slice(11, 16))).toEqual(['10:00', '11:00']);
+
+            const bookedStart = DateTime.fromISO(`${monday}T10:00:00Z`);
+            await createBookingWithServices(salonId, customer.user_id, employeeId, serviceId, bookedStart, bookedStart.plus({ hours: 1 }));
+
+            const afterBooking = await request(app)
+                .get(query)
+                .set('Authorization', `Bearer ${customerToken}`);
+
+            const salonAfter = afterBooking.body.data.find(s => s.salon_id === salonId);
+            expect(salonAfter.stylists[0].slots.map(slot => slot.display_start_time.slice(11, 16))).toEqual(['11:00']);
+        });
+
+        test('Salons without a free slot in the window are left out', async () => {
+            const { salonId, customerToken } = await setupBookingTestEnvironment({ serviceName: 'Zyqwave Cut' });
+            const monday = getNextMonday(DateTime.utc()).toISODate();
+
+            const response = await request(app)
+                .get(`/api/salons/discover?service=zyqwave&date=${monday}&from=18:00&to=20:00`)
+                .set('Authorization', `Bearer ${customerToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.find(s => s.salon_id === salonId)).toBeUndefined();
+        });
+
+        test('A fully booked salon is left out of the page and meta.total', async () => {
+            const { salonId, employeeId, serviceId, customer, customerToken } = await setupBookingTestEnvironment({
+                serviceName: 'Zyqwave Cut',
+                durationMinutes: 60
+            });
+            const monday = getNextMonday(DateTime.utc()).toISODate();
+            const bookedStart = DateTime.fromISO(`${monday}T10:00:00Z`);
+            await createBookingWithServices(salonId, customer.user_id, employeeId, serviceId, bookedStart, bookedStart.plus({ hours: 2 }));
+
+            const response = await request(app)
+                .get(`/api/salons/discover?service=zyqwave&date=${monday}&from=10:00&to=12:00&limit=100`)
+                .set('Authorization', `Bearer ${customerToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.find(s => s.salon_id === salonId)).toBeUndefined();
+            expect(response.body.data.every(s => s.stylists.length > 0)).toBe(true);
+            expect(response.body.meta.total).toBe(response.body.data.length);
+        });
+
+        test('A page skips fully booked salons and is filled with the next salon that has a free slot', async () => {
+            const booked = await setupBookingTestEnvironment({ salonName: 'Aaa Zyqwave Booked', serviceName: 'Zyqwave Cut', durationMinutes: 60 });
+            const free = await setupBookingTestEnvironment({ salonName: 'Aab Zyqwave Free', serviceName: 'Zyqwave Cut', durationMinutes: 60 });
+            const monday = getNextMonday(DateTime.utc()).toISODate();
+            const bookedStart = DateTime.fromISO(`${monday}T10:00:00Z`);
+            await createBookingWithServices(booked.salonId, booked.customer.user_id, booked.employeeId, booked.serviceId, bookedStart, bookedStart.plus({ hours: 2 }));
+
+            const response = await request(app)
+                .get(`/api/salons/discover?service=zyqwave&date=${monday}&from=10:00&to=12:00&limit=1`)
+                .set('Authorization', `Bearer ${free.customerToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(s => s.salon_id)).toEqual([free.salonId]);
+            expect(response.body.meta).toMatchObject({ total: 1, hasMore: false });
+        });
+
+        test.each([
+            { query: '?date=2099-01-05', description: 'no service or category' },
+            { query: '?service=cut', description: 'missing date' },
+            { query: '?service=cut&date=2020-01-01', description: 'past date' },
+            { query: '?service=cut&date=2099-01-05&from=15:00&to=14:00', description: 'inverted time window' },
+            { query: '?category=TATTOO&date=2099-01-05', description: 'unknown category' },
+            { query: '?service=cut&date=2099-01-05&radius_km=5', description: 'radius without coordinates' }
+        ])('Invalid discovery parameters: $description returns 400', async ({ query }) => {
+            const { customerToken } = await setupBookingTestEnvironment();
+
+            const response = await request(app)
+                .get(`/api/salons/discover${query}`)
+                .set('Authorization', `Bearer ${customerToken}`);
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Holiday closures and special hours', () => {
+        test('A closed date has no time slots and cannot be booked', async () => {
+            const { salonId, employeeId, serviceId, ownerToken, customerToken } = await setupBookingTestEnvironment();
+            const monday = getNextMonday(DateTime.utc()).toISODate();
+
+            const closeResponse = await request(app)
+                .put(`/api/salons/hours/overrides/${monday}`)
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ is_closed: true, note: 'Holiday' });
+            expect(closeResponse.status).toBe(200);
+
+            const slotsResponse = await request(app)
+                .get(`/api/salons/${salonId}/stylists/${employeeId}/timeslots?start_date=${monday}&end_date=${monday}`)
+                .set('Authorization', `Bearer ${customerToken}`);
+            expect(slotsResponse.status).toBe(200);
+            expect(slotsResponse.body.data.daily_slots[monday]).toMatchObject({
+                available_slots: [],
+                is_closed: true,
+                message: 'Salon closed: Holiday'
+            });
+
+            const bookResponse = await request(app)
+                .post(`/api/salons/${salonId}/stylists/${employeeId}/book`)
+                .set('Authorization', `Bearer ${customerToken}`)
+                .send({ scheduled_start: `${monday}T10:00:00Z`, services: [{ service_id: serviceId }] });
+            expect(bookResponse.status).toBe(400);
+            expect(bookResponse.body).toMatchObject({ message: 'Salon is closed on this date' });
+        });
+
+        test('Special hours limit the slots to the override window', async () => {
+            const { salonId, employeeId, ownerToken, customerToken } = await setupBookingTestEnvironment();
+            const monday = getNextMonday(DateTime.utc()).toISODate();
+
+            await request(app)
+                .put(`/api/salons/hours/overrides/${monday}`)
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ start_time: '12:00', end_time: '14:00' });
+
+            const response = await request(app)
+                .get(`/api/salons/${salonId}/stylists/${employeeId}/timeslots?start_date=${monday}&end_date=${monday}`)
+                .set('Authorization', `Bearer ${customerToken}`);
+
+            const slots = response.body.data.daily_slots[monday].available_slots;
+            expect(slots.length).toBeGreaterThan(0);
+            expect(slots.every(slot => slot.display_start_time.slice(11, 16) >= '12:00' && slot.display_end_time.slice(11, 16) <= '14:00')).toBe(true);
+        });
+
+        test('Special hours wider than the stylist\'s shift keep the stylist to their own hours', async () => {
+            const { salonId, employeeId, serviceId, ownerToken, customerToken } = await setupBookingTestEnvironment({
+                serviceName: 'Zyqwave Trim',
+                employeeStartTime: '12:00:00',
+                employeeEndTime: '15:00:00'
+            });
+            const monday = getNextMonday(DateTime.utc()).toISODate();
+
+            await request(app)
+                .put(`/api/salons/hours/overrides/${monday}`)
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ start_time: '09:00', end_time: '18:00' });
+
+            const response = await request(app)
+                .get(`/api/salons/${salonId}/stylists/${employeeId}/timeslots?start_date=${monday}&end_date=${monday}`)
+                .set('Authorization', `Bearer ${customerToken}`);
+
+            const slots = response.body.data.daily_slots[monday].available_slots;
+            expect(slots.length).toBeGreaterThan(0);
+            expect(slots.every(slot => slot.display_start_time.slice(11, 16) >= '12:00' && slot.display_end_time.slice(11, 16) <= '15:00')).toBe(true);
+
+            const bookResponse = await request(app)
+                .post(`/api/salons/${salonId}/stylists/${employeeId}/book`)
+                .set('Authorization', `Bearer ${customerToken}`)
+                .send({ scheduled_start: `${monday}T10:00:00Z`, services: [{ service_id: serviceId }] });
+            expect(bookResponse.status).toBe(400);
+
+            const discoverResponse = await request(app)
+                .get(`/api/salons/discover?service=zyqwave&date=${monday}&from=09:00&to=11:00`)
+                .set('Authorization', `Bearer ${customerToken}`);
+            expect(discoverResponse.status).toBe(200);
+            expect(discoverResponse.body.data.find(s => s.salon_id === salonId)).toBeUndefined();
+        });
+
+        test('Existing bookings on a closed date are flagged and unflagged when the closure is removed', async () => {
+            const { salonId, employeeId, serviceId, customer, ownerToken } = await setupBookingTestEnvironment();
+            const monday = getNextMonday(DateTime.utc()).toISODate();
+            const start = DateTime.fromISO(`${monday}T10:00:00Z`);
+            const bookingId = await createBookingWithServices(salonId, customer.user_id, employeeId, serviceId, start, start.plus({ hours: 1 }));
+
+            const closeResponse = await request(app)
+                .put(`/api/salons/hours/overrides/${monday}`)
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ is_closed: true });
+
+            expect(closeResponse.body.data.flagged_bookings).toEqual([bookingId]);
+            expect(notificationsController.createNotification).toHaveBeenCalledWith(
+                expect.anything(),
+                expect.objectContaining({ user_id: customer.user_id, booking_id: bookingId, type_code: 'BOOKING_HOURS_CONFLICT' })
+            );
+            const [flagged] = await db.execute('SELECT flag_code FROM bookings WHERE booking_id = ?', [bookingId]);
+            expect(flagged[0].flag_code).toBe('SALON_HOURS');
+
+            const deleteResponse = await request(app)
+                .delete(`/api/salons/hours/overrides/${monday}`)
+                .set('Authorization', `Bearer ${ownerToken}`);
+
+            expect(deleteResponse.status).toBe(200);
+            const [unflagged] = await db.execute('SELECT flag_code FROM bookings WHERE booking_id = ?', [bookingId]);
+            expect(unflagged[0].flag_code).toBeNull();
+        });
+
+        test.each([
+            { date: '2099-13-01', body: { is_closed: true }, description: 'invalid date' },
+            { date: '2020-01-06', body: { is_closed: true }, description: 'past date' },
+            { date: '2099-01-05', body: {}, description: 'missing hours' },
+            { date: '2099-01-05', body: { start_time: '15:00', end_time: '14:00' }, description: 'inverted hours' }
+        ])('Invalid override: $description returns 400', async ({ date, body }) => {
+            const { ownerToken } = await setupBookingTestEnvironment();
+
+            const response = await request(app)
+                .put(`/api/salons/hours/overrides/${date}`)
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send(body);
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Recurring appointments', () => {
+        const bookSeries = (env, start, recurrence) => request(app)
+            .post(`/api/salons/${env.salonId}/stylists/${env.employeeId}/book`)
+            .set('Authorization', `Bearer ${env.customerToken}`)
+            .send({ scheduled_start: start.toISO(), services: [{ service_id: env.serviceId }], recurrence });
+
+        const firstMondayAt = (hour) => getNextMonday(DateTime.utc()).set({ hour, minute: 0, second: 0, millisecond: 0 });
+
+        test('A series holds every occurrence with the same stylist N weeks apart until checkout', async () => {
+            const env = await setupBookingTestEnvironment();
+            const start = firstMondayAt(10);
+
+            const response = await bookSeries(env, start, { interval_weeks: 2, count: 3 });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.occurrences).toHaveLength(3);
+            const [rows] = await db.execute(
+                `SELECT status, DATE_FORMAT(scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start
+                 FROM bookings WHERE series_id = ? ORDER BY scheduled_start`,
+                [response.body.data.series_id]
+            );
+            expect(rows.map(r => r.status)).toEqual(['PENDING', 'PENDING', 'PENDING']);
+            expect(rows.map(r => r.scheduled_start)).toEqual([0, 2, 4].map(weeks => toMySQLUtc(start.plus({ weeks }))));
+        });
+
+        test('Conflicting occurrences are reported with alternatives and can be skipped', async () => {
+            const env = await setupBookingTestEnvironment();
+            const start = firstMondayAt(10);
+            const taken = start.plus({ weeks: 1 });
+            await createBookingWithServices(env.salonId, env.customer.user_id, env.employeeId, env.serviceId, taken, taken.plus({ hours: 1 }));
+
+            const conflictResponse = await bookSeries(env, start, { interval_weeks: 1, count: 3 });
+
+            expect(conflictResponse.status).toBe(409);
+            expect(conflictResponse.body.data.conflicts).toHaveLength(1);
+            expect(conflictResponse.body.data.conflicts[0]).toMatchObject({ occurrence: 2, reason: 'Time slot is no longer available' });
+            const alternatives = conflictResponse.body.data.conflicts[0].alternatives;
+            expect(alternatives.length).toBeGreaterThan(0);
+            expect(alternatives.map(a => a.scheduled_start.slice(11, 16))).not.toContain('10:00');
+
+            const skipResponse = await bookSeries(env, start, { interval_weeks: 1, count: 3, skip_conflicts: true });
+
+            expect(skipResponse.status).toBe(201);
+            expect(skipResponse.body.data.occurrences.map(o => o.occurrence)).toEqual([1, 3]);
+            expect(skipResponse.body.data.skipped.map(o => o.occurrence)).toEqual([2]);
+        });
+
+        test('Rescheduling the series moves every upcoming occurrence and keeps the interval', async () => {
+            const env = await setupBookingTestEnvironment();
+            const start = firstMondayAt(10);
+            const booked = await bookSeries(env, start, { interval_weeks: 1, count: 2 });
+            const seriesId = booked.body.data.series_id;
+
+            const response = await request(app)
+                .post(`/api/bookings/series/${seriesId}/reschedule`)
+                .set('Authorization', `Bearer ${env.customerToken}`)
+                .send({ scheduled_start: start.set({ hour: 13 }).toISO() });
+
+            expect(response.status).toBe(200);
+            const [rows] = await db.execute(
+                `SELECT DATE_FORMAT(scheduled_start, '%Y-%m-%d %H:%i:%s') AS scheduled_start
+                 FROM bookings WHERE series_id = ? AND status = 'PENDING' ORDER BY scheduled_start`,
+                [seriesId]
+            );
+            expect(rows.map(r => r.scheduled_start)).toEqual([0, 1].map(weeks => toMySQLUtc(start.set({ hour: 13 }).plus({ weeks }))));
+        });
+
+        test('A single occurrence can be rescheduled on its own and stays in the series', async () => {
+            const env = await setupBookingTestEnvironment();
+            const start = firstMondayAt(10);
+            const booked = await bookSeries(env, start, { interval_weeks: 1, count: 2 });
+            const secondId = booked.body.data.occurrences[1].booking_id;
+            await db.execute(`UPDATE bookings SET status = 'SCHEDULED' WHERE booking_id = ?`, [secondId]);
+
+            const response = await request(app)
+                .post('/api/bookings/reschedule')
+                .set('Authorization', `Bearer ${env.customerToken}`)
+                .send({ booking_id: secondId, scheduled_start: start.plus({ weeks: 1, hours: 4 }).toISO() });
+
+            expect(response.status).toBe(201);
+            const [rows] = await db.execute('SELECT series_id FROM bookings WHERE booking_id = ?', [response.body.data.new_booking_id]);
+            expect(rows[0].series_id).toBe(booked.body.data.series_id);
+        });
+
+        test('Unpaid series expire like a single hold, a paid occurrence keeps the rest of the series held', async () => {
+            const env = await setupBookingTestEnvironment();
+            const paid = await bookSeries(env, firstMondayAt(10), { interval_weeks: 1, count: 2 });
+            const unpaid = await bookSeries(env, firstMondayAt(14), { interval_weeks: 1, count: 2 });
+            await db.execute(`UPDATE bookings SET status = 'SCHEDULED' WHERE booking_id = ?`, [paid.body.data.occurrences[0].booking_id]);
+            await db.execute(
+                `UPDATE bookings SET created_at = ? WHERE series_id IN (?, ?)`,
+                [toMySQLUtc(DateTime.utc().minus({ minutes: 10 })), paid.body.data.series_id, unpaid.body.data.series_id]
+            );
+
+            await runPendingBookingCleanup(connection);
+
+            const [paidRows] = await db.execute('SELECT status FROM bookings WHERE series_id = ? ORDER BY scheduled_start', [paid.body.data.series_id]);
+            expect(paidRows.map(r => r.status)).toEqual(['SCHEDULED', 'PENDING']);
+            const [unpaidRows] = await db.execute('SELECT status FROM bookings WHERE series_id = ?', [unpaid.body.data.series_id]);
+            expect(unpaidRows).toHaveLength(0);
+        });
+
+        test('Canceling the series cancels every upcoming occurrence', async () => {
+            const env = await setupBookingTestEnvironment();
+            const booked = await bookSeries(env, firstMondayAt(10), { interval_weeks: 1, count: 3 });
+            const seriesId = booked.body.data.series_id;
+
+            const response = await request(app)
+                .post(`/api/bookings/series/${seriesId}/cancel`)
+                .set('Authorization', `Bearer ${env.customerToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.canceled_booking_ids).toHaveLength(3);
+            const [rows] = await db.execute('SELECT status FROM bookings WHERE series_id = ?', [seriesId]);
+            expect(rows.every(r => r.status === 'CANCELED')).toBe(true);
+
+            const again = await request(app)
+                .post(`/api/bookings/series/${seriesId}/cancel`)
+                .set('Authorization', `Bearer ${env.customerToken}`);
+            expect(again.status).toBe(409);
+        });
+
+        test.each([
+            { recurrence: { count: 3 }, description: 'missing interval_weeks' },
+            { recurrence: { interval_weeks: 13, count: 3 }, description: 'interval over 12 weeks' },
+            { recurrence: { interval_weeks: 1 }, description: 'neither count nor until' },
+            { recurrence: { interval_weeks: 1, count: 3, until: '2099-01-01' }, description: 'both count and until' },
+            { recurrence: { interval_weeks: 1, count: 27 }, description: 'too many occurrences' }
+        ])('Invalid recurrence: $description returns 400', async ({ recurrence }) => {
+            const env = await setupBookingTestEnvironment();
+
+            const response = await bookSeries(env, firstMondayAt(10), recurrence);
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Multi-stylist appointments', () => {
+        const { getStylistWeeklyScheduleViaAPI, rescheduleBookingViaAPI } = require('./helpers/bookingTestUtils');
+
+        // A colorist at the same salon offering a 90 minute color, Mondays 09:00-17:00
+        const addColorist = async (env) => {
+            const nowUtc = toMySQLUtc(DateTime.utc());
+            const user = await insertUserWithCredentials({ role: 'EMPLOYEE' });
+            const [employeeResult] = await db.execute(
+                `INSERT INTO employees (salon_id, user_id, title, active, created_at, updated_at) VALUES (?, ?, 'Colorist', 1, ?, ?)`,
+                [env.salonId, user.user_id, nowUtc, nowUtc]
+            );
+            const employeeId = employeeResult.insertId;
+            await db.execute(
+                `INSERT INTO employee_availability (employee_id, weekday, start_time, end_time, slot_interval_minutes, created_at, updated_at)
+                 VALUES (?, 1, '09:00:00', '17:00:00', 30, ?, ?)`,
+                [employeeId, nowUtc, nowUtc]
+            );
+            const [serviceResult] = await db.execute(
+                `INSERT INTO services (salon_id, name, description, duration_minutes, price, active, created_at, updated_at)
+                 VALUES (?, 'Color', 'Full color', 90, 120, 1, ?, ?)`,
+                [env.salonId, nowUtc, nowUtc]
+            );
+            await db.execute(
+                `INSERT INTO employee_services (employee_id, service_id, created_at, updated_at) VALUES (?, ?, ?, ?)`,
+                [employeeId, serviceResult.insertId, nowUtc, nowUtc]
+            );
+            return { user, employeeId, serviceId: serviceResult.insertId, token: generateTestToken(user) };
+        };
+
+        const bookMulti = (env, start, services, timing) => request(app)
+            .post(`/api/salons/${env.salonId}/book`)
+            .set('Authorization', `Bearer ${env.customerToken}`)
+            .send({ scheduled_start: start.toISO(), services, timing });
+
+        const getSegments = async (bookingId) => {
+            const [rows] = await db.execute(
+                `SELECT employee_id, DATE_FORMAT(segment_start, '%Y-%m-%d %H:%i:%s') AS segment_start,
+                        DATE_FORMAT(segment_end, '%Y-%m-%d %H:%i:%s') AS segment_end
+                 FROM booking_services WHERE booking_id = ? ORDER BY segment_start, employee_id`,
+                [bookingId]
+            );
+            return rows;
+        };
+
+        const mondayAt = (hour, minute = 0) => getNextMonday(DateTime.utc()).set({ hour, minute, second: 0, millisecond: 0 });
+
+        test('Sequential timing chains the stylists back to back', async () => {
+            const env = await setupBookingTestEnvironment();
+            const colorist = await addColorist(env);
+            const start = mondayAt(10);
+
+            const response = await bookMulti(env, start, [
+                { service_id: colorist.serviceId, employee_id: colorist.employeeId },
+                { service_id: env.serviceId, employee_id: env.employeeId }
+            ], 'SEQUENTIAL');
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.appointment.duration_minutes).toBe(150);
+            expect(response.body.data.total_price).toBe(170);
+            expect(await getSegments(response.body.data.booking_id)).toEqual([
+                { employee_id: colorist.employeeId, segment_start: toMySQLUtc(start), segment_end: toMySQLUtc(mondayAt(11, 30)) },
+                { employee_id: env.employeeId, segment_start: toMySQLUtc(mondayAt(11, 30)), segment_end: toMySQLUtc(mondayAt(12, 30)) }
+            ]);
+        });
+
+        test('Parallel timing starts every stylist together', async () => {
+            const env = await setupBookingTestEnvironment();
+            const colorist = await addColorist(env);
+            const start = mondayAt(10);
+
+            const response = await bookMulti(env, start, [
+                { service_id: colorist.serviceId, employee_id: colorist.employeeId },
+                { service_id: env.serviceId, employee_id: env.employeeId }
+            ], 'PARALLEL');
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.appointment.duration_minutes).toBe(90);
+            const segments = await getSegments(response.body.data.booking_id);
+            expect(segments.map(s => s.segment_start)).toEqual([toMySQLUtc(start), toMySQLUtc(start)]);
+        });
+
+        test('Conflicts are checked per stylist over their own segment', async () => {
+            const env = await setupBookingTestEnvironment();
+            const colorist = await addColorist(env);
+            await createBookingWithServices(env.salonId, env.customer.user_id, env.employeeId, env.serviceId, mondayAt(11, 30), mondayAt(12, 30));
+
+            const clash = await bookMulti(env, mondayAt(10), [
+                { service_id: colorist.serviceId, employee_id: colorist.employeeId },
+                { service_id: env.serviceId, employee_id: env.employeeId }
+            ], 'SEQUENTIAL');
+
+            expect(clash.status).toBe(400);
+            expect(clash.body).toMatchObject({ message: 'Time slot is no longer available', employee_id: env.employeeId });
+
+            // Cut first: the stylist is done before their other booking, the colorist takes 11:00-12:30
+            const fits = await bookMulti(env, mondayAt(10), [
+                { service_id: env.serviceId, employee_id: env.employeeId },
+                { service_id: colorist.serviceId, employee_id: colorist.employeeId }
+            ], 'SEQUENTIAL');
+
+            expect(fits.status).toBe(201);
+        });
+
+        test('A stylist who does not offer the service returns 400', async () => {
+            const env = await setupBookingTestEnvironment();
+            const colorist = await addColorist(env);
+
+            const response = await bookMulti(env, mondayAt(10), [
+                { service_id: colorist.serviceId, employee_id: env.employeeId }
+            ], 'SEQUENTIAL');
+
+            expect(response.status).toBe(400);
+        });
+
+        test('Each stylist sees only their segment in the weekly schedule', async () => {
+            const env = await setupBookingTestEnvironment();
+            const colorist = await addColorist(env);
+            const booked = await bookMulti(env, mondayAt(10), [
+                { service_id: colorist.serviceId, employee_id: colorist.employeeId },
+                { service_id: env.serviceId, employee_id: env.employeeId }
+            ], 'SEQUENTIAL');
+            const bookingId = booked.body.data.booking_id;
+            const day = mondayAt(10).toFormat('MM-dd-yyyy');
+
+            const stylistView = await getStylistWeeklyScheduleViaAPI(env.employeeToken, day, day);
+            const coloristView = await getStylistWeeklyScheduleViaAPI(colorist.token, day, day);
+
+            const stylistBooking = stylistView.body.data.schedule[day].bookings.find(b => b.booking_id === bookingId);
+            const coloristBooking = coloristView.body.data.schedule[day].bookings.find(b => b.booking_id === bookingId);
+            expect(DateTime.fromISO(stylistBooking.scheduled_start).toMillis()).toBe(mondayAt(11, 30).toMillis());
+            expect(stylistBooking.services.map(s => s.service_id)).toEqual([env.serviceId]);
+            expect(DateTime.fromISO(coloristBooking.scheduled_end).toMillis()).toBe(mondayAt(11, 30).toMillis());
+            expect(coloristBooking.services.map(s => s.service_id)).toEqual([colorist.serviceId]);
+        });
+
+        test('Rescheduling moves every segment by the same offset', async () => {
+            const env = await setupBookingTestEnvironment();
+            const colorist = await addColorist(env);
+            const booked = await bookMulti(env, mondayAt(10), [
+                { service_id: colorist.serviceId, employee_id: colorist.employeeId },
+                { service_id: env.serviceId, employee_id: env.employeeId }
+            ], 'SEQUENTIAL');
+            await db.execute(`UPDATE bookings SET status = 'SCHEDULED' WHERE booking_id = ?`, [booked.body.data.booking_id]);
+
+            const response = await rescheduleBookingViaAPI(env.customerToken, booked.body.data.booking_id, mondayAt(13).toISO());
+
+            expect(response.status).toBe(201);
+            expect(await getSegments(response.body.data.new_booking_id)).toEqual([
+                { employee_id: colorist.employeeId, segment_start: toMySQLUtc(mondayAt(13)), segment_end: toMySQLUtc(mondayAt(14, 30)) },
+                { employee_id: env.employeeId, segment_start: toMySQLUtc(mondayAt(14, 30)), segment_end: toMySQLUtc(mondayAt(15, 30)) }
+            ]);
+        });
+    });
+
+    describe('Any available stylist', () => {
+        // A second stylist at the same salon offering the environment's service, Mondays 09:00-17:00
+        const addStylist = async (env) => {
+            const nowUtc = toMySQLUtc(DateTime.utc());
+            const user = await insertUserWithCredentials({ role: 'EMPLOYEE' });
+            const [employeeResult] = await db.execute(
+                `INSERT INTO employees (salon_id, user_id, title, active, created_at, updated_at) VALUES (?, ?, 'Stylist', 1, ?, ?)`,
+                [env.salonId, user.user_id, nowUtc, nowUtc]
+            );
+            await db.execute(
+                `INSERT INTO employee_availability (employee_id, weekday, start_time, end_time, slot_interval_minutes, created_at, updated_at)
+                 VALUES (?, 1, '09:00:00', '17:00:00', 30, ?, ?)`,
+                [employeeResult.insertId, nowUtc, nowUtc]
+            );
+            await db.execute(
+                `INSERT INTO employee_services (employee_id, service_id, created_at, updated_at) VALUES (?, ?, ?, ?)`,
+                [employeeResult.insertId, env.serviceId, nowUtc, nowUtc]
+            );
+            return employeeResult.insertId;
+        };
+
+        const bookAny = (env, start) => request(app)
+            .post(`/api/salons/${env.salonId}/book/any-stylist`)
+            .set('Authorization', `Bearer ${env.customerToken}`)
+            .send({ scheduled_start: start.toISO(), services: [{ service_id: env.serviceId }] });
+
+        const setStrategy = (env, strategy) => request(app)
+            .put('/api/salons/stylist-assignment')
+            .set('Authorization', `Bearer ${env.ownerToken}`)
+            .send({ strategy });
+
+        const mondayAt = (hour) => getNextMonday(DateTime.utc()).set({ hour, minute: 0, second: 0, millisecond: 0 });
+
+        test('A stylist who is busy at the requested time is never assigned', async () => {
+            const env = await setupBookingTestEnvironment();
+            const otherId = await addStylist(env);
+            await createBookingWithServices(env.salonId, env.customer.user_id, env.employeeId, env.serviceId, mondayAt(10), mondayAt(11));
+
+            const response = await bookAny(env, mondayAt(10));
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.stylist.employee_id).toBe(otherId);
+            expect(response.body.data.assignment).toEqual({ strategy: 'LEAST_BUSY', available_stylists: 1 });
+        });
+
+        test('LEAST_BUSY assigns the stylist with the fewest booked minutes that day', async () => {
+            const env = await setupBookingTestEnvironment();
+            const otherId = await addStylist(env);
+            await createBookingWithServices(env.salonId, env.customer.user_id, env.employeeId, env.serviceId, mondayAt(14), mondayAt(15));
+
+            const response = await bookAny(env, mondayAt(10));
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.stylist.employee_id).toBe(otherId);
+        });
+
+        test('ROUND_ROBIN rotates through the free stylists', async () => {
+            const env = await setupBookingTestEnvironment();
+            const otherId = await addStylist(env);
+            expect((await setStrategy(env, 'ROUND_ROBIN')).status).toBe(200);
+
+            const first = await bookAny(env, mondayAt(10));
+            const second = await bookAny(env, mondayAt(12));
+
+            expect(first.body.data.stylist.employee_id).toBe(env.employeeId);
+            expect(second.body.data.stylist.employee_id).toBe(otherId);
+        });
+
+        test('HIGHEST_RATED assigns the stylist with the best staff reviews', async () => {
+            const env = await setupBookingTestEnvironment();
+            const otherId = await addStylist(env);
+            await setStrategy(env, 'HIGHEST_RATED');
+            await db.execute(
+                `INSERT INTO staff_reviews (employee_id, user_id, rating, message) VALUES (?, ?, 3.0, 'Fine'), (?, ?, 5.0, 'Great')`,
+                [env.employeeId, env.customer.user_id, otherId, env.customer.user_id]
+            );
+
+            const response = await bookAny(env, mondayAt(10));
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.stylist.employee_id).toBe(otherId);
+            expect(response.body.data.assignment.strategy).toBe('HIGHEST_RATED');
+        });
+
+        test('No free stylist returns 409 and an unknown strategy returns 400', async () => {
+            const env = await setupBookingTestEnvironment();
+            await createBookingWithServices(env.salonId, env.customer.user_id, env.employeeId, env.serviceId, mondayAt(10), mondayAt(11));
+
+            expect((await bookAny(env, mondayAt(10))).status).toBe(409);
+            expect((await setStrategy(env, 'FASTEST')).status).toBe(400);
+        });
+    });
+
 });
 
 // BS 1.2 - Reschedule Appointment
@@ -1704,6 +2309,100 @@ describe('BS 1.3 - As a user, I want to cancel an appointment so that I don’t
             expect(response.status).toBe(404);
         });
     });
+
+    describe('Waitlist', () => {
+        const joinWaitlist = (token, env, body = {}) => request(app)
+            .post('/api/waitlist')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ salon_id: env.salonId, employee_id: env.employeeId, service_id: env.serviceId, ...body });
+
+        const bookedMonday = async (env) => {
+            const start = getNextMonday(DateTime.utc()).set({ hour: 10, minute: 0, second: 0, millisecond: 0 });
+            const bookingId = await createBookingWithServices(
+                env.salonId, env.customer.user_id, env.employeeId, env.serviceId, start, start.plus({ minutes: 60 }), 'SCHEDULED'
+            );
+            return { bookingId, start, date: start.toFormat('yyyy-MM-dd') };
+        };
+
+        const getEntry = async (waitlistId) => {
+            const [rows] = await db.execute('SELECT status, offer_booking_id FROM waitlist_entries WHERE waitlist_id = ?', [waitlistId]);
+            return rows[0];
+        };
+
+        test('Canceling a booking holds the freed slot for the first waiting customer', async () => {
+            const env = await setupBookingTestEnvironment();
+            const { bookingId, start, date } = await bookedMonday(env);
+            const first = await insertUserWithCredentials({ role: 'CUSTOMER' });
+            const second = await insertUserWithCredentials({ role: 'CUSTOMER' });
+
+            const firstJoin = await joinWaitlist(generateTestToken(first), env, { start_date: date });
+            const secondJoin = await joinWaitlist(generateTestToken(second), env, { start_date: date });
+            expect(firstJoin.status).toBe(201);
+            expect(secondJoin.body.data.position).toBe(firstJoin.body.data.position + 1);
+
+            const response = await cancelBookingViaAPI(env.customerToken, bookingId);
+            expect(response.status).toBe(200);
+
+            const offered = await getEntry(firstJoin.body.data.waitlist_id);
+            expect(offered.status).toBe('OFFERED');
+            expect((await getEntry(secondJoin.body.data.waitlist_id)).status).toBe('WAITING');
+
+            const hold = await getBookingById(offered.offer_booking_id);
+            expect(hold.status).toBe('PENDING');
+            expect(hold.customer_user_id).toBe(first.user_id);
+            expect(hold.scheduled_start).toBe(toMySQLUtc(start));
+            expect(notificationsController.createNotification).toHaveBeenCalledWith(
+                expect.anything(),
+                expect.objectContaining({ user_id: first.user_id, type_code: 'WAITLIST_SLOT_OFFERED' })
+            );
+        });
+
+        test('Leaving with an open offer passes the hold to the next customer', async () => {
+            const env = await setupBookingTestEnvironment();
+            const { bookingId, date } = await bookedMonday(env);
+            const first = await insertUserWithCredentials({ role: 'CUSTOMER' });
+            const second = await insertUserWithCredentials({ role: 'CUSTOMER' });
+            const firstToken = generateTestToken(first);
+
+            const firstJoin = await joinWaitlist(firstToken, env, { start_date: date });
+            const secondJoin = await joinWaitlist(generateTestToken(second), env, { start_date: date });
+            await cancelBookingViaAPI(env.customerToken, bookingId);
+            const { offer_booking_id: firstHold } = await getEntry(firstJoin.body.data.waitlist_id);
+
+            const response = await request(app)
+                .delete(`/api/waitlist/${firstJoin.body.data.waitlist_id}`)
+                .set('Authorization', `Bearer ${firstToken}`);
+
+            expect(response.status).toBe(200);
+            expect((await getEntry(firstJoin.body.data.waitlist_id)).status).toBe('CANCELED');
+            expect(await getBookingById(firstHold)).toBeNull();
+            expect((await getEntry(secondJoin.body.data.waitlist_id)).status).toBe('OFFERED');
+        });
+
+        test('Joining twice for overlapping dates returns 409', async () => {
+            const env = await setupBookingTestEnvironment();
+            const { date } = await bookedMonday(env);
+
+            const first = await joinWaitlist(env.customerToken, env, { start_date: date });
+            const again = await joinWaitlist(env.customerToken, env, { start_date: date });
+
+            expect(first.status).toBe(201);
+            expect(again.status).toBe(409);
+        });
+
+        test('Invalid or past windows return 400', async () => {
+            const env = await setupBookingTestEnvironment();
+            const yesterday = DateTime.utc().minus({ days: 1 }).toFormat('yyyy-MM-dd');
+            const today = DateTime.utc().toFormat('yyyy-MM-dd');
+
+            expect((await joinWaitlist(env.customerToken, env, { start_date: 'next week' })).status).toBe(400);
+            expect((await joinWaitlist(env.customerToken, env, { start_date: yesterday })).status).toBe(400);
+            expect((await joinWaitlist(env.customerToken, env, {
+                start_date: today,
+                end_date: DateTime.utc().plus({ days: 45 }).toFormat('yyyy-MM-dd')
+            })).status).toBe(400);
+        });
+    });
 });
 
 // BS 1.5 - Block Unavailable Time Slots
@@ -1919,6 +2618,145 @@ describe('BS 1.5 - Block Unavailable Time Slots', () => {
             expect(deletedBlock).toBeUndefined();
         });
     });
+
+    describe('Dated time off', () => {
+        const requestTimeOff = (token, body) => request(app)
+            .post('/api/unavailability/time-off')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+        const reviewTimeOff = (token, timeOffId, body) => request(app)
+            .post(`/api/salons/time-off/${timeOffId}/review`)
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+        test('Requested time off stays bookable until the owner approves it', async () => {
+            const env = await setupBookingTestEnvironment();
+            const monday = getNextMondayDateString();
+
+            const requestResponse = await requestTimeOff(env.employeeToken, { start_date: monday, reason: 'Vacation' });
+            expect(requestResponse.status).toBe(201);
+            expect(requestResponse.body.data).toMatchObject({ status: 'PENDING', all_day: true, reason: 'Vacation' });
+            expect(notificationsController.createNotification).toHaveBeenCalledWith(
+                expect.anything(),
+                expect.objectContaining({ user_id: env.owner.user_id, type_code: 'TIME_OFF_REQUESTED' })
+            );
+
+            const pendingList = await request(app)
+                .get('/api/salons/time-off')
+                .set('Authorization', `Bearer ${env.ownerToken}`);
+            expect(pendingList.status).toBe(200);
+            expect(pendingList.body.data.map(t => t.time_off_id)).toContain(requestResponse.body.data.time_off_id);
+
+            const slotsBefore = await request(app)
+                .get(`/api/salons/${env.salonId}/stylists/${env.employeeId}/timeslots?start_date=${monday}&end_date=${monday}`)
+                .set('Authorization', `Bearer ${env.customerToken}`);
+            expect(slotsBefore.body.data.daily_slots[monday].available_slots.some(slot => slot.available)).toBe(true);
+
+            const reviewResponse = await reviewTimeOff(env.ownerToken, requestResponse.body.data.time_off_id, { decision: 'APPROVED' });
+            expect(reviewResponse.status).toBe(200);
+            expect(reviewResponse.body.data.status).toBe('APPROVED');
+
+            const slotsAfter = await request(app)
+                .get(`/api/salons/${env.salonId}/stylists/${env.employeeId}/timeslots?start_date=${monday}&end_date=${monday}`)
+                .set('Authorization', `Bearer ${env.customerToken}`);
+            const slots = slotsAfter.body.data.daily_slots[monday].available_slots;
+            expect(slots.every(slot => !slot.available && slot.unavailable_reason === 'time_off')).toBe(true);
+
+            const bookResponse = await request(app)
+                .post(`/api/salons/${env.salonId}/stylists/${env.employeeId}/book`)
+                .set('Authorization', `Bearer ${env.customerToken}`)
+                .send({ scheduled_start: `${monday}T10:00:00Z`, services: [{ service_id: env.serviceId }] });
+            expect(bookResponse.status).toBe(409);
+            expect(bookResponse.body).toMatchObject({ message: 'Stylist is on time off during this time slot' });
+        });
+
+        test('Partial-day time off only blocks the requested hours', async () => {
+            const env = await setupBookingTestEnvironment();
+            const monday = getNextMondayDateString();
+
+            const requestResponse = await requestTimeOff(env.employeeToken, { start_date: monday, start_time: '13:00', end_time: '15:00' });
+            await reviewTimeOff(env.ownerToken, requestResponse.body.data.time_off_id, { decision: 'APPROVED' });
+
+            const response = await request(app)
+                .get(`/api/salons/${env.salonId}/stylists/${env.employeeId}/timeslots?start_date=${monday}&end_date=${monday}`)
+                .set('Authorization', `Bearer ${env.customerToken}`);
+
+            const blocked = response.body.data.daily_slots[monday].available_slots
+                .filter(slot => slot.unavailable_reason === 'time_off')
+                .map(slot => slot.display_start_time.slice(11, 16));
+            expect(blocked.length).toBeGreaterThan(0);
+            expect(blocked.every(time => time >= '12:00' && time < '15:00')).toBe(true);
+        });
+
+        test('Scheduled appointments inside the time off are reported as conflicts', async () => {
+            const env = await setupBookingTestEnvironment();
+            const monday = getNextMonday(DateTime.utc());
+            const start = monday.set({ hour: 10, minute: 0, second: 0, millisecond: 0 });
+            const bookingId = await createBookingWithServices(env.salonId, env.customer.user_id, env.employeeId, env.serviceId, start, start.plus({ hours: 1 }));
+
+            const requestResponse = await requestTimeOff(env.employeeToken, { start_date: monday.toISODate() });
+            expect(requestResponse.status).toBe(201);
+            expect(requestResponse.body.data.conflicting_appointments.map(b => b.booking_id)).toEqual([bookingId]);
+
+            const reviewResponse = await reviewTimeOff(env.ownerToken, requestResponse.body.data.time_off_id, { decision: 'APPROVED' });
+            expect(reviewResponse.body.data.conflicting_appointments.map(b => b.booking_id)).toEqual([bookingId]);
+        });
+
+        test('Denied time off does not block slots and cannot be reviewed again', async () => {
+            const env = await setupBookingTestEnvironment();
+            const monday = getNextMondayDateString();
+
+            const requestResponse = await requestTimeOff(env.employeeToken, { start_date: monday });
+            const timeOffId = requestResponse.body.data.time_off_id;
+
+            const denyResponse = await reviewTimeOff(env.ownerToken, timeOffId, { decision: 'DENIED', note: 'Short staffed' });
+            expect(denyResponse.status).toBe(200);
+            expect(notificationsController.createNotification).toHaveBeenCalledWith(
+                expect.anything(),
+                expect.objectContaining({ user_id: env.employee.user_id, type_code: 'TIME_OFF_DENIED' })
+            );
+
+            const againResponse = await reviewTimeOff(env.ownerToken, timeOffId, { decision: 'APPROVED' });
+            expect(againResponse.status).toBe(409);
+
+            const slotsResponse = await request(app)
+                .get(`/api/salons/${env.salonId}/stylists/${env.employeeId}/timeslots?start_date=${monday}&end_date=${monday}`)
+                .set('Authorization', `Bearer ${env.customerToken}`);
+            expect(slotsResponse.body.data.daily_slots[monday].available_slots.some(slot => slot.unavailable_reason === 'time_off')).toBe(false);
+        });
+
+        test('Overlapping requests are rejected and a canceled request frees the dates', async () => {
+            const env = await setupBookingTestEnvironment();
+            const monday = getNextMondayDateString();
+
+            const first = await requestTimeOff(env.employeeToken, { start_date: monday });
+            const overlapping = await requestTimeOff(env.employeeToken, { start_date: monday, start_time: '10:00', end_time: '11:00' });
+            expect(overlapping.status).toBe(409);
+
+            const cancelResponse = await request(app)
+                .delete(`/api/unavailability/time-off/${first.body.data.time_off_id}`)
+                .set('Authorization', `Bearer ${env.employeeToken}`);
+            expect(cancelResponse.status).toBe(200);
+
+            const retry = await requestTimeOff(env.employeeToken, { start_date: monday, start_time: '10:00', end_time: '11:00' });
+            expect(retry.status).toBe(201);
+        });
+
+        test.each([
+            { body: {}, description: 'missing start_date' },
+            { body: { start_date: '2020-01-06' }, description: 'past date' },
+            { body: { start_date: '2099-01-10', end_date: '2099-01-05' }, description: 'end before start' },
+            { body: { start_date: '2099-01-05', start_time: '10:00' }, description: 'start_time without end_time' },
+            { body: { start_date: '2099-01-01', end_date: '2099-06-01' }, description: 'range over 90 days' }
+        ])('Invalid time off request: $description returns 400', async ({ body }) => {
+            const env = await setupBookingTestEnvironment();
+
+            const response = await requestTimeOff(env.employeeToken, body);
+
+            expect(response.status).toBe(400);
+        });
+    });
 });
 
 // BS 1.7 - As a stylist, before blocking time, check for scheduled appointments and cancel them
@@ -355,6 +355,29 @@ describe('File Upload - Negative Tests', () => {
         });
     });
 
+    describe('Upload Profile Photo', () => {
+        test('Verify Missing File: POST /api/file/upload-profile-photo without file returns 400', async () => {
+            const customer = await insertUserWithCredentials({ role: 'CUSTOMER' });
+            const token = generateTestToken(customer);
+
+            const response = await request(app)
+                .post('/api/file/upload-profile-photo')
+                .set('Authorization', `Bearer ${token}`)
+                .send({});
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain('No file uploaded');
+        });
+
+        test('Verify Unauthorized Access: POST /api/file/upload-profile-photo without token returns 401', async () => {
+            const response = await request(app)
+                .post('/api/file/upload-profile-photo')
+                .send({});
+
+            expect(response.status).toBe(401);
+        });
+    });
+
     describe('UAR 1.3 - Get Salon Photo', () => {
         test('Verify Missing Salon ID: GET /api/file/get-salon-photo without salon_id returns 400', async () => {
             const password = 'Password123!';
@@ -312,8 +312,8 @@ describe('NC 1.2: Promotions & Loyalty', () => {
                     discount_pct: 50
                 });
 
-            expect(response.status).toBe(404);
-            expect(response.body.message).toMatch(/not found|Salon/i);
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Insufficient permissions');
         });
 
         test('Verify Customer Generating Promos (HTTP 403): Customer cannot hit POST /issue-promotions', async () => {
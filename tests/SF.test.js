@@ -238,6 +238,60 @@ describe('SF 1.1 - Create Online Shop', () => {
             expect(product.salon_id).not.toBe(salonB);
         });
 
+        test('Verify Delegated Shop Access: EMPLOYEE with a products:write salon role can manage products until removed', async () => {
+            const { salonId, token: ownerToken } = await setupOwnerWithSalon();
+            const employee = await insertUserWithCredentials({ password: DEFAULT_PASSWORD, role: 'EMPLOYEE' });
+            const employeeToken = generateTestToken(employee);
+            await db.execute(
+                `INSERT INTO employees (salon_id, user_id, title, active, created_at, updated_at)
+                 VALUES (?, ?, 'Front Desk', 1, UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+                [salonId, employee.user_id]
+            );
+
+            const role = await request(app)
+                .post('/api/salons/roles')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ name: 'Front desk', permissions: ['bookings:manage', 'products:write'] });
+            expect(role.status).toBe(201);
+
+            const assign = await request(app)
+                .post(`/api/salons/roles/${role.body.data.salon_role_id}/assignments`)
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ user_id: employee.user_id });
+            expect(assign.status).toBe(200);
+
+            const productData = baseProductPayload({ sku: generateUniqueSku() });
+            const addResponse = await addProductViaAPI(employeeToken, productData);
+            expect(addResponse.status).toBe(200);
+
+            const product = await getProductBySku(productData.sku);
+            expect(product.salon_id).toBe(salonId);
+
+            await request(app)
+                .delete('/api/salons/removeEmployee')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ email: employee.email });
+
+            const afterRemoval = await updateProductViaAPI(employeeToken, product.product_id, baseProductPayload({ sku: generateUniqueSku() }));
+            expect(afterRemoval.status).toBe(403);
+        });
+
+        test('Verify Delegated Shop Access: EMPLOYEE cannot act on another salon by passing its salon_id', async () => {
+            const { salonA, salonB } = await setupTwoOwners();
+            const employee = await insertUserWithCredentials({ password: DEFAULT_PASSWORD, role: 'EMPLOYEE' });
+            await db.execute(
+                `INSERT INTO employees (salon_id, user_id, title, active, created_at, updated_at)
+                 VALUES (?, ?, 'Stylist', 1, UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+                [salonA, employee.user_id]
+            );
+
+            const response = await addProductViaAPI(
+                generateTestToken(employee),
+                baseProductPayload({ sku: generateUniqueSku(), salon_id: salonB })
+            );
+            expect(response.status).toBe(403);
+        });
+
         test('Verify Unauthenticated Access: Request without token returns 401 Unauthorized', async () => {
             const productData = baseProductPayload({ sku: generateUniqueSku() });
 
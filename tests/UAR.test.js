@@ -2,10 +2,14 @@ const request = require('supertest');
 const app = require('../src/app');
 const connection = require('../src/config/databaseConnection');
 const notificationsController = require('../src/controllers/notificationsController');
+const mailer = require('../src/utils/mailer');
+const notificationSecurity = require('../src/utils/notificationsSecurity');
 const { ROLE_CASES, baseSignupPayload, insertUserWithCredentials, generateTestToken, generateFakeToken } = require('./helpers/authTestUtils');
 const { baseSalonPayload, setupOwnerWithoutSalon } = require('./helpers/salonTestUtils');
 const { DateTime } = require('luxon');
-const { toMySQLUtc } = require('../src/utils/utilies');
+const { toMySQLUtc, runExpireSalonRestrictions } = require('../src/utils/utilies');
+const { generateTotp } = require('../src/utils/totp');
+const { setGeocoder } = require('../src/utils/geocoder');
 
 const db = connection.promise();
 
@@ -233,6 +237,64 @@ describe('UAR 1.1/ 1.2 login, signup, logout, authentication test', () => {
             }
         });
 
+        test('revokes the token so it cannot be reused after logout', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+
+            const loginResponse = await request(app)
+                .post('/api/user/login')
+                .send({ email: user.email, password });
+            const token = loginResponse.body.data.token;
+
+            const logoutResponse = await request(app)
+                .post('/api/user/logout')
+                .set('Authorization', `Bearer ${token}`);
+            expect(logoutResponse.status).toBe(200);
+
+            const reuseResponse = await request(app)
+                .get('/api/user/auth-test')
+                .set('Authorization', `Bearer ${token}`);
+            expect(reuseResponse.status).toBe(403);
+            expect(reuseResponse.body).toMatchObject({
+                error: 'Invalid or expired token'
+            });
+
+            const [revoked] = await db.execute(
+                'SELECT user_id FROM revoked_tokens WHERE user_id = ?',
+                [user.user_id]
+            );
+            expect(revoked).toHaveLength(1);
+        });
+
+        test('logging out one token leaves other sessions valid until the user token version is bumped', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+
+            const [first, second] = await Promise.all([
+                request(app).post('/api/user/login').send({ email: user.email, password }),
+                request(app).post('/api/user/login').send({ email: user.email, password })
+            ]);
+
+            await request(app)
+                .post('/api/user/logout')
+                .set('Authorization', `Bearer ${first.body.data.token}`);
+
+            const stillValid = await request(app)
+                .get('/api/user/auth-test')
+                .set('Authorization', `Bearer ${second.body.data.token}`);
+            expect(stillValid.status).toBe(200);
+
+            await db.execute(
+                'UPDATE auth_credentials SET token_version = token_version + 1 WHERE user_id = ?',
+                [user.user_id]
+            );
+
+            const afterBump = await request(app)
+                .get('/api/user/auth-test')
+                .set('Authorization', `Bearer ${second.body.data.token}`);
+            expect(afterBump.status).toBe(403);
+        });
+
         test('fails when token is missing', async () => {
             const response = await request(app)
                 .post('/api/user/logout')
@@ -245,6 +307,743 @@ describe('UAR 1.1/ 1.2 login, signup, logout, authentication test', () => {
         });
     });
 
+    describe('POST /api/user/refresh', () => {
+        const loginFor = async (user, password) => {
+            const response = await request(app)
+                .post('/api/user/login')
+                .send({ email: user.email, password });
+            return response.body.data;
+        };
+
+        test('rotates the refresh token and returns a working access token', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+            const { refresh_token } = await loginFor(user, password);
+            expect(refresh_token).toBeDefined();
+
+            const response = await request(app)
+                .post('/api/user/refresh')
+                .send({ refresh_token });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.user_id).toBe(user.user_id);
+            expect(response.body.data.refresh_token).toBeDefined();
+            expect(response.body.data.refresh_token).not.toBe(refresh_token);
+
+            const authResponse = await request(app)
+                .get('/api/user/auth-test')
+                .set('Authorization', `Bearer ${response.body.data.token}`);
+            expect(authResponse.status).toBe(200);
+
+            const [stored] = await db.execute(
+                'SELECT token_hash FROM refresh_tokens WHERE user_id = ?',
+                [user.user_id]
+            );
+            expect(stored).toHaveLength(2);
+            expect(stored.map(row => row.token_hash)).not.toContain(refresh_token);
+        });
+
+        test('reusing a rotated refresh token revokes the whole family', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+            const { refresh_token } = await loginFor(user, password);
+
+            const first = await request(app)
+                .post('/api/user/refresh')
+                .send({ refresh_token });
+            expect(first.status).toBe(200);
+
+            const reuse = await request(app)
+                .post('/api/user/refresh')
+                .send({ refresh_token });
+            expect(reuse.status).toBe(401);
+
+            const rotated = await request(app)
+                .post('/api/user/refresh')
+                .send({ refresh_token: first.body.data.refresh_token });
+            expect(rotated.status).toBe(401);
+
+            const [active] = await db.execute(
+                'SELECT token_id FROM refresh_tokens WHERE user_id = ? AND revoked_at IS NULL',
+                [user.user_id]
+            );
+            expect(active).toHaveLength(0);
+        });
+
+        test('rejects missing, unknown and expired refresh tokens', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+            const { refresh_token } = await loginFor(user, password);
+
+            await db.execute(
+                'UPDATE refresh_tokens SET expires_at = ? WHERE user_id = ?',
+                [toMySQLUtc(DateTime.utc().minus({ minutes: 1 })), user.user_id]
+            );
+
+            const [missing, unknown, expired] = await Promise.all([
+                request(app).post('/api/user/refresh').send({}),
+                request(app).post('/api/user/refresh').send({ refresh_token: 'not-a-real-token' }),
+                request(app).post('/api/user/refresh').send({ refresh_token })
+            ]);
+
+            expect(missing.status).toBe(400);
+            expect(unknown.status).toBe(401);
+            expect(expired.status).toBe(401);
+        });
+
+        test('rejects the refresh token of a suspended account', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+            const { refresh_token } = await loginFor(user, password);
+
+            // Suspended directly, without the admin flow revoking the session
+            await db.execute(
+                'UPDATE users SET suspended_at = ?, suspension_reason = ? WHERE user_id = ?',
+                [toMySQLUtc(DateTime.utc()), 'Test', user.user_id]
+            );
+
+            const response = await request(app)
+                .post('/api/user/refresh')
+                .send({ refresh_token });
+
+            expect(response.status).toBe(403);
+            const [active] = await db.execute(
+                'SELECT token_id FROM refresh_tokens WHERE user_id = ? AND revoked_at IS NULL',
+                [user.user_id]
+            );
+            expect(active).toHaveLength(0);
+        });
+
+        test('logout revokes the refresh token family of the session', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+            const { token, refresh_token } = await loginFor(user, password);
+
+            await request(app)
+                .post('/api/user/logout')
+                .set('Authorization', `Bearer ${token}`);
+
+            const response = await request(app)
+                .post('/api/user/refresh')
+                .send({ refresh_token });
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('Password reset and change', () => {
+        let sentMail;
+
+        beforeEach(() => {
+            sentMail = jest.fn().mockResolvedValue({ success: true });
+            mailer.setMailTransport(sentMail);
+        });
+
+        afterEach(() => {
+            mailer.setMailTransport(null);
+        });
+
+        const resetTokenFromMail = () => {
+            const text = sentMail.mock.calls[0][1].text;
+            return text.match(/password: (\S+)\./)[1];
+        };
+
+        test('forgot + reset sets a new password and revokes existing tokens', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+
+            const loginResponse = await request(app)
+                .post('/api/user/login')
+                .send({ email: user.email, password });
+            const oldToken = loginResponse.body.data.token;
+
+            const forgotResponse = await request(app)
+                .post('/api/user/password/forgot')
+                .send({ email: user.email });
+            expect(forgotResponse.status).toBe(200);
+            expect(sentMail).toHaveBeenCalledTimes(1);
+            expect(sentMail.mock.calls[0][1]).toMatchObject({ user_id: user.user_id, to: user.email });
+
+            const resetToken = resetTokenFromMail();
+            const [stored] = await db.execute(
+                'SELECT token_hash FROM password_reset_tokens WHERE user_id = ?',
+                [user.user_id]
+            );
+            expect(stored[0].token_hash).not.toBe(resetToken);
+
+            const resetResponse = await request(app)
+                .post('/api/user/password/reset')
+                .send({ token: resetToken, new_password: 'NewPassword456!' });
+            expect(resetResponse.status).toBe(200);
+
+            const [oldTokenResponse, oldPasswordLogin, newPasswordLogin, reuseResponse] = await Promise.all([
+                request(app).get('/api/user/auth-test').set('Authorization', `Bearer ${oldToken}`),
+                request(app).post('/api/user/login').send({ email: user.email, password }),
+                request(app).post('/api/user/login').send({ email: user.email, password: 'NewPassword456!' }),
+                request(app).post('/api/user/password/reset').send({ token: resetToken, new_password: 'Another789!' })
+            ]);
+
+            expect(oldTokenResponse.status).toBe(403);
+            expect(oldPasswordLogin.status).toBe(401);
+            expect(newPasswordLogin.status).toBe(200);
+            expect(reuseResponse.status).toBe(400);
+        });
+
+        test('forgot responds the same for unknown emails and rejects expired tokens', async () => {
+            const user = await insertUserWithCredentials();
+
+            const unknownResponse = await request(app)
+                .post('/api/user/password/forgot')
+                .send({ email: 'nobody_here@example.com' });
+            expect(unknownResponse.status).toBe(200);
+            expect(sentMail).not.toHaveBeenCalled();
+
+            await request(app)
+                .post('/api/user/password/forgot')
+                .send({ email: user.email });
+            const resetToken = resetTokenFromMail();
+
+            await db.execute(
+                'UPDATE password_reset_tokens SET expires_at = ? WHERE user_id = ?',
+                [toMySQLUtc(DateTime.utc().minus({ minutes: 1 })), user.user_id]
+            );
+
+            const resetResponse = await request(app)
+                .post('/api/user/password/reset')
+                .send({ token: resetToken, new_password: 'NewPassword456!' });
+            expect(resetResponse.status).toBe(400);
+        });
+
+        test('change password requires the current password and signs out other sessions', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+
+            const [first, second] = await Promise.all([
+                request(app).post('/api/user/login').send({ email: user.email, password }),
+                request(app).post('/api/user/login').send({ email: user.email, password })
+            ]);
+
+            const wrongCurrent = await request(app)
+                .post('/api/user/password/change')
+                .set('Authorization', `Bearer ${first.body.data.token}`)
+                .send({ current_password: 'WrongPassword!', new_password: 'NewPassword456!' });
+            expect(wrongCurrent.status).toBe(401);
+
+            const changeResponse = await request(app)
+                .post('/api/user/password/change')
+                .set('Authorization', `Bearer ${first.body.data.token}`)
+                .send({ current_password: password, new_password: 'NewPassword456!' });
+            expect(changeResponse.status).toBe(200);
+            expect(changeResponse.body.data.token).toBeDefined();
+
+            const [otherSession, otherRefresh, currentSession] = await Promise.all([
+                request(app).get('/api/user/auth-test').set('Authorization', `Bearer ${second.body.data.token}`),
+                request(app).post('/api/user/refresh').send({ refresh_token: second.body.data.refresh_token }),
+                request(app).get('/api/user/auth-test').set('Authorization', `Bearer ${changeResponse.body.data.token}`)
+            ]);
+
+            expect(otherSession.status).toBe(403);
+            expect(otherRefresh.status).toBe(401);
+            expect(currentSession.status).toBe(200);
+        });
+    });
+
+    describe('Email verification', () => {
+        let sentMail;
+
+        beforeEach(() => {
+            sentMail = jest.fn().mockResolvedValue({ success: true });
+            mailer.setMailTransport(sentMail);
+        });
+
+        afterEach(() => {
+            mailer.setMailTransport(null);
+        });
+
+        const verificationTokenFromMail = (call = 0) => {
+            const text = sentMail.mock.calls[call][1].text;
+            return text.match(/email address: (\S+)\./)[1];
+        };
+
+        test('signup sends a verification token that verifies the account', async () => {
+            const payload = baseSignupPayload();
+
+            const signupResponse = await request(app)
+                .post('/api/user/signup')
+                .send(payload);
+            expect(signupResponse.status).toBe(201);
+            expect(sentMail).toHaveBeenCalledTimes(1);
+            expect(sentMail.mock.calls[0][1]).toMatchObject({ to: payload.email, type_code: 'EMAIL_VERIFICATION' });
+
+            const loginResponse = await request(app)
+                .post('/api/user/login')
+                .send({ email: payload.email, password: payload.password });
+            expect(loginResponse.status).toBe(200);
+            expect(loginResponse.body.data.email_verified).toBe(false);
+
+            const verifyResponse = await request(app)
+                .post('/api/user/verify-email')
+                .send({ token: verificationTokenFromMail() });
+            expect(verifyResponse.status).toBe(200);
+
+            const [users] = await db.execute('SELECT email_verified_at FROM users WHERE email = ?', [payload.email]);
+            expect(users[0].email_verified_at).not.toBeNull();
+
+            const reuseResponse = await request(app)
+                .post('/api/user/verify-email')
+                .send({ token: verificationTokenFromMail() });
+            expect(reuseResponse.status).toBe(400);
+        });
+
+        test('unverified owners cannot create a salon', async () => {
+            const owner = await insertUserWithCredentials({ role: 'OWNER', email_verified: false });
+
+            const response = await request(app)
+                .post('/api/salons/create')
+                .set('Authorization', `Bearer ${generateTestToken(owner)}`)
+                .send(baseSalonPayload());
+
+            expect(response.status).toBe(403);
+            expect(response.body).toMatchObject({ error: 'Email address must be verified' });
+        });
+
+        test('resend is rate limited and rejected for verified users', async () => {
+            const unverified = await insertUserWithCredentials({ email_verified: false });
+            const verified = await insertUserWithCredentials();
+
+            const first = await request(app)
+                .post('/api/user/verify-email/resend')
+                .set('Authorization', `Bearer ${generateTestToken(unverified)}`);
+            expect(first.status).toBe(200);
+
+            const [second, alreadyVerified] = await Promise.all([
+                request(app)
+                    .post('/api/user/verify-email/resend')
+                    .set('Authorization', `Bearer ${generateTestToken(unverified)}`),
+                request(app)
+                    .post('/api/user/verify-email/resend')
+                    .set('Authorization', `Bearer ${generateTestToken(verified)}`)
+            ]);
+
+            expect(second.status).toBe(429);
+            expect(alreadyVerified.status).toBe(409);
+        });
+    });
+
+    describe('Profile /api/user/me', () => {
+        test('GET returns the current user profile', async () => {
+            const user = await insertUserWithCredentials();
+
+            const response = await request(app)
+                .get('/api/user/me')
+                .set('Authorization', `Bearer ${generateTestToken(user)}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({
+                user_id: user.user_id,
+                email: user.email,
+                full_name: user.full_name,
+                role: user.role,
+                email_verified: true,
+                phone: null,
+                profile_picture_url: null
+            });
+        });
+
+        test('PATCH updates name and phone and validates E.164', async () => {
+            const user = await insertUserWithCredentials();
+            const token = generateTestToken(user);
+
+            const [invalidPhone, emptyBody] = await Promise.all([
+                request(app).patch('/api/user/me').set('Authorization', `Bearer ${token}`).send({ phone: '555-1234' }),
+                request(app).patch('/api/user/me').set('Authorization', `Bearer ${token}`).send({})
+            ]);
+            expect(invalidPhone.status).toBe(400);
+            expect(emptyBody.status).toBe(400);
+
+            const response = await request(app)
+                .patch('/api/user/me')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ full_name: 'Updated Name', phone: '+15551234567' });
+
+            expect(response.status).toBe(200);
+            const [rows] = await db.execute('SELECT full_name, phone FROM users WHERE user_id = ?', [user.user_id]);
+            expect(rows[0]).toMatchObject({ full_name: 'Updated Name', phone: '+15551234567' });
+        });
+
+        test('PATCH email requires re-verification and rejects addresses in use', async () => {
+            const sentMail = jest.fn().mockResolvedValue({ success: true });
+            mailer.setMailTransport(sentMail);
+
+            try {
+                const user = await insertUserWithCredentials();
+                const other = await insertUserWithCredentials();
+                const token = generateTestToken(user);
+
+                const taken = await request(app)
+                    .patch('/api/user/me')
+                    .set('Authorization', `Bearer ${token}`)
+                    .send({ email: other.email });
+                expect(taken.status).toBe(409);
+
+                const newEmail = `changed_${Date.now()}@example.com`;
+                const response = await request(app)
+                    .patch('/api/user/me')
+                    .set('Authorization', `Bearer ${token}`)
+                    .send({ email: newEmail });
+
+                expect(response.status).toBe(200);
+                expect(response.body.data).toMatchObject({ email: newEmail, email_verified: false });
+                expect(sentMail.mock.calls[0][1]).toMatchObject({ to: newEmail, type_code: 'EMAIL_VERIFICATION' });
+
+                const [rows] = await db.execute('SELECT email, email_verified_at FROM users WHERE user_id = ?', [user.user_id]);
+                expect(rows[0].email).toBe(newEmail);
+                expect(rows[0].email_verified_at).toBeNull();
+            } finally {
+                mailer.setMailTransport(null);
+            }
+        });
+    });
+
+    describe('Data export and account deletion', () => {
+        test('export returns the user archive with decrypted notifications', async () => {
+            const user = await insertUserWithCredentials();
+            await db.execute(
+                `INSERT INTO notifications_inbox (user_id, email, type_code, status, message, sender_email, created_at)
+                 VALUES (?, ?, 'LOGIN_SUCCESS', 'UNREAD', ?, 'SYSTEM', ?)`,
+                [user.user_id, user.email, notificationSecurity.encryptMessage('Hello from Strands'), toMySQLUtc(DateTime.utc())]
+            );
+
+            const response = await request(app)
+                .get('/api/user/me/export')
+                .set('Authorization', `Bearer ${generateTestToken(user)}`);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-disposition']).toContain('attachment');
+            expect(response.body.data.profile).toMatchObject({ user_id: user.user_id, email: user.email });
+            for (const key of ['bookings', 'payments', 'reviews', 'notes', 'loyalty_memberships', 'promotions', 'notifications']) {
+                expect(Array.isArray(response.body.data[key])).toBe(true);
+            }
+            expect(response.body.data.notifications[0].message).toBe('Hello from Strands');
+        });
+
+        test('delete anonymizes the user, revokes tokens and writes an audit entry', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+            const token = generateTestToken(user);
+
+            const wrongPassword = await request(app)
+                .post('/api/user/me/delete')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ password: 'WrongPassword!' });
+            expect(wrongPassword.status).toBe(401);
+
+            const response = await request(app)
+                .post('/api/user/me/delete')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ password });
+            expect(response.status).toBe(200);
+
+            const [rows] = await db.execute(
+                'SELECT full_name, email, phone, active, deleted_at FROM users WHERE user_id = ?',
+                [user.user_id]
+            );
+            expect(rows[0].full_name).toBe('Deleted User');
+            expect(rows[0].email).not.toBe(user.email);
+            expect(rows[0].active).toBe(0);
+            expect(rows[0].deleted_at).not.toBeNull();
+
+            const [audit] = await db.execute(
+                `SELECT old_value, new_value FROM audit_log WHERE table_name = 'users' AND record_id = ? AND action_type = 'SOFT_DELETE'`,
+                [user.user_id]
+            );
+            expect(audit).toHaveLength(1);
+            expect(JSON.stringify(audit[0])).not.toContain(user.email);
+
+            const [reuse, login] = await Promise.all([
+                request(app).get('/api/user/auth-test').set('Authorization', `Bearer ${token}`),
+                request(app).post('/api/user/login').send({ email: user.email, password })
+            ]);
+            expect(reuse.status).toBe(403);
+            expect(login.status).toBe(401);
+        });
+
+        test('owners with a salon cannot delete their account', async () => {
+            const password = 'Password123!';
+            const owner = await insertUserWithCredentials({ password, role: 'OWNER' });
+            await createSalon(owner.user_id);
+
+            const response = await request(app)
+                .post('/api/user/me/delete')
+                .set('Authorization', `Bearer ${generateTestToken(owner)}`)
+                .send({ password });
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    describe('Login brute-force protection', () => {
+        test('repeated failures lock the account, are audited, and an admin can unlock it', async () => {
+            const password = 'Password123!';
+            const user = await insertUserWithCredentials({ password });
+
+            for (let i = 0; i < 3; i++) {
+                const failed = await request(app)
+                    .post('/api/user/login')
+                    .send({ email: user.email, password: 'WrongPassword!' });
+                expect(failed.status).toBe(401);
+            }
+
+            const locked = await request(app)
+                .post('/api/user/login')
+                .send({ email: user.email, password });
+            expect(locked.status).toBe(429);
+            expect(locked.headers['retry-after']).toBeDefined();
+
+            const [auditRows] = await db.execute(
+                `SELECT new_value FROM audit_log WHERE table_name = 'users' AND record_id = ? AND action_type = 'LOGIN'`,
+                [user.user_id]
+            );
+            expect(auditRows).toHaveLength(3);
+
+            const admin = await insertUserWithCredentials({ role: 'ADMIN' });
+            const adminToken = generateTestToken(admin);
+
+            const unlockResponse = await request(app)
+                .post(`/api/admin/users/${user.user_id}/unlock`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(unlockResponse.status).toBe(200);
+
+            const loginResponse = await request(app)
+                .post('/api/user/login')
+                .send({ email: user.email, password });
+            expect(loginResponse.status).toBe(200);
+        });
+
+        test('unlock endpoint is admin only and validates the user', async () => {
+            const customer = await insertUserWithCredentials();
+            const admin = await insertUserWithCredentials({ role: 'ADMIN' });
+
+            const [forbidden, notFound] = await Promise.all([
+                request(app)
+                    .post(`/api/admin/users/${customer.user_id}/unlock`)
+                    .set('Authorization', `Bearer ${generateTestToken(customer)}`),
+                request(app)
+                    .post('/api/admin/users/99999999/unlock')
+                    .set('Authorization', `Bearer ${generateTestToken(admin)}`)
+            ]);
+
+            expect(forbidden.status).toBe(403);
+            expect(notFound.status).toBe(404);
+        });
+    });
+
+    describe('Active sessions', () => {
+        const password = 'Password123!';
+
+        const loginFrom = (email, userAgent) => request(app)
+            .post('/api/user/login')
+            .set('User-Agent', userAgent)
+            .send({ email, password });
+
+        test('each login is listed as a session and other sessions can be signed out', async () => {
+            const user = await insertUserWithCredentials({ password });
+            const laptop = await loginFrom(user.email, 'Laptop Browser');
+            const phone = await loginFrom(user.email, 'Phone App');
+
+            const list = await request(app)
+                .get('/api/user/sessions')
+                .set('Authorization', `Bearer ${laptop.body.data.token}`);
+            expect(list.status).toBe(200);
+            expect(list.body.data).toHaveLength(2);
+            const current = list.body.data.find(s => s.current);
+            expect(current.user_agent).toBe('Laptop Browser');
+
+            const revokeOthers = await request(app)
+                .post('/api/user/sessions/revoke-others')
+                .set('Authorization', `Bearer ${laptop.body.data.token}`);
+            expect(revokeOthers.status).toBe(200);
+            expect(revokeOthers.body.data.revoked_count).toBe(1);
+
+            const phoneRequest = await request(app)
+                .get('/api/user/auth-test')
+                .set('Authorization', `Bearer ${phone.body.data.token}`);
+            expect(phoneRequest.status).toBe(403);
+
+            const phoneRefresh = await request(app)
+                .post('/api/user/refresh')
+                .send({ refresh_token: phone.body.data.refresh_token });
+            expect(phoneRefresh.status).toBe(401);
+
+            const laptopRequest = await request(app)
+                .get('/api/user/auth-test')
+                .set('Authorization', `Bearer ${laptop.body.data.token}`);
+            expect(laptopRequest.status).toBe(200);
+        });
+
+        test('a single session can be revoked by id, only by its owner', async () => {
+            const user = await insertUserWithCredentials({ password });
+            const other = await insertUserWithCredentials();
+            const first = await loginFrom(user.email, 'First Device');
+            const second = await loginFrom(user.email, 'Second Device');
+
+            const list = await request(app)
+                .get('/api/user/sessions')
+                .set('Authorization', `Bearer ${first.body.data.token}`);
+            const secondSession = list.body.data.find(s => !s.current);
+
+            const notOwner = await request(app)
+                .delete(`/api/user/sessions/${secondSession.session_id}`)
+                .set('Authorization', `Bearer ${generateTestToken(other)}`);
+            expect(notOwner.status).toBe(404);
+
+            const revoke = await request(app)
+                .delete(`/api/user/sessions/${secondSession.session_id}`)
+                .set('Authorization', `Bearer ${first.body.data.token}`);
+            expect(revoke.status).toBe(200);
+
+            const secondRequest = await request(app)
+                .get('/api/user/auth-test')
+                .set('Authorization', `Bearer ${second.body.data.token}`);
+            expect(secondRequest.status).toBe(403);
+
+            const after = await request(app)
+                .get('/api/user/sessions')
+                .set('Authorization', `Bearer ${first.body.data.token}`);
+            expect(after.body.data).toHaveLength(1);
+        });
+    });
+
+    describe('Multi-factor authentication', () => {
+        const password = 'Password123!';
+
+        const enrollMfa = async (user) => {
+            const token = generateTestToken(user);
+            const setup = await request(app)
+                .post('/api/user/mfa/setup')
+                .set('Authorization', `Bearer ${token}`);
+            expect(setup.status).toBe(200);
+            expect(setup.body.data.otpauth_uri).toMatch(/^otpauth:\/\/totp\//);
+
+            const secret = setup.body.data.secret;
+            const enable = await request(app)
+                .post('/api/user/mfa/enable')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ code: generateTotp(secret) });
+            expect(enable.status).toBe(200);
+            expect(enable.body.data.recovery_codes).toHaveLength(10);
+
+            return { secret, recoveryCodes: enable.body.data.recovery_codes };
+        };
+
+        test('login with MFA enabled returns a challenge that a TOTP code exchanges for tokens', async () => {
+            const user = await insertUserWithCredentials({ role: 'OWNER', password });
+            const { secret } = await enrollMfa(user);
+
+            const login = await request(app)
+                .post('/api/user/login')
+                .send({ email: user.email, password });
+            expect(login.status).toBe(200);
+            expect(login.body.data.mfa_required).toBe(true);
+            expect(login.body.data.token).toBeUndefined();
+
+            const mfaToken = login.body.data.mfa_token;
+            const challengeAsAccess = await request(app)
+                .get('/api/user/auth-test')
+                .set('Authorization', `Bearer ${mfaToken}`);
+            expect(challengeAsAccess.status).toBe(403);
+
+            const wrongCode = await request(app)
+                .post('/api/user/login/mfa')
+                .send({ mfa_token: mfaToken, code: '000000' });
+            expect(wrongCode.status).toBe(401);
+
+            // Next time step, the enrollment code's step cannot be replayed
+            const verify = await request(app)
+                .post('/api/user/login/mfa')
+                .send({ mfa_token: mfaToken, code: generateTotp(secret, Date.now() + 30000) });
+            expect(verify.status).toBe(200);
+            expect(verify.body.data.token).toBeDefined();
+            expect(verify.body.data.refresh_token).toBeDefined();
+
+            const reuse = await request(app)
+                .post('/api/user/login/mfa')
+                .send({ mfa_token: mfaToken, code: generateTotp(secret, Date.now() + 30000) });
+            expect(reuse.status).toBe(401);
+        });
+
+        test('recovery codes are stored hashed and work only once', async () => {
+            const user = await insertUserWithCredentials({ password });
+            const { recoveryCodes } = await enrollMfa(user);
+
+            const [stored] = await db.execute('SELECT code_hash FROM mfa_recovery_codes WHERE user_id = ?', [user.user_id]);
+            expect(stored).toHaveLength(10);
+            expect(stored.map(r => r.code_hash)).not.toContain(recoveryCodes[0]);
+
+            const firstLogin = await request(app).post('/api/user/login').send({ email: user.email, password });
+            const first = await request(app)
+                .post('/api/user/login/mfa')
+                .send({ mfa_token: firstLogin.body.data.mfa_token, recovery_code: recoveryCodes[0] });
+            expect(first.status).toBe(200);
+
+            const secondLogin = await request(app).post('/api/user/login').send({ email: user.email, password });
+            const second = await request(app)
+                .post('/api/user/login/mfa')
+                .send({ mfa_token: secondLogin.body.data.mfa_token, recovery_code: recoveryCodes[0] });
+            expect(second.status).toBe(401);
+        });
+
+        test('admin policy forces OWNER enrollment at login and blocks disabling', async () => {
+            const admin = await insertUserWithCredentials({ role: 'ADMIN' });
+            const owner = await insertUserWithCredentials({ role: 'OWNER', password });
+
+            const policy = await request(app)
+                .put('/api/admin/users/mfa-policy')
+                .set('Authorization', `Bearer ${generateTestToken(admin)}`)
+                .send({ role: 'OWNER', required: true });
+            expect(policy.status).toBe(200);
+
+            const login = await request(app).post('/api/user/login').send({ email: owner.email, password });
+            expect(login.status).toBe(200);
+            expect(login.body.data.mfa_setup_required).toBe(true);
+
+            const setup = await request(app)
+                .post('/api/user/login/mfa/setup')
+                .send({ mfa_token: login.body.data.mfa_token });
+            expect(setup.status).toBe(200);
+
+            const verify = await request(app)
+                .post('/api/user/login/mfa')
+                .send({ mfa_token: login.body.data.mfa_token, code: generateTotp(setup.body.data.secret) });
+            expect(verify.status).toBe(200);
+            expect(verify.body.data.recovery_codes).toHaveLength(10);
+
+            const disable = await request(app)
+                .post('/api/user/mfa/disable')
+                .set('Authorization', `Bearer ${verify.body.data.token}`)
+                .send({ password, code: generateTotp(setup.body.data.secret, Date.now() + 30000) });
+            expect(disable.status).toBe(403);
+        });
+
+        test('mfa policy only accepts OWNER or ADMIN and is admin only', async () => {
+            const admin = await insertUserWithCredentials({ role: 'ADMIN' });
+            const owner = await insertUserWithCredentials({ role: 'OWNER' });
+
+            const [invalidRole, forbidden] = await Promise.all([
+                request(app)
+                    .put('/api/admin/users/mfa-policy')
+                    .set('Authorization', `Bearer ${generateTestToken(admin)}`)
+                    .send({ role: 'CUSTOMER', required: true }),
+                request(app)
+                    .put('/api/admin/users/mfa-policy')
+                    .set('Authorization', `Bearer ${generateTestToken(owner)}`)
+                    .send({ role: 'OWNER', required: true })
+            ]);
+
+            expect(invalidRole.status).toBe(400);
+            expect(forbidden.status).toBe(403);
+        });
+    });
+
     describe('Edge Cases', () => {
         test('Verify Signup Errors: All signup error cases return correct status codes', async () => {
             const existing = await insertUserWithCredentials();
@@ -516,7 +1315,7 @@ describe('UAR 1.3 - Salon Registration - Owner', () => {
     describe('Edge Cases', () => {
 
         //Realistically never happens, but just in case
-        test('Duplicate Registration: Owner with existing salon cannot register another salon', async () => {
+        test('Duplicate Registration: Owner cannot register a second salon with the same name', async () => {
             const { token } = await setupOwnerWithoutSalon();
             const payload = baseSalonPayload();
 
@@ -527,19 +1326,114 @@ describe('UAR 1.3 - Salon Registration - Owner', () => {
 
             expect(firstResponse.status).toBe(201);
 
-            const secondPayload = baseSalonPayload({ name: 'Second Salon' });
             const secondResponse = await request(app)
                 .post('/api/salons/create')
                 .set('Authorization', `Bearer ${token}`)
-                .send(secondPayload);
+                .send(baseSalonPayload({ name: ` ${payload.name.toUpperCase()} ` }));
 
             expect(secondResponse.status).toBe(409);
             expect(secondResponse.body).toMatchObject({
-                message: 'You already have a salon registered.'
+                message: 'You already have a salon registered with this name.'
             });
         });
 
     });
+
+    describe('Multiple locations', () => {
+        const setupOwnerWithTwoSalons = async () => {
+            const { owner, token } = await setupOwnerWithoutSalon();
+            const first = await request(app)
+                .post('/api/salons/create')
+                .set('Authorization', `Bearer ${token}`)
+                .send(baseSalonPayload({ name: 'Downtown Location' }));
+            const second = await request(app)
+                .post('/api/salons/create')
+                .set('Authorization', `Bearer ${token}`)
+                .send(baseSalonPayload({ name: 'Uptown Location' }));
+
+            expect(first.status).toBe(201);
+            expect(second.status).toBe(201);
+
+            const [salons] = await db.execute('SELECT salon_id, name FROM salons WHERE owner_user_id = ? ORDER BY salon_id', [owner.user_id]);
+            return { owner, token, firstSalonId: salons[0].salon_id, secondSalonId: salons[1].salon_id };
+        };
+
+        test('Owner can register several salons and list them', async () => {
+            const { token, firstSalonId, secondSalonId } = await setupOwnerWithTwoSalons();
+
+            const mine = await request(app)
+                .get('/api/salons/mine')
+                .set('Authorization', `Bearer ${token}`);
+            expect(mine.status).toBe(200);
+            expect(mine.body.data.map(s => s.salon_id)).toEqual([firstSalonId, secondSalonId]);
+
+            const check = await request(app)
+                .get('/api/salons/check')
+                .set('Authorization', `Bearer ${token}`);
+            expect(check.status).toBe(200);
+            expect(check.body).toMatchObject({ hasSalon: true, salon_count: 2 });
+        });
+
+        test('Owner endpoints require a salon context owned by the caller once there are several salons', async () => {
+            const { token, secondSalonId } = await setupOwnerWithTwoSalons();
+            const { owner: otherOwner } = await setupOwnerWithoutSalon();
+            const foreignSalonId = await createSalon(otherOwner.user_id, { name: 'Foreign Salon' });
+
+            const missing = await request(app)
+                .get('/api/salons/information')
+                .set('Authorization', `Bearer ${token}`);
+            expect(missing.status).toBe(400);
+
+            const chosen = await request(app)
+                .get('/api/salons/information')
+                .set('Authorization', `Bearer ${token}`)
+                .set('X-Salon-Id', String(secondSalonId));
+            expect(chosen.status).toBe(200);
+            expect(chosen.body.data).toMatchObject({ salon_id: secondSalonId, name: 'Uptown Location' });
+
+            const foreign = await request(app)
+                .get('/api/salons/information')
+                .set('Authorization', `Bearer ${token}`)
+                .set('X-Salon-Id', String(foreignSalonId));
+            expect(foreign.status).toBe(403);
+
+            const invalid = await request(app)
+                .get('/api/salons/information')
+                .set('Authorization', `Bearer ${token}`)
+                .set('X-Salon-Id', 'abc');
+            expect(invalid.status).toBe(400);
+        });
+
+        test('Consolidated views cover every location the owner runs', async () => {
+            const { token, firstSalonId, secondSalonId } = await setupOwnerWithTwoSalons();
+            for (const [salonId, sku] of [[firstSalonId, 'DT-1'], [secondSalonId, 'UT-1']]) {
+                await db.execute(
+                    `INSERT INTO products (salon_id, name, description, sku, price, category, stock_qty)
+                     VALUES (?, ?, 'Test product', ?, 12.50, 'SHAMPOO', 5)`,
+                    [salonId, `Shampoo ${sku}`, sku]
+                );
+            }
+
+            const products = await request(app)
+                .get('/api/products/owner/all-locations')
+                .set('Authorization', `Bearer ${token}`);
+            expect(products.status).toBe(200);
+            expect(products.body.data.map(p => p.salon_id).sort()).toEqual([firstSalonId, secondSalonId].sort());
+
+            const orders = await request(app)
+                .get('/api/products/owner/all-locations/orders')
+                .set('Authorization', `Bearer ${token}`);
+            expect(orders.status).toBe(200);
+            expect(orders.body.meta).toMatchObject({ total: 0, hasMore: false });
+
+            const overview = await request(app)
+                .get('/api/salons/top-metrics/all-locations')
+                .set('Authorization', `Bearer ${token}`);
+            expect(overview.status).toBe(200);
+            expect(overview.body.data.locations).toHaveLength(2);
+            expect(overview.body.data.totals).toMatchObject({ salon_revenue: 0, product_revenue: 0, total_orders: 0 });
+        });
+    });
 });
 
 // UAR 1.4 - As a salon owner, I want to select my salon type (e.g., hair, nails, eyelashes) during registration so that users can find me based on category.
@@ -803,7 +1697,7 @@ describe('UAR 1.5 - Salon Registration Verification - Admin', () => {
             const response = await request(app)
                 .patch('/api/salons/approve')
                 .set('Authorization', `Bearer ${token}`)
-                .send({ salon_id: salonId, status: 'REJECTED' });
+                .send({ salon_id: salonId, status: 'REJECTED', reason: 'Address could not be verified' });
 
             expect(response.status).toBe(200);
             expect(response.body).toMatchObject({
@@ -811,10 +1705,11 @@ describe('UAR 1.5 - Salon Registration Verification - Admin', () => {
             });
 
             const [updatedSalon] = await db.execute(
-                'SELECT status FROM salons WHERE salon_id = ?',
+                'SELECT status, status_reason FROM salons WHERE salon_id = ?',
                 [salonId]
             );
             expect(updatedSalon[0].status).toBe('REJECTED');
+            expect(updatedSalon[0].status_reason).toBe('Address could not be verified');
 
             const password = 'Password123!';
             const customer = await insertUserWithCredentials({
@@ -832,6 +1727,20 @@ describe('UAR 1.5 - Salon Registration Verification - Admin', () => {
             const rejectedSalon = browseResponse.body.data.find(s => s.salon_id === salonId);
             expect(rejectedSalon).toBeUndefined();
         });
+
+        test('Rejection Without Reason: Admin must give a reason to reject a salon', async () => {
+            const { salonId, token } = await setupAdminAndPendingSalon();
+
+            const response = await request(app)
+                .patch('/api/salons/approve')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ salon_id: salonId, status: 'REJECTED' });
+
+            expect(response.status).toBe(400);
+
+            const [[salon]] = await db.execute('SELECT status FROM salons WHERE salon_id = ?', [salonId]);
+            expect(salon.status).toBe('PENDING');
+        });
     });
 
     
@@ -911,6 +1820,223 @@ describe('UAR 1.5 - Salon Registration Verification - Admin', () => {
             });
         });
     });
+
+    describe('Profile editing and change review', () => {
+        const setupOwnerWithApprovedSalon = async () => {
+            const { admin, owner, salonId, token: adminToken } = await setupAdminAndPendingSalon();
+            await db.execute(`UPDATE salons SET status = 'APPROVED' WHERE salon_id = ?`, [salonId]);
+            return { admin, owner, salonId, adminToken, ownerToken: generateTestToken(owner) };
+        };
+
+        test('Cosmetic fields apply immediately and material fields wait for admin approval', async () => {
+            const { salonId, adminToken, ownerToken } = await setupOwnerWithApprovedSalon();
+
+            const response = await request(app)
+                .patch('/api/salons/profile')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ phone: '555-0199', timezone: 'America/Chicago', name: 'Renamed Salon', category: 'barbershop' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.applied).toEqual({ phone: '555-0199', timezone: 'America/Chicago' });
+            expect(response.body.data.pending_changes).toEqual({ name: 'Renamed Salon', category: 'BARBERSHOP' });
+
+            const [[beforeReview]] = await db.execute('SELECT name, phone, timezone, category FROM salons WHERE salon_id = ?', [salonId]);
+            expect(beforeReview).toMatchObject({ name: 'Test Salon', phone: '555-0199', timezone: 'America/Chicago', category: 'HAIR SALON' });
+
+            const queue = await request(app)
+                .get('/api/salons/profile-changes')
+                .set('Authorization', `Bearer ${adminToken}`);
+            const entry = queue.body.data.find(item => item.salon_id === salonId);
+            expect(entry).toMatchObject({ current: { name: 'Test Salon' }, requested: { name: 'Renamed Salon' } });
+
+            const review = await request(app)
+                .patch('/api/salons/approve')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ salon_id: salonId, status: 'APPROVED', target: 'PROFILE_CHANGES' });
+
+            expect(review.status).toBe(200);
+            expect(review.body.message).toBe(`Salon ${salonId} profile changes have been approved.`);
+
+            const [[afterReview]] = await db.execute('SELECT name, category, status, pending_changes FROM salons WHERE salon_id = ?', [salonId]);
+            expect(afterReview).toMatchObject({ name: 'Renamed Salon', category: 'BARBERSHOP', status: 'APPROVED', pending_changes: null });
+
+            const [audit] = await db.execute(
+                `SELECT old_value, new_value FROM audit_log WHERE table_name = 'salons' AND record_id = ? AND action_type = 'UPDATE' ORDER BY audit_id DESC LIMIT 1`,
+                [salonId]
+            );
+            const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+            expect(parse(audit[0].old_value)).toMatchObject({ name: 'Test Salon' });
+            expect(parse(audit[0].new_value)).toMatchObject({ name: 'Renamed Salon' });
+        });
+
+        test('Rejected changes are discarded and pending salons apply material fields directly', async () => {
+            const { salonId, adminToken, ownerToken } = await setupOwnerWithApprovedSalon();
+
+            await request(app)
+                .patch('/api/salons/profile')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ address: '1 New Street' });
+
+            const reject = await request(app)
+                .patch('/api/salons/approve')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ salon_id: salonId, status: 'REJECTED', target: 'PROFILE_CHANGES' });
+            expect(reject.status).toBe(200);
+
+            const [[rejected]] = await db.execute('SELECT address, status, pending_changes FROM salons WHERE salon_id = ?', [salonId]);
+            expect(rejected).toMatchObject({ address: '123 Main St', status: 'APPROVED', pending_changes: null });
+
+            const nothingQueued = await request(app)
+                .patch('/api/salons/approve')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ salon_id: salonId, status: 'APPROVED', target: 'PROFILE_CHANGES' });
+            expect(nothingQueued.status).toBe(409);
+
+            const { owner: pendingOwner, salonId: pendingSalonId } = await setupAdminAndPendingSalon();
+            const direct = await request(app)
+                .patch('/api/salons/profile')
+                .set('Authorization', `Bearer ${generateTestToken(pendingOwner)}`)
+                .send({ name: 'Still Pending Salon' });
+            expect(direct.status).toBe(200);
+            expect(direct.body.data.pending_changes).toBeNull();
+
+            const [[pendingSalon]] = await db.execute('SELECT name FROM salons WHERE salon_id = ?', [pendingSalonId]);
+            expect(pendingSalon.name).toBe('Still Pending Salon');
+        });
+
+        test('Invalid profile values are rejected', async () => {
+            const { ownerToken } = await setupOwnerWithApprovedSalon();
+
+            for (const body of [{}, { timezone: 'Mars/Olympus' }, { category: 'TATTOO' }, { email: 'not-an-email' }, { name: '   ' }]) {
+                const response = await request(app)
+                    .patch('/api/salons/profile')
+                    .set('Authorization', `Bearer ${ownerToken}`)
+                    .send(body);
+                expect(response.status).toBe(400);
+            }
+        });
+    });
+
+    describe('Suspension and reinstatement', () => {
+        const setupApprovedSalonWithBooking = async () => {
+            const { owner, salonId, token } = await setupAdminAndPendingSalon();
+            await db.execute(`UPDATE salons SET status = 'APPROVED' WHERE salon_id = ?`, [salonId]);
+
+            const customer = await insertUserWithCredentials({ password: 'Password123!', role: 'CUSTOMER' });
+            const start = DateTime.utc().plus({ days: 3 });
+            const nowUtc = toMySQLUtc(DateTime.utc());
+            const [booking] = await db.execute(
+                `INSERT INTO bookings (salon_id, customer_user_id, scheduled_start, scheduled_end, status, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, 'SCHEDULED', ?, ?)`,
+                [salonId, customer.user_id, toMySQLUtc(start), toMySQLUtc(start.plus({ hours: 1 })), nowUtc, nowUtc]
+            );
+            const [payment] = await db.execute(
+                `INSERT INTO payments (booking_id, amount, status, created_at, updated_at) VALUES (?, 50.00, 'SUCCEEDED', ?, ?)`,
+                [booking.insertId, nowUtc, nowUtc]
+            );
+
+            return { owner, salonId, token, customer, bookingId: booking.insertId, paymentId: payment.insertId };
+        };
+
+        test('Suspending with CANCEL cancels and refunds upcoming bookings and notifies the owner', async () => {
+            const { owner, salonId, token, bookingId, paymentId } = await setupApprovedSalonWithBooking();
+            const expiresAt = DateTime.utc().plus({ days: 7 }).toISO();
+
+            const response = await request(app)
+                .post(`/api/salons/${salonId}/suspend`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ reason: 'Health code violation', expires_at: expiresAt, booking_action: 'CANCEL' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ status: 'SUSPENDED', booking_action: 'CANCEL', canceled_bookings: 1 });
+
+            const [[salon]] = await db.execute(
+                'SELECT status, status_reason, status_expires_at FROM salons WHERE salon_id = ?',
+                [salonId]
+            );
+            expect(salon.status).toBe('SUSPENDED');
+            expect(salon.status_reason).toBe('Health code violation');
+            expect(salon.status_expires_at).not.toBeNull();
+
+            const [[booking]] = await db.execute('SELECT status FROM bookings WHERE booking_id = ?', [bookingId]);
+            expect(booking.status).toBe('CANCELED');
+            const [[payment]] = await db.execute('SELECT status FROM payments WHERE payment_id = ?', [paymentId]);
+            expect(payment.status).toBe('REFUNDED');
+
+            const ownerNotification = notificationsController.createNotification.mock.calls
+                .find(([, data]) => data.user_id === owner.user_id && data.type_code === 'SALON_SUSPENDED');
+            expect(ownerNotification[1].message).toContain('Health code violation');
+        });
+
+        test('Suspending with FREEZE keeps bookings, blocks new ones and reinstatement reopens the salon', async () => {
+            const { salonId, token, customer, bookingId } = await setupApprovedSalonWithBooking();
+
+            const suspend = await request(app)
+                .post(`/api/salons/${salonId}/suspend`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ reason: 'Pending license renewal', booking_action: 'FREEZE' });
+            expect(suspend.status).toBe(200);
+
+            const [[frozenBooking]] = await db.execute('SELECT status FROM bookings WHERE booking_id = ?', [bookingId]);
+            expect(frozenBooking.status).toBe('SCHEDULED');
+
+            const book = await request(app)
+                .post(`/api/salons/${salonId}/stylists/1/book`)
+                .set('Authorization', `Bearer ${generateTestToken(customer)}`)
+                .send({ scheduled_start: DateTime.utc().plus({ days: 2 }).toISO(), services: [{ service_id: 1 }] });
+            expect(book.status).toBe(403);
+
+            const reinstate = await request(app)
+                .post(`/api/salons/${salonId}/reinstate`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(reinstate.status).toBe(200);
+            expect(reinstate.body.data).toMatchObject({ status: 'APPROVED', canceled_bookings: 0 });
+
+            const [[salon]] = await db.execute(
+                'SELECT status, status_reason, bookings_frozen FROM salons WHERE salon_id = ?',
+                [salonId]
+            );
+            expect(salon).toMatchObject({ status: 'APPROVED', status_reason: null, bookings_frozen: 0 });
+
+            const again = await request(app)
+                .post(`/api/salons/${salonId}/reinstate`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(again.status).toBe(409);
+        });
+
+        test('Suspension requires a reason, a future expiry and a known booking action', async () => {
+            const { salonId, token } = await setupApprovedSalonWithBooking();
+
+            for (const body of [
+                {},
+                { reason: '   ' },
+                { reason: 'Fraud', expires_at: DateTime.utc().minus({ days: 1 }).toISO() },
+                { reason: 'Fraud', booking_action: 'DELETE' }
+            ]) {
+                const response = await request(app)
+                    .post(`/api/salons/${salonId}/suspend`)
+                    .set('Authorization', `Bearer ${token}`)
+                    .send(body);
+                expect(response.status).toBe(400);
+            }
+
+            const [[salon]] = await db.execute('SELECT status FROM salons WHERE salon_id = ?', [salonId]);
+            expect(salon.status).toBe('APPROVED');
+        });
+
+        test('Expired suspensions are lifted by the scheduled job', async () => {
+            const { salonId } = await setupApprovedSalonWithBooking();
+            await db.execute(
+                `UPDATE salons SET status = 'SUSPENDED', status_reason = 'Temporary closure', status_expires_at = ? WHERE salon_id = ?`,
+                [toMySQLUtc(DateTime.utc().minus({ minutes: 1 })), salonId]
+            );
+
+            await runExpireSalonRestrictions(connection);
+
+            const [[salon]] = await db.execute('SELECT status, status_expires_at FROM salons WHERE salon_id = ?', [salonId]);
+            expect(salon).toMatchObject({ status: 'APPROVED', status_expires_at: null });
+        });
+    });
 });
 
 // UAR 1.6 - As a user, I want to browse available salons so that I can choose where to book.
@@ -1020,47 +2146,191 @@ describe('UAR 1.6 - Browse Available Salons', () => {
             if (expectedMessage) {
                 expect(response.body.message).toBe(expectedMessage);
             }
-        });
-    });
+        });
+    });
+
+    describe('Data Integrity & Logic', () => {
+        test('Verify Status Filtering: Customer browse returns only APPROVED salons, excludes PENDING and REJECTED', async () => {
+            const password = 'Password123!';
+            const [customer, owner1, owner2, owner3] = await Promise.all([
+                insertUserWithCredentials({ password, role: 'CUSTOMER' }),
+                insertUserWithCredentials({ password, role: 'OWNER' }),
+                insertUserWithCredentials({ password, role: 'OWNER' }),
+                insertUserWithCredentials({ password, role: 'OWNER' })
+            ]);
+
+            const [approvedSalonId, pendingSalonId, rejectedSalonId] = await Promise.all([
+                createSalon(owner1.user_id, { name: 'Approved Salon', status: 'APPROVED' }),
+                createSalon(owner2.user_id, { name: 'Pending Salon', status: 'PENDING' }),
+                createSalon(owner3.user_id, { name: 'Rejected Salon', status: 'REJECTED' })
+            ]);
+
+            const customerToken = generateTestToken(customer);
+
+            const response = await request(app)
+                .get('/api/salons/browse')
+                .set('Authorization', `Bearer ${customerToken}`);
+
+            expect(response.status).toBe(200);
+            const approvedSalon = response.body.data.find(s => s.salon_id === approvedSalonId);
+            const pendingSalon = response.body.data.find(s => s.salon_id === pendingSalonId);
+            const rejectedSalon = response.body.data.find(s => s.salon_id === rejectedSalonId);
+
+            expect(approvedSalon).toBeDefined();
+            expect(approvedSalon.status).toBe('APPROVED');
+            expect(pendingSalon).toBeUndefined();
+            expect(rejectedSalon).toBeUndefined();
+        });
+    });
+
+    describe('Security & Permissions', () => {
+    });
+
+    describe('Edge Cases', () => {
+    });
+
+    describe('Near me search', () => {
+        afterEach(() => {
+            setGeocoder();
+        });
+
+        const createLocatedSalon = async (name, latitude, longitude) => {
+            const owner = await insertUserWithCredentials({ password: 'Password123!', role: 'OWNER' });
+            const salonId = await createSalon(owner.user_id, { name, status: 'APPROVED' });
+            await db.execute('UPDATE salons SET latitude = ?, longitude = ? WHERE salon_id = ?', [latitude, longitude, salonId]);
+            return salonId;
+        };
+
+        test('Radius search returns nearby salons sorted by distance with distance_km', async () => {
+            const customer = await insertUserWithCredentials({ password: 'Password123!', role: 'CUSTOMER' });
+            const newarkId = await createLocatedSalon('Newark Salon', 40.7357, -74.1724);
+            const manhattanId = await createLocatedSalon('Manhattan Salon', 40.7130, -74.0070);
+            const bostonId = await createLocatedSalon('Boston Salon', 42.3601, -71.0589);
+
+            const response = await request(app)
+                .get('/api/salons/browse?lat=40.7128&lng=-74.0060&radius_km=50')
+                .set('Authorization', `Bearer ${generateTestToken(customer)}`);
+
+            expect(response.status).toBe(200);
+            const ids = response.body.data.map(s => s.salon_id);
+            expect(ids).not.toContain(bostonId);
+            expect(ids.indexOf(manhattanId)).toBeLessThan(ids.indexOf(newarkId));
+
+            const newark = response.body.data.find(s => s.salon_id === newarkId);
+            expect(newark.distance_km).toBeGreaterThan(10);
+            expect(newark.distance_km).toBeLessThan(20);
+            expect(newark).toMatchObject({ latitude: 40.7357, longitude: -74.1724 });
+        });
+
+        test('New salons are geocoded from their address with the configured geocoder', async () => {
+            const { token } = await setupOwnerWithoutSalon();
+            const geocoder = jest.fn().mockResolvedValue({ latitude: 41.8781, longitude: -87.6298 });
+            setGeocoder(geocoder);
+
+            const response = await request(app)
+                .post('/api/salons/create')
+                .set('Authorization', `Bearer ${token}`)
+                .send(baseSalonPayload({ city: 'Chicago', state: 'IL', postal_code: '60601' }));
+
+            expect(response.status).toBe(201);
+            expect(geocoder).toHaveBeenCalledWith(expect.objectContaining({ city: 'Chicago', postal_code: '60601' }));
+            expect(Number(response.body.data.latitude)).toBeCloseTo(41.8781, 4);
+            expect(Number(response.body.data.longitude)).toBeCloseTo(-87.6298, 4);
+        });
+
+        test.each([
+            { query: '?lat=40.7', description: 'lat without lng' },
+            { query: '?lat=91&lng=0', description: 'out of range latitude' },
+            { query: '?radius_km=10', description: 'radius without coordinates' },
+            { query: '?lat=40.7&lng=-74&radius_km=1000', description: 'radius above the maximum' },
+            { query: '?sort=distance', description: 'distance sort without coordinates' }
+        ])('Invalid location parameters: $description returns 400', async ({ query }) => {
+            const customer = await insertUserWithCredentials({ password: 'Password123!', role: 'CUSTOMER' });
+
+            const response = await request(app)
+                .get(`/api/salons/browse${query}`)
+                .set('Authorization', `Bearer ${generateTestToken(customer)}`);
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Keyword search', () => {
+        const createSalonWithServices = async (salonOptions, services) => {
+            const owner = await insertUserWithCredentials({ password: 'Password123!', role: 'OWNER' });
+            const salonId = await createSalon(owner.user_id, { status: 'APPROVED', ...salonOptions });
+            const nowUtc = toMySQLUtc(DateTime.utc());
+            for (const service of services) {
+                await db.execute(
+                    `INSERT INTO services (salon_id, name, description, duration_minutes, price, active, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, 1, ?, ?)`,
+                    [salonId, service.name, service.description || null, service.duration_minutes, service.price, nowUtc, nowUtc]
+                );
+            }
+            return salonId;
+        };
+
+        const search = async (query) => {
+            const customer = await insertUserWithCredentials({ password: 'Password123!', role: 'CUSTOMER' });
+            return request(app)
+                .get(`/api/salons/search${query}`)
+                .set('Authorization', `Bearer ${generateTestToken(customer)}`);
+        };
+
+        test('Salon name matches rank above service name matches and list the matched services', async () => {
+            const nameMatchId = await createSalonWithServices(
+                { name: 'Zyqbalayage Studio' },
+                [{ name: 'Trim', duration_minutes: 30, price: 25 }]
+            );
+            const serviceMatchId = await createSalonWithServices(
+                { name: 'Corner Salon' },
+                [{ name: 'Zyqbalayage Color', duration_minutes: 120, price: 180 }, { name: 'Trim', duration_minutes: 30, price: 25 }]
+            );
+            await createSalonWithServices({ name: 'Unrelated Salon' }, [{ name: 'Manicure', duration_minutes: 45, price: 40 }]);
 
-    describe('Data Integrity & Logic', () => {
-        test('Verify Status Filtering: Customer browse returns only APPROVED salons, excludes PENDING and REJECTED', async () => {
-            const password = 'Password123!';
-            const [customer, owner1, owner2, owner3] = await Promise.all([
-                insertUserWithCredentials({ password, role: 'CUSTOMER' }),
-                insertUserWithCredentials({ password, role: 'OWNER' }),
-                insertUserWithCredentials({ password, role: 'OWNER' }),
-                insertUserWithCredentials({ password, role: 'OWNER' })
-            ]);
+            const response = await search('?q=zyqbalayage');
 
-            const [approvedSalonId, pendingSalonId, rejectedSalonId] = await Promise.all([
-                createSalon(owner1.user_id, { name: 'Approved Salon', status: 'APPROVED' }),
-                createSalon(owner2.user_id, { name: 'Pending Salon', status: 'PENDING' }),
-                createSalon(owner3.user_id, { name: 'Rejected Salon', status: 'REJECTED' })
-            ]);
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(s => s.salon_id)).toEqual([nameMatchId, serviceMatchId]);
+            expect(response.body.meta).toMatchObject({ total: 2, limit: 20, offset: 0, hasMore: false });
+            expect(response.body.data[1].matched_services.map(s => s.name)).toEqual(['Zyqbalayage Color']);
+        });
 
-            const customerToken = generateTestToken(customer);
+        test('Price, duration and category filters narrow the results', async () => {
+            const cheapId = await createSalonWithServices(
+                { name: 'Qorvex Cuts', category: 'BARBERSHOP' },
+                [{ name: 'Qorvex Fade', duration_minutes: 30, price: 30 }]
+            );
+            const priceyId = await createSalonWithServices(
+                { name: 'Qorvex Lounge', category: 'HAIR SALON' },
+                [{ name: 'Qorvex Treatment', duration_minutes: 90, price: 150 }]
+            );
 
-            const response = await request(app)
-                .get('/api/salons/browse')
-                .set('Authorization', `Bearer ${customerToken}`);
+            const byPrice = await search('?q=qorvex&max_price=50');
+            expect(byPrice.body.data.map(s => s.salon_id)).toEqual([cheapId]);
 
-            expect(response.status).toBe(200);
-            const approvedSalon = response.body.data.find(s => s.salon_id === approvedSalonId);
-            const pendingSalon = response.body.data.find(s => s.salon_id === pendingSalonId);
-            const rejectedSalon = response.body.data.find(s => s.salon_id === rejectedSalonId);
+            const byDuration = await search('?q=qorvex&max_duration=60');
+            expect(byDuration.body.data.map(s => s.salon_id)).toEqual([cheapId]);
 
-            expect(approvedSalon).toBeDefined();
-            expect(approvedSalon.status).toBe('APPROVED');
-            expect(pendingSalon).toBeUndefined();
-            expect(rejectedSalon).toBeUndefined();
-        });
-    });
+            const byCategory = await search('?q=qorvex&category=hair%20salon');
+            expect(byCategory.body.data.map(s => s.salon_id)).toEqual([priceyId]);
 
-    describe('Security & Permissions', () => {
-    });
+            const paged = await search('?q=qorvex&limit=1&offset=1');
+            expect(paged.body.data).toHaveLength(1);
+            expect(paged.body.meta).toMatchObject({ total: 2, limit: 1, offset: 1, hasMore: false });
+        });
 
-    describe('Edge Cases', () => {
+        test.each([
+            { query: '', description: 'missing q' },
+            { query: '?q=a', description: 'q without a usable word' },
+            { query: '?q=hair&min_price=50&max_price=10', description: 'inverted price range' },
+            { query: '?q=hair&max_duration=abc', description: 'non-numeric duration' },
+            { query: '?q=hair&category=TATTOO', description: 'unknown category' },
+            { query: '?q=hair&offset=-1', description: 'negative offset' }
+        ])('Invalid search parameters: $description returns 400', async ({ query }) => {
+            const response = await search(query);
+            expect(response.status).toBe(400);
+        });
     });
 });
 
@@ -1305,6 +2575,336 @@ describe('UAR 1.7 - Add/Remove/View Employees - Owner', () => {
         });
     });
 
+    describe('Delegated salon roles', () => {
+        test('owner creates, updates and deletes roles; employee permissions follow assignments', async () => {
+            const { salonId, token } = await setupOwnerWithSalon();
+            const employee = await insertUserWithCredentials({ role: 'EMPLOYEE' });
+            await insertEmployee(salonId, employee.user_id, 'Front Desk');
+            const employeeToken = generateTestToken(employee);
+
+            const registry = await request(app)
+                .get('/api/salons/permissions')
+                .set('Authorization', `Bearer ${token}`);
+            expect(registry.status).toBe(200);
+            expect(registry.body.data.map(p => p.code)).toContain('products:write');
+
+            const created = await request(app)
+                .post('/api/salons/roles')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name: 'Front desk', permissions: ['bookings:manage'] });
+            expect(created.status).toBe(201);
+            const roleId = created.body.data.salon_role_id;
+
+            await request(app)
+                .post(`/api/salons/roles/${roleId}/assignments`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ user_id: employee.user_id });
+
+            const updated = await request(app)
+                .put(`/api/salons/roles/${roleId}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ permissions: ['bookings:manage', 'products:write'] });
+            expect(updated.status).toBe(200);
+
+            const mine = await request(app)
+                .get('/api/salons/permissions/me')
+                .set('Authorization', `Bearer ${employeeToken}`);
+            expect(mine.status).toBe(200);
+            expect(mine.body.data.salon_id).toBe(salonId);
+            expect(mine.body.data.permissions.sort()).toEqual(['bookings:manage', 'products:write']);
+
+            const list = await request(app)
+                .get('/api/salons/roles')
+                .set('Authorization', `Bearer ${token}`);
+            expect(list.body.data[0].assignees[0].user_id).toBe(employee.user_id);
+
+            const removed = await request(app)
+                .delete(`/api/salons/roles/${roleId}`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(removed.status).toBe(200);
+
+            const afterDelete = await request(app)
+                .get('/api/salons/permissions/me')
+                .set('Authorization', `Bearer ${employeeToken}`);
+            expect(afterDelete.body.data.permissions).toEqual([]);
+
+            const [audit] = await db.execute(
+                `SELECT action_type FROM audit_log WHERE table_name = 'salon_roles' AND record_id = ? ORDER BY audit_id`,
+                [roleId]
+            );
+            expect(audit.map(a => a.action_type)).toEqual(['INSERT', 'UPDATE', 'DELETE']);
+        });
+
+        test('delegated permissions open the matching owner routes and widen the visit history', async () => {
+            const { salonId, token } = await setupOwnerWithSalon();
+            const employee = await insertUserWithCredentials({ role: 'EMPLOYEE' });
+            await insertEmployee(salonId, employee.user_id, 'Front Desk');
+            const employeeToken = generateTestToken(employee);
+
+            const customer = await insertUserWithCredentials({ role: 'CUSTOMER' });
+            const visitStart = DateTime.utc().minus({ days: 2 });
+            const nowUtc = toMySQLUtc(DateTime.utc());
+            await db.execute(
+                `INSERT INTO bookings (salon_id, customer_user_id, scheduled_start, scheduled_end, status, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, 'COMPLETED', ?, ?)`,
+                [salonId, customer.user_id, toMySQLUtc(visitStart), toMySQLUtc(visitStart.plus({ hours: 1 })), nowUtc, nowUtc]
+            );
+
+            const hoursBefore = await request(app)
+                .get('/api/salons/getHours')
+                .set('Authorization', `Bearer ${employeeToken}`);
+            expect(hoursBefore.status).toBe(403);
+
+            const ownVisits = await request(app)
+                .get('/api/bookings/visits/customers')
+                .set('Authorization', `Bearer ${employeeToken}`);
+            expect(ownVisits.status).toBe(200);
+            expect(ownVisits.body.data.summary.total_records).toBe(0);
+
+            const created = await request(app)
+                .post('/api/salons/roles')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name: 'Front desk', permissions: ['bookings:manage', 'schedule:manage'] });
+            await request(app)
+                .post(`/api/salons/roles/${created.body.data.salon_role_id}/assignments`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ user_id: employee.user_id });
+
+            const hoursAfter = await request(app)
+                .get('/api/salons/getHours')
+                .set('Authorization', `Bearer ${employeeToken}`);
+            expect(hoursAfter.status).toBe(200);
+
+            const loyalty = await request(app)
+                .get('/api/salons/getLoyaltyProgram')
+                .set('Authorization', `Bearer ${employeeToken}`);
+            expect(loyalty.status).toBe(403);
+
+            const salonVisits = await request(app)
+                .get('/api/bookings/visits/customers')
+                .set('Authorization', `Bearer ${employeeToken}`);
+            expect(salonVisits.status).toBe(200);
+            expect(salonVisits.body.data.customers.map(c => c.user_id)).toEqual([customer.user_id]);
+        });
+
+        test('roles reject unknown permissions, duplicate names, non-employees and other owners', async () => {
+            const { token } = await setupOwnerWithSalon();
+            const { token: otherOwnerToken } = await setupOwnerWithSalon();
+            const outsider = await insertUserWithCredentials({ role: 'EMPLOYEE' });
+
+            const unknown = await request(app)
+                .post('/api/salons/roles')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name: 'Manager', permissions: ['payroll:everything'] });
+            expect(unknown.status).toBe(400);
+
+            const created = await request(app)
+                .post('/api/salons/roles')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name: 'Manager', permissions: ['loyalty:manage'] });
+            const duplicate = await request(app)
+                .post('/api/salons/roles')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name: 'Manager', permissions: [] });
+            expect(duplicate.status).toBe(409);
+
+            const notEmployee = await request(app)
+                .post(`/api/salons/roles/${created.body.data.salon_role_id}/assignments`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ user_id: outsider.user_id });
+            expect(notEmployee.status).toBe(404);
+
+            const otherOwner = await request(app)
+                .delete(`/api/salons/roles/${created.body.data.salon_role_id}`)
+                .set('Authorization', `Bearer ${otherOwnerToken}`);
+            expect(otherOwner.status).toBe(404);
+        });
+    });
+
+    describe('Employee invitations', () => {
+        let sentMail;
+
+        beforeEach(() => {
+            sentMail = jest.fn().mockResolvedValue({ success: true });
+            mailer.setMailTransport(sentMail);
+        });
+
+        afterEach(() => {
+            mailer.setMailTransport(null);
+        });
+
+        const inviteTokenFromMail = (callIndex = 0) => {
+            const text = sentMail.mock.calls[callIndex][1].text;
+            return text.match(/decline: (\S+)\./)[1];
+        };
+
+        test('invite to an email without an account creates the employee account on accept', async () => {
+            const { salonId, token } = await setupOwnerWithSalon();
+            const email = `invitee_${Date.now()}@test.com`;
+
+            const inviteResponse = await request(app)
+                .post('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email, title: 'Colorist' });
+            expect(inviteResponse.status).toBe(201);
+            expect(sentMail).toHaveBeenCalledTimes(1);
+            expect(sentMail.mock.calls[0][1].user_id).toBeNull();
+            expect(inviteResponse.body.data).not.toHaveProperty('invite_token');
+
+            const inviteToken = inviteTokenFromMail();
+
+            const lookup = await request(app)
+                .get('/api/salons/invitations/lookup')
+                .query({ token: inviteToken });
+            expect(lookup.status).toBe(200);
+            expect(lookup.body.data.account_exists).toBe(false);
+
+            const missingFields = await request(app)
+                .post('/api/salons/invitations/accept')
+                .send({ token: inviteToken });
+            expect(missingFields.status).toBe(400);
+
+            const accept = await request(app)
+                .post('/api/salons/invitations/accept')
+                .send({ token: inviteToken, full_name: 'Invited Stylist', password: 'Password123!' });
+            expect(accept.status).toBe(200);
+            expect(accept.body.data.account_created).toBe(true);
+
+            const [users] = await db.execute('SELECT user_id, role, email_verified_at FROM users WHERE email = ?', [email]);
+            expect(users[0].role).toBe('EMPLOYEE');
+            expect(users[0].email_verified_at).not.toBeNull();
+
+            const [employees] = await db.execute(
+                'SELECT salon_id, title, active FROM employees WHERE user_id = ?',
+                [users[0].user_id]
+            );
+            expect(employees[0]).toMatchObject({ salon_id: salonId, title: 'Colorist', active: 1 });
+
+            const login = await request(app)
+                .post('/api/user/login')
+                .send({ email, password: 'Password123!' });
+            expect(login.status).toBe(200);
+
+            const reuse = await request(app)
+                .post('/api/salons/invitations/accept')
+                .send({ token: inviteToken, full_name: 'Invited Stylist', password: 'Password123!' });
+            expect(reuse.status).toBe(409);
+        });
+
+        test('without a transport for an email with no account the owner gets the invitation code instead', async () => {
+            mailer.setMailTransport(null);
+            const { token } = await setupOwnerWithSalon();
+            const email = `undelivered_${Date.now()}@test.com`;
+
+            const inviteResponse = await request(app)
+                .post('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email, title: 'Colorist' });
+            expect(inviteResponse.status).toBe(201);
+            expect(inviteResponse.body.message).not.toContain('Invitation sent');
+            expect(inviteResponse.body.data.delivered).toBe(false);
+
+            const accept = await request(app)
+                .post('/api/salons/invitations/accept')
+                .send({ token: inviteResponse.body.data.invite_token, full_name: 'Invited Stylist', password: 'Password123!' });
+            expect(accept.status).toBe(200);
+            expect(accept.body.data.account_created).toBe(true);
+        });
+
+        test('existing employee account is linked on accept', async () => {
+            const { salonId, token } = await setupOwnerWithSalon();
+            const employee = await insertUserWithCredentials({ role: 'EMPLOYEE' });
+
+            await request(app)
+                .post('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email: employee.email, title: 'Barber' });
+            expect(sentMail.mock.calls[0][1].user_id).toBe(employee.user_id);
+
+            const accept = await request(app)
+                .post('/api/salons/invitations/accept')
+                .send({ token: inviteTokenFromMail() });
+            expect(accept.status).toBe(200);
+            expect(accept.body.data.account_created).toBe(false);
+
+            const [employees] = await db.execute('SELECT salon_id FROM employees WHERE user_id = ? AND active = 1', [employee.user_id]);
+            expect(employees[0].salon_id).toBe(salonId);
+        });
+
+        test('owner lists and revokes pending invitations, declined and revoked tokens stop working', async () => {
+            const { token } = await setupOwnerWithSalon();
+
+            await request(app)
+                .post('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email: `first_${Date.now()}@test.com`, title: 'Stylist' });
+            const second = await request(app)
+                .post('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email: `second_${Date.now()}@test.com`, title: 'Stylist' });
+
+            const list = await request(app)
+                .get('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`);
+            expect(list.status).toBe(200);
+            expect(list.body.meta.total).toBe(2);
+
+            const decline = await request(app)
+                .post('/api/salons/invitations/decline')
+                .send({ token: inviteTokenFromMail(0) });
+            expect(decline.status).toBe(200);
+
+            const revoke = await request(app)
+                .delete(`/api/salons/invitations/${second.body.data.invitation_id}`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(revoke.status).toBe(200);
+
+            const acceptRevoked = await request(app)
+                .post('/api/salons/invitations/accept')
+                .send({ token: inviteTokenFromMail(1), full_name: 'Too Late', password: 'Password123!' });
+            expect(acceptRevoked.status).toBe(409);
+
+            const pendingAfter = await request(app)
+                .get('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`);
+            expect(pendingAfter.body.meta.total).toBe(0);
+        });
+
+        test('invitations reject duplicates, non-employee accounts and expired tokens', async () => {
+            const { token } = await setupOwnerWithSalon();
+            const customer = await insertUserWithCredentials({ role: 'CUSTOMER' });
+            const email = `dup_${Date.now()}@test.com`;
+
+            const customerInvite = await request(app)
+                .post('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email: customer.email, title: 'Stylist' });
+            expect(customerInvite.status).toBe(409);
+
+            const first = await request(app)
+                .post('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email, title: 'Stylist' });
+            expect(first.status).toBe(201);
+
+            const duplicate = await request(app)
+                .post('/api/salons/invitations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email, title: 'Stylist' });
+            expect(duplicate.status).toBe(409);
+
+            await db.execute(
+                'UPDATE employee_invitations SET expires_at = ? WHERE invitation_id = ?',
+                [toMySQLUtc(DateTime.utc().minus({ minutes: 1 })), first.body.data.invitation_id]
+            );
+
+            const expired = await request(app)
+                .post('/api/salons/invitations/accept')
+                .send({ token: inviteTokenFromMail(), full_name: 'Late Stylist', password: 'Password123!' });
+            expect(expired.status).toBe(410);
+        });
+    });
+
 });
 
 // UAR 1.8 - Get Stylist's Assigned Salon
@@ -1468,9 +3068,8 @@ describe('UAR 1.8 - Get Stylist\'s Assigned Salon', () => {
     });
 
     describe('Edge Cases', () => {
-        test('Verify Single Assignment Constraint: Database prevents stylist from being assigned to multiple salons simultaneously', async () => {
+        test('Verify Multiple Salons: stylist can work at two salons and picks one with the X-Salon-Id header', async () => {
             const password = 'Password123!';
-            const nowUtc = toMySQLUtc(DateTime.utc());
 
             const owner1 = await insertUserWithCredentials({
                 password,
@@ -1491,22 +3090,139 @@ describe('UAR 1.8 - Get Stylist\'s Assigned Salon', () => {
             const salonBId = await createSalon(owner2.user_id, { name: 'Salon B', status: 'APPROVED' });
 
             await insertEmployee(salonAId, stylist.user_id);
+            await insertEmployee(salonBId, stylist.user_id, 'Junior Stylist');
 
             await expect(
-                insertEmployee(salonBId, stylist.user_id, 'Junior Stylist')
+                insertEmployee(salonBId, stylist.user_id, 'Duplicate')
             ).rejects.toThrow();
 
             const token = generateTestToken(stylist);
 
-            const response = await request(app)
+            const salons = await request(app)
+                .get('/api/user/stylist/salons')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(salons.status).toBe(200);
+            expect(salons.body.data.map(s => s.salon_id)).toEqual([salonAId, salonBId]);
+
+            const ambiguous = await request(app)
                 .get('/api/user/stylist/getSalon')
                 .set('Authorization', `Bearer ${token}`);
 
+            expect(ambiguous.status).toBe(400);
+
+            const response = await request(app)
+                .get('/api/user/stylist/getSalon')
+                .set('Authorization', `Bearer ${token}`)
+                .set('X-Salon-Id', String(salonBId));
+
             expect(response.status).toBe(200);
             expect(response.body.data).not.toBeInstanceOf(Array);
-            expect(response.body.data).toHaveProperty('salon_id');
-            expect(response.body.data.salon_id).toBe(salonAId);
-            expect(response.body.data.salon_id).not.toBe(salonBId);
+            expect(response.body.data.salon_id).toBe(salonBId);
+            expect(response.body.data.employee_title).toBe('Junior Stylist');
+        });
+
+        test('Verify Cross-Salon Conflicts: a booking at one salon blocks the same time at the stylist\'s other salon', async () => {
+            const password = 'Password123!';
+            const nowUtc = toMySQLUtc(DateTime.utc());
+
+            const owner1 = await insertUserWithCredentials({ password, role: 'OWNER' });
+            const owner2 = await insertUserWithCredentials({ password, role: 'OWNER' });
+            const stylist = await insertUserWithCredentials({ password, role: 'EMPLOYEE' });
+            const customer = await insertUserWithCredentials({ password, role: 'CUSTOMER' });
+
+            const salonAId = await createSalon(owner1.user_id, { name: 'Salon A', status: 'APPROVED' });
+            const salonBId = await createSalon(owner2.user_id, { name: 'Salon B', status: 'APPROVED' });
+            await insertEmployee(salonAId, stylist.user_id);
+            await insertEmployee(salonBId, stylist.user_id);
+
+            const [employments] = await db.execute(
+                'SELECT employee_id, salon_id FROM employees WHERE user_id = ? ORDER BY employee_id',
+                [stylist.user_id]
+            );
+            const [employeeA, employeeB] = employments;
+
+            const start = DateTime.utc().plus({ days: 2 }).set({ hour: 15, minute: 0, second: 0, millisecond: 0 });
+            const end = start.plus({ hours: 1 });
+            const [serviceResult] = await db.execute(
+                `INSERT INTO services (salon_id, name, description, duration_minutes, price, active, created_at, updated_at)
+                 VALUES (?, 'Cut', 'Haircut', 60, 40.00, 1, ?, ?)`,
+                [salonAId, nowUtc, nowUtc]
+            );
+            const [bookingResult] = await db.execute(
+                `INSERT INTO bookings (salon_id, customer_user_id, scheduled_start, scheduled_end, status, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, 'SCHEDULED', ?, ?)`,
+                [salonAId, customer.user_id, toMySQLUtc(start), toMySQLUtc(end), nowUtc, nowUtc]
+            );
+            await db.execute(
+                `INSERT INTO booking_services (booking_id, employee_id, service_id, price, duration_minutes, created_at, updated_at)
+                 VALUES (?, ?, ?, 40.00, 60, ?, ?)`,
+                [bookingResult.insertId, employeeA.employee_id, serviceResult.insertId, nowUtc, nowUtc]
+            );
+            await db.execute(
+                `INSERT INTO employee_availability (employee_id, weekday, start_time, end_time, slot_interval_minutes, created_at, updated_at)
+                 VALUES (?, ?, '00:00:00', '23:59:00', 60, ?, ?)`,
+                [employeeB.employee_id, start.weekday % 7, nowUtc, nowUtc]
+            );
+
+            const slots = await request(app)
+                .get(`/api/salons/${salonBId}/stylists/${employeeB.employee_id}/timeslots`)
+                .query({ start_date: start.toFormat('yyyy-MM-dd'), end_date: start.toFormat('yyyy-MM-dd'), service_duration: 60 })
+                .set('Authorization', `Bearer ${generateTestToken(customer)}`);
+
+            expect(slots.status).toBe(200);
+            const day = slots.body.data.daily_slots[start.toFormat('yyyy-MM-dd')];
+            const overlapping = day.available_slots.filter(slot =>
+                DateTime.fromISO(slot.start_time) < end && DateTime.fromISO(slot.end_time) > start
+            );
+            expect(overlapping.length).toBeGreaterThan(0);
+            expect(overlapping.every(slot => slot.unavailable_reason === 'booked')).toBe(true);
+        });
+
+        test('Verify Second Salon Bookings: stylist can cancel a booking at the other salon they work at', async () => {
+            const password = 'Password123!';
+            const nowUtc = toMySQLUtc(DateTime.utc());
+
+            const owner1 = await insertUserWithCredentials({ password, role: 'OWNER' });
+            const owner2 = await insertUserWithCredentials({ password, role: 'OWNER' });
+            const stylist = await insertUserWithCredentials({ password, role: 'EMPLOYEE' });
+            const customer = await insertUserWithCredentials({ password, role: 'CUSTOMER' });
+
+            const salonAId = await createSalon(owner1.user_id, { name: 'Salon A', status: 'APPROVED' });
+            const salonBId = await createSalon(owner2.user_id, { name: 'Salon B', status: 'APPROVED' });
+            await insertEmployee(salonAId, stylist.user_id);
+            await insertEmployee(salonBId, stylist.user_id);
+
+            const [[employeeB]] = await db.execute(
+                'SELECT employee_id FROM employees WHERE user_id = ? AND salon_id = ?',
+                [stylist.user_id, salonBId]
+            );
+
+            const start = DateTime.utc().plus({ days: 2 }).set({ hour: 15, minute: 0, second: 0, millisecond: 0 });
+            const [serviceResult] = await db.execute(
+                `INSERT INTO services (salon_id, name, description, duration_minutes, price, active, created_at, updated_at)
+                 VALUES (?, 'Cut', 'Haircut', 60, 40.00, 1, ?, ?)`,
+                [salonBId, nowUtc, nowUtc]
+            );
+            const [bookingResult] = await db.execute(
+                `INSERT INTO bookings (salon_id, customer_user_id, scheduled_start, scheduled_end, status, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, 'SCHEDULED', ?, ?)`,
+                [salonBId, customer.user_id, toMySQLUtc(start), toMySQLUtc(start.plus({ hours: 1 })), nowUtc, nowUtc]
+            );
+            await db.execute(
+                `INSERT INTO booking_services (booking_id, employee_id, service_id, price, duration_minutes, created_at, updated_at)
+                 VALUES (?, ?, ?, 40.00, 60, ?, ?)`,
+                [bookingResult.insertId, employeeB.employee_id, serviceResult.insertId, nowUtc, nowUtc]
+            );
+
+            const response = await request(app)
+                .post('/api/bookings/stylist/cancel')
+                .set('Authorization', `Bearer ${generateTestToken(stylist)}`)
+                .send({ booking_id: bookingResult.insertId });
+
+            expect(response.status).toBe(200);
+            const [[booking]] = await db.execute('SELECT status FROM bookings WHERE booking_id = ?', [bookingResult.insertId]);
+            expect(booking.status).toBe('CANCELED');
         });
 
         test('Verify Recently Removed: Owner removes stylist, stylist with old token returns 404', async () => {
@@ -1550,4 +3266,135 @@ describe('UAR 1.8 - Get Stylist\'s Assigned Salon', () => {
             });
         });
     });
-});
\ No newline at end of file
+});
+// Admin user management console
+describe('Admin User Management - Admin', () => {
+    beforeEach(() => {
+        jest.spyOn(notificationsController, 'createNotification').mockResolvedValue({
+            success: true
+        });
+    });
+
+    describe('Positive Flow', () => {
+        test('List Users: GET /api/admin/users filters by role and search term with pagination meta', async () => {
+            const admin = await insertUserWithCredentials({ role: 'ADMIN' });
+            const marker = `console_${Date.now()}`;
+            const owner = await insertUserWithCredentials({ role: 'OWNER', full_name: `${marker} Owner` });
+            await insertUserWithCredentials({ role: 'CUSTOMER', full_name: `${marker} Customer` });
+
+            const response = await request(app)
+                .get('/api/admin/users')
+                .query({ role: 'OWNER', q: marker })
+                .set('Authorization', `Bearer ${generateTestToken(admin)}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0]).toMatchObject({ user_id: owner.user_id, role: 'OWNER', suspended: false });
+            expect(response.body.meta).toMatchObject({ total: 1, limit: 20, offset: 0, hasMore: false });
+        });
+
+        test('Suspend and Reactivate: suspension blocks login and revokes tokens, both changes are audited', async () => {
+            const password = 'Password123!';
+            const admin = await insertUserWithCredentials({ role: 'ADMIN' });
+            const adminToken = generateTestToken(admin);
+            const user = await insertUserWithCredentials({ password });
+
+            const loginResponse = await request(app)
+                .post('/api/user/login')
+                .send({ email: user.email, password });
+            const userToken = loginResponse.body.data.token;
+
+            const suspendResponse = await request(app)
+                .post(`/api/admin/users/${user.user_id}/suspend`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ reason: 'Chargeback fraud' });
+            expect(suspendResponse.status).toBe(200);
+            expect(suspendResponse.body.data).toMatchObject({ suspended: true, suspension_reason: 'Chargeback fraud' });
+
+            const [tokenResponse, blockedLogin] = await Promise.all([
+                request(app).get('/api/user/auth-test').set('Authorization', `Bearer ${userToken}`),
+                request(app).post('/api/user/login').send({ email: user.email, password })
+            ]);
+            expect(tokenResponse.status).toBe(403);
+            expect(blockedLogin.status).toBe(403);
+
+            const reactivateResponse = await request(app)
+                .post(`/api/admin/users/${user.user_id}/reactivate`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(reactivateResponse.status).toBe(200);
+
+            const loginAgain = await request(app)
+                .post('/api/user/login')
+                .send({ email: user.email, password });
+            expect(loginAgain.status).toBe(200);
+
+            const [audit] = await db.execute(
+                `SELECT old_value, new_value, changed_by FROM audit_log
+                 WHERE table_name = 'users' AND record_id = ? AND action_type = 'UPDATE'
+                 ORDER BY audit_id ASC`,
+                [user.user_id]
+            );
+            expect(audit).toHaveLength(2);
+            expect(audit[0].new_value).toMatchObject({ suspension_reason: 'Chargeback fraud' });
+            expect(audit[1].old_value).toMatchObject({ suspension_reason: 'Chargeback fraud' });
+            expect(audit[0].changed_by).toBe(`user:${admin.user_id}`);
+        });
+
+        test('Change Role: PATCH /api/admin/users/:id/role updates the role and records old and new values', async () => {
+            const admin = await insertUserWithCredentials({ role: 'ADMIN' });
+            const user = await insertUserWithCredentials({ role: 'CUSTOMER' });
+
+            const response = await request(app)
+                .patch(`/api/admin/users/${user.user_id}/role`)
+                .set('Authorization', `Bearer ${generateTestToken(admin)}`)
+                .send({ role: 'OWNER' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.role).toBe('OWNER');
+
+            const [audit] = await db.execute(
+                `SELECT old_value, new_value FROM audit_log WHERE table_name = 'users' AND record_id = ? AND action_type = 'UPDATE'`,
+                [user.user_id]
+            );
+            expect(audit[0].old_value).toMatchObject({ role: 'CUSTOMER' });
+            expect(audit[0].new_value).toMatchObject({ role: 'OWNER' });
+        });
+    });
+
+    describe('Negative Flow', () => {
+        test('Verify Validation Errors: invalid filters, missing reason, invalid role and self-changes return 400', async () => {
+            const admin = await insertUserWithCredentials({ role: 'ADMIN' });
+            const adminToken = generateTestToken(admin);
+            const user = await insertUserWithCredentials();
+
+            const responses = await Promise.all([
+                request(app).get('/api/admin/users').query({ role: 'SUPERUSER' }).set('Authorization', `Bearer ${adminToken}`),
+                request(app).get('/api/admin/users').query({ last_login_before: 'not-a-date' }).set('Authorization', `Bearer ${adminToken}`),
+                request(app).post(`/api/admin/users/${user.user_id}/suspend`).set('Authorization', `Bearer ${adminToken}`).send({}),
+                request(app).patch(`/api/admin/users/${user.user_id}/role`).set('Authorization', `Bearer ${adminToken}`).send({ role: 'KING' }),
+                request(app).post(`/api/admin/users/${admin.user_id}/suspend`).set('Authorization', `Bearer ${adminToken}`).send({ reason: 'self' })
+            ]);
+
+            for (const response of responses) {
+                expect(response.status).toBe(400);
+            }
+        });
+    });
+
+    describe('Security & Permissions', () => {
+        test('Non-admin roles should not be able to access the user console', async () => {
+            const roles = ['CUSTOMER', 'OWNER', 'EMPLOYEE'];
+            const users = await Promise.all(roles.map(role => insertUserWithCredentials({ role })));
+
+            const responses = await Promise.all(
+                users.map(user => request(app)
+                    .get('/api/admin/users')
+                    .set('Authorization', `Bearer ${generateTestToken(user)}`))
+            );
+
+            for (const response of responses) {
+                expect(response.status).toBe(403);
+            }
+        });
+    });
+});
@@ -36,16 +36,18 @@ const insertUserWithCredentials = async (overrides = {}) => {
         password: overrides.password || 'Password123!',
         active: overrides.active ?? 1
     };
+    const emailVerifiedAt = overrides.email_verified === false ? null : nowUtc;
 
     const [userResult] = await db.execute(
-        `INSERT INTO users (full_name, email, phone, profile_picture_url, role, last_login_at, active, created_at, updated_at)
-         VALUES (?, ?, NULL, NULL, ?, ?, ?, ?, ?)`,
+        `INSERT INTO users (full_name, email, phone, profile_picture_url, role, last_login_at, active, email_verified_at, created_at, updated_at)
+         VALUES (?, ?, NULL, NULL, ?, ?, ?, ?, ?, ?)`,
         [
             userData.full_name,
             userData.email,
             userData.role,
             nowUtc,
             userData.active,
+            emailVerifiedAt,
             nowUtc,
             nowUtc
         ]
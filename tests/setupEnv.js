@@ -16,6 +16,8 @@ process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
 process.env.BCRYPT_SALT = process.env.BCRYPT_SALT || '1';
 process.env.NOTIFICATION_ENCRYPTION_KEY = process.env.NOTIFICATION_ENCRYPTION_KEY
     || '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+process.env.MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY
+    || 'fedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210';
 process.env.TEST_USE_EXTERNAL_TRANSACTIONS = 'true';
 
 if (process.env.TEST_VERBOSE !== '1') {